@@ -1,56 +1,48 @@
 // Applies a research-enrichment payload (field changes + new devices) to the
 // curated CSV. Run `node scripts/generate-ar-csv.mjs` afterwards to normalize
-// and regenerate all derived artifacts.
+// and regenerate all derived artifacts. The `sources` and `confidence` of every
+// applied or confirmed value are kept per id+field in public/data/provenance.json.
 //
-// Usage: node scripts/apply-enrichment.mjs [path-to-enrichment.json]
-// Payload shape: { enriched: [{ id, changes: {field: value} }], newDevices: [{ name, manufacturer, ... }] }
+// Usage: node scripts/apply-enrichment.mjs [path-to-enrichment.json] [options]
+//   --dry-run                 print the per-device before/after diff, write nothing
+//   --review=<file.md|.html>  also write the diff as a Markdown or HTML review file
+//   --only-confidence=high    apply only entries with at least this confidence
+//                             (a payload with skipped entries stays out of the ledger)
+//   --force                   apply a payload the ledger already lists as applied
+// Every existing row the payload changes or confirms gets `last_verified_at` set
+// to today, as does every new device.
+// Payload shape: { enriched: [{ id, changes: {field: value} }], newDevices: [{ name, manufacturer, ... }],
+//   priceHistory: [{ id, date, price, currency, kind, source }] }
+// `priceHistory` points (kind launch | msrp_change | street) go to
+// public/data/price-history.json; they never change `price_usd` in the CSV.
+// New devices that fuzzily match an existing row (scripts/lib/duplicates.mjs) stop
+// the run; resolve with `"mergeInto": "<id>"` or `"notDuplicateOf": ["<id>"]`.
+// Applying and reporting live in scripts/lib/enrichment.mjs; this file does the I/O.
 
-import { randomBytes } from 'node:crypto';
 import { readFile, writeFile } from 'node:fs/promises';
 import Papa from 'papaparse';
+import { CONFIDENCE_RANK } from '../src/data/provenance.js';
+import { OUTPUT_FIELDS } from './lib/columns.mjs';
+import { applyEnrichment, buildReview, formatDryRun } from './lib/enrichment.mjs';
+import { findApplied, hashContent, readLedger, recordPayload, writeLedger } from './lib/ledger.mjs';
 
 const CSV_PATH = 'public/data/ar_glasses.csv';
-const PAYLOAD_PATH = process.argv[2] || 'scripts/enrichment-2026.json';
+const PROVENANCE_PATH = 'public/data/provenance.json';
+const PRICE_HISTORY_PATH = 'public/data/price-history.json';
 
-const OUTPUT_FIELDS = [
-  'id', 'short_name', 'name', 'manufacturer', 'image_url', 'official_url',
-  'announced_date', 'release_date', 'price_usd', 'xr_category', 'active_distribution',
-  'eol_status', 'eol_date', 'lifecycle_notes', 'lifecycle_source', 'software',
-  'compute_unit', 'display_type', 'optics', 'fov_horizontal_deg', 'fov_vertical_deg',
-  'fov_diagonal_deg', 'resolution_per_eye', 'refresh_hz', 'weight_g', 'tracking',
-  'eye_tracking', 'hand_tracking', 'passthrough', 'chipset', 'brightness_nits',
-  'connectivity', 'audio', 'battery', 'ipd_mm', 'prescription_support', 'camera', 'slug',
-  'source_dataset', 'source_page', 'dataset_retrieved_at',
-];
+const args = process.argv.slice(2);
+const option = (name) => args.find((arg) => arg.startsWith(`--${name}=`))?.slice(name.length + 3) ?? '';
+const PAYLOAD_PATH = args.find((arg) => !arg.startsWith('--')) || 'scripts/enrichment-2026.json';
+const DRY_RUN = args.includes('--dry-run');
+const FORCE = args.includes('--force');
+const REVIEW_PATH = option('review');
+const MIN_CONFIDENCE = option('only-confidence');
 
-// Fields a research agent is allowed to overwrite. Identity, image and provenance
-// columns are intentionally excluded so enrichment can never clobber them.
-const MUTABLE_FIELDS = new Set([
-  'official_url', 'announced_date', 'release_date', 'price_usd', 'xr_category',
-  'active_distribution', 'eol_status', 'eol_date', 'lifecycle_notes', 'lifecycle_source',
-  'software', 'compute_unit', 'display_type', 'optics', 'fov_horizontal_deg',
-  'fov_vertical_deg', 'fov_diagonal_deg', 'resolution_per_eye', 'refresh_hz', 'weight_g',
-  'tracking', 'eye_tracking', 'hand_tracking', 'passthrough',
-  'chipset', 'brightness_nits', 'connectivity', 'audio', 'battery', 'ipd_mm',
-  'prescription_support', 'camera',
-]);
-
-const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-
-const makeId = (existing) => {
-  for (let attempt = 0; attempt < 50; attempt += 1) {
-    const bytes = randomBytes(9);
-    let id = '';
-    for (let i = 0; i < 9; i += 1) id += ID_ALPHABET[bytes[i] % ID_ALPHABET.length];
-    if (!existing.has(id)) return id;
+const main = async () => {
+  if (MIN_CONFIDENCE && !CONFIDENCE_RANK[MIN_CONFIDENCE]) {
+    throw new Error(`Unknown --only-confidence value "${MIN_CONFIDENCE}" (use ${Object.keys(CONFIDENCE_RANK).join(', ')})`);
   }
-  throw new Error('Could not generate a unique id');
-};
-
-const slug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '');
-const norm = (value) => String(value ?? '').trim().toLowerCase();
 
-const main = async () => {
   const csvText = await readFile(CSV_PATH, 'utf8');
   const parsed = Papa.parse(csvText, { header: true, skipEmptyLines: true });
   const rows = Array.isArray(parsed.data) ? parsed.data : [];
@@ -61,72 +53,116 @@ const main = async () => {
   }
 
   let payload;
+  let payloadText;
   try {
-    payload = JSON.parse(await readFile(PAYLOAD_PATH, 'utf8'));
+    payloadText = await readFile(PAYLOAD_PATH, 'utf8');
+    payload = JSON.parse(payloadText);
   } catch (error) {
     throw new Error(`Could not read enrichment payload at ${PAYLOAD_PATH}: ${error.message}`);
   }
 
-  const byId = new Map(rows.map((row) => [row.id, row]));
-  const existingIds = new Set(rows.map((row) => row.id));
-  const existingKeys = new Set(rows.map((row) => `${norm(row.name)}|${norm(row.manufacturer)}`));
+  // The ledger (scripts/research/ledger.json) remembers applied payloads by content hash.
+  const ledger = await readLedger();
+  const payloadHash = hashContent(payloadText);
+  const previous = findApplied(ledger, payloadHash);
+  if (previous) {
+    const message = `${PAYLOAD_PATH} was already applied on ${previous.applied_at}${previous.file !== PAYLOAD_PATH ? ` as ${previous.file}` : ''}`;
+    if (!DRY_RUN && !FORCE) throw new Error(`${message}; pass --force to apply it again.`);
+    console.warn(`! ${message}`);
+  }
 
-  // 1) Apply field changes to existing rows.
-  let changedRows = 0;
-  let changedFields = 0;
-  let skippedFields = 0;
-  for (const entry of payload.enriched || []) {
-    const row = byId.get(entry.id);
-    if (!row) {
-      console.warn(`! Unknown id in enrichment (skipped): ${entry.id} (${entry.name || ''})`);
-      continue;
-    }
-    let touched = false;
-    for (const [field, value] of Object.entries(entry.changes || {})) {
-      if (!MUTABLE_FIELDS.has(field)) {
-        skippedFields += 1;
-        continue;
-      }
-      const next = String(value ?? '').trim();
-      if (!next || next === String(row[field] ?? '').trim()) continue;
-      row[field] = next;
-      changedFields += 1;
-      touched = true;
-    }
-    if (touched) changedRows += 1;
+  let provenance = {};
+  try {
+    provenance = JSON.parse(await readFile(PROVENANCE_PATH, 'utf8'));
+  } catch {
+    provenance = {};
   }
+  let priceHistory = {};
+  try {
+    priceHistory = JSON.parse(await readFile(PRICE_HISTORY_PATH, 'utf8'));
+  } catch {
+    priceHistory = {};
+  }
+  const appliedAt = new Date().toISOString().slice(0, 10);
+  const { report, changedRows, verifiedIds, citedFields, newIds, skipped } = applyEnrichment(rows, payload, {
+    minConfidence: MIN_CONFIDENCE,
+    appliedAt,
+    payloadPath: PAYLOAD_PATH,
+    provenance,
+    priceHistory,
+  });
+
+  for (const entry of report.unknownIds) {
+    console.warn(`! Unknown id in ${entry.section} (skipped): ${entry.id}${entry.name ? ` (${entry.name})` : ''}`);
+  }
+  for (const entry of report.likelyDuplicates) {
+    console.warn(`! Likely duplicate new device: ${entry.name} (${entry.manufacturer}); ranked candidates:`);
+    entry.candidates.forEach((candidate, index) => {
+      const where = newIds.has(candidate.row.id) ? 'earlier in this payload' : `id ${candidate.row.id}`;
+      console.warn(`    ${index + 1}. ${candidate.score.toFixed(2)} ${candidate.row.name} (${candidate.row.manufacturer}, ${where}): ${candidate.reasons.join('; ')}`);
+    });
+  }
+  const blocked = report.likelyDuplicates.length > 0;
 
-  // 2) Append verified new devices (deduped by name+manufacturer).
-  const added = [];
-  for (const device of payload.newDevices || []) {
-    const key = `${norm(device.name)}|${norm(device.manufacturer)}`;
-    if (!device.name || !device.manufacturer || existingKeys.has(key)) continue;
-    existingKeys.add(key);
-    const id = makeId(existingIds);
-    existingIds.add(id);
-    const row = { id, short_name: slug(device.name), name: device.name, manufacturer: device.manufacturer };
-    for (const field of OUTPUT_FIELDS) {
-      if (row[field] !== undefined) continue;
-      row[field] = field in device ? String(device[field] ?? '').trim() : '';
+  if (DRY_RUN) {
+    for (const line of formatDryRun(report, MIN_CONFIDENCE)) console.log(line);
+  } else if (!blocked) {
+    const csv = Papa.unparse(rows, { columns: OUTPUT_FIELDS, newline: '\n' });
+    await writeFile(CSV_PATH, `${csv}\n`, 'utf8');
+    await writeFile(PROVENANCE_PATH, `${JSON.stringify(provenance, null, 2)}\n`, 'utf8');
+    if (report.pricePoints.length) {
+      await writeFile(PRICE_HISTORY_PATH, `${JSON.stringify(priceHistory, null, 2)}\n`, 'utf8');
     }
-    if (!row.active_distribution) row.active_distribution = 'Ja/Unklar';
-    if (!row.eol_status) row.eol_status = 'Aktiv oder ohne EOL-Angabe';
-    if (!row.lifecycle_notes) row.lifecycle_notes = 'Neu aufgenommen; aktiver Vertrieb laut Herstellerangaben.';
-    row.source_dataset = 'curated_ar_xr_directory_v2';
-    row.source_page = 'https://huskynarr.de/';
-    rows.push(row);
-    added.push(device.name);
+
+    const stats = {
+      rows_changed: changedRows,
+      rows_verified: verifiedIds.size,
+      fields_updated: report.diffs.length,
+      devices_added: report.added.length,
+      price_points: report.pricePoints.length,
+      ...(MIN_CONFIDENCE ? { only_confidence: MIN_CONFIDENCE } : {}),
+    };
+    const pending = recordPayload(ledger, {
+      file: PAYLOAD_PATH,
+      sha256: payloadHash,
+      appliedAt,
+      stats,
+      consolidatedFrom: Array.isArray(payload.consolidatedFrom) ? payload.consolidatedFrom : [],
+      skipped,
+    });
+    if (pending.length) console.warn(`! Not recorded as applied (entries skipped): ${pending.join(', ')}`);
+    await writeLedger(ledger);
+  }
+
+  if (REVIEW_PATH) {
+    const title = `Enrichment review: ${PAYLOAD_PATH}${DRY_RUN ? ' (dry run)' : ''}`;
+    await writeFile(REVIEW_PATH, buildReview(report, { title, format: REVIEW_PATH.endsWith('.html') ? 'html' : 'markdown' }), 'utf8');
   }
 
-  const csv = Papa.unparse(rows, { columns: OUTPUT_FIELDS, newline: '\n' });
-  await writeFile(CSV_PATH, `${csv}\n`, 'utf8');
+  if (blocked) {
+    const message =
+      `${report.likelyDuplicates.length} new device(s) look like existing rows (see candidates above). ` +
+      'Add "mergeInto": "<id>" to update the existing row, or "notDuplicateOf": ["<id>"] if it is a different model.';
+    if (!DRY_RUN) throw new Error(`Stopped without writing: ${message}`);
+    console.warn(`! ${message}`);
+    process.exitCode = 1;
+  }
 
-  console.log(`Enrichment applied:`);
+  console.log(DRY_RUN ? `Enrichment dry run (nothing written):` : `Enrichment applied:`);
   console.log(`  Rows changed:    ${changedRows}`);
-  console.log(`  Fields updated:  ${changedFields}`);
-  console.log(`  Fields skipped (immutable): ${skippedFields}`);
-  console.log(`  New devices added: ${added.length}${added.length ? ` -> ${added.join(', ')}` : ''}`);
+  console.log(`  Rows verified:   ${verifiedIds.size}`);
+  console.log(`  Fields updated:  ${report.diffs.length}`);
+  console.log(`  Fields skipped (immutable): ${report.rejected.length}`);
+  console.log(`  Prices skipped (derived from price_original): ${report.derivedPrices.length}`);
+  if (MIN_CONFIDENCE) console.log(`  Entries skipped (below ${MIN_CONFIDENCE}): ${report.lowConfidence.length}`);
+  console.log(`  Fields cited (provenance): ${citedFields}`);
+  console.log(`  New devices added: ${report.added.length}${report.added.length ? ` -> ${report.added.map((device) => device.name).join(', ')}` : ''}`);
+  console.log(`  Merged into existing rows: ${report.merged.length}`);
+  console.log(`  Duplicates skipped: ${report.duplicates.length}`);
+  console.log(`  Likely duplicates (blocked): ${report.likelyDuplicates.length}`);
+  console.log(`  Price history points: ${report.pricePoints.length}`);
   console.log(`  Total rows now:  ${rows.length}`);
+  if (REVIEW_PATH) console.log(`  Review file: ${REVIEW_PATH}`);
 };
 
 main().catch((error) => {
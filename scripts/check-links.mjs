@@ -0,0 +1,66 @@
+// Offline link-health check for `official_url` and `lifecycle_source`. Fetches
+// every unique link with a concurrency limit and a per-request timeout, then
+// classifies it as ok, redirect, not_found, parked, soft_404 or error (see
+// src/data/link-health.js). The result is committed as
+// public/data/link-health.json; the app hides dead manufacturer and source
+// links and the static pages link the archived copy instead. Never run during
+// the build: it needs the network and its result changes with the web.
+//
+// Usage: node scripts/check-links.mjs [path-to-csv] [--concurrency=4] [--timeout=10000] [--out=<file>]
+// Output: <file> (default: public/data/link-health.json)
+
+import { readFile, writeFile } from 'node:fs/promises';
+import Papa from 'papaparse';
+import { DEAD_LINK_STATUSES, LINK_STATUSES } from '../src/data/link-health.js';
+import { checkLinks } from './lib/link-check.mjs';
+
+const LINK_FIELDS = ['official_url', 'lifecycle_source'];
+
+const args = process.argv.slice(2);
+const option = (name) => args.find((arg) => arg.startsWith(`--${name}=`))?.slice(name.length + 3) ?? '';
+const CSV_PATH = args.find((arg) => !arg.startsWith('--')) || 'public/data/ar_glasses.csv';
+const OUT_PATH = option('out') || 'public/data/link-health.json';
+const CONCURRENCY = Number(option('concurrency') || 4);
+const TIMEOUT = Number(option('timeout') || 10_000);
+
+const main = async () => {
+  if (!(CONCURRENCY >= 1) || !(TIMEOUT > 0)) {
+    throw new Error(`--concurrency and --timeout must be positive numbers, got "${option('concurrency')}" / "${option('timeout')}"`);
+  }
+  const csvText = await readFile(CSV_PATH, 'utf8');
+  const parsed = Papa.parse(csvText, { header: true, skipEmptyLines: true });
+  const rows = Array.isArray(parsed.data) ? parsed.data : [];
+  if (parsed.errors?.length && !rows.length) {
+    throw new Error(`CSV parse failed: ${parsed.errors[0].message}`);
+  }
+
+  const urls = rows.flatMap((row) => LINK_FIELDS.map((field) => String(row[field] ?? '').trim())).filter((url) => /^https?:\/\//i.test(url));
+  const checkedAt = new Date().toISOString().slice(0, 10);
+  console.log(`Checking ${new Set(urls).size} link(s), ${CONCURRENCY} at a time, ${TIMEOUT} ms timeout`);
+
+  const results = await checkLinks(urls, {
+    concurrency: CONCURRENCY,
+    timeout: TIMEOUT,
+    onResult: (url, result) => {
+      if (result.status !== 'ok') console.log(`  ${result.status.padEnd(9)} ${url}${result.final_url ? ` -> ${result.final_url}` : ''}${result.error ? ` (${result.error})` : ''}`);
+    },
+  });
+
+  const links = Object.fromEntries(
+    [...results.entries()]
+      .sort(([left], [right]) => left.localeCompare(right))
+      .map(([url, { error, ...result }]) => [url, { ...result, ...(error ? { error } : {}), checked_at: checkedAt }]),
+  );
+  await writeFile(OUT_PATH, `${JSON.stringify({ checked_at: checkedAt, links }, null, 2)}\n`, 'utf8');
+
+  const counts = Object.fromEntries(LINK_STATUSES.map((status) => [status, 0]));
+  for (const { status } of results.values()) counts[status] += 1;
+  const dead = DEAD_LINK_STATUSES.reduce((sum, status) => sum + counts[status], 0);
+  console.log(`Link health: ${LINK_STATUSES.map((status) => `${counts[status]} ${status}`).join(', ')}`);
+  console.log(`  ${dead} dead link(s) hidden or archived; written to ${OUT_PATH}`);
+};
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.stack || error.message : String(error));
+  process.exitCode = 1;
+});
@@ -0,0 +1,97 @@
+// Merges any set of research payloads (scripts/research/*.json) into one
+// enrichment payload for apply-enrichment.mjs. Conflicting values for the same
+// id+field (or the same new device) are resolved by confidence, then recency;
+// conflicts that only recency could decide are listed for a human to check.
+// Files the ledger (scripts/research/ledger.json) already lists as applied are
+// skipped unless --include-applied is given. `priceHistory` points are dated, so
+// they never conflict: all of them are passed through (exact repeats dropped).
+//
+// Usage: node scripts/consolidate-research.mjs <payload.json>... [options]
+//   --out=<file>         consolidated payload (default scripts/enrichment-consolidated.json)
+//   --include-applied    also merge files the ledger lists as applied
+// Recency: a payload's top-level `generated_at` (or `date`), else its ledger
+// `applied_at`; on a tie the later file on the command line wins.
+// The merge itself lives in scripts/lib/consolidate.mjs.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import Papa from 'papaparse';
+import { consolidatePayloads, csvCoverage, payloadRecency } from './lib/consolidate.mjs';
+import { findApplied, hashContent, readLedger } from './lib/ledger.mjs';
+
+const CSV_PATH = 'public/data/ar_glasses.csv';
+
+const args = process.argv.slice(2);
+const FILES = args.filter((arg) => !arg.startsWith('--'));
+const OUT_PATH = args.find((arg) => arg.startsWith('--out='))?.slice('--out='.length) || 'scripts/enrichment-consolidated.json';
+const INCLUDE_APPLIED = args.includes('--include-applied');
+
+const loadPayloads = async (ledger) => {
+  const payloads = [];
+  const skipped = [];
+  for (const [order, file] of FILES.entries()) {
+    const content = await readFile(file, 'utf8');
+    let payload;
+    try {
+      payload = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Could not parse ${file}: ${error.message}`);
+    }
+    if (!payload || (!Array.isArray(payload.enriched) && !Array.isArray(payload.newDevices) && !Array.isArray(payload.priceHistory))) {
+      skipped.push({ file, reason: 'not an enrichment payload (no enriched/newDevices/priceHistory)' });
+      continue;
+    }
+    const sha256 = hashContent(content);
+    const applied = findApplied(ledger, sha256);
+    if (applied && !INCLUDE_APPLIED) {
+      skipped.push({ file, reason: `already applied on ${applied.applied_at}${applied.via ? ` via ${applied.via}` : ''}${applied.note ? ` (${applied.note})` : ''}` });
+      continue;
+    }
+    const recency = payloadRecency(payload, applied);
+    payloads.push({ file, sha256, order, recency, payload });
+  }
+  return { payloads, skipped };
+};
+
+const main = async () => {
+  if (!FILES.length) {
+    throw new Error('Usage: node scripts/consolidate-research.mjs <payload.json>... [--out=<file>] [--include-applied]');
+  }
+
+  const csvText = await readFile(CSV_PATH, 'utf8');
+  const rows = Papa.parse(csvText, { header: true, skipEmptyLines: true }).data || [];
+  const ledger = await readLedger();
+  const { payloads, skipped } = await loadPayloads(ledger);
+
+  const { enriched, newDevices, priceHistory, conflicts, deviceClaims } = consolidatePayloads(payloads, rows);
+
+  const output = {
+    generated_at: new Date().toISOString(),
+    consolidatedFrom: payloads.map(({ file, sha256 }) => ({ file, sha256 })),
+    enriched,
+    newDevices,
+    priceHistory,
+    conflicts,
+  };
+  await writeFile(OUT_PATH, `${JSON.stringify(output, null, 2)}\n`, 'utf8');
+
+  console.log(`Consolidated ${payloads.length} payload(s) -> ${OUT_PATH}`);
+  for (const source of payloads) {
+    console.log(`  ${source.file}: ${csvCoverage(source, rows)}% already reflected in the CSV`);
+  }
+  for (const entry of skipped) {
+    console.log(`  skipped ${entry.file}: ${entry.reason}`);
+  }
+  console.log(`  Field changes: ${output.enriched.reduce((sum, entry) => sum + Object.keys(entry.changes).length, 0)} in ${output.enriched.length} entries`);
+  console.log(`  New devices:   ${newDevices.length} (from ${deviceClaims} entries)`);
+  console.log(`  Price points:  ${priceHistory.length}`);
+  console.log(`  Conflicts:     ${conflicts.length} (${conflicts.filter((conflict) => conflict.needsReview).length} need review)`);
+  for (const conflict of conflicts.filter((entry) => entry.needsReview)) {
+    const values = conflict.values.map((entry) => `"${entry.value}" (${entry.file}, ${entry.confidence})`).join(' vs ');
+    console.warn(`! review ${conflict.name}${conflict.id ? ` (${conflict.id})` : ''} ${conflict.field}: ${values} -> picked "${conflict.chosen}" by recency`);
+  }
+};
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.stack || error.message : String(error));
+  process.exitCode = 1;
+});
@@ -1,18 +1,47 @@
-import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { mkdir, readFile, rm, writeFile } from 'node:fs/promises';
 import Papa from 'papaparse';
 import {
   assignSlugs,
   buildAssetNotices,
+  buildAtomFeed,
+  buildBrandPage,
+  buildChangelogPage,
   buildDatenschutz,
   buildDataOverview,
   buildDevicePage,
   buildFaq,
   buildGlossary,
   buildImpressum,
+  buildJsonFeed,
   buildModelIndex,
   buildRedirectStub,
+  toProductGroup,
 } from './lib/render-pages.mjs';
-import { assignDevicePaths } from '../src/data/paths.js';
+import { OUTPUT_FIELDS, formatValidationReport, validateRows } from './lib/columns.mjs';
+import { buildCsvw, buildDataPackage, buildDeviceJsonSchema } from './lib/dataset-schema.mjs';
+import { API_VERSION, buildStaticApi } from './lib/static-api.mjs';
+import { derivePriceUsd } from './lib/fx-rates.mjs';
+import { LIST_SEPARATOR, parseBattery, parseConnectivity, parseIpd } from '../src/data/spec-parsers.js';
+import { formatValueCell, parseValue } from '../src/data/values.js';
+import { parsePartialDate } from '../src/data/dates.js';
+import { LIFECYCLE_STATUSES, SCHEMA_AVAILABILITY, deriveLifecycleStatus, isEol, isLikelyActive } from '../src/data/lifecycle.js';
+import {
+  appendChanges,
+  diffRows,
+  readBaseline,
+  readChangelog,
+  snapshotRows,
+  writeBaseline,
+  writeChangelog,
+} from './lib/changelog.mjs';
+import { assignDevicePaths, buildPathRegistry } from '../src/data/paths.js';
+import { createManufacturerResolver, validateManufacturers } from '../src/data/manufacturers.js';
+import { STALE_AFTER_MONTHS, freshnessByManufacturer, isStale } from '../src/data/freshness.js';
+import { completeLineage } from '../src/data/lineage.js';
+import { recordPriceChanges } from '../src/data/price-history.js';
+import { getVariants, validateVariants } from '../src/data/variants.js';
+import { isDeadLink } from '../src/data/link-health.js';
+import { COMPLETENESS_WEIGHTS, completenessByGroup, completenessScore } from '../src/data/completeness.js';
 
 const INPUT_CSV_PATH = 'public/data/ar_glasses.csv';
 const OUTPUT_CSV_PATH = 'public/data/ar_glasses.csv';
@@ -22,6 +51,18 @@ const OUTPUT_SITEMAP_PATH = 'public/sitemap.xml';
 const OUTPUT_LLMS_PATH = 'public/llms.txt';
 const OUTPUT_LLMS_FULL_PATH = 'public/llms-full.txt';
 const OUTPUT_AI_SEARCH_PATH = 'public/ai-search.json';
+const OUTPUT_DATAPACKAGE_PATH = 'public/data/datapackage.json';
+const OUTPUT_CSVW_PATH = 'public/data/ar_glasses.csv-metadata.json';
+const OUTPUT_DEVICE_SCHEMA_PATH = 'public/data/device.schema.json';
+const PROVENANCE_PATH = 'public/data/provenance.json';
+const PRICE_HISTORY_PATH = 'public/data/price-history.json';
+const MANUFACTURERS_PATH = 'public/data/manufacturers.json';
+const VARIANTS_PATH = 'public/data/variants.json';
+const LINK_HEALTH_PATH = 'public/data/link-health.json';
+const PATH_REGISTRY_PATH = 'public/data/path-registry.json';
+// Top-level public/ directories owned by the site itself (Vite emits assets/);
+// a brand page or device path there would overwrite them.
+const RESERVED_PUBLIC_DIRS = new Set(['api', 'assets', 'data', 'images', 'modelle', 'og']);
 
 const SOURCE_DATASET = 'curated_ar_xr_directory_v2';
 const BASE_URL = 'https://ar-directory.huskynarr.de/';
@@ -75,6 +116,23 @@ const safeImageUrl = (value) => {
   return KNOWN_BROKEN_IMAGE_URLS.has(url) ? '' : url;
 };
 
+// Structured battery / connectivity / IPD columns parsed from the curated text
+// (see src/data/spec-parsers.js); empty when the text does not state the value.
+const deriveSpecFields = (row) => {
+  const battery = parseBattery(sanitize(row.battery));
+  const connectivity = parseConnectivity(sanitize(row.connectivity));
+  const ipd = parseIpd(sanitize(row.ipd_mm));
+  return {
+    battery_hours: battery.hours ?? '',
+    battery_kind: battery.kind,
+    connectivity_ports: connectivity.ports.join(LIST_SEPARATOR),
+    connectivity_radios: connectivity.radios.join(LIST_SEPARATOR),
+    ipd_min_mm: ipd.min ?? '',
+    ipd_max_mm: ipd.max ?? '',
+    ipd_adjustment: ipd.adjustment,
+  };
+};
+
 const normalizeCategory = (value) => {
   const text = sanitize(value).toUpperCase();
   return text === 'XR' ? 'XR' : 'AR';
@@ -93,6 +151,10 @@ const toNumberOrEmpty = (value) => {
   return Number.isFinite(number) ? number : '';
 };
 
+// Numeric spec cell in canonical form: "46", "~46" or "70-85" (see
+// src/data/values.js), converted into the column unit ("1.2 kg" -> "1200").
+const toMeasurementOrEmpty = (value, unit) => formatValueCell(parseValue(sanitize(value), unit));
+
 const parseCsv = async (path) => {
   const csvText = await readFile(path, 'utf8');
   const parsed = Papa.parse(csvText, {
@@ -116,50 +178,6 @@ const parseCsv = async (path) => {
   return { rows };
 };
 
-const OUTPUT_FIELDS = [
-  'id',
-  'short_name',
-  'name',
-  'manufacturer',
-  'image_url',
-  'official_url',
-  'announced_date',
-  'release_date',
-  'price_usd',
-  'xr_category',
-  'active_distribution',
-  'eol_status',
-  'eol_date',
-  'lifecycle_notes',
-  'lifecycle_source',
-  'software',
-  'compute_unit',
-  'display_type',
-  'optics',
-  'fov_horizontal_deg',
-  'fov_vertical_deg',
-  'fov_diagonal_deg',
-  'resolution_per_eye',
-  'refresh_hz',
-  'weight_g',
-  'tracking',
-  'eye_tracking',
-  'hand_tracking',
-  'passthrough',
-  'chipset',
-  'brightness_nits',
-  'connectivity',
-  'audio',
-  'battery',
-  'ipd_mm',
-  'prescription_support',
-  'camera',
-  'slug',
-  'source_dataset',
-  'source_page',
-  'dataset_retrieved_at',
-];
-
 // Treat the same "no data" markers the front-end (src/utils.js) treats as unknown.
 const UNKNOWN_VALUES = new Set(['', 'k.a.', 'k. a.', 'n/a', 'na', 'unknown', 'unbekannt', '-', '–', 'null', 'undefined']);
 const hasValue = (value) => !UNKNOWN_VALUES.has(String(value ?? '').trim().toLowerCase());
@@ -175,7 +193,7 @@ const xmlEscape = (value) =>
 const buildMetadata = (rows, retrievedAt) => {
   const arRecords = rows.filter((row) => row.xr_category === 'AR').length;
   const xrRecords = rows.filter((row) => row.xr_category === 'XR').length;
-  const manufacturers = [...new Set(rows.map((row) => row.manufacturer).filter(Boolean))];
+  const manufacturers = [...new Set(rows.map((row) => row.manufacturer_id).filter(Boolean))];
 
   // Field-level coverage so consumers can see how complete the dataset is.
   const coverage = {};
@@ -192,6 +210,7 @@ const buildMetadata = (rows, retrievedAt) => {
     .filter((value) => /^\d{4}(?:-\d{2})?(?:-\d{2})?$/.test(value))
     .sort();
   const prices = rows.map((row) => Number(row.price_usd)).filter((value) => Number.isFinite(value) && value > 0);
+  const now = Date.parse(retrievedAt);
 
   return {
     generated_at: retrievedAt,
@@ -203,30 +222,50 @@ const buildMetadata = (rows, retrievedAt) => {
     manufacturers: manufacturers.length,
     official_product_links: rows.filter((row) => row.official_url).length,
     image_links: rows.filter((row) => hasValue(row.image_url)).length,
-    active_models: rows.filter((row) => sanitize(row.active_distribution).toLowerCase().startsWith('ja')).length,
-    discontinued_models: rows.filter((row) => {
-      const status = String(row.eol_status || '').toLowerCase();
-      if (!status || status.includes('aktiv') || status.includes('ohne eol')) return false;
-      return /eol|discontinued|eingestellt|support beendet|support-ende/.test(status);
-    }).length,
+    active_models: rows.filter(isLikelyActive).length,
+    discontinued_models: rows.filter(isEol).length,
+    lifecycle_statuses: Object.fromEntries(
+      LIFECYCLE_STATUSES.map((status) => [status, rows.filter((row) => row.lifecycle_status === status).length]),
+    ),
     newest_release: releaseDates.at(-1) || '',
     oldest_release: releaseDates[0] || '',
     price_range_usd: prices.length ? { min: Math.min(...prices), max: Math.max(...prices) } : null,
     field_coverage: coverage,
+    // last_verified_at per manufacturer, for the freshness table on data.html.
+    freshness: {
+      stale_after_months: STALE_AFTER_MONTHS,
+      verified_recently: rows.filter((row) => !isStale(row, STALE_AFTER_MONTHS, now)).length,
+      never_verified: rows.filter((row) => !hasValue(row.last_verified_at)).length,
+      by_manufacturer: freshnessByManufacturer(rows, (row) => row.manufacturer_name || row.manufacturer, STALE_AFTER_MONTHS, now)
+        .sort((left, right) => right.rows - left.rows || left.key.localeCompare(right.key, 'de', { sensitivity: 'base' }))
+        .map((group) => ({
+          manufacturer: group.key,
+          records: group.rows,
+          verified_recently: group.fresh,
+          never_verified: group.never,
+          latest_verification: group.latest,
+        })),
+    },
+    // Weighted per-row completeness (src/data/completeness.js); the matrix
+    // per manufacturer and field is on data.html.
+    completeness: {
+      weights: COMPLETENESS_WEIGHTS,
+      average_score: rows.length ? Math.round(rows.reduce((sum, row) => sum + completenessScore(row), 0) / rows.length) : 0,
+      by_category: Object.fromEntries(completenessByGroup(rows, (row) => row.xr_category).map((group) => [group.key, group.score])),
+    },
     note: 'Curated local dataset. Official/product, lifecycle and image sources are stored per record; image rights and origins are documented in asset-notices.html.',
   };
 };
 
-const buildStructuredData = (rows, retrievedAt, paths = new Map()) => {
+const buildStructuredData = (rows, retrievedAt, paths = new Map(), variants = {}, linkHealth = {}) => {
   const itemListElement = rows.map((row, index) => {
+    const availability = SCHEMA_AVAILABILITY[row.lifecycle_status];
     const offers = Number(row.price_usd) > 0
       ? {
           '@type': 'Offer',
           priceCurrency: 'USD',
           price: String(row.price_usd),
-          availability: sanitize(row.active_distribution).toLowerCase().startsWith('ja')
-            ? 'https://schema.org/InStock'
-            : 'https://schema.org/Discontinued',
+          ...(availability ? { availability } : {}),
         }
       : undefined;
 
@@ -238,14 +277,30 @@ const buildStructuredData = (rows, retrievedAt, paths = new Map()) => {
     };
     if (hasValue(row.image_url)) product.image = row.image_url;
     if (paths.get(row.id)) product.url = `${BASE_URL}${paths.get(row.id).path}/`;
-    if (hasValue(row.official_url)) product.sameAs = row.official_url;
-    if (hasValue(row.release_date)) product.releaseDate = row.release_date;
+    if (hasValue(row.official_url) && !isDeadLink(linkHealth, row.official_url)) product.sameAs = row.official_url;
+    const released = parsePartialDate(row.release_date);
+    if (released) product.releaseDate = released.iso;
     if (offers) product.offers = offers;
+    const properties = [
+      ['Akkulaufzeit', row.battery_hours, 'HUR'],
+      ['IPD minimum', row.ipd_min_mm, 'MMT'],
+      ['IPD maximum', row.ipd_max_mm, 'MMT'],
+      ['Anschlüsse', row.connectivity_ports],
+      ['Funk', row.connectivity_radios],
+    ].filter(([, value]) => value !== '' && value !== undefined);
+    if (properties.length) {
+      product.additionalProperty = properties.map(([name, value, unitCode]) => ({
+        '@type': 'PropertyValue',
+        name,
+        value,
+        ...(unitCode ? { unitCode } : {}),
+      }));
+    }
 
     return {
       '@type': 'ListItem',
       position: index + 1,
-      item: product,
+      item: toProductGroup(product, row, getVariants(variants, row.id)),
     };
   });
 
@@ -300,7 +355,7 @@ const buildStructuredData = (rows, retrievedAt, paths = new Map()) => {
   ];
 };
 
-const buildSitemap = (lastmod, rows = [], paths = new Map()) => {
+const buildSitemap = (lastmod, rows = [], paths = new Map(), brandIds = []) => {
   const urls = [
     { loc: BASE_URL, changefreq: 'daily', priority: '1.0' },
     { loc: `${BASE_URL}finder/`, changefreq: 'monthly', priority: '0.8' },
@@ -308,6 +363,7 @@ const buildSitemap = (lastmod, rows = [], paths = new Map()) => {
     { loc: `${BASE_URL}faq.html`, changefreq: 'monthly', priority: '0.7' },
     { loc: `${BASE_URL}glossar.html`, changefreq: 'monthly', priority: '0.6' },
     { loc: `${BASE_URL}data.html`, changefreq: 'weekly', priority: '0.7' },
+    { loc: `${BASE_URL}changelog.html`, changefreq: 'weekly', priority: '0.6' },
     { loc: `${BASE_URL}impressum.html`, changefreq: 'yearly', priority: '0.3' },
     { loc: `${BASE_URL}datenschutz.html`, changefreq: 'yearly', priority: '0.3' },
     { loc: `${BASE_URL}asset-notices.html`, changefreq: 'monthly', priority: '0.3' },
@@ -315,6 +371,7 @@ const buildSitemap = (lastmod, rows = [], paths = new Map()) => {
     { loc: `${BASE_URL}data/ar_glasses.metadata.json`, changefreq: 'daily', priority: '0.7' },
     { loc: `${BASE_URL}llms.txt`, changefreq: 'weekly', priority: '0.7' },
     { loc: `${BASE_URL}llms-full.txt`, changefreq: 'weekly', priority: '0.6' },
+    ...brandIds.map((id) => ({ loc: `${BASE_URL}${id}/`, changefreq: 'weekly', priority: '0.6' })),
     ...rows.map((row) => ({ loc: `${BASE_URL}${paths.get(row.id).path}/`, changefreq: 'weekly', priority: '0.7' })),
   ];
   const body = urls
@@ -390,7 +447,7 @@ Lifecycle/Vertriebsstatus und offizielle Produktseite.
       return `## ${row.name} (${row.manufacturer})
 - Kategorie: ${row.xr_category}
 - Angekuendigt: ${fmt(row.announced_date)} | Release: ${fmt(row.release_date)}
-- Preis: ${hasValue(row.price_usd) ? `${row.price_usd} USD` : 'k. A.'}
+- Preis: ${hasValue(row.price_usd) ? `${row.price_usd} USD` : 'k. A.'}${hasValue(row.price_original) && row.price_currency !== 'USD' ? ` (Launch ${row.price_original} ${row.price_currency})` : ''}
 - Display: ${fmt(row.display_type)} | Optik: ${fmt(row.optics)}
 - FOV (H/V/D Grad): ${fov}
 - Aufloesung pro Auge: ${fmt(row.resolution_per_eye)} | Refresh: ${fmt(row.refresh_hz, ' Hz')}
@@ -424,6 +481,9 @@ const buildAiSearch = (metadata, lastmod) => ({
     { type: 'faq', url: `${BASE_URL}faq.html`, title: 'Häufige Fragen zu AR- und XR-Brillen' },
     { type: 'glossary', url: `${BASE_URL}glossar.html`, title: 'AR/XR Glossar' },
     { type: 'dataset_overview', url: `${BASE_URL}data.html`, title: 'Datenübersicht und Datenqualität' },
+    { type: 'changelog', url: `${BASE_URL}changelog.html`, title: 'Änderungsprotokoll des Datensatzes' },
+    { type: 'changelog_feed', format: 'application/atom+xml', url: `${BASE_URL}feed.xml`, title: 'Änderungen (Atom)' },
+    { type: 'changelog_feed', format: 'application/feed+json', url: `${BASE_URL}feed.json`, title: 'Änderungen (JSON Feed)' },
     { type: 'dataset', format: 'csv', url: `${BASE_URL}data/ar_glasses.csv`, title: 'AR/XR Dataset CSV' },
     {
       type: 'dataset_metadata',
@@ -437,6 +497,12 @@ const buildAiSearch = (metadata, lastmod) => ({
       url: `${BASE_URL}data/structured-data.json`,
       title: 'AR/XR JSON-LD Strukturdaten',
     },
+    {
+      type: 'api',
+      format: 'json',
+      url: `${BASE_URL}api/${API_VERSION}/index.json`,
+      title: 'Statische JSON-API (Geraete, Hersteller, Facetten, Statistik)',
+    },
     { type: 'llm_index', format: 'text/plain', url: `${BASE_URL}llms.txt`, title: 'LLM Index' },
     { type: 'llm_index_full', format: 'text/plain', url: `${BASE_URL}llms-full.txt`, title: 'LLM Full Index' },
   ],
@@ -449,45 +515,83 @@ const main = async () => {
   const lastmod = retrievedAt.slice(0, 10);
   const { rows } = await parseCsv(INPUT_CSV_PATH);
 
+  // Validate the raw cells against the column contract before normalizing:
+  // toNumberOrEmpty / safeHttpUrl would otherwise drop malformed values silently.
+  const validation = validateRows(rows, sanitize);
+  if (validation.errors.length || validation.warnings.length) {
+    console.warn(`! ${formatValidationReport(validation)}`);
+  }
+  if (validation.errors.length) {
+    throw new Error(`Dataset validation failed with ${validation.errors.length} error(s); see the report above.`);
+  }
+
+  // Curated manufacturer entities: canonical names, aliases and company facts.
+  let manufacturers = {};
+  try {
+    manufacturers = JSON.parse(await readFile(MANUFACTURERS_PATH, 'utf8'));
+  } catch {
+    manufacturers = {};
+  }
+  const manufacturerErrors = validateManufacturers(manufacturers);
+  if (manufacturerErrors.length) {
+    throw new Error(`${MANUFACTURERS_PATH} is invalid:\n  ${manufacturerErrors.join('\n  ')}`);
+  }
+  const resolveManufacturer = createManufacturerResolver(manufacturers);
+  const manufacturerFields = (manufacturer) => {
+    const { id, name } = resolveManufacturer(manufacturer);
+    return { manufacturer_id: id, manufacturer_name: name };
+  };
+
   const normalizedRows = rows
     .map((row) => ({
       id: sanitize(row.id),
       short_name: sanitize(row.short_name),
       name: sanitize(row.name),
       manufacturer: sanitize(row.manufacturer),
+      ...manufacturerFields(sanitize(row.manufacturer)),
       image_url: safeImageUrl(row.image_url),
       official_url: safeHttpUrl(row.official_url),
       announced_date: sanitize(row.announced_date),
       release_date: sanitize(row.release_date),
-      price_usd: toNumberOrEmpty(row.price_usd),
+      price_usd: derivePriceUsd(row),
+      price_original: toNumberOrEmpty(row.price_original),
+      price_currency: sanitize(row.price_currency).toUpperCase(),
       xr_category: normalizeCategory(row.xr_category),
       active_distribution: sanitize(row.active_distribution),
       eol_status: sanitize(row.eol_status),
       eol_date: sanitize(row.eol_date),
       lifecycle_notes: sanitize(row.lifecycle_notes),
       lifecycle_source: safeHttpUrl(row.lifecycle_source),
+      lifecycle_override: sanitize(row.lifecycle_override),
+      lifecycle_status: deriveLifecycleStatus(row, Date.parse(retrievedAt)),
+      predecessor_id: sanitize(row.predecessor_id),
+      successor_id: sanitize(row.successor_id),
+      family: sanitize(row.family),
       software: sanitize(row.software),
       compute_unit: sanitize(row.compute_unit),
       display_type: sanitize(row.display_type),
       optics: sanitize(row.optics),
-      fov_horizontal_deg: toNumberOrEmpty(row.fov_horizontal_deg),
-      fov_vertical_deg: toNumberOrEmpty(row.fov_vertical_deg),
-      fov_diagonal_deg: toNumberOrEmpty(row.fov_diagonal_deg),
+      fov_horizontal_deg: toMeasurementOrEmpty(row.fov_horizontal_deg, 'deg'),
+      fov_vertical_deg: toMeasurementOrEmpty(row.fov_vertical_deg, 'deg'),
+      fov_diagonal_deg: toMeasurementOrEmpty(row.fov_diagonal_deg, 'deg'),
       resolution_per_eye: sanitize(row.resolution_per_eye),
-      refresh_hz: toNumberOrEmpty(row.refresh_hz),
-      weight_g: toNumberOrEmpty(row.weight_g),
+      resolution_layout: sanitize(row.resolution_layout),
+      refresh_hz: toMeasurementOrEmpty(row.refresh_hz, 'Hz'),
+      weight_g: toMeasurementOrEmpty(row.weight_g, 'g'),
       tracking: sanitize(row.tracking),
       eye_tracking: sanitize(row.eye_tracking),
       hand_tracking: sanitize(row.hand_tracking),
       passthrough: sanitize(row.passthrough),
       chipset: sanitize(row.chipset),
-      brightness_nits: toNumberOrEmpty(row.brightness_nits),
+      brightness_nits: toMeasurementOrEmpty(row.brightness_nits, 'nits'),
       connectivity: sanitize(row.connectivity),
       audio: sanitize(row.audio),
       battery: sanitize(row.battery),
       ipd_mm: sanitize(row.ipd_mm),
       prescription_support: sanitize(row.prescription_support),
       camera: sanitize(row.camera),
+      last_verified_at: sanitize(row.last_verified_at),
+      ...deriveSpecFields(row),
       source_dataset: SOURCE_DATASET,
       source_page: SOURCE_PAGE,
       dataset_retrieved_at: retrievedAt,
@@ -495,32 +599,109 @@ const main = async () => {
     .filter((row) => row.name && row.manufacturer)
     .sort((left, right) => left.name.localeCompare(right.name, 'de', { sensitivity: 'base' }));
 
+  // Curators may set one direction of a lineage link; complete the other.
+  completeLineage(normalizedRows);
+
+  const unresolved = [...new Set(normalizedRows.map((row) => row.manufacturer))].filter(
+    (manufacturer) => !resolveManufacturer(manufacturer).entity,
+  );
+  if (unresolved.length) {
+    console.warn(`! ${unresolved.length} manufacturer(s) without an entry in ${MANUFACTURERS_PATH}: ${unresolved.join(', ')}`);
+  }
+
+  // Editions per device (storage tiers, colors); keyed by the parent row id.
+  let variants = {};
+  try {
+    variants = JSON.parse(await readFile(VARIANTS_PATH, 'utf8'));
+  } catch {
+    variants = {};
+  }
+  // Offline link-check results (scripts/check-links.mjs); dead links are
+  // replaced by archive links on the static pages and dropped from JSON-LD.
+  let linkHealth = {};
+  try {
+    linkHealth = JSON.parse(await readFile(LINK_HEALTH_PATH, 'utf8'));
+  } catch {
+    linkHealth = {};
+  }
+
+  const variantErrors = validateVariants(variants, new Set(normalizedRows.map((row) => row.id)));
+  if (variantErrors.length) {
+    throw new Error(`${VARIANTS_PATH} is invalid:\n  ${variantErrors.join('\n  ')}`);
+  }
+
   // Stable per-device slug -> used by sitemap, structured data, static pages,
   // and embedded in the CSV so the app can link/share the detail page reliably.
   const slugs = assignSlugs(normalizedRows);
   normalizedRows.forEach((row) => {
     row.slug = slugs.get(row.id);
   });
-  // Hierarchical /brand/model/ paths for the public URLs (shared with the SPA).
-  const paths = assignDevicePaths(normalizedRows);
+  // Hierarchical /brand/model/ paths for the public URLs (shared with the SPA),
+  // pinned by the committed path registry so published URLs stay put.
+  let pathRegistry = {};
+  try {
+    pathRegistry = JSON.parse(await readFile(PATH_REGISTRY_PATH, 'utf8'));
+  } catch {
+    pathRegistry = {};
+  }
+  const paths = assignDevicePaths(normalizedRows, pathRegistry);
+  // Manufacturer entity -> its rows; every entity gets a brand page at /<id>/.
+  const brands = new Map();
+  for (const row of normalizedRows) {
+    if (!brands.has(row.manufacturer_id)) brands.set(row.manufacturer_id, []);
+    brands.get(row.manufacturer_id).push(row);
+  }
+  const reservedBrands = [...new Set([...brands.keys(), ...[...paths.values()].map((entry) => entry.brand)])].filter((brand) =>
+    RESERVED_PUBLIC_DIRS.has(brand),
+  );
+  if (reservedBrands.length) {
+    throw new Error(
+      `Brand path(s) ${reservedBrands.map((brand) => `/${brand}/`).join(', ')} would overwrite site output in public/; ` +
+        `give the manufacturer another id in ${MANUFACTURERS_PATH}.`,
+    );
+  }
 
   const csv = Papa.unparse(normalizedRows, { columns: OUTPUT_FIELDS, newline: '\n' });
 
   await mkdir('public/data', { recursive: true });
   await writeFile(OUTPUT_CSV_PATH, `${csv}\n`, 'utf8');
+  await writeFile(PATH_REGISTRY_PATH, `${JSON.stringify(buildPathRegistry(paths), null, 2)}\n`, 'utf8');
+
+  // Changelog: diff against the snapshot of the previous run. The changelog and
+  // the snapshot only move when the diff found changes, so a run without
+  // dataset changes leaves both tracked files alone. The first run (no snapshot
+  // yet) only seeds the snapshot.
+  const baseline = await readBaseline();
+  const changes = baseline ? diffRows(baseline, normalizedRows) : [];
+  const previousChangelog = await readChangelog();
+  let changelog = appendChanges(previousChangelog, lastmod, changes);
+  if (changelog !== previousChangelog || !changelog.generated_at) {
+    changelog = { generated_at: retrievedAt, entries: changelog.entries };
+    await writeChangelog(changelog);
+  }
+  if (!baseline || changes.length) await writeBaseline(snapshotRows(normalizedRows));
 
   const metadata = buildMetadata(normalizedRows, retrievedAt);
   await writeFile(OUTPUT_METADATA_PATH, `${JSON.stringify(metadata, null, 2)}\n`, 'utf8');
+  // Schemas for the CSV and the per-device JSON, derived from the column contract.
+  await writeFile(OUTPUT_DATAPACKAGE_PATH, `${JSON.stringify(buildDataPackage(metadata, BASE_URL), null, 2)}\n`, 'utf8');
+  await writeFile(OUTPUT_CSVW_PATH, `${JSON.stringify(buildCsvw(metadata, BASE_URL), null, 2)}\n`, 'utf8');
+  await writeFile(OUTPUT_DEVICE_SCHEMA_PATH, `${JSON.stringify(buildDeviceJsonSchema(BASE_URL), null, 2)}\n`, 'utf8');
 
   // Derived SEO + LLM artifacts so the CSV stays the single source of truth.
   const structuredData = {
     '@context': 'https://schema.org',
-    '@graph': buildStructuredData(normalizedRows, retrievedAt, paths),
+    '@graph': buildStructuredData(normalizedRows, retrievedAt, paths, variants, linkHealth),
   };
   await writeFile(OUTPUT_STRUCTURED_DATA_PATH, `${JSON.stringify(structuredData, null, 2)}\n`, 'utf8');
-  await writeFile(OUTPUT_SITEMAP_PATH, buildSitemap(lastmod, normalizedRows, paths), 'utf8');
+  await writeFile(OUTPUT_SITEMAP_PATH, buildSitemap(lastmod, normalizedRows, paths, [...brands.keys()]), 'utf8');
   await writeFile(OUTPUT_LLMS_PATH, buildLlms(metadata, lastmod), 'utf8');
   await writeFile(OUTPUT_LLMS_FULL_PATH, buildLlmsFull(normalizedRows, metadata, lastmod), 'utf8');
+  // Static JSON API; rebuilt from scratch so removed devices disappear.
+  const apiDocuments = buildStaticApi({ rows: normalizedRows, paths, metadata, manufacturers, variants, baseUrl: BASE_URL });
+  await rm(`public/api/${API_VERSION}`, { recursive: true, force: true });
+  await mkdir(`public/api/${API_VERSION}/devices/pages`, { recursive: true });
+  await Promise.all(apiDocuments.map(([path, payload]) => writeFile(`public/${path}`, `${JSON.stringify(payload, null, 2)}\n`, 'utf8')));
   await writeFile(OUTPUT_AI_SEARCH_PATH, `${JSON.stringify(buildAiSearch(metadata, lastmod), null, 2)}\n`, 'utf8');
 
   // Curated affiliate deeplink overrides (optional); search links are auto-built.
@@ -539,6 +720,25 @@ const main = async () => {
     descriptions = {};
   }
 
+  // Field-level sources/confidence recorded by apply-enrichment (optional).
+  let provenance = {};
+  try {
+    provenance = JSON.parse(await readFile(PROVENANCE_PATH, 'utf8'));
+  } catch {
+    provenance = {};
+  }
+
+  // Price history: launch points for devices without history and MSRP-change
+  // points from the changelog diff, all in USD (see recordPriceChanges).
+  let priceHistory = {};
+  try {
+    priceHistory = JSON.parse(await readFile(PRICE_HISTORY_PATH, 'utf8'));
+  } catch {
+    priceHistory = {};
+  }
+  recordPriceChanges(priceHistory, normalizedRows, changes, { date: lastmod, baseline, provenance });
+  await writeFile(PRICE_HISTORY_PATH, `${JSON.stringify(priceHistory, null, 2)}\n`, 'utf8');
+
   // Static, crawlable pages: one per device at /<brand>/<model>/index.html, plus
   // a legacy redirect stub at /modelle/<slug>.html for any already-indexed URLs.
   await mkdir('public/modelle', { recursive: true });
@@ -548,7 +748,14 @@ const main = async () => {
       await mkdir(`public/${path}`, { recursive: true });
       await writeFile(
         `public/${path}/index.html`,
-        buildDevicePage(row, normalizedRows, slugs, paths, BASE_URL, affiliateOverrides, descriptions),
+        buildDevicePage(row, normalizedRows, slugs, paths, BASE_URL, {
+          overrides: affiliateOverrides,
+          descriptions,
+          provenance,
+          priceHistory,
+          variants,
+          linkHealth,
+        }),
         'utf8',
       );
       await writeFile(
@@ -556,20 +763,50 @@ const main = async () => {
         buildRedirectStub(`${BASE_URL}${path}/`, row.name),
         'utf8',
       );
+      // Superseded paths from the registry keep resolving after a rename.
+      for (const previous of paths.get(row.id).previous) {
+        await mkdir(`public/${previous}`, { recursive: true });
+        await writeFile(`public/${previous}/index.html`, buildRedirectStub(`${BASE_URL}${path}/`, row.name), 'utf8');
+      }
+    }),
+  );
+  // Brand pages, plus a redirect stub for every device-path brand that is only
+  // an alias of another entity (/nreal/ -> /xreal/).
+  await Promise.all(
+    [...brands].map(async ([id, brandRows]) => {
+      await mkdir(`public/${id}`, { recursive: true });
+      await writeFile(`public/${id}/index.html`, buildBrandPage(id, manufacturers[id] || null, brandRows, paths, BASE_URL), 'utf8');
+    }),
+  );
+  const aliasBrands = new Map(
+    normalizedRows
+      .filter((row) => !brands.has(paths.get(row.id).brand))
+      .map((row) => [paths.get(row.id).brand, row]),
+  );
+  await Promise.all(
+    [...aliasBrands].map(async ([brand, row]) => {
+      await mkdir(`public/${brand}`, { recursive: true });
+      await writeFile(`public/${brand}/index.html`, buildRedirectStub(`${BASE_URL}${row.manufacturer_id}/`, row.manufacturer_name), 'utf8');
     }),
   );
   await writeFile('public/modelle/index.html', buildModelIndex(normalizedRows, slugs, paths, metadata, BASE_URL), 'utf8');
   await writeFile('public/faq.html', buildFaq(metadata, BASE_URL), 'utf8');
   await writeFile('public/glossar.html', buildGlossary(metadata, BASE_URL), 'utf8');
-  await writeFile('public/data.html', buildDataOverview(metadata, BASE_URL), 'utf8');
+  await writeFile('public/data.html', buildDataOverview(metadata, BASE_URL, normalizedRows, paths), 'utf8');
+  await writeFile('public/changelog.html', buildChangelogPage(changelog, paths, BASE_URL), 'utf8');
+  await writeFile('public/feed.xml', buildAtomFeed(changelog, paths, BASE_URL), 'utf8');
+  await writeFile('public/feed.json', `${JSON.stringify(buildJsonFeed(changelog, paths, BASE_URL), null, 2)}\n`, 'utf8');
   await writeFile('public/impressum.html', buildImpressum(metadata, BASE_URL), 'utf8');
   await writeFile('public/datenschutz.html', buildDatenschutz(metadata, BASE_URL), 'utf8');
   await writeFile('public/asset-notices.html', buildAssetNotices(normalizedRows, BASE_URL), 'utf8');
 
+  const movedPaths = [...paths.values()].reduce((count, entry) => count + entry.previous.length, 0);
   console.log(
     `Generated ${normalizedRows.length} curated AR/XR records at ${retrievedAt}\n` +
       `  -> CSV, metadata, structured-data.json, sitemap.xml, llms.txt, llms-full.txt, ai-search.json\n` +
-      `  -> ${normalizedRows.length} device pages + modelle/index.html + faq.html + glossar.html + data.html + legal pages`,
+      `  -> api/${API_VERSION}: ${apiDocuments.length} JSON document(s)\n` +
+      `  -> ${normalizedRows.length} device pages + ${brands.size} brand pages + ${movedPaths} moved-path redirect(s) + modelle/index.html + faq.html + glossar.html + data.html + legal pages\n` +
+      `  -> changelog: ${baseline ? `${changes.length} change(s)` : 'baseline seeded'} -> changelog.html, feed.xml, feed.json`,
   );
 };
 
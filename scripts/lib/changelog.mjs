@@ -0,0 +1,196 @@
+// Public dataset changelog (public/data/changelog.json). The generator compares
+// its normalized rows with a snapshot of the previously generated CSV
+// (scripts/changelog-baseline.json) and appends one dated entry per run that
+// changed anything. A snapshot instead of the CSV on disk: apply-enrichment.mjs
+// and manual edits rewrite that CSV in place before the generator runs.
+//
+// Change types: added, removed, price, eol (lifecycle transitions) and spec
+// (corrected or newly filled spec values). Links, images, notes and generated
+// columns are not tracked.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { COLUMNS } from './columns.mjs';
+
+export const CHANGELOG_PATH = 'public/data/changelog.json';
+export const BASELINE_PATH = 'scripts/changelog-baseline.json';
+
+const PRICE_FIELDS = new Set(['price_usd', 'price_original', 'price_currency']);
+const EOL_FIELDS = new Set(['active_distribution', 'eol_status', 'eol_date']);
+const UNTRACKED_FIELDS = new Set([
+  'id',
+  'short_name',
+  'name',
+  'manufacturer',
+  'image_url',
+  'official_url',
+  'lifecycle_notes',
+  'lifecycle_source',
+  'predecessor_id',
+  'successor_id',
+  'family',
+  'last_verified_at',
+]);
+
+export const TRACKED_FIELDS = COLUMNS.filter((column) => !column.generated && !UNTRACKED_FIELDS.has(column.name)).map(
+  (column) => column.name,
+);
+
+const NUMBER_FIELDS = new Set(COLUMNS.filter((column) => column.type === 'number').map((column) => column.name));
+
+// German labels for the changelog page and feeds.
+export const FIELD_LABELS = {
+  announced_date: 'Angekündigt',
+  release_date: 'Release',
+  price_usd: 'Preis',
+  price_original: 'Originalpreis',
+  price_currency: 'Originalwährung',
+  xr_category: 'Kategorie',
+  active_distribution: 'Aktiver Vertrieb',
+  eol_status: 'EOL-Status',
+  eol_date: 'EOL-Datum',
+  lifecycle_override: 'Lifecycle-Status (manuell)',
+  software: 'Software',
+  compute_unit: 'Recheneinheit',
+  display_type: 'Display',
+  optics: 'Optik',
+  fov_horizontal_deg: 'FOV horizontal',
+  fov_vertical_deg: 'FOV vertikal',
+  fov_diagonal_deg: 'FOV diagonal',
+  resolution_per_eye: 'Auflösung pro Auge',
+  resolution_layout: 'Auflösungs-Layout',
+  refresh_hz: 'Bildwiederholrate',
+  weight_g: 'Gewicht',
+  tracking: 'Tracking',
+  eye_tracking: 'Eye-Tracking',
+  hand_tracking: 'Hand-Tracking',
+  passthrough: 'Passthrough',
+  chipset: 'Chipsatz',
+  brightness_nits: 'Helligkeit',
+  connectivity: 'Konnektivität',
+  audio: 'Audio',
+  battery: 'Akku',
+  ipd_mm: 'IPD',
+  prescription_support: 'Sehstärke',
+  camera: 'Kamera',
+};
+
+const UNIT_SUFFIX = {
+  fov_horizontal_deg: '°',
+  fov_vertical_deg: '°',
+  fov_diagonal_deg: '°',
+  refresh_hz: ' Hz',
+  weight_g: ' g',
+  brightness_nits: ' nits',
+};
+
+const text = (value) => String(value ?? '').trim();
+
+const sameValue = (field, left, right) => {
+  const a = text(left);
+  const b = text(right);
+  if (a === b) return true;
+  return NUMBER_FIELDS.has(field) && a !== '' && b !== '' && Number(a) === Number(b);
+};
+
+// Compact per-id state of the tracked fields (plus name/manufacturer so removed
+// devices can still be named). Rewritten only by runs that changed something.
+export const snapshotRows = (rows) =>
+  Object.fromEntries(
+    [...rows]
+      .sort((left, right) => left.id.localeCompare(right.id))
+      .map((row) => [
+        row.id,
+        Object.fromEntries(['name', 'manufacturer', ...TRACKED_FIELDS].map((field) => [field, text(row[field])])),
+      ]),
+  );
+
+const changeType = (field) => (PRICE_FIELDS.has(field) ? 'price' : EOL_FIELDS.has(field) ? 'eol' : 'spec');
+
+// Changes between a snapshot and the new rows, in a stable order: additions,
+// removals, then field changes per device.
+export const diffRows = (snapshot, rows) => {
+  const changes = [];
+  const seen = new Set();
+  const fieldChanges = [];
+  for (const row of rows) {
+    seen.add(row.id);
+    const before = snapshot[row.id];
+    const identity = { id: row.id, name: text(row.name), manufacturer: text(row.manufacturer) };
+    if (!before) {
+      changes.push({ type: 'added', ...identity, ...(text(row.price_usd) ? { to: text(row.price_usd) } : {}) });
+      continue;
+    }
+    // A newly recorded original price re-derives price_usd (fx-rates.mjs); the
+    // MSRP itself did not change, so only the original price is reported.
+    const newOriginal = !text(before.price_original) && text(row.price_original);
+    for (const field of TRACKED_FIELDS) {
+      if (sameValue(field, before[field], row[field]) || (field === 'price_usd' && newOriginal)) continue;
+      fieldChanges.push({ type: changeType(field), ...identity, field, from: text(before[field]), to: text(row[field]) });
+    }
+  }
+  for (const [id, before] of Object.entries(snapshot)) {
+    if (!seen.has(id)) changes.push({ type: 'removed', id, name: before.name, manufacturer: before.manufacturer });
+  }
+  return [...changes, ...fieldChanges];
+};
+
+export const formatChangeValue = (field, value) => {
+  if (!text(value)) return 'leer';
+  if (field === 'price_usd') return `$${text(value)}`;
+  return `${text(value)}${UNIT_SUFFIX[field] || ''}`;
+};
+
+// One German sentence per change, shared by the changelog page and both feeds.
+export const describeChange = (change) => {
+  const device = `${change.name} (${change.manufacturer})`;
+  if (change.type === 'added') return `Neu aufgenommen: ${device}${change.to ? ` zu $${change.to}` : ''}`;
+  if (change.type === 'removed') return `Entfernt: ${device}`;
+  const label = FIELD_LABELS[change.field] || change.field;
+  if (!text(change.from)) return `${device}: ${label} ergänzt (${formatChangeValue(change.field, change.to)})`;
+  return `${device}: ${label} ${formatChangeValue(change.field, change.from)} → ${formatChangeValue(change.field, change.to)}`;
+};
+
+const readJson = async (path, fallback) => {
+  try {
+    return JSON.parse(await readFile(path, 'utf8'));
+  } catch {
+    return fallback;
+  }
+};
+
+// generated_at is the generator run that last changed the changelog; the Atom
+// feed falls back to it while there are no entries.
+export const readChangelog = async (path = CHANGELOG_PATH) => {
+  const changelog = await readJson(path, {});
+  return {
+    ...(changelog.generated_at ? { generated_at: changelog.generated_at } : {}),
+    entries: Array.isArray(changelog.entries) ? changelog.entries : [],
+  };
+};
+
+export const writeChangelog = (changelog, path = CHANGELOG_PATH) =>
+  writeFile(path, `${JSON.stringify(changelog, null, 2)}\n`, 'utf8');
+
+// null when no baseline exists yet (first run): there is nothing to diff then.
+export const readBaseline = (path = BASELINE_PATH) => readJson(path, null);
+
+// One device per line keeps the file compact and its git diffs readable.
+export const writeBaseline = (snapshot, path = BASELINE_PATH) =>
+  writeFile(
+    path,
+    `{\n${Object.entries(snapshot)
+      .map(([id, fields]) => `  ${JSON.stringify(id)}: ${JSON.stringify(fields)}`)
+      .join(',\n')}\n}\n`,
+    'utf8',
+  );
+
+// Newest entry first; a second run on the same day extends that day's entry.
+export const appendChanges = (changelog, date, changes) => {
+  if (!changes.length) return changelog;
+  const [latest, ...rest] = changelog.entries;
+  const entries =
+    latest?.date === date
+      ? [{ ...latest, changes: [...latest.changes, ...changes] }, ...rest]
+      : [{ date, changes }, ...changelog.entries];
+  return { ...changelog, entries };
+};
@@ -0,0 +1,267 @@
+// Declarative column contract for the curated CSV. One entry per output column
+// (in output order) describing its type, allowed values and plausible ranges.
+// The generator validates every row against it before normalizing, so a bad
+// enrichment fails loudly instead of being silently dropped or passed through.
+//
+// Types:
+//   id         required, [A-Za-z0-9_-], unique across rows
+//   text       free text (optionally `required`)
+//   url        absolute http(s) URL
+//   image      absolute http(s) URL or root-relative local asset path
+//   date       YYYY, YYYY-MM or YYYY-MM-DD
+//   number     plain number without unit; `min`/`max` bound it, `unit` documents it.
+//              With `ranges: true` also a range ("70-85"), an estimate ("~46",
+//              "ca. 46") or a value in a convertible unit ("1.2 kg"); the
+//              generator rewrites those to the canonical cell (src/data/values.js)
+//   enum       one of `values`; `open: true` downgrades unknown values to a warning
+//   resolution WIDTHxHEIGHT in pixels
+// `generated: true` marks columns the generator fills itself (never validated).
+// `price_usd` is derived from `price_original` + `price_currency` when both are
+// set (see fx-rates.mjs); otherwise it is curated directly.
+
+import { PRICE_CURRENCIES } from './fx-rates.mjs';
+import { LIFECYCLE_STATUSES } from '../../src/data/lifecycle.js';
+import { BATTERY_KINDS, IPD_ADJUSTMENTS } from '../../src/data/spec-parsers.js';
+import { RESOLUTION_LAYOUTS } from '../../src/data/resolution.js';
+import { parseValue } from '../../src/data/values.js';
+
+export const COLUMNS = [
+  { name: 'id', type: 'id', required: true },
+  { name: 'short_name', type: 'text' },
+  { name: 'name', type: 'text', required: true },
+  { name: 'manufacturer', type: 'text', required: true },
+  { name: 'manufacturer_id', type: 'text', generated: true },
+  { name: 'manufacturer_name', type: 'text', generated: true },
+  { name: 'image_url', type: 'image' },
+  { name: 'official_url', type: 'url' },
+  { name: 'announced_date', type: 'date' },
+  { name: 'release_date', type: 'date' },
+  { name: 'price_usd', type: 'number', min: 1, max: 1000000, unit: 'USD' },
+  { name: 'price_original', type: 'number', min: 1, max: 100000000 },
+  { name: 'price_currency', type: 'enum', values: PRICE_CURRENCIES },
+  { name: 'xr_category', type: 'enum', values: ['AR', 'XR'], required: true },
+  { name: 'active_distribution', type: 'enum', values: ['Ja', 'Nein', 'Ja/Unklar', 'Unklar'] },
+  {
+    name: 'eol_status',
+    type: 'enum',
+    values: ['Aktiv oder ohne EOL-Angabe', 'EOL / Discontinued', 'EOL / Support beendet', 'Support-Ende angekündigt', 'Unklar'],
+  },
+  { name: 'eol_date', type: 'date' },
+  { name: 'lifecycle_notes', type: 'text' },
+  { name: 'lifecycle_source', type: 'url' },
+  { name: 'lifecycle_override', type: 'enum', values: LIFECYCLE_STATUSES },
+  { name: 'lifecycle_status', type: 'enum', values: LIFECYCLE_STATUSES, generated: true },
+  { name: 'predecessor_id', type: 'id' },
+  { name: 'successor_id', type: 'id' },
+  { name: 'family', type: 'text' },
+  { name: 'software', type: 'text' },
+  {
+    name: 'compute_unit',
+    type: 'enum',
+    values: ['Standalone', 'Tethered', 'PC', 'Phone', 'Smartphone'],
+    open: true,
+  },
+  { name: 'display_type', type: 'text' },
+  { name: 'optics', type: 'text' },
+  { name: 'fov_horizontal_deg', type: 'number', min: 1, max: 360, unit: 'deg', ranges: true },
+  { name: 'fov_vertical_deg', type: 'number', min: 1, max: 180, unit: 'deg', ranges: true },
+  { name: 'fov_diagonal_deg', type: 'number', min: 1, max: 360, unit: 'deg', ranges: true },
+  { name: 'resolution_per_eye', type: 'resolution' },
+  // Overrides the per-eye / combined / monocular guess of src/data/resolution.js.
+  { name: 'resolution_layout', type: 'enum', values: RESOLUTION_LAYOUTS },
+  { name: 'refresh_hz', type: 'number', min: 1, max: 1000, unit: 'Hz', ranges: true },
+  { name: 'weight_g', type: 'number', min: 1, max: 5000, unit: 'g', ranges: true },
+  { name: 'tracking', type: 'text' },
+  { name: 'eye_tracking', type: 'enum', values: ['Ja', 'Nein', 'Unklar'], open: true },
+  { name: 'hand_tracking', type: 'enum', values: ['Ja', 'Nein', 'Optional', 'Unklar'], open: true },
+  { name: 'passthrough', type: 'text' },
+  { name: 'chipset', type: 'text' },
+  { name: 'brightness_nits', type: 'number', min: 1, max: 100000, unit: 'nits', ranges: true },
+  { name: 'connectivity', type: 'text' },
+  { name: 'audio', type: 'text' },
+  { name: 'battery', type: 'text' },
+  { name: 'ipd_mm', type: 'text' },
+  { name: 'prescription_support', type: 'text' },
+  { name: 'camera', type: 'text' },
+  // Date the row was last checked against a source; stamped by apply-enrichment.mjs (src/data/freshness.js).
+  { name: 'last_verified_at', type: 'date' },
+  // Parsed from battery / connectivity / ipd_mm (src/data/spec-parsers.js); lists are "; "-separated.
+  { name: 'battery_hours', type: 'number', min: 0, max: 1000, unit: 'h', generated: true },
+  { name: 'battery_kind', type: 'enum', values: BATTERY_KINDS, generated: true },
+  { name: 'connectivity_ports', type: 'text', generated: true },
+  { name: 'connectivity_radios', type: 'text', generated: true },
+  { name: 'ipd_min_mm', type: 'number', min: 40, max: 85, unit: 'mm', generated: true },
+  { name: 'ipd_max_mm', type: 'number', min: 40, max: 85, unit: 'mm', generated: true },
+  { name: 'ipd_adjustment', type: 'enum', values: IPD_ADJUSTMENTS, generated: true },
+  { name: 'slug', type: 'text', generated: true },
+  { name: 'source_dataset', type: 'text', generated: true },
+  { name: 'source_page', type: 'url', generated: true },
+  { name: 'dataset_retrieved_at', type: 'text', generated: true },
+];
+
+export const OUTPUT_FIELDS = COLUMNS.map((column) => column.name);
+
+// "No data" markers curators use instead of leaving a cell empty. They are valid
+// placeholders for every optional column, but worth a warning in typed columns.
+// Enums list the markers they accept ("Unklar") explicitly in their values.
+export const UNKNOWN_MARKERS = new Set(['k.a.', 'k. a.', 'n/a', 'na', 'unknown', 'unbekannt', 'unklar', '-', '–', 'null', 'undefined']);
+const TYPED_COLUMN_TYPES = new Set(['url', 'image', 'date', 'number', 'resolution']);
+export const isUnknownMarker = (value) => UNKNOWN_MARKERS.has(value.toLowerCase());
+
+const DATE_PATTERN = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/;
+const NUMBER_PATTERN = /^-?\d+(?:[.,]\d+)?$/;
+const RESOLUTION_PATTERN = /^\d+x\d+$/;
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const isValidDate = (value) => {
+  const match = value.match(DATE_PATTERN);
+  if (!match) return false;
+  const [, year, month, day] = match;
+  if (month && (Number(month) < 1 || Number(month) > 12)) return false;
+  if (day) {
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    return date.getUTCMonth() === Number(month) - 1 && date.getUTCDate() === Number(day);
+  }
+  return true;
+};
+
+const isHttpUrl = (value) => {
+  try {
+    const parsed = new URL(value);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+// Returns { level: 'error' | 'warning', message } for a bad value, else null.
+// `value` is the sanitized cell text; empty cells only fail `required` columns.
+export const checkValue = (column, value) => {
+  if (!value) {
+    return column.required ? { level: 'error', message: 'is required but empty' } : null;
+  }
+  if (TYPED_COLUMN_TYPES.has(column.type) && isUnknownMarker(value)) {
+    return column.required
+      ? { level: 'error', message: `is required but set to "${value}"` }
+      : { level: 'warning', message: `is marked unknown ("${value}")` };
+  }
+
+  switch (column.type) {
+    case 'id':
+      return ID_PATTERN.test(value) ? null : { level: 'error', message: `"${value}" contains characters outside [A-Za-z0-9_-]` };
+    case 'url':
+      return isHttpUrl(value) ? null : { level: 'error', message: `"${value}" is not an absolute http(s) URL` };
+    case 'image':
+      return value.startsWith('/') || isHttpUrl(value)
+        ? null
+        : { level: 'error', message: `"${value}" is neither an http(s) URL nor a root-relative path` };
+    case 'date':
+      return isValidDate(value) ? null : { level: 'error', message: `"${value}" is not a valid date (YYYY, YYYY-MM or YYYY-MM-DD)` };
+    case 'number': {
+      const plain = NUMBER_PATTERN.test(value) ? Number(value.replace(',', '.')) : null;
+      const parsed = plain === null && column.ranges ? parseValue(value, column.unit) : null;
+      if (plain === null && !parsed) {
+        return {
+          level: 'error',
+          message: column.ranges
+            ? `"${value}" is not a number, range or estimate in ${column.unit}`
+            : `"${value}" is not a plain number${column.unit ? ` (unit ${column.unit} is implied, do not include it)` : ''}`,
+        };
+      }
+      const [low, high] = parsed ? [parsed.min, parsed.max] : [plain, plain];
+      if ((column.min !== undefined && low < column.min) || (column.max !== undefined && high > column.max)) {
+        const number = low === high ? low : `${low}–${high}`;
+        return { level: 'error', message: `${number} is outside the plausible range ${column.min}–${column.max} ${column.unit || ''}`.trim() };
+      }
+      return null;
+    }
+    case 'enum':
+      if (column.values.includes(value)) return null;
+      return {
+        level: column.open ? 'warning' : 'error',
+        message: `"${value}" is not one of: ${column.values.join(', ')}`,
+      };
+    case 'resolution':
+      if (RESOLUTION_PATTERN.test(value)) return null;
+      return /\d+\s*[xX×]\s*\d+/.test(value) || isUnknownMarker(value.split(/[\s(]/)[0])
+        ? { level: 'warning', message: `"${value}" should be written as WIDTHxHEIGHT without extra text` }
+        : { level: 'error', message: `"${value}" is not a resolution (expected WIDTHxHEIGHT)` };
+    default:
+      return null;
+  }
+};
+
+// Validates raw rows (plain objects keyed by column name) against COLUMNS.
+// `sanitize` normalizes a cell before checking so whitespace quirks do not count.
+// Returns { errors, warnings }, each a list of { index, id, name, column, message }.
+const LINEAGE_LINKS = [
+  ['predecessor_id', 'successor_id'],
+  ['successor_id', 'predecessor_id'],
+];
+
+export const validateRows = (rows, sanitize = (value) => String(value ?? '').trim()) => {
+  const errors = [];
+  const warnings = [];
+  const seenIds = new Map();
+
+  rows.forEach((row, index) => {
+    const id = sanitize(row.id);
+    const name = sanitize(row.name);
+    const push = (level, column, message) =>
+      (level === 'error' ? errors : warnings).push({ index, id, name, column, message });
+
+    for (const column of COLUMNS) {
+      if (column.generated) continue;
+      const issue = checkValue(column, sanitize(row[column.name]));
+      if (issue) push(issue.level, column.name, issue.message);
+    }
+
+    const priceOriginal = sanitize(row.price_original);
+    const priceCurrency = sanitize(row.price_currency);
+    if (priceOriginal && !priceCurrency) push('error', 'price_currency', 'is required when price_original is set');
+    if (priceCurrency && !priceOriginal) push('warning', 'price_original', `is empty although price_currency is "${priceCurrency}"`);
+
+    if (id) {
+      if (seenIds.has(id)) push('error', 'id', `duplicates the id of row ${seenIds.get(id) + 1}`);
+      else seenIds.set(id, index);
+    }
+  });
+
+  // Lineage links must name another existing row, and both ends of a link
+  // must agree (an empty reverse side is completed by the generator).
+  rows.forEach((row, index) => {
+    const id = sanitize(row.id);
+    for (const [column, reverse] of LINEAGE_LINKS) {
+      const target = sanitize(row[column]);
+      if (!target) continue;
+      let message = '';
+      if (target === id) {
+        message = 'links the row to itself';
+      } else if (!seenIds.has(target)) {
+        message = `"${target}" is not the id of any row`;
+      } else {
+        const back = sanitize(rows[seenIds.get(target)][reverse]);
+        if (back && back !== id) message = `"${target}" names "${back}" as its ${reverse}`;
+      }
+      if (message) errors.push({ index, id, name: sanitize(row.name), column, message });
+    }
+  });
+
+  return { errors, warnings };
+};
+
+// Human-readable report grouped per row, errors first within each row.
+export const formatValidationReport = ({ errors, warnings }) => {
+  const byRow = new Map();
+  for (const [level, issues] of [['error', errors], ['warning', warnings]]) {
+    for (const issue of issues) {
+      if (!byRow.has(issue.index)) byRow.set(issue.index, { issue, lines: [] });
+      byRow.get(issue.index).lines.push(`    ${level.padEnd(7)} ${issue.column}: ${issue.message}`);
+    }
+  }
+  const blocks = [...byRow.entries()]
+    .sort(([left], [right]) => left - right)
+    .map(([index, { issue, lines }]) => `  row ${index + 1} ${issue.name || '(no name)'} (${issue.id || 'no id'})\n${lines.join('\n')}`);
+  const summary = `Validation: ${errors.length} error(s), ${warnings.length} warning(s) in ${byRow.size} row(s)`;
+  return blocks.length ? `${summary}\n${blocks.join('\n')}` : summary;
+};
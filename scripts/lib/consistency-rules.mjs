@@ -0,0 +1,181 @@
+// Cross-field consistency rules for the curated CSV. Where the column contract
+// (columns.mjs) checks each cell on its own, these rules flag rows whose values
+// contradict each other. Every rule is { id, severity, description, check } and
+// `check(row, context)` returns a message for an offending row, else null.
+// `context` carries dataset-wide figures (price fences per category, rows by
+// id, today).
+import { getLifecycleStatus, isEol, readEolStatus } from '../../src/data/lifecycle.js';
+import { parseValue } from '../../src/data/values.js';
+import { VOCABULARY_FIELDS, canonicalValue } from '../../src/data/vocabulary.js';
+
+const DATE_PATTERN = /^\d{4}(?:-\d{2}(?:-\d{2})?)?$/;
+// Prices span three orders of magnitude (sub-$100 viewers to $400k military
+// HMDs), so outliers are judged on log10(price) with wide Tukey fences.
+const PRICE_FENCE_FACTOR = 2;
+
+const text = (value) => String(value ?? '').trim();
+const number = (value) => {
+  const parsed = Number(text(value).replace(',', '.'));
+  return text(value) && Number.isFinite(parsed) ? parsed : null;
+};
+// FOV cells may be ranges or estimates; compare the bounds that make the
+// contradiction certain (the lowest vertical against the highest horizontal).
+const fov = (value) => parseValue(value, 'deg');
+const date = (value) => (DATE_PATTERN.test(text(value)) ? text(value) : '');
+
+// Compares partial ISO dates at their shared precision, so "2020" vs
+// "2020-05" counts as equal instead of guessing a month.
+const compareDates = (left, right) => {
+  const length = Math.min(left.length, right.length);
+  return left.slice(0, length).localeCompare(right.slice(0, length));
+};
+
+const quantile = (sorted, share) => {
+  const position = (sorted.length - 1) * share;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+export const buildRuleContext = (rows, now = new Date()) => {
+  const priceFences = new Map();
+  const byCategory = new Map();
+  for (const row of rows) {
+    const price = number(row.price_usd);
+    if (!price || price <= 0) continue;
+    const category = text(row.xr_category) || 'AR';
+    if (!byCategory.has(category)) byCategory.set(category, []);
+    byCategory.get(category).push(Math.log10(price));
+  }
+  for (const [category, values] of byCategory) {
+    // Too few prices for a meaningful spread.
+    if (values.length < 8) continue;
+    values.sort((left, right) => left - right);
+    const q1 = quantile(values, 0.25);
+    const q3 = quantile(values, 0.75);
+    const spread = (q3 - q1) * PRICE_FENCE_FACTOR;
+    priceFences.set(category, { low: 10 ** (q1 - spread), high: 10 ** (q3 + spread), count: values.length });
+  }
+  const byId = new Map(rows.map((row) => [text(row.id), row]));
+  return { priceFences, byId, today: now.toISOString().slice(0, 10) };
+};
+
+export const RULES = [
+  {
+    id: 'release-before-announcement',
+    severity: 'error',
+    description: 'release_date lies before announced_date',
+    check: (row) => {
+      const released = date(row.release_date);
+      const announced = date(row.announced_date);
+      if (!released || !announced || compareDates(released, announced) >= 0) return null;
+      return `released ${released} before it was announced ${announced}`;
+    },
+  },
+  {
+    id: 'eol-date-while-distributed',
+    severity: 'error',
+    description: 'eol_date has passed while active_distribution is still "Ja"',
+    check: (row, { today }) => {
+      const eolDate = date(row.eol_date);
+      if (!eolDate || text(row.active_distribution) !== 'Ja' || compareDates(eolDate, today) > 0) return null;
+      return `eol_date ${eolDate} has passed but active_distribution is "Ja"`;
+    },
+  },
+  {
+    id: 'discontinued-but-distributed',
+    severity: 'error',
+    description: 'eol_status marks the device end-of-life while active_distribution is "Ja"',
+    check: (row) =>
+      readEolStatus(row) && text(row.active_distribution) === 'Ja'
+        ? `eol_status "${text(row.eol_status)}" contradicts active_distribution "Ja"`
+        : null,
+  },
+  {
+    id: 'eol-status-not-recognized',
+    severity: 'error',
+    description: 'eol_status reads as end-of-life but the lifecycle status is not (e.g. a lifecycle_override that keeps the device shipping)',
+    check: (row) =>
+      readEolStatus(row) && !isEol(row)
+        ? `eol_status "${text(row.eol_status)}" reads as end-of-life but the lifecycle status is "${getLifecycleStatus(row)}"`
+        : null,
+  },
+  {
+    id: 'fov-vertical-exceeds-horizontal',
+    severity: 'warning',
+    description: 'fov_vertical_deg is larger than fov_horizontal_deg (often swapped axes; rare tall-FOV optics are legitimate)',
+    check: (row) => {
+      const horizontal = fov(row.fov_horizontal_deg)?.max ?? null;
+      const vertical = fov(row.fov_vertical_deg)?.min ?? null;
+      if (horizontal === null || vertical === null || vertical <= horizontal) return null;
+      return `vertical FOV ${vertical}° exceeds horizontal FOV ${horizontal}°`;
+    },
+  },
+  {
+    id: 'fov-diagonal-below-axis',
+    severity: 'warning',
+    description: 'fov_diagonal_deg is smaller than the horizontal or vertical FOV',
+    check: (row) => {
+      const diagonal = fov(row.fov_diagonal_deg)?.max ?? null;
+      const axis = Math.max(fov(row.fov_horizontal_deg)?.min ?? 0, fov(row.fov_vertical_deg)?.min ?? 0);
+      if (diagonal === null || !axis || diagonal >= axis) return null;
+      return `diagonal FOV ${diagonal}° is smaller than an axis FOV of ${axis}°`;
+    },
+  },
+  {
+    id: 'price-outlier',
+    severity: 'warning',
+    description: 'price_usd is far outside the usual range of its category',
+    check: (row, { priceFences }) => {
+      const price = number(row.price_usd);
+      const fence = priceFences.get(text(row.xr_category) || 'AR');
+      if (!price || !fence || (price >= fence.low && price <= fence.high)) return null;
+      const range = `${Math.round(fence.low)}–${Math.round(fence.high)} USD`;
+      return `price ${price} USD is outside the usual ${text(row.xr_category) || 'AR'} range ${range}`;
+    },
+  },
+  {
+    id: 'successor-released-earlier',
+    severity: 'warning',
+    description: 'the successor_id device was released before this one (swapped lineage links?)',
+    check: (row, { byId }) => {
+      const successor = byId.get(text(row.successor_id));
+      const released = date(row.release_date);
+      const successorReleased = date(successor?.release_date);
+      if (!released || !successorReleased || compareDates(successorReleased, released) >= 0) return null;
+      return `successor ${text(successor.name)} (${successorReleased}) was released before this device (${released})`;
+    },
+  },
+  {
+    id: 'vocabulary-unmapped',
+    severity: 'warning',
+    description: 'a free-text spec value maps to no canonical vocabulary entry (extend src/data/vocabulary.js or reword it)',
+    check: (row) => {
+      const unmapped = VOCABULARY_FIELDS.filter((field) => canonicalValue(field, row[field]) === 'other');
+      if (!unmapped.length) return null;
+      return unmapped.map((field) => `${field} "${text(row[field])}"`).join(', ');
+    },
+  },
+];
+
+// Runs every rule over every row. Returns findings as
+// { rule, severity, id, name, manufacturer, message }.
+export const lintRows = (rows, now = new Date()) => {
+  const context = buildRuleContext(rows, now);
+  const findings = [];
+  for (const row of rows) {
+    for (const rule of RULES) {
+      const message = rule.check(row, context);
+      if (!message) continue;
+      findings.push({
+        rule: rule.id,
+        severity: rule.severity,
+        id: text(row.id),
+        name: text(row.name),
+        manufacturer: text(row.manufacturer),
+        message,
+      });
+    }
+  }
+  return findings;
+};
@@ -0,0 +1,190 @@
+// Pure side of scripts/consolidate-research.mjs: merges research payloads into
+// one enrichment payload. Conflicting values for the same id+field (or the same
+// new device) are resolved by confidence, then recency; conflicts that only
+// recency could decide are flagged `needsReview`.
+//
+// Each payload is { file, order, recency, payload }: `order` is the position on
+// the command line, `recency` a timestamp (later wins on equal confidence).
+
+import { CONFIDENCE_RANK } from '../../src/data/provenance.js';
+import { LIKELY_DUPLICATE_SCORE, scoreDuplicate } from './duplicates.mjs';
+
+const IDENTITY_FIELDS = new Set(['name', 'manufacturer', 'sources', 'confidence', 'note', 'mergeInto', 'notDuplicateOf']);
+
+const text = (value) => String(value ?? '').trim();
+const norm = (value) => text(value).toLowerCase();
+const isUnknown = (value) => ['', 'unklar', 'unknown', 'n/a', 'k. a.', 'k.a.'].includes(norm(value));
+// "52" and "52.0" are the same value; everything else compares as trimmed text.
+const sameValue = (left, right) => {
+  const a = text(left);
+  const b = text(right);
+  if (a === b) return true;
+  const numberA = Number(a.replace(',', '.'));
+  const numberB = Number(b.replace(',', '.'));
+  return a !== '' && b !== '' && Number.isFinite(numberA) && Number.isFinite(numberB) && numberA === numberB;
+};
+const rank = (claim) => CONFIDENCE_RANK[claim.confidence] || CONFIDENCE_RANK.medium;
+
+// Best claim first: known values beat "Unklar", then confidence, recency, order.
+const compareClaims = (left, right) =>
+  Number(isUnknown(left.value)) - Number(isUnknown(right.value)) ||
+  rank(right) - rank(left) ||
+  right.recency - left.recency ||
+  right.order - left.order;
+
+// Picks the winning claim of one id+field and describes any disagreement.
+export const resolve = (claims) => {
+  const sorted = [...claims].sort(compareClaims);
+  const winner = sorted[0];
+  const rivals = sorted.filter((claim) => !isUnknown(claim.value) && !sameValue(claim.value, winner.value));
+  if (!rivals.length) return { winner, conflict: null };
+  const runnerUp = rivals[0];
+  return {
+    winner,
+    conflict: {
+      needsReview: rank(runnerUp) === rank(winner),
+      decidedBy: rank(runnerUp) === rank(winner) ? 'recency' : 'confidence',
+      values: sorted
+        .filter((claim) => !isUnknown(claim.value))
+        .map((claim) => ({ value: text(claim.value), file: claim.file, confidence: claim.confidence || 'medium' })),
+    },
+  };
+};
+
+// Returns { enriched, newDevices, priceHistory, conflicts, deviceClaims } for
+// the payloads; `rows` (the current CSV) only supplies names for ids.
+export const consolidatePayloads = (payloads, rows = []) => {
+  const byId = new Map(rows.map((row) => [row.id, row]));
+
+  // 1) Field changes for existing rows: one claim per file, id and field.
+  const fieldClaims = new Map();
+  for (const source of payloads) {
+    for (const entry of source.payload.enriched || []) {
+      for (const [field, value] of Object.entries(entry.changes || {})) {
+        if (!text(value)) continue;
+        const key = `${entry.id}\u0000${field}`;
+        if (!fieldClaims.has(key)) fieldClaims.set(key, []);
+        fieldClaims.get(key).push({ ...source, id: entry.id, name: entry.name, field, value, confidence: entry.confidence, sources: entry.sources });
+      }
+    }
+  }
+
+  const conflicts = [];
+  // Winning values are regrouped per id and source entry so every change keeps
+  // the confidence and sources of the payload it came from (provenance).
+  const enrichedByEntry = new Map();
+  for (const claims of fieldClaims.values()) {
+    const { winner, conflict } = resolve(claims);
+    if (conflict) conflicts.push({ id: winner.id, name: winner.name || byId.get(winner.id)?.name || '', field: winner.field, chosen: text(winner.value), ...conflict });
+    const groupKey = `${winner.id}\u0000${winner.file}`;
+    if (!enrichedByEntry.has(groupKey)) {
+      enrichedByEntry.set(groupKey, {
+        id: winner.id,
+        name: winner.name || byId.get(winner.id)?.name || '',
+        changes: {},
+        confidence: winner.confidence || 'medium',
+        sources: Array.isArray(winner.sources) ? winner.sources : [],
+        source_file: winner.file,
+      });
+    }
+    enrichedByEntry.get(groupKey).changes[winner.field] = text(winner.value);
+  }
+
+  // 2) New devices: group the same device across files (exact or fuzzy match,
+  // or the same mergeInto target), then resolve every field like above.
+  const deviceGroups = [];
+  for (const source of payloads) {
+    for (const device of source.payload.newDevices || []) {
+      if (!device?.name || !device?.manufacturer) continue;
+      const claim = { ...source, device };
+      const group = deviceGroups.find((candidate) =>
+        device.mergeInto
+          ? candidate.mergeInto === device.mergeInto
+          : !candidate.mergeInto && candidate.claims.some((other) => scoreDuplicate(device, other.device).score >= LIKELY_DUPLICATE_SCORE),
+      );
+      if (group) group.claims.push(claim);
+      else deviceGroups.push({ mergeInto: device.mergeInto || '', claims: [claim] });
+    }
+  }
+
+  const newDevices = deviceGroups.map((group) => {
+    const base = [...group.claims]
+      .map((claim) => ({ ...claim, value: claim.device.name, confidence: claim.device.confidence }))
+      .sort(compareClaims)[0];
+    const merged = { name: base.device.name, manufacturer: base.device.manufacturer };
+    const used = new Set([base]);
+    const fields = new Set(group.claims.flatMap((claim) => Object.keys(claim.device)).filter((field) => !IDENTITY_FIELDS.has(field)));
+    for (const field of fields) {
+      const claims = group.claims
+        .filter((claim) => text(claim.device[field]))
+        .map((claim) => ({ ...claim, value: claim.device[field], confidence: claim.device.confidence }));
+      if (!claims.length) continue;
+      const { winner, conflict } = resolve(claims);
+      merged[field] = text(winner.value);
+      used.add(group.claims.find((claim) => claim.file === winner.file && claim.device === winner.device));
+      if (conflict) conflicts.push({ id: group.mergeInto, name: merged.name, field, chosen: merged[field], ...conflict });
+    }
+    const contributors = [...used].filter(Boolean);
+    merged.sources = [...new Set(contributors.flatMap((claim) => (Array.isArray(claim.device.sources) ? claim.device.sources : [])))];
+    merged.confidence = contributors.reduce(
+      (low, claim) => ((CONFIDENCE_RANK[claim.device.confidence] || 2) < (CONFIDENCE_RANK[low] || 2) ? claim.device.confidence : low),
+      base.device.confidence || 'medium',
+    );
+    if (group.mergeInto) merged.mergeInto = group.mergeInto;
+    const notDuplicateOf = [...new Set(group.claims.flatMap((claim) => claim.device.notDuplicateOf || []))];
+    if (notDuplicateOf.length) merged.notDuplicateOf = notDuplicateOf;
+    merged.source_files = [...new Set(group.claims.map((claim) => claim.file))];
+    return merged;
+  });
+
+  // 3) Price points: the union of all files.
+  const priceKeys = new Set();
+  const priceHistory = [];
+  for (const source of payloads) {
+    for (const point of source.payload.priceHistory || []) {
+      const key = [point.id, point.date, point.kind, point.currency || 'USD', point.price].join('\u0000');
+      if (priceKeys.has(key)) continue;
+      priceKeys.add(key);
+      priceHistory.push({ ...point, source_file: source.file });
+    }
+  }
+
+  return {
+    enriched: [...enrichedByEntry.values()],
+    newDevices,
+    priceHistory,
+    conflicts,
+    deviceClaims: deviceGroups.reduce((sum, group) => sum + group.claims.length, 0),
+  };
+};
+
+// Recency of a payload: its own `generated_at` (or `date`), else when the ledger
+// recorded it as applied. File modification times say nothing after a git
+// checkout, so an undated, unapplied file gets 0 and the command-line order decides.
+export const payloadRecency = (payload, applied = null) => {
+  for (const value of [payload?.generated_at, payload?.date, applied?.applied_at]) {
+    const time = Date.parse(text(value));
+    if (Number.isFinite(time)) return time;
+  }
+  return 0;
+};
+
+// Share of a file's claims the CSV already reflects: a hint whether it was
+// applied before the ledger existed.
+export const csvCoverage = ({ payload }, rows) => {
+  const byId = new Map(rows.map((row) => [row.id, row]));
+  let total = 0;
+  let matching = 0;
+  for (const entry of payload.enriched || []) {
+    for (const [field, value] of Object.entries(entry.changes || {})) {
+      if (isUnknown(value)) continue;
+      total += 1;
+      if (byId.has(entry.id) && sameValue(byId.get(entry.id)[field], value)) matching += 1;
+    }
+  }
+  for (const device of payload.newDevices || []) {
+    total += 1;
+    if (rows.some((row) => scoreDuplicate(device, row).score >= LIKELY_DUPLICATE_SCORE)) matching += 1;
+  }
+  return total ? Math.round((matching / total) * 100) : 0;
+};
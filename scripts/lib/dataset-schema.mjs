@@ -0,0 +1,342 @@
+// Machine-readable descriptions of the published dataset, derived from the
+// column contract (columns.mjs) so they can never drift from what the
+// generator validates:
+//
+//   datapackage.json            Frictionless Data Package with a Table Schema for the CSV
+//   ar_glasses.csv-metadata.json CSVW metadata (found next to the CSV by convention)
+//   device.schema.json          JSON Schema for one device as a typed JSON record
+//
+// toDeviceRecord() produces that record: typed numbers, null for empty cells and
+// "no data" markers, English codes for the German enum values.
+
+import { COLUMNS, UNKNOWN_MARKERS, isUnknownMarker } from './columns.mjs';
+import { parseValue } from '../../src/data/values.js';
+import { VOCABULARIES, VOCABULARY_FIELDS } from '../../src/data/vocabulary.js';
+import { VARIANT_FIELDS } from '../../src/data/variants.js';
+
+const LICENSE = { name: 'MIT', path: 'https://opensource.org/licenses/MIT', title: 'MIT License' };
+const LICENSE_NOTE =
+  'Product names, trademarks and linked product images remain with their respective rights holders (see asset-notices.html).';
+
+// English codes for the German enum values in the CSV; "Unklar" becomes null.
+export const ENUM_CODES = {
+  active_distribution: { Ja: 'yes', Nein: 'no', 'Ja/Unklar': 'probably' },
+  eol_status: {
+    'Aktiv oder ohne EOL-Angabe': 'active',
+    'EOL / Discontinued': 'discontinued',
+    'EOL / Support beendet': 'support_ended',
+    'Support-Ende angekündigt': 'support_end_announced',
+  },
+  eye_tracking: { Ja: 'yes', Nein: 'no' },
+  hand_tracking: { Ja: 'yes', Nein: 'no', Optional: 'optional' },
+};
+
+// One sentence per column; every column in COLUMNS needs an entry.
+export const COLUMN_DESCRIPTIONS = {
+  id: 'Stable row identifier; never reused.',
+  short_name: 'Short model name without the manufacturer.',
+  name: 'Full model name.',
+  manufacturer: 'Manufacturer as curated.',
+  manufacturer_id: 'Key of the manufacturer in manufacturers.json (brand slug).',
+  manufacturer_name: 'Canonical manufacturer name from manufacturers.json.',
+  image_url: 'Product image, absolute URL or path relative to the site root.',
+  official_url: 'Official manufacturer or product page.',
+  announced_date: 'Announcement date (YYYY, YYYY-MM or YYYY-MM-DD).',
+  release_date: 'Release date (YYYY, YYYY-MM or YYYY-MM-DD).',
+  price_usd: 'Launch price (MSRP) in US dollars.',
+  price_original: 'Launch price in the currency of price_currency; price_usd is converted from it.',
+  price_currency: 'ISO 4217 currency of price_original.',
+  xr_category: 'AR (see-through glasses) or XR (headsets with video passthrough or VR).',
+  active_distribution: 'Whether the device is still sold.',
+  eol_status: 'End-of-life status.',
+  eol_date: 'Date of discontinuation or end of support.',
+  lifecycle_notes: 'Free-text notes on availability, updates and support.',
+  lifecycle_source: 'Source for the lifecycle fields.',
+  lifecycle_override: 'Curated lifecycle status that replaces the derived one.',
+  lifecycle_status: 'Lifecycle status derived from dates, EOL status and override.',
+  predecessor_id: 'id of the previous generation.',
+  successor_id: 'id of the next generation.',
+  family: 'Product line shared by all generations.',
+  software: 'Operating system or platform.',
+  compute_unit: 'Where the device computes: standalone, tethered, PC or phone.',
+  display_type: 'Display technology (e.g. Micro-OLED, LCD).',
+  optics: 'Optics (e.g. waveguide, birdbath, pancake).',
+  fov_horizontal_deg: 'Horizontal field of view.',
+  fov_vertical_deg: 'Vertical field of view.',
+  fov_diagonal_deg: 'Diagonal field of view.',
+  resolution_per_eye: 'Display resolution as WIDTHxHEIGHT, per eye unless resolution_layout says otherwise.',
+  resolution_layout: 'Whether resolution_per_eye is per eye, combined or for a single display.',
+  refresh_hz: 'Display refresh rate.',
+  weight_g: 'Weight of the head-worn part.',
+  tracking: 'Positional tracking (e.g. inside-out, none).',
+  eye_tracking: 'Eye tracking support.',
+  hand_tracking: 'Hand tracking support.',
+  passthrough: 'Camera passthrough or see-through description.',
+  chipset: 'System on chip.',
+  brightness_nits: 'Peak brightness perceived by the eye.',
+  connectivity: 'Ports and radios as curated free text.',
+  audio: 'Audio hardware.',
+  battery: 'Battery as curated free text.',
+  ipd_mm: 'Interpupillary distance range or adjustment as curated free text.',
+  prescription_support: 'Support for prescription lenses.',
+  camera: 'Cameras for photo, video or computer vision.',
+  last_verified_at: 'Date the row was last checked against a source.',
+  battery_hours: 'Battery runtime parsed from battery.',
+  battery_kind: 'Battery type parsed from battery.',
+  connectivity_ports: 'Wired ports parsed from connectivity, "; "-separated.',
+  connectivity_radios: 'Radios parsed from connectivity, "; "-separated.',
+  ipd_min_mm: 'Smallest supported interpupillary distance parsed from ipd_mm.',
+  ipd_max_mm: 'Largest supported interpupillary distance parsed from ipd_mm.',
+  ipd_adjustment: 'How the interpupillary distance is adjusted, parsed from ipd_mm.',
+  slug: 'URL slug of the device page.',
+  source_dataset: 'Identifier of the dataset release.',
+  source_page: 'Publisher page of the dataset.',
+  dataset_retrieved_at: 'Time of the generator run that wrote the row (ISO 8601).',
+};
+
+// Cells that mean "no data"; both schema formats treat them as missing values.
+export const MISSING_VALUES = [
+  '',
+  ...new Set([...UNKNOWN_MARKERS].flatMap((marker) => [marker, marker.charAt(0).toUpperCase() + marker.slice(1), marker.toUpperCase()])),
+];
+
+const ID_PATTERN = '^[A-Za-z0-9_-]+$';
+const DATE_PATTERN = '^\\d{4}(-\\d{2}(-\\d{2})?)?$';
+// Canonical cell of a ranged number column: "46", "~46", "70-85" or "~70-85".
+const RANGE_PATTERN = '^~?\\d+(\\.\\d+)?(-\\d+(\\.\\d+)?)?$';
+const UNIT_NAMES = { USD: 'US dollars', deg: 'degrees', Hz: 'hertz', g: 'grams', nits: 'nits (cd/m²)', h: 'hours', mm: 'millimetres' };
+
+const describe = (column) =>
+  [
+    COLUMN_DESCRIPTIONS[column.name],
+    column.unit ? `Unit: ${UNIT_NAMES[column.unit] || column.unit}.` : '',
+    column.ranges ? 'May be a range ("70-85") or an estimate ("~46").' : '',
+    column.type === 'enum' && column.open ? `Known values: ${column.values.join(', ')}; others are allowed.` : '',
+    ENUM_CODES[column.name] ? `JSON codes: ${Object.entries(ENUM_CODES[column.name]).map(([value, code]) => `${value} = ${code}`).join(', ')}.` : '',
+    column.generated ? 'Generated by the build, not curated.' : '',
+  ]
+    .filter(Boolean)
+    .join(' ');
+
+const closedEnum = (column) => column.type === 'enum' && !column.open;
+const bounds = (column) => ({
+  ...(column.min !== undefined ? { minimum: column.min } : {}),
+  ...(column.max !== undefined ? { maximum: column.max } : {}),
+});
+
+// Frictionless Table Schema field for a column.
+const tableField = (column) => {
+  const field = { name: column.name, description: describe(column) };
+  const constraints = {};
+  if (column.required) constraints.required = true;
+  switch (column.type) {
+    case 'id':
+      field.type = 'string';
+      constraints.pattern = ID_PATTERN;
+      if (column.name === 'id') constraints.unique = true;
+      break;
+    case 'url':
+      Object.assign(field, { type: 'string', format: 'uri' });
+      break;
+    case 'date':
+      field.type = 'string';
+      constraints.pattern = DATE_PATTERN;
+      break;
+    case 'number':
+      if (column.ranges) {
+        field.type = 'string';
+        constraints.pattern = RANGE_PATTERN;
+      } else {
+        field.type = 'number';
+        Object.assign(constraints, bounds(column));
+      }
+      break;
+    case 'enum':
+      field.type = 'string';
+      if (closedEnum(column)) constraints.enum = column.values;
+      break;
+    default:
+      field.type = 'string';
+  }
+  if (column.unit) field.unit = column.unit;
+  if (Object.keys(constraints).length) field.constraints = constraints;
+  return field;
+};
+
+export const buildTableSchema = () => ({
+  fields: COLUMNS.map(tableField),
+  primaryKey: 'id',
+  missingValues: MISSING_VALUES,
+  foreignKeys: ['predecessor_id', 'successor_id'].map((name) => ({ fields: name, reference: { resource: '', fields: 'id' } })),
+});
+
+const datasetDescription = (meta) =>
+  `Curated dataset of ${meta.records} AR glasses and XR headsets with specifications, prices, sources and lifecycle status. ${LICENSE_NOTE}`;
+
+export const buildDataPackage = (meta, baseUrl) => ({
+  profile: 'tabular-data-package',
+  name: 'ar-directory',
+  title: 'AR Directory – AR/XR glasses dataset',
+  description: datasetDescription(meta),
+  homepage: `${baseUrl}data.html`,
+  version: meta.generated_at.slice(0, 10),
+  created: meta.generated_at,
+  licenses: [LICENSE],
+  sources: [{ title: 'AR Directory', path: meta.source_page }],
+  resources: [
+    {
+      name: 'ar_glasses',
+      path: 'ar_glasses.csv',
+      profile: 'tabular-data-resource',
+      format: 'csv',
+      mediatype: 'text/csv',
+      encoding: 'utf-8',
+      schema: buildTableSchema(),
+    },
+  ],
+});
+
+// CSVW datatype for a column (https://www.w3.org/TR/tabular-metadata/).
+const csvwDatatype = (column) => {
+  switch (column.type) {
+    case 'id':
+      return { base: 'string', format: ID_PATTERN };
+    case 'url':
+      return 'anyURI';
+    case 'date':
+      return { base: 'string', format: DATE_PATTERN };
+    case 'number':
+      return column.ranges ? { base: 'string', format: RANGE_PATTERN } : { base: 'decimal', ...bounds(column) };
+    case 'enum':
+      return closedEnum(column) ? { base: 'string', format: `^(${column.values.map((value) => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')).join('|')})$` } : 'string';
+    default:
+      return 'string';
+  }
+};
+
+export const buildCsvw = (meta, baseUrl) => ({
+  '@context': 'http://www.w3.org/ns/csvw',
+  url: 'ar_glasses.csv',
+  'dc:title': 'AR Directory – AR/XR glasses dataset',
+  'dc:description': datasetDescription(meta),
+  'dc:license': { '@id': LICENSE.path },
+  'dc:publisher': { '@id': meta.source_page },
+  'dc:modified': meta.generated_at,
+  'dcat:landingPage': { '@id': `${baseUrl}data.html` },
+  dialect: { header: true, encoding: 'utf-8' },
+  tableSchema: {
+    null: MISSING_VALUES,
+    columns: COLUMNS.map((column) => ({
+      name: column.name,
+      titles: column.name,
+      'dc:description': describe(column),
+      datatype: csvwDatatype(column),
+      ...(column.required ? { required: true } : {}),
+    })),
+    primaryKey: 'id',
+    aboutUrl: `${baseUrl}data/ar_glasses.csv#id-{id}`,
+  },
+});
+
+// JSON Schema fragment for a value in a device record (without null).
+const jsonType = (column) => {
+  switch (column.type) {
+    case 'id':
+      return { type: 'string', pattern: ID_PATTERN };
+    case 'url':
+      return { type: 'string', format: 'uri' };
+    case 'date':
+      return { type: 'string', pattern: DATE_PATTERN };
+    case 'number': {
+      const number = { type: 'number', ...bounds(column) };
+      if (!column.ranges) return number;
+      return {
+        oneOf: [
+          number,
+          {
+            type: 'object',
+            properties: { min: number, max: number, approximate: { type: 'boolean' } },
+            required: ['min', 'max', 'approximate'],
+            additionalProperties: false,
+          },
+        ],
+      };
+    }
+    case 'enum':
+      if (ENUM_CODES[column.name]) {
+        const codes = Object.values(ENUM_CODES[column.name]);
+        return column.open ? { type: 'string', examples: codes } : { type: 'string', enum: codes };
+      }
+      return closedEnum(column) ? { type: 'string', enum: column.values.filter((value) => !isUnknownMarker(value)) } : { type: 'string', examples: column.values };
+    default:
+      return { type: 'string' };
+  }
+};
+
+// Properties the static API (static-api.mjs) adds to each record.
+const API_DEVICE_PROPERTIES = {
+  url: { type: 'string', format: 'uri', description: 'Canonical device page /<brand>/<model>/.' },
+  api_url: { type: 'string', format: 'uri', description: 'This document in the static API.' },
+  completeness: { type: 'integer', minimum: 0, maximum: 100, description: 'Weighted share of known specs (src/data/completeness.js).' },
+  canonical: {
+    type: 'object',
+    description: 'Canonical vocabulary keys of the free-text spec columns.',
+    properties: Object.fromEntries(
+      VOCABULARY_FIELDS.map((field) => [field, { type: 'string', enum: [...new Set([...VOCABULARIES[field].map((entry) => entry.value), 'other', 'unknown'])] }]),
+    ),
+    additionalProperties: false,
+  },
+  variants: {
+    type: 'array',
+    description: 'Editions (storage tiers, colors, regions) with the fields that differ from the device.',
+    items: {
+      type: 'object',
+      properties: {
+        key: { type: 'string' },
+        label: { type: 'string' },
+        ...Object.fromEntries(VARIANT_FIELDS.map((field) => [field, { type: ['price_usd', 'weight_g'].includes(field) ? 'number' : 'string' }])),
+      },
+      required: ['key', 'label'],
+      additionalProperties: false,
+    },
+  },
+};
+
+export const buildDeviceJsonSchema = (baseUrl) => ({
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `${baseUrl}data/device.schema.json`,
+  title: 'AR Directory device',
+  description: `One device of the AR Directory dataset as a typed record: one property per CSV column, null where the CSV has no data, numbers as numbers (ranges and estimates as { min, max, approximate }) and English codes for German enum values. Documents of the static API (api/v1/devices/<id>.json) add url, api_url, completeness, canonical and variants. ${LICENSE_NOTE}`,
+  type: 'object',
+  properties: {
+    ...Object.fromEntries(
+      COLUMNS.map((column) => {
+        const type = jsonType(column);
+        const description = describe(column);
+        return [column.name, column.required ? { ...type, description } : { description, anyOf: [type, { type: 'null' }] }];
+      }),
+    ),
+    ...API_DEVICE_PROPERTIES,
+  },
+  required: COLUMNS.map((column) => column.name),
+  additionalProperties: false,
+});
+
+const typedValue = (column, value) => {
+  if (!value || (!column.required && isUnknownMarker(value))) return null;
+  switch (column.type) {
+    case 'number': {
+      const parsed = parseValue(value, column.unit);
+      if (!parsed) return null;
+      return parsed.min === parsed.max && !parsed.approx ? parsed.min : { min: parsed.min, max: parsed.max, approximate: parsed.approx };
+    }
+    case 'enum':
+      return ENUM_CODES[column.name]?.[value] ?? value;
+    default:
+      return value;
+  }
+};
+
+// A normalized CSV row as the record described by buildDeviceJsonSchema().
+export const toDeviceRecord = (row) =>
+  Object.fromEntries(COLUMNS.map((column) => [column.name, typedValue(column, String(row[column.name] ?? '').trim())]));
@@ -0,0 +1,147 @@
+// Fuzzy duplicate detection for new devices in enrichment payloads. Exact
+// `name|manufacturer` matching misses "XREAL One Pro" vs "Xreal One Pro (2025)"
+// or "Kopin / Solos" vs "Solos", so candidates are scored on a normalized name,
+// manufacturer aliases, release year and a few key specs.
+//
+// scoreDuplicate() returns 0..1 plus the reasons behind the score;
+// findDuplicateCandidates() ranks existing rows for one new device.
+
+// Spellings that denote the same company. Keys and values are normalized
+// manufacturer tokens (see manufacturerKeys).
+const MANUFACTURER_ALIASES = new Map([
+  ['nreal', 'xreal'],
+  ['oculus', 'meta'],
+  ['facebook', 'meta'],
+  ['sony interactive entertainment', 'sony'],
+  ['rayneo', 'tcl'],
+  ['tcl rayneo', 'tcl'],
+  ['osterhout design group', 'odg'],
+  ['goodong', 'gudong'],
+  ['zepp health', 'amazfit'],
+  ['thalmic labs', 'north'],
+]);
+
+// Suffixes that do not distinguish companies ("Snap Inc" = "Snap").
+const COMPANY_SUFFIXES = /\b(inc|ltd|co|corp|corporation|gmbh|ag|llc|technologies|technology|tech|systems|labs|eyewear|industries|ehem)\b\.?/g;
+
+// Tokens that name a different model when only one side has them.
+const VARIANT_TOKENS = new Set([
+  'pro', 'max', 'plus', 'ultra', 'lite', 'mini', 'air', 'se', 'elite', 'neo', 'x', 's', 'go', 'one',
+  'enterprise', 'dev', 'developer', 'edition', 'kit', 'gen',
+]);
+
+export const LIKELY_DUPLICATE_SCORE = 0.8;
+export const CANDIDATE_SCORE = 0.6;
+
+const normalize = (value) =>
+  String(value ?? '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/\+/g, ' plus ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+// All normalized names a manufacturer cell stands for: "Kopin / Solos" ->
+// {kopin, solos}; "Hiscene (Liangfengtai)" -> {hiscene, liangfengtai}.
+const rawManufacturerKeys = (manufacturer) =>
+  String(manufacturer ?? '')
+    .split(/[/()]/)
+    .map((part) => normalize(part).replace(COMPANY_SUFFIXES, '').replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+export const manufacturerKeys = (manufacturer) =>
+  new Set(rawManufacturerKeys(manufacturer).map((key) => MANUFACTURER_ALIASES.get(key) || key));
+
+// Every spelling a device name may start with: the cell as written, its
+// canonical key and the other aliases of that key ("Nreal Air" by Xreal).
+const manufacturerPrefixes = (manufacturer) => {
+  const keys = manufacturerKeys(manufacturer);
+  const aliases = [...MANUFACTURER_ALIASES].filter(([, key]) => keys.has(key)).map(([alias]) => alias);
+  // Longest first, so "tcl rayneo" is stripped before "tcl".
+  return [...new Set([...rawManufacturerKeys(manufacturer), ...keys, ...aliases])].sort((left, right) => right.length - left.length);
+};
+
+// Name without manufacturer prefix, parenthesized launch years and punctuation.
+export const normalizeDeviceName = (name, manufacturer = '') => {
+  let text = normalize(String(name ?? '').replace(/\((?:19|20)\d{2}\)/g, ' '));
+  for (const key of manufacturerPrefixes(manufacturer)) {
+    if (text.startsWith(`${key} `)) text = text.slice(key.length + 1);
+  }
+  return text;
+};
+
+const tokens = (text) => new Set(text.split(' ').filter(Boolean));
+
+const nameSimilarity = (left, right) => {
+  if (!left || !right) return 0;
+  if (left === right || left.replace(/ /g, '') === right.replace(/ /g, '')) return 1;
+  const a = tokens(left);
+  const b = tokens(right);
+  const shared = [...a].filter((token) => b.has(token)).length;
+  const jaccard = shared / new Set([...a, ...b]).size;
+  // "One" vs "One Pro" or "Air 2" vs "Air 3" are siblings, not duplicates.
+  const onlyOneSide = [...a].filter((token) => !b.has(token)).concat([...b].filter((token) => !a.has(token)));
+  const distinguishing = onlyOneSide.some((token) => VARIANT_TOKENS.has(token) || /\d/.test(token));
+  return distinguishing ? jaccard * 0.5 : jaccard;
+};
+
+const year = (value) => String(value ?? '').match(/^(\d{4})/)?.[1] || '';
+const number = (value) => {
+  const parsed = Number(String(value ?? '').trim().replace(',', '.'));
+  return String(value ?? '').trim() && Number.isFinite(parsed) ? parsed : null;
+};
+const close = (left, right, tolerance) =>
+  left !== null && right !== null && Math.abs(left - right) <= Math.max(Math.abs(left), Math.abs(right)) * tolerance;
+
+const SPEC_CHECKS = [
+  ['price_usd', 0.1],
+  ['weight_g', 0.05],
+  ['fov_diagonal_deg', 0.02],
+  ['fov_horizontal_deg', 0.02],
+  ['refresh_hz', 0],
+];
+
+export const scoreDuplicate = (device, row) => {
+  const reasons = [];
+  const deviceMakers = manufacturerKeys(device.manufacturer);
+  const rowMakers = manufacturerKeys(row.manufacturer);
+  const sameMaker = [...deviceMakers].some((key) => rowMakers.has(key));
+
+  // Across different manufacturers compare full names: "Engo 2" and "YVR 2"
+  // both reduce to "2" once the brand prefix is stripped.
+  const name = sameMaker
+    ? nameSimilarity(normalizeDeviceName(device.name, device.manufacturer), normalizeDeviceName(row.name, row.manufacturer))
+    : nameSimilarity(normalize(device.name), normalize(row.name));
+  if (name >= 1) reasons.push('same normalized name');
+  else if (name > 0) reasons.push(`name similarity ${name.toFixed(2)}`);
+  if (sameMaker) reasons.push('same manufacturer (incl. aliases)');
+
+  let score = name * 0.65 + (sameMaker ? 0.2 : 0);
+
+  const deviceYear = year(device.release_date || device.announced_date);
+  const rowYear = year(row.release_date || row.announced_date);
+  if (deviceYear && rowYear) {
+    const gap = Math.abs(Number(deviceYear) - Number(rowYear));
+    if (gap === 0) reasons.push('same release year');
+    score += gap === 0 ? 0.08 : gap === 1 ? 0.04 : -0.08;
+  }
+
+  const compared = SPEC_CHECKS.filter(([field]) => number(device[field]) !== null && number(row[field]) !== null);
+  if (compared.length) {
+    const matching = compared.filter(([field, tolerance]) => close(number(device[field]), number(row[field]), tolerance));
+    if (matching.length) reasons.push(`matching ${matching.map(([field]) => field).join(', ')}`);
+    score += 0.07 * (matching.length / compared.length);
+  }
+
+  return { score: Math.max(0, Math.min(1, Number(score.toFixed(3)))), reasons };
+};
+
+// Ranked candidates (best first) with a score of at least CANDIDATE_SCORE.
+export const findDuplicateCandidates = (device, rows, limit = 5) =>
+  rows
+    .map((row) => ({ row, ...scoreDuplicate(device, row) }))
+    .filter((candidate) => candidate.score >= CANDIDATE_SCORE)
+    .sort((left, right) => right.score - left.score)
+    .slice(0, limit);
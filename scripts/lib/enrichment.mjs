@@ -0,0 +1,347 @@
+// Pure side of scripts/apply-enrichment.mjs: applies a research payload to
+// in-memory rows, provenance and price history, and renders the resulting
+// report as dry-run lines or a Markdown/HTML review. The CLI only reads and
+// writes files, checks the ledger and prints.
+//
+// applyEnrichment() returns { report, changedRows, verifiedIds, citedFields, newIds, skipped }.
+// `report` lists diffs, rejected immutable fields, price_usd values rejected
+// because the row's price is derived from price_original, entries below the
+// confidence threshold, unknown ids, added/merged/duplicate devices, blocked likely
+// duplicates and new price points. `skipped` holds the payload entries left out
+// (below the confidence threshold or blocked as likely duplicates). `verifiedIds`
+// are the existing rows the payload changed or confirmed.
+
+import { randomBytes } from 'node:crypto';
+import { PRICE_KINDS, addPricePoint } from '../../src/data/price-history.js';
+import { CONFIDENCE_RANK, recordProvenance } from '../../src/data/provenance.js';
+import { OUTPUT_FIELDS } from './columns.mjs';
+import { LIKELY_DUPLICATE_SCORE, findDuplicateCandidates } from './duplicates.mjs';
+import { convertToUsd } from './fx-rates.mjs';
+import { esc } from './render-pages.mjs';
+
+// Fields a research agent is allowed to overwrite. Identity, image and provenance
+// columns are intentionally excluded so enrichment can never clobber them.
+export const MUTABLE_FIELDS = new Set([
+  'official_url', 'announced_date', 'release_date', 'price_usd', 'price_original',
+  'price_currency', 'xr_category', 'active_distribution', 'eol_status', 'eol_date',
+  'lifecycle_notes', 'lifecycle_source', 'lifecycle_override',
+  'software', 'compute_unit', 'display_type', 'optics', 'fov_horizontal_deg',
+  'fov_vertical_deg', 'fov_diagonal_deg', 'resolution_per_eye', 'resolution_layout', 'refresh_hz', 'weight_g',
+  'tracking', 'eye_tracking', 'hand_tracking', 'passthrough',
+  'chipset', 'brightness_nits', 'connectivity', 'audio', 'battery', 'ipd_mm',
+  'prescription_support', 'camera', 'predecessor_id', 'successor_id', 'family',
+]);
+
+const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+export const makeId = (existing) => {
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    const bytes = randomBytes(9);
+    let id = '';
+    for (let i = 0; i < 9; i += 1) id += ID_ALPHABET[bytes[i] % ID_ALPHABET.length];
+    if (!existing.has(id)) return id;
+  }
+  throw new Error('Could not generate a unique id');
+};
+
+const slug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '');
+const norm = (value) => String(value ?? '').trim().toLowerCase();
+
+// Entries without a confidence count as "medium", matching recordProvenance.
+export const meetsConfidence = (entry, minConfidence) =>
+  !minConfidence || (CONFIDENCE_RANK[entry.confidence] || CONFIDENCE_RANK.medium) >= CONFIDENCE_RANK[minConfidence];
+
+// Mutates `rows`, `provenance` and `priceHistory`. `appliedAt` (YYYY-MM-DD)
+// stamps provenance and `last_verified_at`; `payloadPath` is cited as the payload.
+export const applyEnrichment = (rows, payload, { minConfidence = '', appliedAt, payloadPath, provenance = {}, priceHistory = {} }) => {
+  let citedFields = 0;
+  const cite = (id, field, entry) => {
+    const recorded = recordProvenance(provenance, id, field, {
+      sources: entry.sources,
+      confidence: entry.confidence,
+      appliedAt,
+      payload: payloadPath,
+    });
+    if (recorded) citedFields += 1;
+  };
+
+  const byId = new Map(rows.map((row) => [row.id, row]));
+  const existingIds = new Set(rows.map((row) => row.id));
+  const existingKeys = new Set(rows.map((row) => `${norm(row.name)}|${norm(row.manufacturer)}`));
+  const newIds = new Set();
+  const skipped = [];
+
+  const report = {
+    diffs: [],
+    rejected: [],
+    derivedPrices: [],
+    lowConfidence: [],
+    unknownIds: [],
+    added: [],
+    merged: [],
+    duplicates: [],
+    likelyDuplicates: [],
+    pricePoints: [],
+  };
+
+  // Applies `changes` to an existing row, recording diffs, rejected immutable
+  // fields and provenance. price_usd is rejected while the row (after these
+  // changes) has an original price: the generator derives it from
+  // price_original and would overwrite it silently. Returns whether any value
+  // actually changed. A row with any changed or confirmed field counts as
+  // verified today.
+  const verifiedIds = new Set();
+  const applyChanges = (row, changes, entry) => {
+    let touched = false;
+    for (const [field, value] of Object.entries(changes)) {
+      if (!MUTABLE_FIELDS.has(field)) {
+        report.rejected.push({ id: row.id, name: row.name, field, value: String(value ?? '') });
+        continue;
+      }
+      const next = String(value ?? '').trim();
+      if (!next) continue;
+      const original = String(changes.price_original ?? row.price_original ?? '').trim();
+      const currency = String(changes.price_currency ?? row.price_currency ?? '').trim().toUpperCase();
+      if (field === 'price_usd' && original && currency) {
+        report.derivedPrices.push({ id: row.id, name: row.name, value: next, original: `${original} ${currency}` });
+        continue;
+      }
+      // An unchanged value still gets cited: the payload confirmed it.
+      cite(row.id, field, entry);
+      row.last_verified_at = appliedAt;
+      verifiedIds.add(row.id);
+      const before = String(row[field] ?? '').trim();
+      if (next === before) continue;
+      report.diffs.push({ id: row.id, name: row.name, field, before, after: next });
+      row[field] = next;
+      touched = true;
+    }
+    return touched;
+  };
+
+  // 1) Apply field changes to existing rows.
+  let changedRows = 0;
+  for (const entry of payload.enriched || []) {
+    const row = byId.get(entry.id);
+    if (!row) {
+      report.unknownIds.push({ id: entry.id, name: entry.name || '', section: 'enriched' });
+      continue;
+    }
+    if (!meetsConfidence(entry, minConfidence)) {
+      report.lowConfidence.push({ id: row.id, name: row.name, confidence: entry.confidence });
+      skipped.push(entry);
+      continue;
+    }
+    if (applyChanges(row, entry.changes || {}, entry)) changedRows += 1;
+  }
+
+  // 2) Append verified new devices. Exact name+manufacturer repeats are skipped;
+  // fuzzy matches against existing rows (and earlier devices of this payload)
+  // are blocked unless the entry says `mergeInto: <id>` or `notDuplicateOf`.
+  for (const device of payload.newDevices || []) {
+    const key = `${norm(device.name)}|${norm(device.manufacturer)}`;
+    if (!device.name || !device.manufacturer) continue;
+    if (device.mergeInto) {
+      const target = byId.get(device.mergeInto);
+      if (!target) {
+        throw new Error(`mergeInto references unknown id ${device.mergeInto} (${device.name})`);
+      }
+      if (!meetsConfidence(device, minConfidence)) {
+        report.lowConfidence.push({ id: target.id, name: device.name, confidence: device.confidence });
+        skipped.push(device);
+        continue;
+      }
+      // Only mutable, known values: a merge must not blank out curated data with "Unklar".
+      const changes = Object.fromEntries(
+        Object.entries(device).filter(([field, value]) => MUTABLE_FIELDS.has(field) && norm(value) && norm(value) !== 'unklar'),
+      );
+      if (applyChanges(target, changes, device)) changedRows += 1;
+      report.merged.push({ name: device.name, id: target.id, target: target.name });
+      continue;
+    }
+    if (existingKeys.has(key)) {
+      report.duplicates.push({ name: device.name, manufacturer: device.manufacturer });
+      continue;
+    }
+    if (!meetsConfidence(device, minConfidence)) {
+      report.lowConfidence.push({ id: '', name: device.name, confidence: device.confidence });
+      skipped.push(device);
+      continue;
+    }
+    const allowed = new Set((Array.isArray(device.notDuplicateOf) ? device.notDuplicateOf : []).map(String));
+    const candidates = findDuplicateCandidates(device, rows).filter(
+      (candidate) => !allowed.has(candidate.row.id) && !allowed.has(candidate.row.name),
+    );
+    if (candidates[0]?.score >= LIKELY_DUPLICATE_SCORE) {
+      report.likelyDuplicates.push({ name: device.name, manufacturer: device.manufacturer, candidates });
+      skipped.push(device);
+      continue;
+    }
+    existingKeys.add(key);
+    const id = makeId(existingIds);
+    existingIds.add(id);
+    const row = { id, short_name: slug(device.name), name: device.name, manufacturer: device.manufacturer };
+    for (const field of OUTPUT_FIELDS) {
+      if (row[field] !== undefined) continue;
+      row[field] = field in device ? String(device[field] ?? '').trim() : '';
+    }
+    if (!row.active_distribution) row.active_distribution = 'Ja/Unklar';
+    if (!row.eol_status) row.eol_status = 'Aktiv oder ohne EOL-Angabe';
+    if (!row.lifecycle_notes) row.lifecycle_notes = 'Neu aufgenommen; aktiver Vertrieb laut Herstellerangaben.';
+    row.source_dataset = 'curated_ar_xr_directory_v2';
+    row.source_page = 'https://huskynarr.de/';
+    row.last_verified_at = appliedAt;
+    for (const field of MUTABLE_FIELDS) {
+      if (row[field]) cite(id, field, device);
+    }
+    rows.push(row);
+    newIds.add(id);
+    report.added.push({ name: device.name, manufacturer: device.manufacturer });
+  }
+
+  // 3) Dated price points (launch, MSRP change, street) for the price history,
+  // converted to USD at their date so every device keeps a single series.
+  for (const entry of payload.priceHistory || []) {
+    const row = byId.get(entry.id);
+    if (!row) {
+      report.unknownIds.push({ id: entry.id, name: entry.name || '', section: 'priceHistory' });
+      continue;
+    }
+    if (!meetsConfidence(entry, minConfidence)) {
+      report.lowConfidence.push({ id: row.id, name: row.name, confidence: entry.confidence });
+      skipped.push(entry);
+      continue;
+    }
+    if (!PRICE_KINDS.includes(entry.kind || 'street')) {
+      throw new Error(`Unknown price kind "${entry.kind}" for ${row.name} (use ${PRICE_KINDS.join(', ')})`);
+    }
+    const currency = String(entry.currency || 'USD').trim().toUpperCase();
+    const price = currency === 'USD' ? entry.price : convertToUsd(entry.price, currency, entry.date);
+    if (price === null) {
+      throw new Error(`Cannot convert price point ${entry.price} ${currency} for ${row.name} (use one of the currencies in scripts/lib/fx-rates.mjs)`);
+    }
+    const point = {
+      date: entry.date,
+      price,
+      currency: 'USD',
+      kind: entry.kind || 'street',
+      source: entry.source || (Array.isArray(entry.sources) ? entry.sources[0] : ''),
+    };
+    if (addPricePoint(priceHistory, row.id, point)) {
+      report.pricePoints.push({ id: row.id, name: row.name, ...point, ...(currency === 'USD' ? {} : { original: `${entry.price} ${currency}` }) });
+    }
+  }
+
+  return { report, changedRows, verifiedIds, citedFields, newIds, skipped };
+};
+
+// Per-device before/after lines printed by --dry-run.
+export const formatDryRun = (report, minConfidence = '') => {
+  const lines = [];
+  const byDevice = new Map();
+  for (const diff of report.diffs) {
+    if (!byDevice.has(diff.id)) byDevice.set(diff.id, []);
+    byDevice.get(diff.id).push(diff);
+  }
+  for (const diffs of byDevice.values()) {
+    lines.push(`~ ${diffs[0].name} (${diffs[0].id})`);
+    for (const diff of diffs) {
+      lines.push(`    ${diff.field}: ${diff.before ? JSON.stringify(diff.before) : '(empty)'} -> ${JSON.stringify(diff.after)}`);
+    }
+  }
+  for (const entry of report.rejected) {
+    lines.push(`! rejected immutable field ${entry.field} on ${entry.name} (${entry.id})`);
+  }
+  for (const entry of report.derivedPrices) {
+    lines.push(`! rejected price_usd ${entry.value} on ${entry.name} (${entry.id}): derived from price_original ${entry.original}, change that instead`);
+  }
+  for (const entry of report.lowConfidence) {
+    lines.push(`! below --only-confidence=${minConfidence}: ${entry.name}${entry.id ? ` (${entry.id})` : ' (new device)'}, confidence ${entry.confidence || '(none)'}`);
+  }
+  for (const device of report.added) {
+    lines.push(`+ new device ${device.name} (${device.manufacturer})`);
+  }
+  for (const entry of report.merged) {
+    lines.push(`> new device ${entry.name} merged into ${entry.target} (${entry.id})`);
+  }
+  for (const device of report.duplicates) {
+    lines.push(`= duplicate new device skipped: ${device.name} (${device.manufacturer})`);
+  }
+  for (const point of report.pricePoints) {
+    lines.push(`$ price point ${point.name} (${point.id}): ${point.date} ${point.price} ${point.currency}${point.original ? ` from ${point.original}` : ''} (${point.kind})`);
+  }
+  return lines;
+};
+
+const REVIEW_HEADERS = {
+  'Changed fields': ['Device', 'Id', 'Field', 'Before', 'After'],
+  'Rejected immutable fields': ['Device', 'Id', 'Field', 'Value'],
+  'Rejected derived prices': ['Device', 'Id', 'price_usd', 'price_original'],
+  'Below confidence threshold': ['Device', 'Id', 'Confidence'],
+  'Unknown ids': ['Name', 'Id'],
+  'New devices': ['Name', 'Manufacturer'],
+  'New devices merged into existing rows': ['Name', 'Merged into', 'Id'],
+  'New devices skipped as duplicates': ['Name', 'Manufacturer'],
+  'Price history points': ['Device', 'Id', 'Date', 'Price', 'Kind'],
+  'Likely duplicates (blocked)': ['New device', 'Score', 'Candidate', 'Reasons'],
+};
+
+// The --review file: one table per report section, as Markdown or HTML.
+export const buildReview = (report, { title, format = 'markdown' }) => {
+  const sections = [
+    ['Changed fields', report.diffs.map((d) => [d.name, d.id, d.field, d.before || '(empty)', d.after])],
+    ['Rejected immutable fields', report.rejected.map((r) => [r.name, r.id, r.field, r.value])],
+    ['Rejected derived prices', report.derivedPrices.map((r) => [r.name, r.id, r.value, r.original])],
+    ['Below confidence threshold', report.lowConfidence.map((l) => [l.name, l.id || 'new device', l.confidence || '(none)'])],
+    ['Unknown ids', report.unknownIds.map((u) => [u.name, u.id])],
+    ['New devices', report.added.map((a) => [a.name, a.manufacturer])],
+    ['New devices merged into existing rows', report.merged.map((m) => [m.name, m.target, m.id])],
+    ['New devices skipped as duplicates', report.duplicates.map((d) => [d.name, d.manufacturer])],
+    ['Price history points', report.pricePoints.map((p) => [p.name, p.id, p.date, `${p.price} ${p.currency}${p.original ? ` (${p.original})` : ''}`, p.kind])],
+    [
+      'Likely duplicates (blocked)',
+      report.likelyDuplicates.flatMap((entry) =>
+        entry.candidates.map((c, i) => [i ? '' : `${entry.name} (${entry.manufacturer})`, c.score.toFixed(2), `${c.row.name} (${c.row.id})`, c.reasons.join('; ')]),
+      ),
+    ],
+  ];
+
+  if (format === 'html') {
+    const body = sections
+      .map(([heading, rows]) => `<h2>${esc(heading)} (${rows.length})</h2>${rows.length
+        ? `<table><thead><tr>${REVIEW_HEADERS[heading].map((h) => `<th>${esc(h)}</th>`).join('')}</tr></thead><tbody>${rows
+            .map((cells) => `<tr>${cells.map((cell) => `<td>${esc(cell)}</td>`).join('')}</tr>`)
+            .join('')}</tbody></table>`
+        : '<p>None.</p>'}`)
+      .join('\n');
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="robots" content="noindex">
+<title>${esc(title)}</title>
+<style>
+body{font:14px/1.5 system-ui,sans-serif;max-width:1200px;margin:2rem auto;padding:0 1rem;color:#0f172a}
+table{border-collapse:collapse;width:100%}th,td{text-align:left;padding:4px 8px;border-bottom:1px solid #e2e8f0;vertical-align:top}
+th{background:#f1f5f9}
+</style>
+</head>
+<body>
+<h1>${esc(title)}</h1>
+${body}
+</body>
+</html>
+`;
+  }
+
+  const cell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  return `# ${title}\n\n${sections
+    .map(([heading, rows]) => `## ${heading} (${rows.length})\n\n${rows.length
+      ? [
+          `| ${REVIEW_HEADERS[heading].join(' | ')} |`,
+          `| ${REVIEW_HEADERS[heading].map(() => '---').join(' | ')} |`,
+          ...rows.map((cells) => `| ${cells.map(cell).join(' | ')} |`),
+        ].join('\n')
+      : 'None.'}`)
+    .join('\n\n')}\n`;
+};
@@ -0,0 +1,75 @@
+// Bundled historical exchange rates for launch prices in other currencies
+// (`price_original` + `price_currency`). The generator derives `price_usd` from
+// them at the launch date, so the converted value is reproducible and the
+// original price stays in the CSV instead of a note.
+//
+// Rates are annual averages in units of the currency per 1 USD (Federal Reserve
+// H.10 / ECB reference rates, rounded). A launch year outside the table uses the
+// nearest year; extend the table when a new year starts.
+
+export const FX_PER_USD = {
+  EUR: {
+    2010: 0.755, 2011: 0.719, 2012: 0.778, 2013: 0.753, 2014: 0.754, 2015: 0.901, 2016: 0.904, 2017: 0.885,
+    2018: 0.847, 2019: 0.893, 2020: 0.876, 2021: 0.845, 2022: 0.95, 2023: 0.925, 2024: 0.924, 2025: 0.885,
+  },
+  GBP: {
+    2010: 0.647, 2011: 0.624, 2012: 0.631, 2013: 0.639, 2014: 0.607, 2015: 0.654, 2016: 0.738, 2017: 0.776,
+    2018: 0.749, 2019: 0.783, 2020: 0.779, 2021: 0.727, 2022: 0.808, 2023: 0.804, 2024: 0.782, 2025: 0.758,
+  },
+  CNY: {
+    2010: 6.77, 2011: 6.46, 2012: 6.31, 2013: 6.2, 2014: 6.16, 2015: 6.28, 2016: 6.64, 2017: 6.76,
+    2018: 6.62, 2019: 6.91, 2020: 6.9, 2021: 6.45, 2022: 6.73, 2023: 7.08, 2024: 7.19, 2025: 7.19,
+  },
+  JPY: {
+    2010: 87.8, 2011: 79.8, 2012: 79.8, 2013: 97.6, 2014: 105.9, 2015: 121.0, 2016: 108.8, 2017: 112.2,
+    2018: 110.4, 2019: 109.0, 2020: 106.8, 2021: 109.8, 2022: 131.5, 2023: 140.5, 2024: 151.4, 2025: 149.0,
+  },
+  KRW: {
+    2010: 1156, 2011: 1108, 2012: 1127, 2013: 1095, 2014: 1053, 2015: 1131, 2016: 1160, 2017: 1131,
+    2018: 1100, 2019: 1166, 2020: 1180, 2021: 1144, 2022: 1292, 2023: 1306, 2024: 1364, 2025: 1415,
+  },
+};
+
+export const PRICE_CURRENCIES = ['USD', ...Object.keys(FX_PER_USD)];
+
+// Units of `currency` per USD in the year of `date` (YYYY, YYYY-MM or
+// YYYY-MM-DD; without a date the latest year). null for unknown currencies.
+export const rateForDate = (currency, date) => {
+  const code = String(currency ?? '').trim().toUpperCase();
+  if (code === 'USD') return 1;
+  const table = FX_PER_USD[code];
+  if (!table) return null;
+  const years = Object.keys(table).map(Number);
+  const year = Number(String(date ?? '').match(/^(\d{4})/)?.[1]) || Math.max(...years);
+  const nearest = years.reduce((best, candidate) => (Math.abs(candidate - year) < Math.abs(best - year) ? candidate : best));
+  return table[nearest];
+};
+
+const toAmount = (value) => {
+  const text = String(value ?? '').trim();
+  const number = Number(text.replace(',', '.'));
+  return text && Number.isFinite(number) ? number : '';
+};
+
+// Whole US dollars for an amount in `currency` at `date`, or null.
+export const convertToUsd = (amount, currency, date) => {
+  const value = toAmount(amount);
+  const rate = rateForDate(currency, date);
+  return value !== '' && value > 0 && rate ? Math.round(value / rate) : null;
+};
+
+// price_usd of a CSV row: launch prices in another currency are converted at
+// the launch date (release, else announcement); USD originals are taken as-is.
+// Without an original price the curated price_usd stays. '' when unknown.
+export const derivePriceUsd = (row) => {
+  const original = toAmount(row.price_original);
+  const currency = String(row.price_currency ?? '').trim().toUpperCase();
+  if (original === '' || !currency) {
+    return toAmount(row.price_usd);
+  }
+  if (currency === 'USD') {
+    return original;
+  }
+  const date = String(row.release_date ?? '').trim() || String(row.announced_date ?? '').trim();
+  return convertToUsd(original, currency, date) ?? '';
+};
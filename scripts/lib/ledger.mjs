@@ -0,0 +1,61 @@
+// Ledger of research payloads that have been applied to the CSV
+// (scripts/research/ledger.json). Files are identified by the SHA-256 of their
+// content, so a renamed copy still counts as applied and an edited file does not.
+// Read and updated by apply-enrichment.mjs, read by consolidate-research.mjs.
+
+import { createHash } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
+
+export const LEDGER_PATH = 'scripts/research/ledger.json';
+
+export const hashContent = (text) => createHash('sha256').update(text).digest('hex');
+
+export const readLedger = async (path = LEDGER_PATH) => {
+  try {
+    const ledger = JSON.parse(await readFile(path, 'utf8'));
+    return { applied: Array.isArray(ledger.applied) ? ledger.applied : [] };
+  } catch {
+    return { applied: [] };
+  }
+};
+
+export const writeLedger = (ledger, path = LEDGER_PATH) =>
+  writeFile(path, `${JSON.stringify(ledger, null, 2)}\n`, 'utf8');
+
+export const findApplied = (ledger, sha256) => ledger.applied.find((entry) => entry.sha256 === sha256) || null;
+
+// Adds (or refreshes) one applied file. `via` names the consolidated payload a
+// research file was applied through, if any; `note` explains entries that were
+// not written by apply-enrichment.mjs (e.g. backfilled ones).
+export const recordApplied = (ledger, { file, sha256, appliedAt, via, stats, note }) => {
+  ledger.applied = ledger.applied.filter((entry) => entry.sha256 !== sha256);
+  ledger.applied.push({
+    file,
+    sha256,
+    applied_at: appliedAt,
+    ...(via ? { via } : {}),
+    ...(stats ? { stats } : {}),
+    ...(note ? { note } : {}),
+  });
+};
+
+// Records an applied payload and the research files it was consolidated from
+// (`consolidatedFrom`). A file with skipped entries (below --only-confidence or
+// blocked as likely duplicates) stays unrecorded, so consolidate-research.mjs
+// picks it up again. Consolidated entries name their research file in
+// `source_file` / `source_files`; a skipped entry without one keeps every source
+// pending. Returns the files left unrecorded.
+export const recordPayload = (ledger, { file, sha256, appliedAt, stats, consolidatedFrom = [], skipped = [] }) => {
+  const sources = consolidatedFrom.filter((source) => source?.file && source?.sha256);
+  const pending = new Set();
+  for (const entry of skipped) {
+    const files = [entry.source_file, ...(Array.isArray(entry.source_files) ? entry.source_files : [])].filter(Boolean);
+    for (const source of files.length ? files : sources.map((candidate) => candidate.file)) pending.add(source);
+  }
+  if (skipped.length) pending.add(file);
+  else recordApplied(ledger, { file, sha256, appliedAt, stats });
+  for (const source of sources) {
+    if (!pending.has(source.file)) recordApplied(ledger, { file: source.file, sha256: source.sha256, appliedAt, via: file });
+  }
+  return [...pending];
+};
@@ -0,0 +1,52 @@
+// Fetches links for scripts/check-links.mjs and classifies them with
+// classifyLink (src/data/link-health.js). Kept apart from the CLI so tests can
+// point it at a local stub server.
+
+import { classifyLink } from '../../src/data/link-health.js';
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; ar-directory-link-check; +https://ar-directory.huskynarr.de/)';
+// Parked and soft-404 markers sit in the head or near the top of the page.
+const MAX_BODY_CHARS = 200_000;
+
+// { status, http_status, final_url, error? } for one URL. Redirects are
+// followed; `final_url` is only set when it differs from `url`.
+export const checkLink = async (url, { timeout = 10_000, fetchImpl = fetch } = {}) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    const response = await fetchImpl(url, {
+      redirect: 'follow',
+      signal: controller.signal,
+      headers: { 'user-agent': USER_AGENT, accept: 'text/html,application/xhtml+xml,*/*;q=0.8' },
+    });
+    const type = response.headers.get('content-type') || '';
+    const body = type.includes('html') ? (await response.text()).slice(0, MAX_BODY_CHARS) : '';
+    const finalUrl = response.url || url;
+    return {
+      status: classifyLink({ url, status: response.status, finalUrl, body }),
+      http_status: response.status,
+      final_url: finalUrl !== url ? finalUrl : '',
+    };
+  } catch (error) {
+    return { status: 'error', http_status: 0, final_url: '', error: error?.name === 'AbortError' ? 'timeout' : String(error?.cause?.code || error?.message || error) };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Map(url -> result) for the unique `urls`, with at most `concurrency`
+// requests in flight.
+export const checkLinks = async (urls, { concurrency = 4, onResult, ...options } = {}) => {
+  const queue = [...new Set(urls)];
+  const results = new Map();
+  const worker = async () => {
+    while (queue.length) {
+      const url = queue.shift();
+      const result = await checkLink(url, options);
+      results.set(url, result);
+      onResult?.(url, result);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+  return results;
+};
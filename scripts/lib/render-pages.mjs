@@ -2,6 +2,25 @@
 // device, a model hub/index, a glossary + FAQ page, and legal pages. CSV-derived.
 
 import { AFFILIATE, AFFILIATE_REL, buildBuyLinks } from '../../src/affiliate.js';
+import { buildPriceChartSvg, getPriceHistory } from '../../src/data/price-history.js';
+import { comparePartialDates, parsePartialDate } from '../../src/data/dates.js';
+import {
+  SCHEMA_AVAILABILITY,
+  UPCOMING_STATUSES,
+  getLifecycleStatus,
+  isEol,
+  isLikelyActive,
+  lifecycleLabel,
+} from '../../src/data/lifecycle.js';
+import { companyStatusLabel, getManufacturerName } from '../../src/data/manufacturers.js';
+import { getFamily, getSpecDeltas } from '../../src/data/lineage.js';
+import { computeOpticalMetrics } from '../../src/data/optical-metrics.js';
+import { createCitations, getProvenance } from '../../src/data/provenance.js';
+import { describeValue, parseValue } from '../../src/data/values.js';
+import { applyVariant, getPriceRange, getVariants, variantId } from '../../src/data/variants.js';
+import { archiveUrl, isDeadLink } from '../../src/data/link-health.js';
+import { COMPLETENESS_FIELDS, COMPLETENESS_WEIGHTS, completenessByGroup, getCompleteness } from '../../src/data/completeness.js';
+import { describeChange } from './changelog.mjs';
 
 const UNKNOWN = new Set(['', 'k.a.', 'k. a.', 'n/a', 'na', 'unknown', 'unbekannt', '-', '–', 'null', 'undefined']);
 export const hasValue = (v) => !UNKNOWN.has(String(v ?? '').trim().toLowerCase());
@@ -14,6 +33,9 @@ export const esc = (v) =>
     .replace(/"/g, '&quot;')
     .replace(/'/g, '&#39;');
 
+// Numeric cells may be ranges or estimates ("70-85", "~46") -> "70–85", "≈46".
+const measure = (v) => describeValue(parseValue(v)) || v;
+
 const slugify = (s) => String(s).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
 
 // Assign a unique, filesystem-safe slug per row (prefers existing short_name).
@@ -61,13 +83,147 @@ const SPEC_ROWS = [
   ['prescription_support', 'Sehstärke'],
 ];
 
+// Rows of one manufacturer entity; the raw cell for rows the generator has not resolved.
+const brandKey = (row) => row.manufacturer_id || row.manufacturer;
+
+const FOV_FIELDS = ['fov_horizontal_deg', 'fov_vertical_deg', 'fov_diagonal_deg'];
+const CONFIDENCE_LABEL = { high: 'hoch', medium: 'mittel', low: 'niedrig' };
+const PRICE_KIND_LABEL = { launch: 'Launch', msrp_change: 'UVP-Änderung', street: 'Straßenpreis' };
+
+// Superscript citation links ([1], [2]) for one spec row; numbering is shared
+// across the page so the "Quellen" list below resolves every marker.
+const citationMarker = (citations, prov) => {
+  if (!prov) return '';
+  const title = `Quelle${prov.confidence ? `, Konfidenz ${CONFIDENCE_LABEL[prov.confidence] || prov.confidence}` : ''}${prov.appliedAt ? `, übernommen ${prov.appliedAt}` : ''}`;
+  return ` <sup class="cite">${citations
+    .cite(prov.sources)
+    .map((c) => `<a href="#quelle-${c.number}" title="${esc(title)}">[${c.number}]</a>`)
+    .join('')}</sup>`;
+};
+
+const formatPricePoint = (point) =>
+  new Intl.NumberFormat('de-DE', { style: 'currency', currency: point.currency, maximumFractionDigits: 0 }).format(point.price);
+
+// Chart + dated list, only once there is more than the launch price to show.
+const priceHistoryHtml = (points, citations, name) => {
+  if (points.length < 2) return '';
+  const chart = buildPriceChartSvg(points, { label: `Preisverlauf ${name}`, formatPrice: formatPricePoint });
+  const rowsHtml = points
+    .map((point) => {
+      const cite = point.source ? citationMarker(citations, { sources: [point.source] }) : '';
+      return `<tr><th>${esc(point.date)}</th><td>${esc(formatPricePoint(point))} · ${esc(PRICE_KIND_LABEL[point.kind] || point.kind)}${cite}</td></tr>`;
+    })
+    .join('');
+  return `<h2>Preisverlauf</h2>\n${chart}\n<table><tbody>${rowsHtml}</tbody></table>`;
+};
+
 const fovValue = (row) => {
   const parts = [row.fov_horizontal_deg, row.fov_vertical_deg, row.fov_diagonal_deg].map((v) =>
-    hasValue(v) ? `${v}°` : '–',
+    hasValue(v) ? `${measure(v)}°` : '–',
   );
   return parts.every((p) => p === '–') ? '' : parts.join(' / ');
 };
 
+// Derived rows below the curated specs; no citation, they are computed from
+// resolution, FOV and price.
+const OPTICAL_METRIC_ROWS = [
+  ['ppd', 'Pixel pro Grad (PPD)', ''],
+  ['fovArea', 'Sichtfeld-Fläche', ' Quadratgrad'],
+  ['usdPerDegree', 'Preis pro Grad FOV', ' USD'],
+];
+
+const ESTIMATE_NOTE = { h: 'geschätzt aus horizontalem FOV', d: 'geschätzt aus diagonalem FOV', v: 'geschätzt aus vertikalem FOV' };
+
+const opticalMetricRows = (row) => {
+  const metrics = computeOpticalMetrics(row);
+  return OPTICAL_METRIC_ROWS.map(([key, label, suffix]) => {
+    const metric = metrics[key];
+    if (!metric) return '';
+    const note = metric.estimated ? ` (${ESTIMATE_NOTE[metrics.axis]})` : '';
+    return `<tr><th>${label}</th><td>${metric.estimated ? '≈' : ''}${esc(metric.value)}${suffix}${note}</td></tr>`;
+  }).filter(Boolean);
+};
+
+// Spec deltas between generations: "+8° FOV, −15 g, +$100".
+const DELTA_FORMAT = {
+  fov: ['', '° FOV'],
+  resolution: ['', ' px/Auge'],
+  refresh_hz: ['', ' Hz'],
+  brightness_nits: ['', ' nits'],
+  weight_g: ['', ' g'],
+  price_usd: ['$', ''],
+};
+const formatDeltas = (deltas) =>
+  deltas
+    .map(({ field, delta }) => {
+      const [prefix, suffix] = DELTA_FORMAT[field];
+      return `${delta > 0 ? '+' : '−'}${prefix}${Math.abs(delta).toLocaleString('de-DE')}${suffix}`;
+    })
+    .join(', ');
+
+// Generations of the device's product line, oldest first, each with its spec
+// changes against the previous generation. Empty without lineage links.
+const familyTimelineHtml = (row, rows, paths) => {
+  const family = getFamily(row, rows);
+  if (family.length < 2) return '';
+  const items = family.map((member, index) => {
+    const current = member.id === row.id;
+    const year = parsePartialDate(member.release_date)?.year;
+    const deltas = index ? formatDeltas(getSpecDeltas(family[index - 1], member)) : '';
+    const name = current ? `<strong>${esc(member.name)}</strong>` : `<a href="/${paths.get(member.id).path}/">${esc(member.name)}</a>`;
+    return `<li${current ? ' class="cur"' : ''}>${name}${year ? ` · ${year}` : ''}${deltas ? `<span class="delta">${esc(deltas)} ggü. Vorgänger</span>` : ''}</li>`;
+  });
+  return `<h2>Modellfamilie${hasValue(row.family) ? ` ${esc(row.family)}` : ''}</h2><ol class="fam">${items.join('')}</ol>`;
+};
+
+// Editions of the device; each links to the SPA compare with that edition.
+const variantTableHtml = (row, variants) => {
+  if (!variants.length) return '';
+  const items = variants.map((variant) => {
+    const edition = applyVariant(row, variant);
+    const details = [variant.storage, variant.color, variant.region, variant.weight_g ? `${variant.weight_g} g` : ''].filter(Boolean);
+    const price = hasValue(edition.price_usd) ? `ca. ${edition.price_usd} USD` : 'Preis k. A.';
+    return `<tr><th>${esc(variant.label)}</th><td>${esc([price, ...details].join(' · '))} <a href="/?selectedIds=${esc(variantId(row.id, variant.key))}&compareMode=true">Vergleichen</a></td></tr>`;
+  });
+  return `<h2 id="editionen">Editionen</h2>\n<table><tbody>${items.join('')}</tbody></table>`;
+};
+
+// schema.org ProductGroup for devices sold in editions: the device becomes the
+// group and every edition a Product variant with its own offer. Devices without
+// variants keep their plain Product.
+export const toProductGroup = (product, row, variants) => {
+  if (!variants.length) return product;
+  const { offers, ...group } = product;
+  const colors = new Set(variants.map((variant) => variant.color).filter(Boolean));
+  return {
+    ...group,
+    '@type': 'ProductGroup',
+    productGroupID: row.id,
+    ...(colors.size > 1 ? { variesBy: ['https://schema.org/color'] } : {}),
+    hasVariant: variants.map((variant) => {
+      const edition = applyVariant(row, variant);
+      const weight = parseValue(edition.weight_g, 'g')?.min;
+      return {
+        '@type': 'Product',
+        name: edition.name,
+        sku: variantId(row.id, variant.key),
+        ...(variant.color ? { color: variant.color } : {}),
+        ...(weight ? { weight: { '@type': 'QuantitativeValue', value: weight, unitCode: 'GRM' } } : {}),
+        ...(variant.storage ? { additionalProperty: [{ '@type': 'PropertyValue', name: 'Speicher', value: variant.storage }] } : {}),
+        ...(hasValue(edition.price_usd)
+          ? {
+              offers: {
+                ...(offers || { '@type': 'Offer', priceCurrency: 'USD' }),
+                price: String(edition.price_usd),
+                ...(variant.region ? { areaServed: variant.region } : {}),
+              },
+            }
+          : {}),
+      };
+    }),
+  };
+};
+
 const head = ({ title, description, canonical, image, imageAlt = '', ogType = 'website', extraMeta = '', jsonLd, baseUrl }) => {
   const ogImage = image || `${baseUrl}og/startseite.png`;
   return `<!doctype html>
@@ -104,6 +260,9 @@ ${extraMeta}
 body{margin:0;background:#080b0d;color:#f4f7f5;font:16px/1.6 Inter,system-ui,-apple-system,Segoe UI,sans-serif}
 a,button{cursor:pointer}
 a{color:#a3e635;text-decoration:none}a:hover{text-decoration:underline}
+sup.cite{font-size:11px;margin-left:2px}sup.cite a{color:#9aa9a3}
+svg.price-chart{display:block;color:#a3e635;margin:8px 0}
+ol.src{font-size:13px;color:#9aa9a3;padding-left:22px;word-break:break-all}ol.src li{margin:2px 0}
 .wrap{max-width:1040px;margin:0 auto;padding:28px 24px 64px}
 nav.bc{font-size:14px;color:#a8a29e;margin-bottom:24px}
 nav.bc a{color:#a8a29e}
@@ -151,17 +310,34 @@ footer{margin-top:40px;padding-top:20px;border-top:1px solid #292524;color:#9aa9
 .metric strong{display:block;color:#f4f7f5;font-size:30px;letter-spacing:-.04em;line-height:1.1}
 .metric span{display:block;margin-top:5px;color:#9aa9a3;font-size:13px}
 .data-actions{display:flex;flex-wrap:wrap;gap:8px;margin:18px 0 28px}
+img.logo{display:block;max-height:56px;max-width:220px;margin:12px 0}
+ol.fam{list-style:none;margin:8px 0 24px;padding:0 0 0 4px;border-left:2px solid #292524}
+ol.fam li{position:relative;padding:4px 0 10px 18px}
+ol.fam li:before{content:'';position:absolute;left:-7px;top:12px;width:12px;height:12px;border-radius:50%;background:#44403c}
+ol.fam li.cur:before{background:#a3e635}
+ol.fam .delta{display:block;font-size:13px;color:#9aa9a3}
+p.complete{font-size:14px;color:#9aa9a3;margin:-12px 0 24px}
+.cov{overflow-x:auto;margin:8px 0 24px}.cov table{margin:0;font-size:13px}
+.cov th,.cov td{width:auto;padding:4px 6px;white-space:nowrap}
+.cov thead th{writing-mode:vertical-rl;transform:rotate(180deg);vertical-align:bottom}
+.cov td.g0{background:#7f1d1d}.cov td.g1{background:#78350f}.cov td.g2{background:#3f3f1a}.cov td.g3{background:#1a2e13}
+#cov-matrix td{background:#1a2e13}#cov-matrix td.s{background:none}#cov-matrix td.n{background:#7f1d1d}
+.cov-filter{display:flex;flex-wrap:wrap;gap:12px;margin:8px 0;font-size:14px}
+.cov-filter select{font:inherit;background:#12181c;color:inherit;border:1px solid #44403c;border-radius:8px;padding:4px 8px}
 @media(max-width:680px){.wrap{padding:20px 16px 48px}.hero{grid-template-columns:1fr}.hero img,.ph{max-width:100%;width:100%}}
 @media(prefers-color-scheme:light){
   body{background:#f2f4ef;color:#17201b}
-  a{color:#3f6212}nav.bc,nav.bc a,th,.affnote,.aud{color:#526159}
+  a,svg.price-chart{color:#3f6212}nav.bc,nav.bc a,th,.affnote,.aud{color:#526159}
   .badge,.badge.cat,.badge.xr,.cta{border-color:#d3dbd2;color:#17201b;background:#f1f4ed}
   .hero img,.ph,.note,.hl{background:#fbfcf8;border-color:#d3dbd2;color:#526159}
   .price{color:#17201b}th,td,footer{border-color:#d3dbd2}.lead,footer{color:#526159}
   .cta.primary{background:#3f6212;border-color:#3f6212;color:#fff}
   .cta.buy{border-color:#adb9ae;color:#17201b}.cta.buy:hover{background:#e8ede4;border-color:#4d7c0f;color:#3f6212}
   .hl h2{color:#3f6212}
+  ol.fam{border-color:#d3dbd2}ol.fam li:before{background:#adb9ae}ol.fam li.cur:before{background:#3f6212}ol.fam .delta{color:#526159}
   .faq,.metric{background:#fbfcf8;border-color:#d3dbd2}
+  p.complete{color:#526159}.cov-filter select{background:#fbfcf8;border-color:#d3dbd2}
+  .cov td.g0,#cov-matrix td.n{background:#fecaca}.cov td.g1{background:#fde68a}.cov td.g2{background:#ecfccb}.cov td.g3,#cov-matrix td{background:#bbf7d0}#cov-matrix td.s{background:none}
   .faq summary,.metric strong{color:#17201b}.faq p,.metric span{color:#526159}
 }
 @media(max-width:760px){.metrics{grid-template-columns:repeat(2,minmax(0,1fr))}}
@@ -189,7 +365,15 @@ const shareButtons = (title, url) => {
     .join('')}</div></div>`;
 };
 
-export const buildDevicePage = (row, rows, slugs, paths, baseUrl, overrides = {}, descriptions = {}) => {
+// `stores` holds the curated JSON files a page draws on; any of them may be missing.
+export const buildDevicePage = (
+  row,
+  rows,
+  slugs,
+  paths,
+  baseUrl,
+  { overrides = {}, descriptions = {}, provenance = {}, priceHistory = {}, variants: variantStore = {}, linkHealth = {} } = {},
+) => {
   const slug = slugs.get(row.id);
   const pagePath = paths.get(row.id).path;
   const editorial = descriptions[row.id] || {};
@@ -205,11 +389,21 @@ export const buildDevicePage = (row, rows, slugs, paths, baseUrl, overrides = {}
   const canonical = `${baseUrl}${pagePath}/`;
   const cat = CATEGORY_LABEL(row.xr_category);
   const isXr = String(row.xr_category).toUpperCase() === 'XR';
-  const priceText = hasValue(row.price_usd) ? `ca. ${row.price_usd} USD` : 'Preis k. A.';
+  const originalPrice =
+    hasValue(row.price_original) && hasValue(row.price_currency) && row.price_currency !== 'USD'
+      ? formatPricePoint({ price: Number(row.price_original), currency: row.price_currency })
+      : '';
+  const variants = getVariants(variantStore, row.id);
+  const priceRange = variants.length ? getPriceRange(row, variants) : null;
+  const priceText = priceRange
+    ? `ab ca. ${priceRange.min} USD`
+    : hasValue(row.price_usd)
+      ? `ca. ${row.price_usd} USD${originalPrice ? ` (Launch: ${originalPrice}, umgerechnet zum Launch-Kurs)` : ''}`
+      : 'Preis k. A.';
 
   const descParts = [
     `${row.name} (${row.manufacturer}) — ${cat}.`,
-    hasValue(row.price_usd) ? `Preis ca. $${row.price_usd}.` : '',
+    priceRange ? `Preis ab $${priceRange.min}.` : hasValue(row.price_usd) ? `Preis ca. $${row.price_usd}.` : '',
     hasValue(row.display_type) ? `${row.display_type}.` : '',
     fovValue(row) ? `FOV ${fovValue(row)}.` : '',
     hasValue(row.resolution_per_eye) ? `${row.resolution_per_eye} pro Auge.` : '',
@@ -217,39 +411,85 @@ export const buildDevicePage = (row, rows, slugs, paths, baseUrl, overrides = {}
   ].filter(Boolean);
   const description = (editorial.description || descParts.join(' ')).slice(0, 300);
 
+  const citations = createCitations();
   const specRowsHtml = SPEC_ROWS.map(([key, label, suffix]) => {
     let value = key === '__fov__' ? fovValue(row) : row[key];
     if (key === 'release_date' || key === 'announced_date') value = hasValue(value) ? value : '';
     if (!hasValue(value) && key !== '__fov__') return '';
     if (key === '__fov__' && !value) return '';
     if (key === 'xr_category') value = `${row.xr_category} (${cat})`;
-    return `<tr><th>${label}</th><td>${esc(value)}${suffix && hasValue(row[key]) ? suffix : ''}</td></tr>`;
+    const cite = citationMarker(citations, getProvenance(provenance, row.id, key === '__fov__' ? FOV_FIELDS : key));
+    return `<tr><th>${label}</th><td>${esc(suffix ? measure(value) : value)}${suffix && hasValue(row[key]) ? suffix : ''}${cite}</td></tr>`;
   })
+    .concat(opticalMetricRows(row))
     .filter(Boolean)
     .join('\n');
 
-  const lifecycle = `<div class="note"><strong>Lifecycle:</strong> ${esc(row.eol_status || 'k. A.')}` +
+  // Links scripts/check-links.mjs found gone point to the Wayback Machine copy.
+  const officialDead = hasValue(row.official_url) && isDeadLink(linkHealth, row.official_url);
+  const sourceDead = hasValue(row.lifecycle_source) && isDeadLink(linkHealth, row.lifecycle_source);
+  const priceHistorySection = priceHistoryHtml(getPriceHistory(priceHistory, row.id), citations, row.name);
+  const lifecycleCite = citationMarker(citations, getProvenance(provenance, row.id, ['eol_status', 'active_distribution', 'eol_date']));
+  const status = getLifecycleStatus(row);
+  const lifecycle = `<div class="note"><strong>Lifecycle:</strong> ${esc(lifecycleLabel(status))} · ${esc(row.eol_status || 'k. A.')}${lifecycleCite}` +
     `${hasValue(row.active_distribution) ? ` · Aktiver Vertrieb: ${esc(row.active_distribution)}` : ''}` +
     `${hasValue(row.eol_date) ? ` · EOL: ${esc(row.eol_date)}` : ''}` +
     `${hasValue(row.lifecycle_notes) ? `<br>${esc(row.lifecycle_notes)}` : ''}` +
-    `${hasValue(row.lifecycle_source) ? ` <a href="${esc(row.lifecycle_source)}" rel="nofollow noopener">Quelle</a>` : ''}</div>`;
+    `${hasValue(row.lifecycle_source)
+      ? sourceDead
+        ? ` <a href="${esc(archiveUrl(row.lifecycle_source))}" rel="nofollow noopener">Quelle (archiviert)</a>`
+        : ` <a href="${esc(row.lifecycle_source)}" rel="nofollow noopener">Quelle</a>`
+      : ''}</div>`;
+  const sourcesHtml = citations.sources.length
+    ? `<h2>Quellen</h2><ol class="src">${citations.sources
+        .map((url, i) => `<li id="quelle-${i + 1}"><a href="${esc(url)}" rel="nofollow noopener">${esc(url)}</a></li>`)
+        .join('')}</ol>`
+    : '';
 
+  const brandName = getManufacturerName(row);
+  const brandHref = row.manufacturer_id ? `/${row.manufacturer_id}/` : '';
   const related = rows
-    .filter((r) => r.id !== row.id && r.manufacturer === row.manufacturer)
+    .filter((r) => r.id !== row.id && brandKey(r) === brandKey(row))
     .slice(0, 8)
     .map((r) => `<li><a href="/${paths.get(r.id).path}/">${esc(r.name)}</a></li>`)
     .join('');
   const sameCat = rows
-    .filter((r) => r.id !== row.id && r.xr_category === row.xr_category && r.manufacturer !== row.manufacturer)
+    .filter((r) => r.id !== row.id && r.xr_category === row.xr_category && brandKey(r) !== brandKey(row))
     .slice(0, 8)
     .map((r) => `<li><a href="/${paths.get(r.id).path}/">${esc(r.name)}</a></li>`)
     .join('');
 
   const image = hasValue(row.image_url) ? row.image_url : '';
+  const released = parsePartialDate(row.release_date);
   const heroMedia = image
     ? `<img src="${esc(image)}" alt="${esc(row.name)}" loading="lazy" decoding="async" referrerpolicy="no-referrer" width="280" height="160" />`
     : `<div class="ph">${esc((row.name || '?').slice(0, 2).toUpperCase())}</div>`;
 
+  const product = {
+    '@type': 'Product',
+    name: row.name,
+    category: cat,
+    brand: { '@type': 'Brand', name: brandName },
+    ...(image ? { image } : {}),
+    ...(released ? { releaseDate: released.iso } : {}),
+    description,
+    additionalProperty: SPEC_ROWS.flatMap(([key, label]) => {
+      const v = key === '__fov__' ? fovValue(row) : row[key];
+      return hasValue(v) ? [{ '@type': 'PropertyValue', name: label, value: String(v) }] : [];
+    }),
+    ...(hasValue(row.price_usd)
+      ? {
+          offers: {
+            '@type': 'Offer',
+            priceCurrency: 'USD',
+            price: String(row.price_usd),
+            ...(SCHEMA_AVAILABILITY[status] ? { availability: SCHEMA_AVAILABILITY[status] } : {}),
+            ...(hasValue(row.official_url) && !officialDead ? { url: row.official_url } : {}),
+          },
+        }
+      : {}),
+  };
+
   const jsonLd = {
     '@context': 'https://schema.org',
     '@graph': [
@@ -258,46 +498,22 @@ export const buildDevicePage = (row, rows, slugs, paths, baseUrl, overrides = {}
         itemListElement: [
           { '@type': 'ListItem', position: 1, name: 'Start', item: baseUrl },
           { '@type': 'ListItem', position: 2, name: 'Modelle', item: `${baseUrl}modelle/` },
-          { '@type': 'ListItem', position: 3, name: row.name, item: canonical },
+          ...(brandHref ? [{ '@type': 'ListItem', position: 3, name: brandName, item: `${baseUrl}${row.manufacturer_id}/` }] : []),
+          { '@type': 'ListItem', position: brandHref ? 4 : 3, name: row.name, item: canonical },
         ],
       },
-      {
-        '@type': 'Product',
-        name: row.name,
-        category: cat,
-        brand: { '@type': 'Brand', name: row.manufacturer },
-        ...(image ? { image } : {}),
-        ...(hasValue(row.release_date) ? { releaseDate: row.release_date } : {}),
-        description,
-        additionalProperty: SPEC_ROWS.flatMap(([key, label]) => {
-          const v = key === '__fov__' ? fovValue(row) : row[key];
-          return hasValue(v) ? [{ '@type': 'PropertyValue', name: label, value: String(v) }] : [];
-        }),
-        ...(hasValue(row.price_usd)
-          ? {
-              offers: {
-                '@type': 'Offer',
-                priceCurrency: 'USD',
-                price: String(row.price_usd),
-                availability: String(row.active_distribution).toLowerCase().startsWith('ja')
-                  ? 'https://schema.org/InStock'
-                  : 'https://schema.org/Discontinued',
-                ...(hasValue(row.official_url) ? { url: row.official_url } : {}),
-              },
-            }
-          : {}),
-      },
+      toProductGroup(product, row, variants),
     ],
   };
 
   const pageTitle = `${row.name} – Specs, Preis & Vergleich | AR Directory`;
   const shareTitle = `${row.name} (${row.manufacturer}) – AR Directory`;
   const imageAlt = `${row.name} – ${cat} von ${row.manufacturer}`;
-  const inStock = String(row.active_distribution).toLowerCase().startsWith('ja');
+  const ogAvailability = { announced: 'out of stock', preorder: 'preorder', shipping: 'in stock' }[status] || 'discontinued';
   const extraMeta = [
-    `<meta property="product:brand" content="${esc(row.manufacturer)}" />`,
+    `<meta property="product:brand" content="${esc(brandName)}" />`,
     hasValue(row.price_usd)
-      ? `<meta property="product:price:amount" content="${esc(row.price_usd)}" />\n<meta property="product:price:currency" content="USD" />\n<meta property="product:availability" content="${inStock ? 'in stock' : 'discontinued'}" />`
+      ? `<meta property="product:price:amount" content="${esc(row.price_usd)}" />\n<meta property="product:price:currency" content="USD" />\n<meta property="product:availability" content="${ogAvailability}" />`
       : '',
     `<meta name="twitter:label1" content="Preis" />\n<meta name="twitter:data1" content="${esc(hasValue(row.price_usd) ? `${row.price_usd} USD` : 'k. A.')}" />`,
     `<meta name="twitter:label2" content="Kategorie" />\n<meta name="twitter:data2" content="${esc(cat)}" />`,
@@ -309,28 +525,37 @@ export const buildDevicePage = (row, rows, slugs, paths, baseUrl, overrides = {}
   return `${head({ title: pageTitle, description, canonical, image: ogCard, imageAlt, ogType: 'product', extraMeta, jsonLd, baseUrl })}
 <body>
 <div class="wrap">
-<nav class="bc"><a href="/">Start</a> › <a href="/modelle/">Modelle</a> › ${esc(row.name)}</nav>
+<nav class="bc"><a href="/">Start</a> › <a href="/modelle/">Modelle</a> › ${brandHref ? `<a href="${brandHref}">${esc(brandName)}</a> › ` : ''}${esc(row.name)}</nav>
 <header>
 <h1>${esc(row.name)}</h1>
-<div class="badges"><span class="badge ${isXr ? 'xr' : 'cat'}">${esc(cat)}</span><span class="badge">${esc(row.manufacturer)}</span>${hasValue(row.release_date) ? `<span class="badge">Release ${esc(row.release_date)}</span>` : ''}</div>
+<div class="badges"><span class="badge ${isXr ? 'xr' : 'cat'}">${esc(cat)}</span>${brandHref ? `<a class="badge" href="${brandHref}">${esc(brandName)}</a>` : `<span class="badge">${esc(brandName)}</span>`}${hasValue(row.release_date) ? `<span class="badge">Release ${esc(row.release_date)}</span>` : ''}${UPCOMING_STATUSES.includes(status) ? `<span class="badge">${esc(lifecycleLabel(status))}</span>` : ''}</div>
 </header>
 <div class="hero">
 ${heroMedia}
 <div>
-<p class="price">${esc(priceText)}</p>
+<p class="price">${esc(priceText)}${variants.length ? ` · <a href="#editionen">${variants.length} Editionen</a>` : ''}</p>
 <p class="lead">${esc(editorial.description || `${row.name} von ${row.manufacturer} im AR/XR Brillen Vergleich: alle Spezifikationen, Preis, Lifecycle-Status und der direkte Vergleich mit anderen Modellen.`)}</p>
 <a class="cta primary" href="/?selectedIds=${esc(row.id)}&compareMode=true">Im Vergleich öffnen</a>
-${hasValue(row.official_url) ? `<a class="cta" href="${esc(row.official_url)}" rel="nofollow noopener">Offizielle Produktseite</a>` : ''}
+${hasValue(row.official_url)
+  ? officialDead
+    ? `<a class="cta" href="${esc(archiveUrl(row.official_url))}" rel="nofollow noopener">Produktseite (archiviert)</a>`
+    : `<a class="cta" href="${esc(row.official_url)}" rel="nofollow noopener">Offizielle Produktseite</a>`
+  : ''}
 </div>
 </div>
 ${highlightsHtml}
 ${buyHtml}
+${variantTableHtml(row, variants)}
 <h2>Technische Daten</h2>
 <table><tbody>
 ${specRowsHtml}
 </tbody></table>
+${completenessNoteHtml(row)}
+${priceHistorySection}
 ${lifecycle}
-${related ? `<h2>Weitere Modelle von ${esc(row.manufacturer)}</h2><ul class="rel">${related}</ul>` : ''}
+${familyTimelineHtml(row, rows, paths)}
+${sourcesHtml}
+${related ? `<h2>Weitere Modelle von ${brandHref ? `<a href="${brandHref}">${esc(brandName)}</a>` : esc(brandName)}</h2><ul class="rel">${related}</ul>` : ''}
 ${sameCat ? `<h2>Aehnliche ${esc(cat)}-Modelle</h2><ul class="rel">${sameCat}</ul>` : ''}
 ${shareButtons(shareTitle, canonical)}
 <footer>
@@ -360,9 +585,12 @@ export const buildRedirectStub = (target, name = '') => `<!doctype html>
 export const buildModelIndex = (rows, slugs, paths, meta, baseUrl) => {
   const canonical = `${baseUrl}modelle/`;
   const byMfr = new Map();
+  const brandIds = new Map();
   for (const row of rows) {
-    if (!byMfr.has(row.manufacturer)) byMfr.set(row.manufacturer, []);
-    byMfr.get(row.manufacturer).push(row);
+    const mfr = getManufacturerName(row);
+    if (!byMfr.has(mfr)) byMfr.set(mfr, []);
+    byMfr.get(mfr).push(row);
+    if (row.manufacturer_id) brandIds.set(mfr, row.manufacturer_id);
   }
   const mfrs = [...byMfr.keys()].sort((a, b) => a.localeCompare(b, 'de', { sensitivity: 'base' }));
   const sections = mfrs
@@ -372,7 +600,8 @@ export const buildModelIndex = (rows, slugs, paths, meta, baseUrl) => {
         .sort((a, b) => a.name.localeCompare(b.name, 'de'))
         .map((r) => `<li><a href="/${paths.get(r.id).path}/">${esc(r.name)}</a>${hasValue(r.price_usd) ? ` <span style="color:#78716c">· $${esc(r.price_usd)}</span>` : ''}</li>`)
         .join('');
-      return `<section><h2>${esc(mfr)}</h2><ul class="rel">${items}</ul></section>`;
+      const heading = brandIds.has(mfr) ? `<a href="/${brandIds.get(mfr)}/">${esc(mfr)}</a>` : esc(mfr);
+      return `<section><h2>${heading}</h2><ul class="rel">${items}</ul></section>`;
     })
     .join('\n');
 
@@ -405,6 +634,110 @@ ${sections}
 `;
 };
 
+const regionName = (code) => {
+  try {
+    return new Intl.DisplayNames(['de'], { type: 'region' }).of(code) || code;
+  } catch {
+    return code;
+  }
+};
+
+// Manufacturer page at /<id>/: company facts from manufacturers.json, counts by
+// lifecycle status, the portfolio and a release timeline by year. `entity` is
+// null for manufacturers without a curated entry (name from the rows then).
+export const buildBrandPage = (id, entity, rows, paths, baseUrl) => {
+  const canonical = `${baseUrl}${id}/`;
+  const name = entity?.name || getManufacturerName(rows[0]);
+  const deviceLink = (r) => `<a href="/${paths.get(r.id).path}/">${esc(r.name)}</a>`;
+  const counts = {
+    total: rows.length,
+    active: rows.filter(isLikelyActive).length,
+    eol: rows.filter(isEol).length,
+    upcoming: rows.filter((r) => UPCOMING_STATUSES.includes(getLifecycleStatus(r))).length,
+  };
+
+  const status = entity?.acquired_by ? `Übernommen von ${esc(entity.acquired_by)}` : companyStatusLabel(entity?.status);
+  const facts = [
+    ['Land', entity?.country ? esc(regionName(entity.country)) : ''],
+    ['Website', entity?.website ? `<a href="${esc(entity.website)}" rel="nofollow noopener">${esc(entity.website.replace(/^https?:\/\//, ''))}</a>` : ''],
+    ['Gegründet', entity?.founded ? esc(entity.founded) : ''],
+    ['Status', status],
+    ['Auch bekannt als', entity?.aliases?.length ? esc(entity.aliases.join(', ')) : ''],
+  ]
+    .filter(([, value]) => value)
+    .map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`)
+    .join('\n');
+
+  const portfolio = [...rows]
+    .sort((a, b) => a.name.localeCompare(b.name, 'de'))
+    .map((r) => `<li>${deviceLink(r)} <span style="color:#78716c">· ${esc(lifecycleLabel(getLifecycleStatus(r)))}</span></li>`)
+    .join('');
+
+  // Newest year first; devices without a release date close the timeline.
+  const byYear = new Map();
+  for (const r of [...rows].sort((a, b) => comparePartialDates(b.release_date, a.release_date))) {
+    const year = parsePartialDate(r.release_date)?.year ?? 'Ohne Datum';
+    if (!byYear.has(year)) byYear.set(year, []);
+    byYear.get(year).push(r);
+  }
+  const timeline = [...byYear]
+    .map(([year, items]) => `<h3>${esc(year)}</h3><ul class="rel">${items.map((r) => `<li>${deviceLink(r)}</li>`).join('')}</ul>`)
+    .join('\n');
+
+  const description = `${name}: alle ${counts.total} AR/XR-Brillen im AR Directory – ${counts.active} im Handel, ${counts.eol} eingestellt. Portfolio, Release-Zeitleiste und Specs.`;
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@graph': [
+      {
+        '@type': 'BreadcrumbList',
+        itemListElement: [
+          { '@type': 'ListItem', position: 1, name: 'Start', item: baseUrl },
+          { '@type': 'ListItem', position: 2, name: 'Modelle', item: `${baseUrl}modelle/` },
+          { '@type': 'ListItem', position: 3, name, item: canonical },
+        ],
+      },
+      {
+        '@type': 'Organization',
+        name,
+        url: canonical,
+        ...(entity?.aliases?.length ? { alternateName: entity.aliases } : {}),
+        ...(entity?.website ? { sameAs: [entity.website] } : {}),
+        ...(entity?.founded ? { foundingDate: String(entity.founded) } : {}),
+        ...(entity?.country ? { address: { '@type': 'PostalAddress', addressCountry: entity.country } } : {}),
+        ...(entity?.logo ? { logo: entity.logo } : {}),
+        ...(entity?.acquired_by ? { parentOrganization: { '@type': 'Organization', name: entity.acquired_by } } : {}),
+      },
+    ],
+  };
+
+  return `${head({ title: `${name} AR/XR Brillen – alle ${counts.total} Modelle | AR Directory`, description, canonical, jsonLd, baseUrl })}
+<body>
+<div class="wrap">
+<nav class="bc"><a href="/">Start</a> › <a href="/modelle/">Modelle</a> › ${esc(name)}</nav>
+<header>
+<h1>${esc(name)}</h1>
+${entity?.logo ? `<img class="logo" src="${esc(entity.logo)}" alt="${esc(name)} Logo" loading="lazy" decoding="async" referrerpolicy="no-referrer" />` : ''}
+<p class="lead">${counts.total} ${counts.total === 1 ? 'Modell' : 'Modelle'} von ${esc(name)} im AR Directory, mit Einzelseiten, Specs und Lifecycle-Status.</p>
+</header>
+<div class="metrics">
+<div class="metric"><strong>${counts.total}</strong><span>Modelle</span></div>
+<div class="metric"><strong>${counts.active}</strong><span>Im Handel</span></div>
+<div class="metric"><strong>${counts.eol}</strong><span>Eingestellt / EOL</span></div>
+<div class="metric"><strong>${counts.upcoming}</strong><span>Angekündigt</span></div>
+</div>
+${facts ? `<h2>Unternehmen</h2><table><tbody>\n${facts}\n</tbody></table>` : ''}
+<p><a class="cta primary" href="/?manufacturer=${encodeURIComponent(name)}">Im Vergleich filtern</a></p>
+<h2>Portfolio</h2>
+<ul class="rel">${portfolio}</ul>
+<h2>Release-Zeitleiste</h2>
+${timeline}
+<footer><a href="/">AR Directory</a> · <a href="/modelle/">Modelle</a> · <a href="/faq.html">FAQ</a> · <a href="/glossar.html">Glossar</a> · <a href="/data.html">Daten</a> · <a href="/impressum.html">Impressum</a> · <a href="/datenschutz.html">Datenschutz</a></footer>
+</div>
+</body>
+</html>
+`;
+};
+
 const FAQ = [
   ['Was ist der Unterschied zwischen AR- und XR-Brillen?', 'AR-Brillen (Augmented Reality) blenden digitale Inhalte in die reale Umgebung ein, meist über transparente Optiken wie Waveguides oder Birdbath-Linsen. XR ist der Oberbegriff (Extended Reality) und umfasst hier vor allem VR-/MR-Headsets mit Kamera-Passthrough, die die Umgebung digital darstellen.'],
   ['Welche AR-Brille hat das größte Sichtfeld (FOV)?', 'Das Sichtfeld (FOV) unterscheidet sich stark: viele Display-/Birdbath-Brillen liegen bei 40–52° diagonal, Waveguide-Brillen oft darunter, während MR-Headsets deutlich größere Sichtfelder erreichen. Im Vergleich lässt sich nach minimalem FOV filtern und sortieren.'],
@@ -470,7 +803,96 @@ ${FAQ.map(([q, a], index) => `<details class="faq"${index === 0 ? ' open' : ''}>
 `;
 };
 
-export const buildDataOverview = (meta, baseUrl) => {
+// When each manufacturer's rows were last checked against a source
+// (last_verified_at, see src/data/freshness.js).
+const freshnessHtml = (meta) => {
+  const freshness = meta.freshness;
+  if (!freshness) return '';
+  const rowsHtml = freshness.by_manufacturer
+    .map(
+      (group) =>
+        `<tr><th>${esc(group.manufacturer)}</th><td>${esc(group.records)}</td><td>${esc(group.verified_recently)}</td><td>${esc(group.never_verified)}</td><td>${esc(group.latest_verification || '–')}</td></tr>`,
+    )
+    .join('\n');
+  return `<h2>Aktualität der Prüfung</h2>
+<p>${esc(freshness.verified_recently)} von ${esc(meta.records)} Modellen wurden in den letzten ${esc(freshness.stale_after_months)} Monaten gegen eine Quelle geprüft, ${esc(freshness.never_verified)} noch nie einzeln. Das Prüfdatum steht in der Spalte <code>last_verified_at</code>.</p>
+<table><thead><tr><th>Hersteller</th><th>Modelle</th><th>Geprüft (≤ ${esc(freshness.stale_after_months)} Monate)</th><th>Nie geprüft</th><th>Letzte Prüfung</th></tr></thead><tbody>
+${rowsHtml}
+</tbody></table>`;
+};
+
+// How much of one device is known (src/data/completeness.js), with the
+// missing core specs named so readers can judge the row.
+const completenessNoteHtml = (row) => {
+  const { score, missing } = getCompleteness(row);
+  const core = missing.filter((entry) => entry.tier === 'core').map((entry) => entry.label);
+  return `<p class="complete">Datenvollständigkeit: ${score} %${core.length ? ` · ohne Angabe: ${esc(core.join(', '))}` : ''} · <a href="/data.html#vollstaendigkeit">Methodik</a></p>`;
+};
+
+const coverageBand = (percent) => `g${Math.min(3, Math.floor(percent / 25))}`;
+
+// Fields x groups (category, manufacturers with at least three models) as
+// percent filled, then every device x field, fewest known values first. The
+// selects filter the device matrix by manufacturer, category and missing field.
+const completenessHtml = (rows, paths) => {
+  if (!rows.length) return '';
+  const fieldHeads = COMPLETENESS_FIELDS.map((entry) => `<th title="${esc(entry.label)}">${esc(entry.label)}</th>`).join('');
+  const groupName = (row) => row.manufacturer_name || row.manufacturer;
+  const groups = [
+    ...completenessByGroup(rows, (row) => row.xr_category).sort((left, right) => left.key.localeCompare(right.key)),
+    ...completenessByGroup(rows, groupName)
+      .filter((group) => group.rows >= 3)
+      .sort((left, right) => left.score - right.score || left.key.localeCompare(right.key, 'de', { sensitivity: 'base' })),
+  ];
+  const groupRows = groups
+    .map(
+      (group) =>
+        `<tr><th>${esc(group.key)}</th><td>${group.rows}</td><td>${group.score} %</td>${COMPLETENESS_FIELDS.map((entry) => `<td class="${coverageBand(group.fields[entry.key])}">${group.fields[entry.key]}</td>`).join('')}</tr>`,
+    )
+    .join('\n');
+  const scored = rows
+    .map((row) => ({ row, ...getCompleteness(row) }))
+    .sort((left, right) => left.score - right.score || String(left.row.name).localeCompare(String(right.row.name), 'de'));
+  const deviceRows = scored
+    .map(({ row, score, missing }) => {
+      const path = paths.get(row.id)?.path;
+      const name = path ? `<a href="/${esc(path)}/">${esc(row.name)}</a>` : esc(row.name);
+      const gaps = new Set(missing.map((entry) => entry.key));
+      return `<tr data-m="${esc(groupName(row))}" data-c="${esc(row.xr_category)}"><th>${name}</th><td class="s">${score} %</td>${COMPLETENESS_FIELDS.map((entry) => (gaps.has(entry.key) ? '<td class="n"></td>' : '<td></td>')).join('')}</tr>`;
+    })
+    .join('\n');
+  const options = (values) => values.map(([value, label]) => `<option value="${esc(value)}">${esc(label)}</option>`).join('');
+  const manufacturers = [...new Set(rows.map(groupName))].sort((left, right) => left.localeCompare(right, 'de', { sensitivity: 'base' }));
+  const average = Math.round(scored.reduce((sum, entry) => sum + entry.score, 0) / scored.length);
+  return `<h2 id="vollstaendigkeit">Vollständigkeit je Modell</h2>
+<p>Jedes Modell erhält einen gewichteten Anteil bekannter Angaben: Kernangaben wie Preis, Display, Sichtfeld und Gewicht zählen ${COMPLETENESS_WEIGHTS.core}-fach, Standardangaben wie Helligkeit und Akku ${COMPLETENESS_WEIGHTS.standard}-fach, optionale wie IPD oder Kamera einfach. „Unklar" gilt als fehlend. Durchschnitt: ${average} %. In der App lässt sich danach sortieren und filtern.</p>
+<p>Abgedeckter Anteil in Prozent je Kategorie und Hersteller (ab drei Modellen), die lückenhaftesten zuerst:</p>
+<div class="cov"><table><thead><tr><th>Gruppe</th><th>Modelle</th><th>Score</th>${fieldHeads}</tr></thead><tbody>
+${groupRows}
+</tbody></table></div>
+<div class="cov-filter">
+<label>Hersteller <select id="cov-m"><option value="">Alle</option>${options(manufacturers.map((name) => [name, name]))}</select></label>
+<label>Kategorie <select id="cov-c"><option value="">Alle</option>${options([['AR', 'AR'], ['XR', 'XR']])}</select></label>
+<label>Fehlt <select id="cov-f"><option value="">Beliebig</option>${options(COMPLETENESS_FIELDS.map((entry, index) => [index + 2, entry.label]))}</select></label>
+</div>
+<div class="cov"><table id="cov-matrix"><thead><tr><th>Modell</th><th>Score</th>${fieldHeads}</tr></thead><tbody>
+${deviceRows}
+</tbody></table></div>
+<script>
+(() => {
+  const selects = ['cov-m', 'cov-c', 'cov-f'].map((id) => document.getElementById(id));
+  const apply = () => {
+    const [m, c, f] = selects.map((select) => select.value);
+    for (const tr of document.querySelectorAll('#cov-matrix tbody tr')) {
+      tr.hidden = (m && tr.dataset.m !== m) || (c && tr.dataset.c !== c) || (f && tr.cells[f].className !== 'n');
+    }
+  };
+  selects.forEach((select) => select.addEventListener('change', apply));
+})();
+</script>`;
+};
+
+export const buildDataOverview = (meta, baseUrl, rows = [], paths = new Map()) => {
   const canonical = `${baseUrl}data.html`;
   const coverage = meta.field_coverage || {};
   const coverageRows = [
@@ -495,7 +917,10 @@ export const buildDataOverview = (meta, baseUrl) => {
     distribution: [
       { '@type': 'DataDownload', encodingFormat: 'text/csv', contentUrl: `${baseUrl}data/ar_glasses.csv` },
       { '@type': 'DataDownload', encodingFormat: 'application/json', contentUrl: `${baseUrl}data/ar_glasses.metadata.json` },
+      { '@type': 'DataDownload', encodingFormat: 'application/vnd.datapackage+json', contentUrl: `${baseUrl}data/datapackage.json` },
+      { '@type': 'DataDownload', encodingFormat: 'application/csvm+json', contentUrl: `${baseUrl}data/ar_glasses.csv-metadata.json` },
     ],
+    license: 'https://opensource.org/licenses/MIT',
   };
   const metrics = [
     [meta.records, 'Modelle'],
@@ -522,11 +947,13 @@ export const buildDataOverview = (meta, baseUrl) => {
 <h1>Datenübersicht</h1>
 <p class="lead">Umfang, Aktualität und Feldabdeckung des kuratierten AR-/XR-Datensatzes. Datenstand: ${esc(formatGeneratedDate(meta.generated_at))}.</p>
 <div class="metrics">${metrics.map(([value, label]) => `<div class="metric"><strong>${esc(value)}</strong><span>${esc(label)}</span></div>`).join('')}</div>
-<div class="data-actions"><a class="cta primary" href="/data/ar_glasses.csv">CSV herunterladen</a><a class="cta" href="/data/ar_glasses.metadata.json">Metadaten (JSON)</a><a class="cta" href="/asset-notices.html">Bild- und Quellenhinweise</a></div>
+<div class="data-actions"><a class="cta primary" href="/data/ar_glasses.csv">CSV herunterladen</a><a class="cta" href="/data/ar_glasses.metadata.json">Metadaten (JSON)</a><a class="cta" href="/data/datapackage.json">Data Package</a><a class="cta" href="/data/ar_glasses.csv-metadata.json">CSVW</a><a class="cta" href="/data/device.schema.json">JSON Schema</a><a class="cta" href="/api/v1/index.json">JSON-API</a><a class="cta" href="/changelog.html">Änderungsprotokoll</a><a class="cta" href="/asset-notices.html">Bild- und Quellenhinweise</a></div>
 <h2>Feldabdeckung</h2>
 <table><thead><tr><th>Feld</th><th>Ausgefüllt</th><th>Abdeckung</th></tr></thead><tbody>
 ${coverageRows.map(([key, label]) => `<tr><th>${esc(label)}</th><td>${esc(coverage[key]?.filled ?? 0)} / ${esc(meta.records)}</td><td>${esc(coverage[key]?.percent ?? 0)}%</td></tr>`).join('\n')}
 </tbody></table>
+${freshnessHtml(meta)}
+${completenessHtml(rows, paths)}
 <h2>Methodik</h2>
 <p>Der Datenbestand wird aus kuratierten Quellen erzeugt. Hersteller-, Produkt-, Lifecycle- und Bildquellen werden je Datensatz geführt. Fehlende Angaben werden nicht erfunden, sondern als unbekannt gekennzeichnet. Historische Modelle bleiben für Vergleich und Einordnung enthalten.</p>
 <footer><a href="/">AR Directory</a> · <a href="/modelle/">Modelle</a> · <a href="/faq.html">FAQ</a> · <a href="/glossar.html">Glossar</a> · <a href="/impressum.html">Impressum</a> · <a href="/datenschutz.html">Datenschutz</a></footer>
@@ -536,6 +963,138 @@ ${coverageRows.map(([key, label]) => `<tr><th>${esc(label)}</th><td>${esc(covera
 `;
 };
 
+const CHANGE_GROUPS = [
+  ['added', 'Neue Modelle'],
+  ['removed', 'Entfernt'],
+  ['price', 'Preisänderungen'],
+  ['eol', 'Lifecycle / EOL'],
+  ['spec', 'Spec-Korrekturen'],
+];
+const FEED_ENTRY_LIMIT = 30;
+
+const changeLink = (change, paths, baseUrl = '/') =>
+  paths.has(change.id) ? `${baseUrl}${paths.get(change.id).path}/` : '';
+
+const changeSummary = (changes) =>
+  CHANGE_GROUPS.map(([type, label]) => [label, changes.filter((change) => change.type === type).length])
+    .filter(([, count]) => count)
+    .map(([label, count]) => `${label}: ${count}`)
+    .join(', ');
+
+const formatChangeDate = (date) => formatGeneratedDate(`${date}T00:00:00Z`);
+
+const changeListHtml = (changes, paths, baseUrl) =>
+  CHANGE_GROUPS.map(([type, label]) => {
+    const items = changes.filter((change) => change.type === type);
+    if (!items.length) return '';
+    const list = items
+      .map((change) => {
+        const link = changeLink(change, paths, baseUrl);
+        return `<li>${link ? `<a href="${esc(link)}">${esc(describeChange(change))}</a>` : esc(describeChange(change))}</li>`;
+      })
+      .join('');
+    return `<h3>${esc(label)} (${items.length})</h3><ul>${list}</ul>`;
+  }).join('');
+
+// Dated list of dataset changes (public/data/changelog.json), newest first.
+export const buildChangelogPage = (changelog, paths, baseUrl) => {
+  const canonical = `${baseUrl}changelog.html`;
+  const entries = changelog.entries || [];
+  const sections = entries
+    .map(
+      (entry) =>
+        `<section id="${esc(entry.date)}"><h2>${esc(formatChangeDate(entry.date))}</h2><p class="lead">${esc(changeSummary(entry.changes))}</p>${changeListHtml(entry.changes, paths, '/')}</section>`,
+    )
+    .join('\n');
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'CollectionPage',
+    name: 'Änderungsprotokoll des AR/XR-Datensatzes',
+    url: canonical,
+    ...(entries[0] ? { dateModified: entries[0].date } : {}),
+    isPartOf: { '@type': 'WebSite', url: baseUrl, name: 'AR Directory' },
+  };
+  return `${head({
+    title: 'Änderungsprotokoll | AR Directory',
+    description: 'Neue und entfernte AR-/XR-Brillen, Preisänderungen, EOL-Wechsel und Spec-Korrekturen im Datensatz, nach Datum.',
+    canonical,
+    image: `${baseUrl}og/data.png`,
+    imageAlt: 'Änderungsprotokoll des AR Directory',
+    extraMeta: `<link rel="alternate" type="application/atom+xml" title="AR Directory Änderungen (Atom)" href="${esc(baseUrl)}feed.xml" />
+<link rel="alternate" type="application/feed+json" title="AR Directory Änderungen (JSON Feed)" href="${esc(baseUrl)}feed.json" />`,
+    jsonLd,
+    baseUrl,
+  })}
+<body>
+<div class="wrap">
+<nav class="bc"><a href="/">Start</a> › <a href="/data.html">Datenübersicht</a> › Änderungsprotokoll</nav>
+<h1>Änderungsprotokoll</h1>
+<p class="lead">Was sich im Datensatz geändert hat: neue und entfernte Modelle, Preisänderungen, Lifecycle-/EOL-Wechsel und korrigierte Spezifikationen. Jeder Generatorlauf mit Änderungen ergänzt einen Eintrag.</p>
+<div class="data-actions"><a class="cta primary" href="/feed.xml">Atom-Feed</a><a class="cta" href="/feed.json">JSON Feed</a><a class="cta" href="/data/changelog.json">Rohdaten (JSON)</a></div>
+${sections || '<p class="note">Noch keine Änderungen erfasst.</p>'}
+<footer><a href="/">AR Directory</a> · <a href="/modelle/">Modelle</a> · <a href="/data.html">Daten</a> · <a href="/faq.html">FAQ</a> · <a href="/impressum.html">Impressum</a> · <a href="/datenschutz.html">Datenschutz</a></footer>
+</div>
+</body>
+</html>
+`;
+};
+
+// Feeds carry one item per changelog entry (day), newest first.
+const feedItems = (changelog, baseUrl) =>
+  (changelog.entries || []).slice(0, FEED_ENTRY_LIMIT).map((entry) => ({
+    id: `${baseUrl}changelog.html#${entry.date}`,
+    url: `${baseUrl}changelog.html#${entry.date}`,
+    title: `Datensatz-Update ${formatChangeDate(entry.date)}: ${changeSummary(entry.changes)}`,
+    date: `${entry.date}T00:00:00Z`,
+    entry,
+  }));
+
+// <updated> is the newest entry's date; an empty changelog uses the run that
+// wrote it (changelog.generated_at), so the feed only moves with the changelog.
+export const buildAtomFeed = (changelog, paths, baseUrl) => {
+  const items = feedItems(changelog, baseUrl);
+  const updated = items[0]?.date || changelog.generated_at;
+  const body = items
+    .map(
+      (item) => `  <entry>
+    <id>${esc(item.id)}</id>
+    <title>${esc(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${esc(item.url)}" />
+    <updated>${item.date}</updated>
+    <content type="html">${esc(changeListHtml(item.entry.changes, paths, baseUrl))}</content>
+  </entry>`,
+    )
+    .join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="de-DE">
+  <id>${esc(baseUrl)}changelog.html</id>
+  <title>AR Directory – Änderungen am Datensatz</title>
+  <link rel="self" type="application/atom+xml" href="${esc(baseUrl)}feed.xml" />
+  <link rel="alternate" type="text/html" href="${esc(baseUrl)}changelog.html" />
+  <updated>${updated}</updated>
+  <author><name>AR Directory</name></author>
+${body}
+</feed>
+`;
+};
+
+export const buildJsonFeed = (changelog, paths, baseUrl) => ({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: 'AR Directory – Änderungen am Datensatz',
+  home_page_url: `${baseUrl}changelog.html`,
+  feed_url: `${baseUrl}feed.json`,
+  language: 'de-DE',
+  items: feedItems(changelog, baseUrl).map((item) => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    date_published: item.date,
+    content_html: changeListHtml(item.entry.changes, paths, baseUrl),
+    content_text: item.entry.changes.map(describeChange).join('\n'),
+    tags: [...new Set(item.entry.changes.map((change) => change.type))],
+  })),
+});
+
 export const buildGlossary = (meta, baseUrl) => {
   const canonical = `${baseUrl}glossar.html`;
   const jsonLd = {
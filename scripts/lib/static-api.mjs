@@ -0,0 +1,153 @@
+// Read-only JSON API written by the generator under public/api/v1/, so tools
+// can use the dataset without parsing the CSV or its German enum values.
+//
+//   index.json               endpoint list
+//   devices.json             devices, page 1 (devices/pages/<n>.json for the rest)
+//   devices/<id>.json        one device (data/device.schema.json)
+//   manufacturers.json       manufacturer entities with their device ids
+//   facets.json              filter values with counts, numeric ranges
+//   stats.json               dataset summary
+//
+// Devices are the typed records of dataset-schema.mjs plus the canonical page
+// URL, canonical vocabulary keys, the completeness score and editions.
+
+import { toDeviceRecord } from './dataset-schema.mjs';
+import { completenessScore } from '../../src/data/completeness.js';
+import { canonicalValue, VOCABULARY_FIELDS } from '../../src/data/vocabulary.js';
+import { isLikelyActive } from '../../src/data/lifecycle.js';
+import { getVariants } from '../../src/data/variants.js';
+
+export const API_VERSION = 'v1';
+export const API_PAGE_SIZE = 50;
+
+// Facets over closed vocabularies; the record already holds English codes.
+const CODE_FACETS = ['xr_category', 'lifecycle_status', 'eol_status', 'active_distribution', 'eye_tracking', 'hand_tracking', 'battery_kind', 'ipd_adjustment'];
+const RANGE_FACETS = ['price_usd', 'weight_g', 'fov_horizontal_deg', 'fov_diagonal_deg', 'refresh_hz', 'brightness_nits', 'battery_hours'];
+
+const apiPath = (path) => `api/${API_VERSION}/${path}`;
+
+export const toApiDevice = (row, { paths, baseUrl, variants = {} }) => ({
+  ...toDeviceRecord(row),
+  url: `${baseUrl}${paths.get(row.id).path}/`,
+  api_url: `${baseUrl}${apiPath(`devices/${row.id}.json`)}`,
+  completeness: completenessScore(row),
+  canonical: Object.fromEntries(VOCABULARY_FIELDS.map((field) => [field, canonicalValue(field, row[field])])),
+  variants: getVariants(variants, row.id),
+});
+
+const countBy = (values) => {
+  const counts = new Map();
+  for (const value of values) counts.set(value ?? 'unknown', (counts.get(value ?? 'unknown') || 0) + 1);
+  return [...counts]
+    .map(([value, count]) => ({ value, count }))
+    .sort((left, right) => right.count - left.count || String(left.value).localeCompare(String(right.value)));
+};
+
+const rangeOf = (devices, field) => {
+  const values = devices.flatMap((device) => {
+    const value = device[field];
+    return value === null ? [] : typeof value === 'number' ? [value] : [value.min, value.max];
+  });
+  return values.length ? { min: Math.min(...values), max: Math.max(...values), devices: devices.filter((device) => device[field] !== null).length } : null;
+};
+
+const envelope = (generatedAt, body) => ({ api_version: API_VERSION, generated_at: generatedAt, ...body });
+
+// [[path relative to public/, payload]] for every API document.
+export const buildStaticApi = ({ rows, paths, metadata, manufacturers = {}, variants = {}, baseUrl }) => {
+  const generatedAt = metadata.generated_at;
+  const devices = rows.map((row) => toApiDevice(row, { paths, baseUrl, variants }));
+  const documents = devices.map((device) => [apiPath(`devices/${device.id}.json`), device]);
+
+  const totalPages = Math.max(1, Math.ceil(devices.length / API_PAGE_SIZE));
+  const pagePath = (page) => (page === 1 ? apiPath('devices.json') : apiPath(`devices/pages/${page}.json`));
+  for (let page = 1; page <= totalPages; page += 1) {
+    documents.push([
+      pagePath(page),
+      envelope(generatedAt, {
+        page,
+        per_page: API_PAGE_SIZE,
+        total: devices.length,
+        total_pages: totalPages,
+        next: page < totalPages ? `${baseUrl}${pagePath(page + 1)}` : null,
+        previous: page > 1 ? `${baseUrl}${pagePath(page - 1)}` : null,
+        data: devices.slice((page - 1) * API_PAGE_SIZE, page * API_PAGE_SIZE),
+      }),
+    ]);
+  }
+
+  const activeIds = new Set(rows.filter((row) => isLikelyActive(row)).map((row) => row.id));
+  const byManufacturer = new Map();
+  for (const device of devices) {
+    if (!byManufacturer.has(device.manufacturer_id)) byManufacturer.set(device.manufacturer_id, []);
+    byManufacturer.get(device.manufacturer_id).push(device);
+  }
+  const manufacturerList = [...byManufacturer]
+    .map(([id, members]) => {
+      const entity = manufacturers[id] || {};
+      return {
+        id,
+        name: entity.name || members[0].manufacturer_name,
+        aliases: entity.aliases || [],
+        country: entity.country || null,
+        website: entity.website || null,
+        founded: entity.founded ?? null,
+        status: entity.status || null,
+        acquired_by: entity.acquired_by || null,
+        url: `${baseUrl}${id}/`,
+        devices: members.length,
+        active_devices: members.filter((device) => activeIds.has(device.id)).length,
+        device_ids: members.map((device) => device.id),
+      };
+    })
+    .sort((left, right) => left.name.localeCompare(right.name, 'en', { sensitivity: 'base' }));
+  documents.push([apiPath('manufacturers.json'), envelope(generatedAt, { total: manufacturerList.length, data: manufacturerList })]);
+
+  const facets = {
+    ...Object.fromEntries(CODE_FACETS.map((field) => [field, countBy(devices.map((device) => device[field]))])),
+    ...Object.fromEntries(VOCABULARY_FIELDS.map((field) => [field, countBy(devices.map((device) => device.canonical[field]))])),
+    manufacturer_id: countBy(devices.map((device) => device.manufacturer_id)),
+    release_year: countBy(devices.map((device) => (device.release_date ? Number(device.release_date.slice(0, 4)) : null))),
+  };
+  const ranges = Object.fromEntries(RANGE_FACETS.map((field) => [field, rangeOf(devices, field)]));
+  documents.push([apiPath('facets.json'), envelope(generatedAt, { facets, ranges })]);
+
+  const { freshness = {}, completeness = {} } = metadata;
+  documents.push([
+    apiPath('stats.json'),
+    envelope(generatedAt, {
+      devices: metadata.records,
+      ar_devices: metadata.ar_records,
+      xr_devices: metadata.xr_records,
+      manufacturers: metadata.manufacturers,
+      active_devices: metadata.active_models,
+      discontinued_devices: metadata.discontinued_models,
+      lifecycle_statuses: metadata.lifecycle_statuses,
+      newest_release: metadata.newest_release || null,
+      oldest_release: metadata.oldest_release || null,
+      price_range_usd: metadata.price_range_usd,
+      completeness_average: completeness.average_score ?? null,
+      verified_recently: freshness.verified_recently ?? null,
+      never_verified: freshness.never_verified ?? null,
+      field_coverage: Object.fromEntries(Object.entries(metadata.field_coverage || {}).map(([field, { percent }]) => [field, percent])),
+    }),
+  ]);
+
+  const endpoint = (path, description) => ({ url: `${baseUrl}${apiPath(path)}`, description });
+  documents.push([
+    apiPath('index.json'),
+    envelope(generatedAt, {
+      description: 'Read-only static JSON API of the AR Directory dataset, regenerated with every data update.',
+      license: 'https://opensource.org/licenses/MIT',
+      device_schema: `${baseUrl}data/device.schema.json`,
+      endpoints: [
+        endpoint('devices.json', `All devices, ${API_PAGE_SIZE} per page; follow "next" for devices/pages/<n>.json.`),
+        endpoint('devices/{id}.json', 'One device by id, see device_schema.'),
+        endpoint('manufacturers.json', 'Manufacturers with canonical name, company data and device ids.'),
+        endpoint('facets.json', 'Filter values with device counts and numeric ranges.'),
+        endpoint('stats.json', 'Dataset summary: counts, lifecycle, coverage, completeness.'),
+      ],
+    }),
+  ]);
+  return documents;
+};
@@ -0,0 +1,123 @@
+// Cross-field consistency linter for the curated CSV. Runs the rules in
+// scripts/lib/consistency-rules.mjs over every row and writes a JSON and an
+// HTML report grouped by rule and manufacturer. Exits non-zero when a rule of
+// severity "error" fires; warnings are for curator review only.
+//
+// Usage: node scripts/lint-dataset.mjs [path-to-csv] [--out=<dir>]
+// Reports: <dir>/consistency.json, <dir>/consistency.html (default dir: lint-reports)
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import Papa from 'papaparse';
+import { RULES, lintRows } from './lib/consistency-rules.mjs';
+import { esc } from './lib/render-pages.mjs';
+
+const args = process.argv.slice(2);
+const CSV_PATH = args.find((arg) => !arg.startsWith('--')) || 'public/data/ar_glasses.csv';
+const OUT_DIR = (args.find((arg) => arg.startsWith('--out=')) || '--out=lint-reports').slice('--out='.length);
+
+const groupBy = (items, key) => {
+  const groups = new Map();
+  for (const item of items) {
+    const value = item[key] || '(none)';
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(item);
+  }
+  return groups;
+};
+
+const buildReport = (findings, rowCount, generatedAt) => ({
+  generated_at: generatedAt,
+  source: CSV_PATH,
+  rows_checked: rowCount,
+  errors: findings.filter((finding) => finding.severity === 'error').length,
+  warnings: findings.filter((finding) => finding.severity === 'warning').length,
+  rules: RULES.map((rule) => {
+    const hits = findings.filter((finding) => finding.rule === rule.id);
+    return {
+      id: rule.id,
+      severity: rule.severity,
+      description: rule.description,
+      count: hits.length,
+      manufacturers: [...groupBy(hits, 'manufacturer')]
+        .sort(([left], [right]) => left.localeCompare(right, 'de', { sensitivity: 'base' }))
+        .map(([manufacturer, items]) => ({
+          manufacturer,
+          rows: items.map(({ id, name, message }) => ({ id, name, message })),
+        })),
+    };
+  }),
+});
+
+const buildHtml = (report) => {
+  const sections = report.rules
+    .filter((rule) => rule.count)
+    .map((rule) => {
+      const groups = rule.manufacturers
+        .map(
+          (group) => `<h3>${esc(group.manufacturer)} <small>(${group.rows.length})</small></h3>
+<ul>${group.rows.map((row) => `<li><strong>${esc(row.name)}</strong> <code>${esc(row.id)}</code> — ${esc(row.message)}</li>`).join('')}</ul>`,
+        )
+        .join('\n');
+      return `<section>
+<h2><span class="badge ${rule.severity}">${esc(rule.severity)}</span> ${esc(rule.id)} <small>(${rule.count})</small></h2>
+<p>${esc(rule.description)}</p>
+${groups}
+</section>`;
+    })
+    .join('\n');
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="robots" content="noindex">
+<title>Dataset consistency report</title>
+<style>
+body{font:15px/1.5 system-ui,sans-serif;max-width:960px;margin:2rem auto;padding:0 1rem;color:#0f172a}
+h2{margin-top:2rem;border-bottom:1px solid #cbd5e1;padding-bottom:.25rem}
+h3{margin:1rem 0 .25rem;font-size:1rem}
+small{color:#64748b;font-weight:normal}
+code{font-size:.85em;color:#475569}
+.badge{font-size:.75rem;text-transform:uppercase;padding:.1rem .45rem;border-radius:999px;vertical-align:middle}
+.badge.error{background:#fee2e2;color:#991b1b}
+.badge.warning{background:#fef3c7;color:#92400e}
+</style>
+</head>
+<body>
+<h1>Dataset consistency report</h1>
+<p>${esc(report.source)} · ${report.rows_checked} rows · ${report.errors} error(s) · ${report.warnings} warning(s) · ${esc(report.generated_at)}</p>
+${sections || '<p>No findings.</p>'}
+</body>
+</html>
+`;
+};
+
+const main = async () => {
+  const csvText = await readFile(CSV_PATH, 'utf8');
+  const parsed = Papa.parse(csvText, { header: true, skipEmptyLines: true });
+  const rows = Array.isArray(parsed.data) ? parsed.data : [];
+  if (parsed.errors?.length && !rows.length) {
+    throw new Error(`CSV parse failed: ${parsed.errors[0].message}`);
+  }
+
+  const findings = lintRows(rows);
+  const report = buildReport(findings, rows.length, new Date().toISOString());
+
+  await mkdir(OUT_DIR, { recursive: true });
+  await writeFile(`${OUT_DIR}/consistency.json`, `${JSON.stringify(report, null, 2)}\n`, 'utf8');
+  await writeFile(`${OUT_DIR}/consistency.html`, buildHtml(report), 'utf8');
+
+  console.log(`Consistency lint: ${rows.length} rows, ${report.errors} error(s), ${report.warnings} warning(s)`);
+  for (const rule of report.rules.filter((entry) => entry.count)) {
+    console.log(`  ${rule.severity.padEnd(7)} ${rule.id}: ${rule.count}`);
+  }
+  console.log(`  Reports: ${OUT_DIR}/consistency.json, ${OUT_DIR}/consistency.html`);
+
+  if (report.errors) {
+    process.exitCode = 1;
+  }
+};
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.stack || error.message : String(error));
+  process.exitCode = 1;
+});
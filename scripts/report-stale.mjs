@@ -0,0 +1,106 @@
+// Stale-data report: rows whose `last_verified_at` is older than N months (or
+// missing), ranked by src/data/freshness.js — months since verification times a
+// lifecycle weight, so a shipping device outranks a support-ended one of the
+// same age. Writes a JSON and an HTML report for the next research round; it
+// never fails the build.
+//
+// Usage: node scripts/report-stale.mjs [path-to-csv] [--months=12] [--out=<dir>]
+// Reports: <dir>/stale.json, <dir>/stale.html (default dir: lint-reports)
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import Papa from 'papaparse';
+import { STALE_AFTER_MONTHS, STALENESS_WEIGHTS, findStaleRows } from '../src/data/freshness.js';
+import { getLifecycleStatus } from '../src/data/lifecycle.js';
+import { esc } from './lib/render-pages.mjs';
+
+const args = process.argv.slice(2);
+const option = (name) => args.find((arg) => arg.startsWith(`--${name}=`))?.slice(name.length + 3) ?? '';
+const CSV_PATH = args.find((arg) => !arg.startsWith('--')) || 'public/data/ar_glasses.csv';
+const OUT_DIR = option('out') || 'lint-reports';
+const MONTHS = Number(option('months') || STALE_AFTER_MONTHS);
+
+const buildReport = (rows, generatedAt) => {
+  const stale = findStaleRows(rows, MONTHS, Date.parse(generatedAt));
+  return {
+    generated_at: generatedAt,
+    source: CSV_PATH,
+    stale_after_months: MONTHS,
+    weights: STALENESS_WEIGHTS,
+    rows_checked: rows.length,
+    stale: stale.length,
+    never_verified: stale.filter((entry) => entry.months === null).length,
+    rows: stale.map(({ row, months, score }) => ({
+      id: row.id,
+      name: row.name,
+      manufacturer: row.manufacturer,
+      lifecycle_status: getLifecycleStatus(row),
+      last_verified_at: row.last_verified_at || '',
+      months_since_verified: months,
+      score,
+    })),
+  };
+};
+
+const buildHtml = (report) => {
+  const rowsHtml = report.rows
+    .map(
+      (row) =>
+        `<tr><td>${row.score}</td><td><strong>${esc(row.name)}</strong> <code>${esc(row.id)}</code></td><td>${esc(row.manufacturer)}</td><td>${esc(row.lifecycle_status)}</td><td>${esc(row.last_verified_at || 'never')}</td></tr>`,
+    )
+    .join('\n');
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="robots" content="noindex">
+<title>Stale-data report</title>
+<style>
+body{font:15px/1.5 system-ui,sans-serif;max-width:960px;margin:2rem auto;padding:0 1rem;color:#0f172a}
+table{border-collapse:collapse;width:100%}th,td{text-align:left;padding:4px 8px;border-bottom:1px solid #e2e8f0;vertical-align:top}
+th{background:#f1f5f9}
+code{font-size:.85em;color:#475569}
+</style>
+</head>
+<body>
+<h1>Stale-data report</h1>
+<p>${esc(report.source)} · ${report.rows_checked} rows · ${report.stale} not verified within ${report.stale_after_months} months (${report.never_verified} never) · ${esc(report.generated_at)}</p>
+${report.rows.length
+    ? `<table><thead><tr><th>Score</th><th>Device</th><th>Manufacturer</th><th>Lifecycle</th><th>Last verified</th></tr></thead><tbody>
+${rowsHtml}
+</tbody></table>`
+    : '<p>No stale rows.</p>'}
+</body>
+</html>
+`;
+};
+
+const main = async () => {
+  if (!(MONTHS > 0)) {
+    throw new Error(`--months must be a positive number, got "${option('months')}"`);
+  }
+  const csvText = await readFile(CSV_PATH, 'utf8');
+  const parsed = Papa.parse(csvText, { header: true, skipEmptyLines: true });
+  const rows = Array.isArray(parsed.data) ? parsed.data : [];
+  if (parsed.errors?.length && !rows.length) {
+    throw new Error(`CSV parse failed: ${parsed.errors[0].message}`);
+  }
+
+  const report = buildReport(rows, new Date().toISOString());
+
+  await mkdir(OUT_DIR, { recursive: true });
+  await writeFile(`${OUT_DIR}/stale.json`, `${JSON.stringify(report, null, 2)}\n`, 'utf8');
+  await writeFile(`${OUT_DIR}/stale.html`, buildHtml(report), 'utf8');
+
+  console.log(
+    `Stale-data report: ${rows.length} rows, ${report.stale} not verified within ${MONTHS} months (${report.never_verified} never)`,
+  );
+  for (const row of report.rows.slice(0, 10)) {
+    console.log(`  ${String(row.score).padStart(5)} ${row.name} (${row.id}), ${row.lifecycle_status}, ${row.last_verified_at || 'never verified'}`);
+  }
+  console.log(`  Reports: ${OUT_DIR}/stale.json, ${OUT_DIR}/stale.html`);
+};
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.stack || error.message : String(error));
+  process.exitCode = 1;
+});
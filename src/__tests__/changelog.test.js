@@ -0,0 +1,110 @@
+import { describe, expect, it } from 'vitest';
+import { appendChanges, describeChange, diffRows, snapshotRows } from '../../scripts/lib/changelog.mjs';
+import { buildAtomFeed, buildJsonFeed } from '../../scripts/lib/render-pages.mjs';
+
+const rows = () => [
+  { id: 'q3', name: 'Quest 3', manufacturer: 'Meta', price_usd: '499', eol_status: '', weight_g: '515', image_url: '/a.png' },
+  { id: 'air', name: 'Air', manufacturer: 'Xreal', price_usd: '379', weight_g: '79' },
+];
+const paths = new Map([['q3', { path: 'meta/quest-3' }]]);
+
+describe('dataset changelog', () => {
+  it('diffs additions, removals and tracked field changes against the snapshot', () => {
+    const snapshot = snapshotRows(rows());
+    expect(Object.keys(snapshot)).toEqual(['air', 'q3']);
+    expect(diffRows(snapshot, rows())).toEqual([]);
+
+    const next = [
+      { ...rows()[0], price_usd: '449', eol_status: 'EOL / Discontinued', weight_g: '515.0', image_url: '/b.png' },
+      { id: 'one', name: 'One', manufacturer: 'Xreal', price_usd: '499' },
+    ];
+    const changes = diffRows(snapshot, next);
+    expect(changes.map(({ type, id, field }) => [type, id, field])).toEqual([
+      ['added', 'one', undefined],
+      ['removed', 'air', undefined],
+      ['price', 'q3', 'price_usd'],
+      ['eol', 'q3', 'eol_status'],
+    ]);
+    expect(changes.map(describeChange)).toEqual([
+      'Neu aufgenommen: One (Xreal) zu $499',
+      'Entfernt: Air (Xreal)',
+      'Quest 3 (Meta): Preis $499 → $449',
+      'Quest 3 (Meta): EOL-Status ergänzt (EOL / Discontinued)',
+    ]);
+  });
+
+  it('treats fields missing from an older snapshot as empty', () => {
+    const snapshot = { q3: { name: 'Quest 3', manufacturer: 'Meta', price_usd: '499', weight_g: '515' } };
+    expect(diffRows(snapshot, [rows()[0]])).toEqual([]);
+    expect(diffRows(snapshot, [{ ...rows()[0], refresh_hz: '120' }])).toEqual([
+      { type: 'spec', id: 'q3', name: 'Quest 3', manufacturer: 'Meta', field: 'refresh_hz', from: '', to: '120' },
+    ]);
+  });
+
+  it('does not report the price_usd a newly recorded original price derives', () => {
+    const snapshot = snapshotRows(rows());
+    const next = [{ ...rows()[0], price_usd: '452', price_original: '429', price_currency: 'EUR' }, rows()[1]];
+    expect(diffRows(snapshot, next).map(({ field, from, to }) => [field, from, to])).toEqual([
+      ['price_original', '', '429'],
+      ['price_currency', '', 'EUR'],
+    ]);
+    // Once the original is on record, price changes are reported again.
+    const later = diffRows(snapshotRows(next), [{ ...next[0], price_usd: '420', price_original: '399' }]);
+    expect(later.filter((change) => change.type === 'price').map(({ field }) => field)).toEqual(['price_usd', 'price_original']);
+  });
+
+  it('keeps the changelog unchanged without changes and extends the same day', () => {
+    const empty = { generated_at: '2026-07-01T10:00:00.000Z', entries: [] };
+    expect(appendChanges(empty, '2026-07-01', [])).toBe(empty);
+
+    const first = appendChanges(empty, '2026-07-01', [{ type: 'removed', id: 'a' }]);
+    const sameDay = appendChanges(first, '2026-07-01', [{ type: 'removed', id: 'b' }]);
+    expect(sameDay.entries).toEqual([{ date: '2026-07-01', changes: [{ type: 'removed', id: 'a' }, { type: 'removed', id: 'b' }] }]);
+    const nextDay = appendChanges(sameDay, '2026-07-02', [{ type: 'removed', id: 'c' }]);
+    expect(nextDay.entries.map((entry) => entry.date)).toEqual(['2026-07-02', '2026-07-01']);
+    expect(nextDay.generated_at).toBe(empty.generated_at);
+  });
+});
+
+describe('changelog feeds', () => {
+  const changelog = {
+    generated_at: '2026-07-02T08:30:00.000Z',
+    entries: [
+      {
+        date: '2026-07-02',
+        changes: [
+          { type: 'added', id: 'q3', name: 'Quest 3', manufacturer: 'Meta', to: '499' },
+          { type: 'spec', id: 'gone', name: 'Old <HMD>', manufacturer: 'Acme', field: 'weight_g', from: '500', to: '480' },
+        ],
+      },
+    ],
+  };
+
+  it('builds an Atom feed dated by the newest entry or the generation time', () => {
+    const atom = buildAtomFeed(changelog, paths, 'https://example.com/');
+    expect(atom).toContain('<updated>2026-07-02T00:00:00Z</updated>');
+    expect(atom).toContain('<id>https://example.com/changelog.html#2026-07-02</id>');
+    expect(atom).toContain('Neue Modelle: 1, Spec-Korrekturen: 1');
+    expect(atom).toContain('&lt;a href=&quot;https://example.com/meta/quest-3/&quot;&gt;');
+    expect(atom).toContain('Old &amp;lt;HMD&amp;gt; (Acme): Gewicht 500 g → 480 g');
+
+    const empty = buildAtomFeed({ generated_at: changelog.generated_at, entries: [] }, paths, 'https://example.com/');
+    expect(empty).toContain('<updated>2026-07-02T08:30:00.000Z</updated>');
+    expect(empty).not.toContain('<entry>');
+    expect(empty).not.toContain('1970');
+  });
+
+  it('builds a JSON feed with text, html and change-type tags per entry', () => {
+    const feed = buildJsonFeed(changelog, paths, 'https://example.com/');
+    expect(feed.feed_url).toBe('https://example.com/feed.json');
+    expect(feed.items).toHaveLength(1);
+    expect(feed.items[0]).toMatchObject({
+      id: 'https://example.com/changelog.html#2026-07-02',
+      date_published: '2026-07-02T00:00:00Z',
+      content_text: 'Neu aufgenommen: Quest 3 (Meta) zu $499\nOld <HMD> (Acme): Gewicht 500 g → 480 g',
+      tags: ['added', 'spec'],
+    });
+    expect(feed.items[0].content_html).toContain('<a href="https://example.com/meta/quest-3/">');
+    expect(buildJsonFeed({ entries: [] }, paths, 'https://example.com/').items).toEqual([]);
+  });
+});
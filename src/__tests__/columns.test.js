@@ -0,0 +1,57 @@
+import { readFile } from 'node:fs/promises';
+import { describe, expect, it } from 'vitest';
+import { COLUMNS, OUTPUT_FIELDS, checkValue, formatValidationReport, validateRows } from '../../scripts/lib/columns.mjs';
+
+const column = (name) => COLUMNS.find((entry) => entry.name === name);
+
+describe('column contract', () => {
+  it('matches the header of the committed CSV', async () => {
+    // Fails when a column was added to the contract without regenerating the CSV.
+    const csv = await readFile(new URL('../../public/data/ar_glasses.csv', import.meta.url), 'utf8');
+    expect(csv.slice(0, csv.indexOf('\n')).split(',')).toEqual(OUTPUT_FIELDS);
+  });
+
+  it('downgrades unknown values of open enums to warnings', () => {
+    expect(checkValue(column('xr_category'), 'VR')).toMatchObject({ level: 'error' });
+    expect(checkValue(column('compute_unit'), 'Puck')).toMatchObject({ level: 'warning' });
+    expect(checkValue(column('compute_unit'), 'Standalone')).toBeNull();
+  });
+
+  it('bounds numbers and ranges by the column min/max', () => {
+    expect(checkValue(column('weight_g'), '75')).toBeNull();
+    expect(checkValue(column('weight_g'), '~70-85')).toBeNull();
+    expect(checkValue(column('weight_g'), '1.2 kg')).toBeNull();
+    expect(checkValue(column('weight_g'), '9000')).toMatchObject({ level: 'error', message: '9000 is outside the plausible range 1–5000 g' });
+    expect(checkValue(column('fov_horizontal_deg'), '100-400')).toMatchObject({ level: 'error', message: '100–400 is outside the plausible range 1–360 deg' });
+    expect(checkValue(column('price_usd'), '499 USD')).toMatchObject({ level: 'error', message: expect.stringContaining('not a plain number') });
+    expect(checkValue(column('price_usd'), 'Unklar')).toMatchObject({ level: 'warning' });
+  });
+
+  it('accepts WIDTHxHEIGHT resolutions and warns on decorated ones', () => {
+    expect(checkValue(column('resolution_per_eye'), '1920x1080')).toBeNull();
+    expect(checkValue(column('resolution_per_eye'), '1920 x 1080 (per eye)')).toMatchObject({ level: 'warning' });
+    expect(checkValue(column('resolution_per_eye'), 'Full HD')).toMatchObject({ level: 'error' });
+  });
+
+  it('reports duplicate ids, missing required cells and orphaned currencies per row', () => {
+    const rows = [
+      { id: 'a1', name: 'Alpha', manufacturer: 'Acme', xr_category: 'AR' },
+      { id: 'a1', name: 'Alpha 2', manufacturer: 'Acme', xr_category: 'AR', price_original: '2999' },
+      { id: 'b1', name: '', manufacturer: 'Acme', xr_category: 'XR', price_currency: 'CNY' },
+    ];
+    const result = validateRows(rows);
+    expect(result.errors.map(({ index, column: name }) => [index, name])).toEqual([
+      [1, 'price_currency'],
+      [1, 'id'],
+      [2, 'name'],
+    ]);
+    expect(result.errors[1].message).toBe('duplicates the id of row 1');
+    expect(result.warnings).toEqual([expect.objectContaining({ index: 2, column: 'price_original' })]);
+
+    const report = formatValidationReport(result);
+    expect(report.split('\n')[0]).toBe('Validation: 3 error(s), 1 warning(s) in 2 row(s)');
+    expect(report).toContain('  row 2 Alpha 2 (a1)\n    error   price_currency: is required when price_original is set');
+    expect(report).toContain('  row 3 (no name) (b1)');
+    expect(formatValidationReport(validateRows(rows.slice(0, 1)))).toBe('Validation: 0 error(s), 0 warning(s) in 0 row(s)');
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { COMPLETENESS_FIELDS, completenessByGroup, getCompleteness } from '../data/completeness.js';
+import { matchesFilters, sortRows } from '../data/filters.js';
+import { state } from '../state.js';
+
+describe('data completeness', () => {
+  const full = Object.fromEntries(COMPLETENESS_FIELDS.map((entry) => [entry.fields?.[0] || entry.key, 'x']));
+
+  it('weights core specs above optional ones and treats unclear values as missing', () => {
+    expect(getCompleteness(full)).toEqual({ score: 100, missing: [] });
+    const noPrice = getCompleteness({ ...full, price_usd: '' });
+    const noCamera = getCompleteness({ ...full, camera: 'Unklar' });
+    expect(noPrice.missing.map((entry) => entry.key)).toEqual(['price_usd']);
+    expect(noPrice.score).toBeLessThan(noCamera.score);
+    expect(getCompleteness({ ...full, tracking: 'None', fov_horizontal_deg: '', fov_diagonal_deg: '46' }).score).toBe(100);
+    expect(completenessByGroup([full, { ...full, price_usd: '' }], () => 'AR')[0]).toMatchObject({ key: 'AR', rows: 2, fields: { price_usd: 50, camera: 100 } });
+  });
+
+  it('sorts and filters by completeness', () => {
+    const rows = [
+      { ...full, name: 'Sparse', price_usd: '', weight_g: '', camera: '' },
+      { ...full, name: 'Complete' },
+    ];
+    const previous = { sort: state.sort, minCompleteness: state.minCompleteness };
+    try {
+      state.sort = 'completeness_desc';
+      expect(sortRows(rows).map((row) => row.name)).toEqual(['Complete', 'Sparse']);
+      state.minCompleteness = '95';
+      expect(rows.filter((row) => matchesFilters(row)).map((row) => row.name)).toEqual(['Complete']);
+    } finally {
+      Object.assign(state, previous);
+    }
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { RULES, buildRuleContext, lintRows } from '../../scripts/lib/consistency-rules.mjs';
+
+const rule = (id) => RULES.find((entry) => entry.id === id);
+const NOW = new Date('2026-07-01T00:00:00Z');
+
+describe('consistency rules', () => {
+  it('compares release and announcement dates at their shared precision', () => {
+    const check = (row) => rule('release-before-announcement').check(row);
+    expect(check({ announced_date: '2024-06', release_date: '2024-03-01' })).toBe('released 2024-03-01 before it was announced 2024-06');
+    expect(check({ announced_date: '2024-06-12', release_date: '2024' })).toBeNull();
+    expect(check({ announced_date: '2024-06', release_date: '2024-06' })).toBeNull();
+    expect(check({ announced_date: 'Unklar', release_date: '2020' })).toBeNull();
+  });
+
+  it('flags swapped FOV axes and a diagonal below an axis, using range bounds', () => {
+    expect(rule('fov-vertical-exceeds-horizontal').check({ fov_horizontal_deg: '30', fov_vertical_deg: '45' })).toBe(
+      'vertical FOV 45° exceeds horizontal FOV 30°',
+    );
+    expect(rule('fov-vertical-exceeds-horizontal').check({ fov_horizontal_deg: '30-50', fov_vertical_deg: '45' })).toBeNull();
+    expect(rule('fov-diagonal-below-axis').check({ fov_horizontal_deg: '52', fov_diagonal_deg: '46' })).toBe(
+      'diagonal FOV 46° is smaller than an axis FOV of 52°',
+    );
+    expect(rule('fov-diagonal-below-axis').check({ fov_horizontal_deg: '40', fov_diagonal_deg: '~46' })).toBeNull();
+  });
+
+  it('fences prices per category on a log scale and skips thin categories', () => {
+    const prices = [299, 349, 379, 399, 449, 499, 599, 699, 250000];
+    const rows = [
+      ...prices.map((price, index) => ({ id: `ar${index}`, xr_category: 'AR', price_usd: String(price) })),
+      { id: 'xr0', xr_category: 'XR', price_usd: '3499' },
+      { id: 'xr1', xr_category: 'XR', price_usd: '250000' },
+    ];
+    const { priceFences } = buildRuleContext(rows, NOW);
+    expect([...priceFences.keys()]).toEqual(['AR']);
+    expect(priceFences.get('AR').count).toBe(prices.length);
+
+    const outliers = lintRows(rows, NOW).filter((finding) => finding.rule === 'price-outlier');
+    expect(outliers.map((finding) => finding.id)).toEqual(['ar8']);
+    expect(outliers[0].severity).toBe('warning');
+  });
+
+  it('reports end-of-life contradictions with the distribution and the lifecycle override', () => {
+    const findings = lintRows(
+      [
+        { id: 'a', name: 'A', eol_status: 'EOL / Discontinued', active_distribution: 'Ja' },
+        { id: 'b', name: 'B', eol_date: '2025-12', active_distribution: 'Ja' },
+        { id: 'c', name: 'C', eol_date: '2027-01', active_distribution: 'Ja' },
+        { id: 'd', name: 'D', eol_status: 'EOL / Discontinued', lifecycle_override: 'shipping', active_distribution: 'Nein' },
+        { id: 'e', name: 'E', eol_status: 'EOL / Discontinued', active_distribution: 'Nein' },
+      ],
+      NOW,
+    );
+    expect(findings.map(({ rule: id, id: row }) => [id, row])).toEqual([
+      ['discontinued-but-distributed', 'a'],
+      ['eol-date-while-distributed', 'b'],
+      ['eol-status-not-recognized', 'd'],
+    ]);
+    expect(findings[2].message).toBe('eol_status "EOL / Discontinued" reads as end-of-life but the lifecycle status is "shipping"');
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import { consolidatePayloads, csvCoverage, payloadRecency } from '../../scripts/lib/consolidate.mjs';
+
+const source = (file, order, payload, recency = order) => ({ file, order, recency, payload });
+
+describe('research consolidation', () => {
+  it('resolves field conflicts by confidence, then recency, and flags recency-only picks', () => {
+    const { enriched, conflicts } = consolidatePayloads([
+      source('a.json', 0, { enriched: [{ id: 'q3', changes: { price_usd: '499', weight_g: '515' }, confidence: 'high', sources: ['https://a.example'] }] }),
+      source('b.json', 1, { enriched: [{ id: 'q3', changes: { price_usd: '449', weight_g: '515.0', refresh_hz: 'Unklar' } }] }),
+      source('c.json', 2, { enriched: [{ id: 'q3', changes: { refresh_hz: '120' }, confidence: 'medium' }, { id: 'one', changes: { fov_diagonal_deg: '50' } }] }),
+      source('d.json', 3, { enriched: [{ id: 'one', changes: { fov_diagonal_deg: '52' } }] }),
+    ]);
+    expect(enriched).toEqual([
+      { id: 'q3', name: '', changes: { price_usd: '499', weight_g: '515' }, confidence: 'high', sources: ['https://a.example'], source_file: 'a.json' },
+      { id: 'q3', name: '', changes: { refresh_hz: '120' }, confidence: 'medium', sources: [], source_file: 'c.json' },
+      { id: 'one', name: '', changes: { fov_diagonal_deg: '52' }, confidence: 'medium', sources: [], source_file: 'd.json' },
+    ]);
+    expect(conflicts.map(({ id, field, chosen, decidedBy, needsReview }) => [id, field, chosen, decidedBy, needsReview])).toEqual([
+      ['q3', 'price_usd', '499', 'confidence', false],
+      ['one', 'fov_diagonal_deg', '52', 'recency', true],
+    ]);
+  });
+
+  it('groups the same new device across files and passes price points through once', () => {
+    const point = { id: 'q3', date: '2024-10', price: 499, kind: 'msrp_change' };
+    const { newDevices, priceHistory, deviceClaims } = consolidatePayloads([
+      source('a.json', 0, {
+        newDevices: [{ name: 'Xreal One Pro', manufacturer: 'Xreal', release_date: '2025', weight_g: '87', confidence: 'high', sources: ['https://a.example'] }],
+        priceHistory: [point],
+      }),
+      source('b.json', 1, {
+        newDevices: [{ name: 'XREAL One Pro (2025)', manufacturer: 'XREAL', release_date: '2025', price_usd: '599', confidence: 'low', sources: ['https://b.example'] }],
+        priceHistory: [point, { ...point, date: '2025-01', price: 449 }],
+      }),
+    ]);
+    expect(deviceClaims).toBe(2);
+    expect(newDevices).toEqual([
+      {
+        name: 'Xreal One Pro',
+        manufacturer: 'Xreal',
+        release_date: '2025',
+        weight_g: '87',
+        price_usd: '599',
+        sources: ['https://a.example', 'https://b.example'],
+        confidence: 'low',
+        source_files: ['a.json', 'b.json'],
+      },
+    ]);
+    expect(priceHistory.map((entry) => [entry.date, entry.source_file])).toEqual([
+      ['2024-10', 'a.json'],
+      ['2025-01', 'b.json'],
+    ]);
+  });
+
+  it('measures how much of a file the CSV already reflects', () => {
+    const rows = [{ id: 'q3', name: 'Quest 3', manufacturer: 'Meta', price_usd: '499', weight_g: '515' }];
+    const payload = {
+      enriched: [{ id: 'q3', changes: { price_usd: '499.0', weight_g: '520', refresh_hz: 'Unklar' } }],
+      newDevices: [{ name: 'Meta Quest 3', manufacturer: 'Meta' }],
+    };
+    expect(csvCoverage({ payload }, rows)).toBe(67);
+    expect(csvCoverage({ payload: {} }, rows)).toBe(0);
+  });
+
+  it('dates a payload by its own date, then by the ledger, never by the file', () => {
+    const applied = { applied_at: '2026-07-11' };
+    expect(payloadRecency({ generated_at: '2026-08-01T10:00:00Z', date: '2026-01-01' }, applied)).toBe(Date.parse('2026-08-01T10:00:00Z'));
+    expect(payloadRecency({ date: '2026-01-01' }, applied)).toBe(Date.parse('2026-01-01'));
+    expect(payloadRecency({ generated_at: 'soon' }, applied)).toBe(Date.parse('2026-07-11'));
+    expect(payloadRecency({ enriched: [] })).toBe(0);
+  });
+});
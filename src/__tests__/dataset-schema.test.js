@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { COLUMNS } from '../../scripts/lib/columns.mjs';
+import { COLUMN_DESCRIPTIONS, buildDeviceJsonSchema, buildTableSchema, toDeviceRecord } from '../../scripts/lib/dataset-schema.mjs';
+
+describe('dataset schemas', () => {
+  it('describes every column of the contract with its type, unit and enum', () => {
+    expect(COLUMNS.filter((column) => !COLUMN_DESCRIPTIONS[column.name]).map((column) => column.name)).toEqual([]);
+    const fields = Object.fromEntries(buildTableSchema().fields.map((field) => [field.name, field]));
+    expect(Object.keys(fields)).toEqual(COLUMNS.map((column) => column.name));
+    expect(fields.id.constraints).toMatchObject({ required: true, unique: true });
+    expect(fields.price_usd).toMatchObject({ type: 'number', unit: 'USD', constraints: { minimum: 1 } });
+    expect(fields.weight_g).toMatchObject({ type: 'string', unit: 'g' });
+    expect(fields.xr_category.constraints.enum).toEqual(['AR', 'XR']);
+    expect(fields.compute_unit.constraints).toBeUndefined();
+    expect(fields.eol_status.description).toContain('EOL / Discontinued = discontinued');
+  });
+
+  it('turns a CSV row into the typed record of the JSON Schema', () => {
+    const record = toDeviceRecord({
+      id: 'q3',
+      name: 'Quest 3',
+      manufacturer: 'Meta',
+      xr_category: 'XR',
+      price_usd: '499',
+      weight_g: '~515',
+      fov_horizontal_deg: '104-110',
+      eol_status: 'EOL / Discontinued',
+      eye_tracking: 'Unklar',
+    });
+    expect(record).toMatchObject({
+      price_usd: 499,
+      weight_g: { min: 515, max: 515, approximate: true },
+      fov_horizontal_deg: { min: 104, max: 110, approximate: false },
+      eol_status: 'discontinued',
+      eye_tracking: null,
+      camera: null,
+    });
+    const schema = buildDeviceJsonSchema('https://example.com/');
+    expect(Object.keys(record)).toEqual(schema.required);
+    expect(schema.properties.eol_status.anyOf[0].enum).toContain('discontinued');
+    expect(schema.properties.id).toMatchObject({ type: 'string' });
+  });
+});
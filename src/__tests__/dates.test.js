@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { formatPartialDate, parsePartialDate } from '../data/dates.js';
+import { sortRows } from '../data/filters.js';
+import { formatDate } from '../i18n.js';
+import { state } from '../state.js';
+
+describe('partial dates', () => {
+  it('keeps year, month and day precision', () => {
+    expect(parsePartialDate('2019-08')).toMatchObject({ year: 2019, month: 8, day: null, precision: 'month', iso: '2019-08' });
+    expect(parsePartialDate('2020')).toMatchObject({ precision: 'year', iso: '2020' });
+    expect(parsePartialDate('2024-02-30')).toBeNull();
+    expect(parsePartialDate('Unklar')).toBeNull();
+    expect(formatPartialDate('2020')).toBe('2020');
+    expect(formatPartialDate('2019-08', 'en-US')).toBe('Aug 2019');
+    expect(formatDate('2016-06-29')).toBe('29. Juni 2016');
+  });
+
+  it('ranks a day-precise release above a year-only one from the same year', () => {
+    const previous = state.sort;
+    const rows = [
+      { name: 'Year', release_date: '2020' },
+      { name: 'Day', release_date: '2020-01-01' },
+      { name: 'Month', release_date: '2019-12' },
+      { name: 'Unknown', release_date: 'Unklar' },
+    ];
+    try {
+      state.sort = 'release_desc';
+      expect(sortRows(rows).map((row) => row.name)).toEqual(['Day', 'Year', 'Month', 'Unknown']);
+    } finally {
+      state.sort = previous;
+    }
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import {
+  CANDIDATE_SCORE,
+  LIKELY_DUPLICATE_SCORE,
+  findDuplicateCandidates,
+  normalizeDeviceName,
+  scoreDuplicate,
+} from '../../scripts/lib/duplicates.mjs';
+
+describe('duplicate detection', () => {
+  it('strips the manufacturer prefix in every alias spelling', () => {
+    expect(normalizeDeviceName('Nreal Air', 'Nreal')).toBe('air');
+    expect(normalizeDeviceName('Nreal Air', 'XREAL')).toBe('air');
+    expect(normalizeDeviceName('XREAL One Pro (2025)', 'Xreal')).toBe('one pro');
+    expect(normalizeDeviceName('RayNeo X3 Pro', 'TCL RayNeo')).toBe('x3 pro');
+  });
+
+  it('scores renamed brands as likely duplicates and siblings below the candidate bar', () => {
+    const renamed = scoreDuplicate({ name: 'Nreal Air', manufacturer: 'Nreal' }, { name: 'Xreal Air', manufacturer: 'Xreal' });
+    expect(renamed.score).toBeGreaterThanOrEqual(LIKELY_DUPLICATE_SCORE);
+    expect(renamed.reasons).toEqual(['same normalized name', 'same manufacturer (incl. aliases)']);
+
+    const sibling = scoreDuplicate({ name: 'Xreal Air 2', manufacturer: 'Xreal' }, { name: 'Xreal Air', manufacturer: 'Xreal' });
+    expect(sibling.score).toBeLessThan(CANDIDATE_SCORE);
+    // Without the same manufacturer the bare model numbers must not match.
+    expect(scoreDuplicate({ name: 'YVR 2', manufacturer: 'YVR' }, { name: 'Engo 2', manufacturer: 'Engo' }).score).toBeLessThan(CANDIDATE_SCORE);
+  });
+
+  it('adds release year and spec matches and ranks candidates best first', () => {
+    const rows = [
+      { id: 'air', name: 'Xreal Air', manufacturer: 'Xreal', release_date: '2022-09', price_usd: '379', weight_g: '79' },
+      { id: 'air2', name: 'Xreal Air 2', manufacturer: 'Xreal', release_date: '2023-10', price_usd: '399', weight_g: '72' },
+      { id: 'q3', name: 'Quest 3', manufacturer: 'Meta', release_date: '2023-10', price_usd: '499' },
+    ];
+    const device = { name: 'Nreal Air (2022)', manufacturer: 'Nreal', release_date: '2022', price_usd: '379', weight_g: '79' };
+    const candidates = findDuplicateCandidates(device, rows);
+    expect(candidates.map((candidate) => candidate.row.id)).toEqual(['air']);
+    expect(candidates[0].score).toBe(1);
+    expect(candidates[0].reasons).toContain('same release year');
+    expect(candidates[0].reasons).toContain('matching price_usd, weight_g');
+    expect(findDuplicateCandidates({ name: 'Lens Z', manufacturer: 'Acme' }, rows)).toEqual([]);
+  });
+});
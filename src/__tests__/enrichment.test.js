@@ -0,0 +1,170 @@
+import { describe, expect, it } from 'vitest';
+import { applyEnrichment, buildReview, formatDryRun, meetsConfidence } from '../../scripts/lib/enrichment.mjs';
+
+const baseRows = () => [
+  { id: 'q3', name: 'Quest 3', manufacturer: 'Meta', price_usd: '499', weight_g: '515', image_url: '/images/q3.png' },
+  { id: 'one', name: 'One', manufacturer: 'Xreal', price_usd: '499' },
+];
+const options = (extra = {}) => ({ appliedAt: '2026-07-01', payloadPath: 'scripts/research/test.json', ...extra });
+
+describe('enrichment payloads', () => {
+  it('applies mutable fields, rejects immutable ones and cites the sources', () => {
+    const rows = baseRows();
+    const provenance = {};
+    const { report, changedRows, verifiedIds } = applyEnrichment(
+      rows,
+      {
+        enriched: [
+          {
+            id: 'q3',
+            changes: { price_usd: '449', weight_g: '515', image_url: 'https://example.com/q3.png', name: 'Quest Three' },
+            sources: ['https://example.com/q3'],
+            confidence: 'high',
+          },
+          { id: 'gone', name: 'Missing', changes: { price_usd: '1' } },
+        ],
+      },
+      options({ provenance }),
+    );
+    expect(rows[0]).toMatchObject({ price_usd: '449', image_url: '/images/q3.png', name: 'Quest 3', last_verified_at: '2026-07-01' });
+    expect(changedRows).toBe(1);
+    expect([...verifiedIds]).toEqual(['q3']);
+    expect(report.diffs).toEqual([{ id: 'q3', name: 'Quest 3', field: 'price_usd', before: '499', after: '449' }]);
+    expect(report.rejected.map((entry) => entry.field)).toEqual(['image_url', 'name']);
+    expect(report.unknownIds).toEqual([{ id: 'gone', name: 'Missing', section: 'enriched' }]);
+    // The unchanged weight was confirmed by the payload and is cited too.
+    expect(Object.keys(provenance.q3)).toEqual(['price_usd', 'weight_g']);
+  });
+
+  it('rejects price_usd on rows whose price is derived from price_original', () => {
+    const rows = [{ id: 'p4', name: 'Pico 4', manufacturer: 'Pico', price_usd: '452', price_original: '429', price_currency: 'EUR' }, ...baseRows()];
+    const { report } = applyEnrichment(
+      rows,
+      {
+        enriched: [
+          { id: 'p4', changes: { price_usd: '399' } },
+          { id: 'one', changes: { price_usd: '439', price_original: '3199', price_currency: 'CNY' } },
+          { id: 'q3', changes: { price_usd: '449' } },
+        ],
+      },
+      options(),
+    );
+    expect(rows.map((row) => [row.price_usd, row.price_original || ''])).toEqual([['452', '429'], ['449', ''], ['499', '3199']]);
+    expect(report.derivedPrices).toEqual([
+      { id: 'p4', name: 'Pico 4', value: '399', original: '429 EUR' },
+      { id: 'one', name: 'One', value: '439', original: '3199 CNY' },
+    ]);
+    expect(formatDryRun(report)).toContain('! rejected price_usd 399 on Pico 4 (p4): derived from price_original 429 EUR, change that instead');
+    expect(buildReview(report, { title: 'Review' })).toContain('| Pico 4 | p4 | 399 | 429 EUR |');
+  });
+
+  it('skips entries below --only-confidence, counting a missing confidence as medium', () => {
+    expect(meetsConfidence({}, '')).toBe(true);
+    expect(meetsConfidence({}, 'medium')).toBe(true);
+    expect(meetsConfidence({}, 'high')).toBe(false);
+    expect(meetsConfidence({ confidence: 'low' }, 'medium')).toBe(false);
+
+    const rows = baseRows();
+    const { report, skipped } = applyEnrichment(
+      rows,
+      {
+        enriched: [
+          { id: 'q3', changes: { price_usd: '449' }, confidence: 'high' },
+          { id: 'one', changes: { price_usd: '399' } },
+        ],
+        newDevices: [{ name: 'Lens Z', manufacturer: 'Acme', confidence: 'low' }],
+        priceHistory: [{ id: 'q3', date: '2024-10', price: 499, kind: 'msrp_change', confidence: 'low' }],
+      },
+      options({ minConfidence: 'high' }),
+    );
+    expect(rows.map((row) => row.price_usd)).toEqual(['449', '499']);
+    expect(rows).toHaveLength(2);
+    expect(report.lowConfidence).toEqual([
+      { id: 'one', name: 'One', confidence: undefined },
+      { id: '', name: 'Lens Z', confidence: 'low' },
+      { id: 'q3', name: 'Quest 3', confidence: 'low' },
+    ]);
+    expect(report.pricePoints).toEqual([]);
+    // Skipped entries keep the file out of the ledger (see recordPayload).
+    expect(skipped.map((entry) => entry.id || entry.name)).toEqual(['one', 'Lens Z', 'q3']);
+  });
+
+  it('converts payload price points in other currencies to USD at their date', () => {
+    const priceHistory = { q3: [{ date: '2023-10', price: 499, currency: 'USD', kind: 'launch' }] };
+    const { report } = applyEnrichment(
+      baseRows(),
+      { priceHistory: [{ id: 'q3', date: '2024-11', price: 459, currency: 'EUR', kind: 'street' }] },
+      options({ priceHistory }),
+    );
+    expect(priceHistory.q3[1]).toEqual({ date: '2024-11', price: 497, currency: 'USD', kind: 'street' });
+    expect(formatDryRun(report)).toEqual(['$ price point Quest 3 (q3): 2024-11 497 USD from 459 EUR (street)']);
+    expect(() =>
+      applyEnrichment(baseRows(), { priceHistory: [{ id: 'q3', date: '2024', price: 1, currency: 'XYZ' }] }, options()),
+    ).toThrow('Cannot convert price point 1 XYZ for Quest 3');
+  });
+
+  it('renders the dry-run diff and the review file from the report', () => {
+    const { report } = applyEnrichment(
+      baseRows(),
+      { enriched: [{ id: 'q3', changes: { price_usd: '449' }, confidence: 'low' }, { id: 'one', changes: { weight_g: '88' } }] },
+      options({ minConfidence: 'medium' }),
+    );
+    expect(formatDryRun(report, 'medium')).toEqual([
+      '~ One (one)',
+      '    weight_g: (empty) -> "88"',
+      '! below --only-confidence=medium: Quest 3 (q3), confidence low',
+    ]);
+
+    const markdown = buildReview(report, { title: 'Review' });
+    expect(markdown).toContain('## Changed fields (1)\n\n| Device | Id | Field | Before | After |\n| --- | --- | --- | --- | --- |\n| One | one | weight_g | (empty) | 88 |');
+    expect(markdown).toContain('## Below confidence threshold (1)');
+    expect(markdown).toContain('## Rejected immutable fields (0)\n\nNone.');
+    const html = buildReview(report, { title: 'Review <draft>', format: 'html' });
+    expect(html).toContain('<title>Review &lt;draft&gt;</title>');
+    expect(html).toContain('<td>weight_g</td><td>(empty)</td><td>88</td>');
+  });
+});
+
+describe('enrichment duplicate handling', () => {
+  const rows = () => [{ id: 'air', name: 'Xreal Air', manufacturer: 'Xreal', release_date: '2022-09', price_usd: '379', weight_g: '79' }];
+
+  it('blocks a fuzzy duplicate instead of adding it', () => {
+    const target = rows();
+    const { report } = applyEnrichment(target, { newDevices: [{ name: 'Nreal Air', manufacturer: 'Nreal', release_date: '2022' }] }, options());
+    expect(target).toHaveLength(1);
+    expect(report.added).toEqual([]);
+    expect(report.likelyDuplicates).toHaveLength(1);
+    expect(report.likelyDuplicates[0].candidates[0].row.id).toBe('air');
+  });
+
+  it('merges known values into the named row with mergeInto', () => {
+    const target = rows();
+    const { report, changedRows } = applyEnrichment(
+      target,
+      { newDevices: [{ name: 'Nreal Air', manufacturer: 'Nreal', mergeInto: 'air', weight_g: '77', refresh_hz: 'Unklar', image_url: '/x.png' }] },
+      options(),
+    );
+    expect(target).toHaveLength(1);
+    expect(target[0]).toMatchObject({ weight_g: '77', last_verified_at: '2026-07-01' });
+    expect(target[0].refresh_hz).toBeUndefined();
+    expect(target[0].image_url).toBeUndefined();
+    expect(changedRows).toBe(1);
+    expect(report.merged).toEqual([{ name: 'Nreal Air', id: 'air', target: 'Xreal Air' }]);
+    expect(() => applyEnrichment(rows(), { newDevices: [{ name: 'A', manufacturer: 'B', mergeInto: 'nope' }] }, options())).toThrow(
+      'mergeInto references unknown id nope (A)',
+    );
+  });
+
+  it('adds the device when notDuplicateOf clears every candidate', () => {
+    const target = rows();
+    const { report } = applyEnrichment(
+      target,
+      { newDevices: [{ name: 'Nreal Air', manufacturer: 'Nreal', release_date: '2022', notDuplicateOf: ['air'] }] },
+      options(),
+    );
+    expect(report.likelyDuplicates).toEqual([]);
+    expect(report.added).toEqual([{ name: 'Nreal Air', manufacturer: 'Nreal' }]);
+    expect(target[1]).toMatchObject({ name: 'Nreal Air', short_name: 'nrealair', eol_status: 'Aktiv oder ohne EOL-Angabe', last_verified_at: '2026-07-01' });
+    expect(target[1].id).toMatch(/^[A-Za-z0-9]{9}$/);
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest';
+import { sortRows } from '../data/filters.js';
+import { findStaleRows, freshnessByManufacturer, monthsSinceVerified } from '../data/freshness.js';
+import { state } from '../state.js';
+
+describe('verification freshness', () => {
+  const now = Date.UTC(2026, 9, 1);
+  const rows = [
+    { id: 'fresh', name: 'Fresh', manufacturer: 'A', lifecycle_status: 'shipping', last_verified_at: '2026-08-15' },
+    { id: 'old', name: 'Old', manufacturer: 'A', lifecycle_status: 'shipping', last_verified_at: '2024-09-01' },
+    { id: 'retired', name: 'Retired', manufacturer: 'B', lifecycle_status: 'support_ended', last_verified_at: '2024-10-01' },
+    { id: 'never', name: 'Never', manufacturer: 'B', lifecycle_status: 'shipping', last_verified_at: '' },
+  ];
+
+  it('ranks stale rows by age weighted with the lifecycle status', () => {
+    expect(monthsSinceVerified(rows[0], now)).toBe(1);
+    expect(findStaleRows(rows, 12, now).map(({ row, score }) => [row.id, score])).toEqual([
+      ['old', 25],
+      ['never', 24],
+      ['retired', 4.8],
+    ]);
+  });
+
+  it('summarizes freshness per manufacturer and sorts recently verified rows first', () => {
+    expect(freshnessByManufacturer(rows, (row) => row.manufacturer, 12, now)).toEqual([
+      { key: 'A', rows: 2, fresh: 1, never: 0, latest: '2026-08-15' },
+      { key: 'B', rows: 2, fresh: 0, never: 1, latest: '2024-10-01' },
+    ]);
+    const previous = state.sort;
+    try {
+      state.sort = 'verified_desc';
+      expect(sortRows(rows).map((row) => row.id)).toEqual(['fresh', 'retired', 'old', 'never']);
+    } finally {
+      state.sort = previous;
+    }
+  });
+});
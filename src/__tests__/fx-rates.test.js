@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import { FX_PER_USD, PRICE_CURRENCIES, convertToUsd, derivePriceUsd, rateForDate } from '../../scripts/lib/fx-rates.mjs';
+
+describe('launch price conversion', () => {
+  it('looks up the rate of the launch year and falls back to the nearest year', () => {
+    expect(PRICE_CURRENCIES).toEqual(['USD', 'EUR', 'GBP', 'CNY', 'JPY', 'KRW']);
+    expect(rateForDate('cny', '2023-09-26')).toBe(7.08);
+    expect(rateForDate('EUR', '2022')).toBe(0.95);
+    expect(rateForDate('CNY', '2026-05-30')).toBe(FX_PER_USD.CNY[2025]);
+    expect(rateForDate('JPY', '2004')).toBe(FX_PER_USD.JPY[2010]);
+    // Without a usable date the latest year applies.
+    expect(rateForDate('EUR', 'Unklar')).toBe(FX_PER_USD.EUR[2025]);
+    expect(rateForDate('USD', '1999')).toBe(1);
+    expect(rateForDate('CHF', '2024')).toBeNull();
+  });
+
+  it('converts to whole dollars and rejects unknown currencies and amounts', () => {
+    expect(convertToUsd('2988', 'CNY', '2023-09-26')).toBe(422);
+    expect(convertToUsd('429,00', 'EUR', '2022-10-18')).toBe(452);
+    expect(convertToUsd(499.99, 'USD')).toBe(500);
+    expect(convertToUsd('2988', 'XYZ', '2023')).toBeNull();
+    expect(convertToUsd('', 'CNY', '2023')).toBeNull();
+    expect(convertToUsd('0', 'CNY', '2023')).toBeNull();
+    expect(convertToUsd('ca. 3000', 'CNY', '2023')).toBeNull();
+  });
+
+  it('derives price_usd from the original price at the release or announcement date', () => {
+    expect(derivePriceUsd({ price_usd: '417', price_original: '2988', price_currency: 'CNY', release_date: '2023-09-26' })).toBe(422);
+    expect(derivePriceUsd({ price_original: '1899', price_currency: ' cny ', release_date: '', announced_date: '2021-03' })).toBe(294);
+    // USD originals pass through unrounded; without an original the curated value stays.
+    expect(derivePriceUsd({ price_usd: '1', price_original: '299.99', price_currency: 'USD' })).toBe(299.99);
+    expect(derivePriceUsd({ price_usd: '549', price_original: '', price_currency: '' })).toBe(549);
+    expect(derivePriceUsd({ price_usd: '549', price_original: '3999', price_currency: '' })).toBe(549);
+    expect(derivePriceUsd({ price_usd: '' })).toBe('');
+    // An unknown currency leaves the price empty instead of guessing.
+    expect(derivePriceUsd({ price_usd: '549', price_original: '3999', price_currency: 'XYZ', release_date: '2025' })).toBe('');
+  });
+});
@@ -0,0 +1,12 @@
+import { describe, expect, it } from 'vitest';
+import { formatOriginalPrice } from '../i18n.js';
+
+describe('original launch prices', () => {
+  it('formats non-USD originals and leaves USD or missing ones to price_usd', () => {
+    expect(formatOriginalPrice({ price_original: '2999', price_currency: 'cny' })).toMatch(/2\.999/);
+    expect(formatOriginalPrice({ price_original: '2999', price_currency: 'CNY' })).toMatch(/CN¥|CNY/);
+    expect(formatOriginalPrice({ price_original: '499', price_currency: 'USD' })).toBe('');
+    expect(formatOriginalPrice({ price_original: '', price_currency: 'EUR' })).toBe('');
+    expect(formatOriginalPrice({ price_original: '100', price_currency: 'Euro' })).toBe('');
+  });
+});
@@ -0,0 +1,71 @@
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { describe, expect, it } from 'vitest';
+import { findApplied, hashContent, readLedger, recordApplied, recordPayload, writeLedger } from '../../scripts/lib/ledger.mjs';
+
+describe('research ledger', () => {
+  it('identifies files by content hash and refreshes repeated entries', async () => {
+    const ledger = { applied: [] };
+    const sha256 = hashContent('{"enriched":[]}');
+    expect(sha256).toMatch(/^[0-9a-f]{64}$/);
+    recordApplied(ledger, { file: 'a.json', sha256, appliedAt: '2026-01-01' });
+    recordApplied(ledger, { file: 'renamed.json', sha256, appliedAt: '2026-02-01', stats: { rows_changed: 1 } });
+    expect(ledger.applied).toEqual([{ file: 'renamed.json', sha256, applied_at: '2026-02-01', stats: { rows_changed: 1 } }]);
+    expect(findApplied(ledger, sha256)?.file).toBe('renamed.json');
+    expect(findApplied(ledger, hashContent('other'))).toBeNull();
+
+    const dir = await mkdtemp(join(tmpdir(), 'ledger-'));
+    try {
+      const path = join(dir, 'ledger.json');
+      expect(await readLedger(path)).toEqual({ applied: [] });
+      await writeLedger(ledger, path);
+      expect(await readFile(path, 'utf8')).toMatch(/\n$/);
+      expect(await readLedger(path)).toEqual(ledger);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('records a fully applied payload together with its research files', () => {
+    const ledger = { applied: [] };
+    const pending = recordPayload(ledger, {
+      file: 'consolidated.json',
+      sha256: 'c',
+      appliedAt: '2026-07-01',
+      stats: { rows_changed: 2 },
+      consolidatedFrom: [
+        { file: 'r1.json', sha256: 'r1' },
+        { file: 'r2.json', sha256: 'r2' },
+      ],
+    });
+    expect(pending).toEqual([]);
+    expect(ledger.applied.map((entry) => [entry.file, entry.via])).toEqual([
+      ['consolidated.json', undefined],
+      ['r1.json', 'consolidated.json'],
+      ['r2.json', 'consolidated.json'],
+    ]);
+  });
+
+  it('leaves files with skipped entries pending', () => {
+    const ledger = { applied: [] };
+    const pending = recordPayload(ledger, {
+      file: 'consolidated.json',
+      sha256: 'c',
+      appliedAt: '2026-07-01',
+      consolidatedFrom: [
+        { file: 'r1.json', sha256: 'r1' },
+        { file: 'r2.json', sha256: 'r2' },
+        { file: 'r3.json', sha256: 'r3' },
+      ],
+      skipped: [{ id: 'x', source_file: 'r1.json' }, { name: 'New', source_files: ['r2.json'] }],
+    });
+    expect(pending.sort()).toEqual(['consolidated.json', 'r1.json', 'r2.json']);
+    expect(ledger.applied.map((entry) => entry.file)).toEqual(['r3.json']);
+
+    // Without attribution every research file stays pending.
+    const plain = { applied: [] };
+    recordPayload(plain, { file: 'p.json', sha256: 'p', appliedAt: '2026-07-01', consolidatedFrom: [{ file: 'r1.json', sha256: 'r1' }], skipped: [{ id: 'x' }] });
+    expect(plain.applied).toEqual([]);
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import { getFilterOptions, matchesFilters } from '../data/filters.js';
+import { deriveLifecycleStatus } from '../data/lifecycle.js';
+import { state } from '../state.js';
+
+describe('lifecycle status', () => {
+  const now = new Date('2026-07-11T00:00:00Z').getTime();
+
+  it('derives the status from dates, distribution and EOL labels', () => {
+    const active = { eol_status: 'Aktiv oder ohne EOL-Angabe' };
+    expect(deriveLifecycleStatus({ ...active, release_date: '2026-09', active_distribution: 'Ja' }, now)).toBe('preorder');
+    expect(deriveLifecycleStatus({ ...active, release_date: '2027', active_distribution: 'Nein' }, now)).toBe('announced');
+    expect(deriveLifecycleStatus({ ...active, announced_date: '2026-01-06', active_distribution: 'Nein' }, now)).toBe('announced');
+    expect(deriveLifecycleStatus({ ...active, release_date: '2026', active_distribution: 'Ja/Unklar' }, now)).toBe('shipping');
+    expect(deriveLifecycleStatus({ ...active, release_date: '2019-05', active_distribution: 'Nein' }, now)).toBe('discontinued');
+    expect(deriveLifecycleStatus({ eol_status: 'EOL / Support beendet', release_date: '2017' }, now)).toBe('support_ended');
+    expect(
+      deriveLifecycleStatus({ eol_status: 'Support-Ende angekündigt', eol_date: '2027-12-31', release_date: '2019' }, now),
+    ).toBe('discontinued');
+    expect(
+      deriveLifecycleStatus({ eol_status: 'EOL / Discontinued', lifecycle_override: 'support_ended', release_date: '2019' }, now),
+    ).toBe('support_ended');
+  });
+
+  it('filters the upcoming view and the status filter on the generated column', () => {
+    const previous = { rows: state.rows, onlyUpcoming: state.onlyUpcoming, lifecycleStatus: state.lifecycleStatus };
+    const row = (id, lifecycle_status) => ({ __rowId: id, name: id, manufacturer: 'Example', xr_category: 'AR', lifecycle_status });
+    try {
+      state.rows = [row('a', 'announced'), row('b', 'preorder'), row('c', 'shipping'), row('d', 'support_ended')];
+      const ids = () => state.rows.filter(matchesFilters).map((entry) => entry.__rowId);
+      Object.assign(state, { onlyUpcoming: true, lifecycleStatus: 'all' });
+      expect(ids()).toEqual(['a', 'b']);
+      Object.assign(state, { onlyUpcoming: false, lifecycleStatus: 'support_ended' });
+      expect(ids()).toEqual(['d']);
+      expect(getFilterOptions().lifecycleStatuses.map((option) => option.value)).toEqual([
+        'announced',
+        'preorder',
+        'shipping',
+        'support_ended',
+      ]);
+    } finally {
+      Object.assign(state, previous);
+    }
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest';
+import { completeLineage, getFamily, getNewerModel, getSpecDeltas } from '../data/lineage.js';
+
+describe('device lineage', () => {
+  const lineage = () =>
+    completeLineage([
+      { id: 'bt200', name: 'BT-200', family: 'Epson Moverio', fov_diagonal_deg: '23', weight_g: '88', eol_status: 'EOL / Discontinued' },
+      { id: 'bt300', name: 'BT-300', predecessor_id: 'bt200', fov_diagonal_deg: '23', weight_g: '69', eol_status: 'EOL / Discontinued' },
+      { id: 'bt40', name: 'BT-40', predecessor_id: 'bt300', fov_horizontal_deg: '30', fov_diagonal_deg: '34', weight_g: '95' },
+      { id: 'other', name: 'Other' },
+    ]);
+
+  it('completes reverse links and the family name along the chain', () => {
+    const [bt200, bt300, bt40, other] = lineage();
+    expect(bt200.successor_id).toBe('bt300');
+    expect(bt300.successor_id).toBe('bt40');
+    expect(bt40.family).toBe('Epson Moverio');
+    expect(getFamily(bt300, [bt200, bt300, bt40]).map((row) => row.id)).toEqual(['bt200', 'bt300', 'bt40']);
+    expect(getFamily(other, [bt200, other])).toEqual([other]);
+  });
+
+  it('describes spec deltas on a shared FOV axis', () => {
+    const [bt200, bt300, bt40] = lineage();
+    expect(getSpecDeltas(bt200, bt300)).toEqual([{ field: 'weight_g', unit: 'g', delta: -19 }]);
+    expect(getSpecDeltas(bt300, bt40)).toEqual([
+      { field: 'fov', unit: 'deg', delta: 11 },
+      { field: 'weight_g', unit: 'g', delta: 26 },
+    ]);
+  });
+
+  it('points EOL devices to the first generation still on sale', () => {
+    const rows = lineage();
+    const [bt200, , bt40] = rows;
+    expect(getNewerModel(bt200, rows)).toBe(bt40);
+    expect(getNewerModel(bt40, rows)).toBeNull();
+  });
+});
@@ -0,0 +1,77 @@
+import { createServer } from 'node:http';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { checkLinks } from '../../scripts/lib/link-check.mjs';
+import { classifyLink } from '../data/link-health.js';
+import { getLiveUrl, getShopInfo } from '../data/model.js';
+import { state } from '../state.js';
+
+describe('link health', () => {
+  // Canned responses: [status, headers, body] per path.
+  const pages = {
+    '/ok': [200, {}, '<title>Quest 3</title><h1>Meta Quest 3</h1>'],
+    '/moved': [301, { location: '/products/new' }, ''],
+    '/products/new': [200, {}, '<title>New product</title>'],
+    '/gone': [404, {}, '<title>Not Found</title>'],
+    '/parked': [200, {}, '<title>recon.example</title><p>This domain is for sale! Buy this domain today.</p>'],
+    '/soft': [200, {}, '<title>Oops - Page not found</title><h1>Sorry</h1>'],
+    '/old-product': [302, { location: '/' }, ''],
+    '/': [200, {}, '<title>Welcome</title>'],
+    '/slow': null,
+  };
+  let server;
+  let base;
+
+  beforeAll(async () => {
+    server = createServer((request, response) => {
+      const page = pages[request.url];
+      if (page === null) return; // never answers
+      const [status, headers, body] = page || [404, {}, ''];
+      response.writeHead(status, { 'content-type': 'text/html; charset=utf-8', ...headers });
+      response.end(body);
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  });
+
+  it('classifies canned responses from a stub server', async () => {
+    const paths = ['/ok', '/moved', '/gone', '/parked', '/soft', '/old-product', '/slow'];
+    const results = await checkLinks(
+      paths.map((path) => `${base}${path}`),
+      { concurrency: 2, timeout: 300 },
+    );
+    expect(Object.fromEntries(paths.map((path) => [path, results.get(`${base}${path}`).status]))).toEqual({
+      '/ok': 'ok',
+      '/moved': 'redirect',
+      '/gone': 'not_found',
+      '/parked': 'parked',
+      '/soft': 'soft_404',
+      '/old-product': 'soft_404',
+      '/slow': 'error',
+    });
+    expect(results.get(`${base}/moved`)).toMatchObject({ http_status: 200, final_url: `${base}/products/new` });
+    expect(results.get(`${base}/slow`).error).toBe('timeout');
+  });
+
+  it('keeps redirects across www and bot walls, hides only dead links', () => {
+    expect(classifyLink({ url: 'https://example.com/a', status: 200, finalUrl: 'https://www.example.com/a/' })).toBe('ok');
+    expect(classifyLink({ url: 'https://example.com/a', status: 403 })).toBe('error');
+    const previous = { linkHealth: state.linkHealth };
+    try {
+      state.linkHealth = {
+        links: {
+          'https://gone.example/glasses': { status: 'parked' },
+          'https://shop.example/glasses': { status: 'error' },
+        },
+      };
+      expect(getShopInfo({ official_url: 'https://gone.example/glasses' })).toMatchObject({ url: '', official: false });
+      expect(getLiveUrl('https://shop.example/glasses')).toBe('https://shop.example/glasses');
+    } finally {
+      Object.assign(state, previous);
+    }
+  });
+});
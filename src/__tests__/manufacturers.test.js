@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { getFilterOptions, matchesFilters, sortRows } from '../data/filters.js';
+import { createManufacturerResolver, validateManufacturers } from '../data/manufacturers.js';
+import { state } from '../state.js';
+
+describe('manufacturer entities', () => {
+  const entities = {
+    xreal: { name: 'XREAL', aliases: ['Xreal', 'Nreal'], status: 'active' },
+    meta: { name: 'Meta', aliases: ['Meta / EssilorLuxottica'], status: 'active' },
+    'meta-company': { name: 'Meta Company', aliases: ['Meta (2016)'], status: 'defunct' },
+  };
+
+  it('resolves spellings and aliases to one canonical entity', () => {
+    const resolve = createManufacturerResolver(entities);
+    expect(resolve('Nreal')).toMatchObject({ id: 'xreal', name: 'XREAL' });
+    expect(resolve('xreal')).toMatchObject({ id: 'xreal', name: 'XREAL' });
+    expect(resolve('Meta / EssilorLuxottica')).toMatchObject({ id: 'meta', name: 'Meta' });
+    expect(resolve('Meta (2016)')).toMatchObject({ id: 'meta-company', name: 'Meta Company' });
+    expect(resolve('Kopin / Solos')).toEqual({ id: 'kopin', name: 'Kopin / Solos', entity: null });
+  });
+
+  it('rejects unknown statuses and aliases claimed twice', () => {
+    expect(validateManufacturers(entities)).toEqual([]);
+    expect(
+      validateManufacturers({ ...entities, nreal: { name: 'Nreal', status: 'renamed', founded: 17 } }),
+    ).toEqual([
+      'nreal: unknown status "renamed" (expected active, acquired, defunct)',
+      'nreal: founded "17" is not a plausible year',
+      'nreal: "Nreal" is also claimed by xreal',
+    ]);
+  });
+
+  it('filters and sorts by the canonical name', () => {
+    const previous = { rows: state.rows, sort: state.sort, manufacturer: state.manufacturer };
+    const rows = [
+      { id: 'one', name: 'One', manufacturer: 'Xreal', manufacturer_name: 'XREAL' },
+      { id: 'air', name: 'Air', manufacturer: 'Nreal', manufacturer_name: 'XREAL' },
+      { id: 'ray-ban', name: 'Ray-Ban', manufacturer: 'Meta / EssilorLuxottica', manufacturer_name: 'Meta' },
+    ];
+    try {
+      state.rows = rows;
+      expect(getFilterOptions().manufacturers).toEqual(['Meta', 'XREAL']);
+      state.manufacturer = 'XREAL';
+      expect(rows.filter(matchesFilters).map((row) => row.id)).toEqual(['one', 'air']);
+      state.manufacturer = 'Nreal';
+      expect(rows.filter(matchesFilters).map((row) => row.id)).toEqual(['air']);
+      state.manufacturer = 'all';
+      state.sort = 'manufacturer_asc';
+      expect(sortRows(rows).map((row) => row.id)).toEqual(['ray-ban', 'one', 'air']);
+    } finally {
+      Object.assign(state, previous);
+    }
+  });
+});
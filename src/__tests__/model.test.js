@@ -24,6 +24,9 @@ describe('device model helpers', () => {
     const now = new Date('2026-07-11T00:00:00Z').getTime();
     expect(isRecentRelease({ release_date: '2026-06-23' }, now)).toBe(true);
     expect(isRecentRelease({ release_date: '2026-08-01' }, now)).toBe(false);
+    expect(isRecentRelease({ release_date: '2026' }, now)).toBe(true);
+    expect(isRecentRelease({ release_date: '2025-06' }, now)).toBe(true);
+    expect(isRecentRelease({ release_date: '2024' }, now)).toBe(false);
   });
 });
 
@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import { matchesFilters, sortRows } from '../data/filters.js';
+import { computeOpticalMetrics } from '../data/optical-metrics.js';
+import { state } from '../state.js';
+
+describe('optical metrics', () => {
+  const headset = { id: 'headset', fov_horizontal_deg: '100', fov_vertical_deg: '96', resolution_per_eye: '2064x2208', price_usd: '499' };
+  const glasses = { id: 'glasses', fov_diagonal_deg: '~50', resolution_per_eye: '3840x1080', price_usd: '499' };
+
+  it('derives PPD, FOV area and price per degree and flags diagonal estimates', () => {
+    expect(computeOpticalMetrics(headset)).toMatchObject({
+      axis: 'h',
+      ppd: { value: 20.6, estimated: false },
+      fovArea: { value: 9600, estimated: false },
+      usdPerDegree: { value: 5, estimated: false },
+    });
+    expect(computeOpticalMetrics(glasses)).toMatchObject({
+      axis: 'd',
+      ppd: { value: 43.4, estimated: true },
+      fovArea: { value: 1139, estimated: true },
+      usdPerDegree: { value: 11.3, estimated: true },
+    });
+    expect(computeOpticalMetrics({ fov_horizontal_deg: '30', resolution_per_eye: 'Unklar' })).toMatchObject({
+      ppd: null,
+      usdPerDegree: null,
+    });
+  });
+
+  it('sorts and filters on the derived metrics', () => {
+    const previous = { sort: state.sort, minPpd: state.minPpd, maxUsdPerDegree: state.maxUsdPerDegree };
+    const unknown = { id: 'unknown', resolution_per_eye: '1920x1080' };
+    try {
+      state.sort = 'ppd_desc';
+      expect(sortRows([unknown, headset, glasses]).map((row) => row.id)).toEqual(['glasses', 'headset', 'unknown']);
+      state.sort = 'usd_per_degree_asc';
+      expect(sortRows([unknown, glasses, headset]).map((row) => row.id)).toEqual(['headset', 'glasses', 'unknown']);
+      Object.assign(state, { minPpd: '30', maxUsdPerDegree: '' });
+      expect([headset, glasses, unknown].filter(matchesFilters).map((row) => row.id)).toEqual(['glasses']);
+      Object.assign(state, { minPpd: '', maxUsdPerDegree: '10' });
+      expect([headset, glasses, unknown].filter(matchesFilters).map((row) => row.id)).toEqual(['headset']);
+    } finally {
+      Object.assign(state, previous);
+    }
+  });
+});
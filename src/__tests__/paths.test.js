@@ -0,0 +1,21 @@
+import { describe, expect, it } from 'vitest';
+import { assignDevicePaths, buildPathRegistry } from '../data/paths.js';
+
+describe('device path registry', () => {
+  const quest = { id: 'q3', name: 'Meta Quest 3', manufacturer: 'Meta' };
+
+  it('keeps registered paths when a new device takes the same name', () => {
+    const registry = { q3: { path: 'meta/quest-3-2', previous: [] } };
+    const paths = assignDevicePaths([{ id: 'new', name: 'Meta Quest 3', manufacturer: 'Meta' }, quest], registry);
+    expect(paths.get('q3').path).toBe('meta/quest-3-2');
+    expect(paths.get('new').path).toBe('meta/quest-3');
+  });
+
+  it('records the old path of a renamed device and never hands it out again', () => {
+    const registry = { q3: { path: 'meta/quest-3', previous: [] } };
+    const renamed = assignDevicePaths([{ ...quest, name: 'Meta Quest 3 (2023)' }, { id: 'new', name: 'Meta Quest 3', manufacturer: 'Meta' }], registry);
+    expect(renamed.get('q3')).toMatchObject({ path: 'meta/quest-3-2023', previous: ['meta/quest-3'], previousFlats: ['meta-quest-3'] });
+    expect(renamed.get('new').path).toBe('meta/quest-3-2');
+    expect(buildPathRegistry(renamed).q3).toEqual({ path: 'meta/quest-3-2023', previous: ['meta/quest-3'] });
+  });
+});
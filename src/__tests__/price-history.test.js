@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { addPricePoint, buildPriceChartSvg, getPriceHistory, getPriceThenNow, recordPriceChanges } from '../data/price-history.js';
+
+describe('price history', () => {
+  it('keeps points sorted by (partial) date and ignores repeats and invalid points', () => {
+    const store = {};
+    expect(addPricePoint(store, 'a1', { date: '2026-10-19', price: '399', kind: 'msrp_change' })).toBe(true);
+    expect(addPricePoint(store, 'a1', { date: '2024-06', price: 459, kind: 'launch', source: 'https://example.com/' })).toBe(true);
+    expect(addPricePoint(store, 'a1', { date: '2024-06', price: 459, kind: 'launch' })).toBe(false);
+    expect(addPricePoint(store, 'a1', { date: 'soon', price: 459 })).toBe(false);
+    expect(addPricePoint(store, 'a1', { date: '2025', price: 400, kind: 'rumor' })).toBe(false);
+
+    expect(getPriceHistory(store, 'a1').map((point) => point.date)).toEqual(['2024-06', '2026-10-19']);
+    expect(getPriceHistory(store, 'a1')[0]).toEqual({ date: '2024-06', price: 459, currency: 'USD', kind: 'launch', source: 'https://example.com/' });
+    expect(getPriceHistory(store, 'missing')).toEqual([]);
+  });
+
+  it('compares the launch price with the latest point and charts only real histories', () => {
+    const store = {};
+    addPricePoint(store, 'a1', { date: '2023-02', price: 499, kind: 'launch' });
+    expect(getPriceThenNow(store, 'a1')).toBeNull();
+    expect(buildPriceChartSvg(getPriceHistory(store, 'a1'))).toBe('');
+
+    addPricePoint(store, 'a1', { date: '2025-11-28', price: 349, kind: 'street' });
+    expect(getPriceThenNow(store, 'a1')).toMatchObject({ then: { price: 499 }, now: { price: 349, kind: 'street' } });
+    const svg = buildPriceChartSvg(getPriceHistory(store, 'a1'), { label: 'Preisverlauf <X>' });
+    expect(svg).toContain('aria-label="Preisverlauf &lt;X&gt;"');
+    expect(svg.match(/<circle/g)).toHaveLength(2);
+  });
+
+  it('records a non-USD launch and later price changes in one USD series', () => {
+    const store = {};
+    const row = { id: 'a01', release_date: '2026-05-27', price_usd: '236', price_original: '1699', price_currency: 'CNY' };
+    recordPriceChanges(store, [row], [], { date: '2026-06-01' });
+    expect(getPriceHistory(store, 'a01')).toEqual([{ date: '2026-05-27', price: 236, currency: 'USD', kind: 'launch' }]);
+
+    const changes = [
+      { type: 'price', id: 'a01', field: 'price_original', from: '1699', to: '1499' },
+      { type: 'price', id: 'a01', field: 'price_usd', from: '236', to: '208' },
+    ];
+    const provenance = { a01: { price_usd: { sources: ['https://example.com/a01'] } } };
+    recordPriceChanges(store, [{ ...row, price_usd: '208', price_original: '1499' }], changes, { date: '2026-07-11', provenance });
+    expect(getPriceHistory(store, 'a01').map(({ price, currency, kind }) => [price, currency, kind])).toEqual([
+      [236, 'USD', 'launch'],
+      [208, 'USD', 'msrp_change'],
+    ]);
+    expect(getPriceHistory(store, 'a01')[1].source).toBe('https://example.com/a01');
+    expect(getPriceThenNow(store, 'a01')).toMatchObject({ then: { price: 236 }, now: { price: 208, date: '2026-07-11' } });
+    expect(buildPriceChartSvg(getPriceHistory(store, 'a01')).match(/<circle/g)).toHaveLength(2);
+  });
+
+  it('dates launch points at the price before the run', () => {
+    const store = {};
+    recordPriceChanges(store, [{ id: 'q3', announced_date: '2023-06', price_usd: '449' }, { id: 'x', release_date: '2024' }], [], {
+      date: '2026-07-11',
+      baseline: { q3: { price_usd: '499' } },
+    });
+    expect(store).toEqual({ q3: [{ date: '2023-06', price: 499, currency: 'USD', kind: 'launch' }] });
+  });
+});
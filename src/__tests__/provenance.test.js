@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { createCitations, getProvenance, recordProvenance } from '../data/provenance.js';
+
+describe('field provenance', () => {
+  it('merges multi-field provenance with the weakest confidence and drops unsafe sources', () => {
+    const store = {};
+    recordProvenance(store, 'a1', 'fov_horizontal_deg', {
+      sources: ['https://example.com/specs', 'javascript:alert(1)'],
+      confidence: 'high',
+      appliedAt: '2026-01-02',
+    });
+    recordProvenance(store, 'a1', 'fov_diagonal_deg', {
+      sources: ['https://example.com/specs', 'https://example.org/review'],
+      confidence: 'medium',
+      appliedAt: '2026-03-04',
+    });
+    expect(recordProvenance(store, 'a1', 'weight_g', { sources: [], confidence: 'high' })).toBe(false);
+
+    expect(getProvenance(store, 'a1', ['fov_horizontal_deg', 'fov_vertical_deg', 'fov_diagonal_deg'])).toEqual({
+      sources: ['https://example.com/specs', 'https://example.org/review'],
+      confidence: 'medium',
+      appliedAt: '2026-03-04',
+    });
+    expect(getProvenance(store, 'a1', 'weight_g')).toBeNull();
+  });
+
+  it('numbers shared sources once across citations', () => {
+    const citations = createCitations();
+    citations.cite(['https://a.example/', 'https://b.example/']);
+    expect(citations.cite(['https://b.example/'])).toEqual([{ number: 2, url: 'https://b.example/' }]);
+    expect(citations.sources).toHaveLength(2);
+  });
+});
@@ -0,0 +1,21 @@
+import { describe, expect, it } from 'vitest';
+import { parseResolution } from '../data/resolution.js';
+
+describe('resolution model', () => {
+  it('tells per-eye, combined and monocular panels apart', () => {
+    expect(parseResolution('1920x1080')).toMatchObject({
+      layout: 'per-eye',
+      source: 'heuristic',
+      panelCount: 2,
+      widthPerEye: 1920,
+      pixelsPerEye: 2073600,
+      megapixelsPerEye: 2.1,
+      aspect: 1.78,
+    });
+    expect(parseResolution('3840x1080')).toMatchObject({ layout: 'combined', perEye: false, panelCount: 1, widthPerEye: 1920 });
+    expect(parseResolution('640x200')).toMatchObject({ layout: 'per-eye', widthPerEye: 640 });
+    expect(parseResolution('1920x1080 (monocular)')).toMatchObject({ layout: 'monocular', source: 'stated', eyes: 1 });
+    expect(parseResolution('2880x1600', 'combined')).toMatchObject({ source: 'override', widthPerEye: 1440, aspect: 0.9 });
+    expect(parseResolution('Unklar')).toBeNull();
+  });
+});
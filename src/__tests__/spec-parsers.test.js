@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import { matchesFilters, sortRows } from '../data/filters.js';
+import { parseBattery, parseConnectivity, parseIpd } from '../data/spec-parsers.js';
+import { state } from '../state.js';
+
+describe('structured spec fields', () => {
+  it('parses battery, connectivity and IPD text', () => {
+    expect(parseBattery('Integriert, ca. 90 min')).toEqual({ hours: 1.5, kind: 'integrated' });
+    expect(parseBattery('Swappable battery, 3-4 h (200 h standby)')).toEqual({ hours: 4, kind: 'swappable' });
+    expect(parseBattery('Via USB-C vom Host')).toEqual({ hours: null, kind: 'host' });
+    expect(parseConnectivity('Wi-Fi 802.11a/b/g/n/ac, BT 5.1, USB-C (DisplayPort Alt Mode)')).toEqual({
+      ports: ['USB-C (DP Alt Mode)'],
+      radios: ['Wi-Fi 5', 'Bluetooth 5.1'],
+    });
+    expect(parseConnectivity('3DoF controller, no WiFi/BT in headset').radios).toEqual([]);
+    expect(parseIpd('58-72 mm mechanical')).toEqual({ min: 58, max: 72, adjustment: 'mechanical' });
+    expect(parseIpd('63.5')).toEqual({ min: 63.5, max: 63.5, adjustment: 'fixed' });
+    expect(parseIpd('Dioptrien +2 bis -6')).toEqual({ min: null, max: null, adjustment: '' });
+  });
+
+  it('filters and sorts on runtime, IPD range and DisplayPort Alt Mode', () => {
+    const previous = { rows: state.rows, sort: state.sort, minBatteryHours: '', ipd: '', onlyDpAltMode: false };
+    state.rows = [
+      { __rowId: 'a', name: 'A', battery_hours: '2', ipd_min_mm: '58', ipd_max_mm: '72', connectivity_ports: 'USB-C (DP Alt Mode)' },
+      { __rowId: 'b', name: 'B', battery_hours: '4.5', ipd_min_mm: '62', ipd_max_mm: '66', connectivity_ports: 'USB-C; HDMI' },
+      { __rowId: 'c', name: 'C', battery_hours: '', ipd_min_mm: '', ipd_max_mm: '', connectivity_ports: '' },
+    ];
+    const ids = (rows) => rows.map((row) => row.__rowId);
+    try {
+      state.minBatteryHours = '3';
+      expect(ids(state.rows.filter(matchesFilters))).toEqual(['b']);
+      state.minBatteryHours = '';
+      state.ipd = '70';
+      expect(ids(state.rows.filter(matchesFilters))).toEqual(['a']);
+      state.ipd = '';
+      state.onlyDpAltMode = true;
+      expect(ids(state.rows.filter(matchesFilters))).toEqual(['a']);
+      state.onlyDpAltMode = false;
+      state.sort = 'battery_desc';
+      expect(ids(sortRows(state.rows))).toEqual(['b', 'a', 'c']);
+      state.sort = 'ipd_range_desc';
+      expect(ids(sortRows(state.rows))).toEqual(['a', 'b', 'c']);
+    } finally {
+      Object.assign(state, previous);
+    }
+  });
+});
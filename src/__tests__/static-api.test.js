@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { API_PAGE_SIZE, buildStaticApi } from '../../scripts/lib/static-api.mjs';
+
+describe('static api', () => {
+  it('writes paginated devices, manufacturers and facets with English codes', () => {
+    const rows = Array.from({ length: API_PAGE_SIZE + 1 }, (_, index) => ({
+      id: `d${index}`,
+      name: `Device ${index}`,
+      manufacturer: index ? 'Xreal' : 'Meta',
+      manufacturer_id: index ? 'xreal' : 'meta',
+      manufacturer_name: index ? 'XREAL' : 'Meta',
+      xr_category: index ? 'AR' : 'XR',
+      eol_status: index ? 'Active' : 'EOL / Discontinued',
+      price_usd: String(100 + index),
+    }));
+    const paths = new Map(rows.map((row) => [row.id, { path: `${row.manufacturer_id}/${row.id}` }]));
+    const documents = new Map(
+      buildStaticApi({
+        rows,
+        paths,
+        metadata: { generated_at: '2026-01-01T00:00:00.000Z', records: rows.length },
+        manufacturers: { xreal: { name: 'XREAL', aliases: ['Nreal'], country: 'CN' } },
+        baseUrl: 'https://example.com/',
+      }),
+    );
+
+    const first = documents.get('api/v1/devices.json');
+    expect(first).toMatchObject({ api_version: 'v1', page: 1, total: rows.length, total_pages: 2, previous: null });
+    expect(first.next).toBe('https://example.com/api/v1/devices/pages/2.json');
+    expect(first.data).toHaveLength(API_PAGE_SIZE);
+    expect(documents.get('api/v1/devices/pages/2.json')).toMatchObject({ page: 2, next: null, previous: 'https://example.com/api/v1/devices.json' });
+
+    expect(documents.get('api/v1/devices/d0.json')).toMatchObject({
+      eol_status: 'discontinued',
+      price_usd: 100,
+      url: 'https://example.com/meta/d0/',
+      api_url: 'https://example.com/api/v1/devices/d0.json',
+    });
+    const manufacturers = documents.get('api/v1/manufacturers.json').data;
+    expect(manufacturers.map((entry) => entry.id)).toEqual(['meta', 'xreal']);
+    expect(manufacturers[1]).toMatchObject({ name: 'XREAL', aliases: ['Nreal'], devices: API_PAGE_SIZE });
+    const { facets, ranges } = documents.get('api/v1/facets.json');
+    expect(facets.xr_category).toEqual([
+      { value: 'AR', count: API_PAGE_SIZE },
+      { value: 'XR', count: 1 },
+    ]);
+    expect(ranges.price_usd).toEqual({ min: 100, max: 100 + API_PAGE_SIZE, devices: rows.length });
+    expect(documents.get('api/v1/index.json').endpoints).toHaveLength(5);
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { matchesFilters } from '../data/filters.js';
+import { parseValue } from '../data/values.js';
+import { formatNumber } from '../i18n.js';
+import { state } from '../state.js';
+
+describe('numeric ranges and estimates', () => {
+  it('parses ranges, estimates, units and per-eye markers', () => {
+    expect(parseValue('70-85', 'g')).toEqual({ min: 70, max: 85, unit: 'g', approx: false, perEye: null });
+    expect(parseValue('~46°', 'deg')).toEqual({ min: 46, max: 46, unit: 'deg', approx: true, perEye: null });
+    expect(parseValue('1.2 kg', 'g')).toMatchObject({ min: 1200, max: 1200 });
+    expect(parseValue('1.2 kg', 'deg')).toBeNull();
+    expect(parseValue('3840x1080 (combined)', 'px')).toMatchObject({ min: 3840, max: 3840, perEye: false });
+    expect(formatNumber('~46', ' deg')).toBe('≈46 deg');
+    expect(formatNumber('90-120', ' Hz')).toBe('90–120 Hz');
+  });
+
+  it('reads negative numbers and comma thousands separators', () => {
+    expect(parseValue('-5', 'deg')).toMatchObject({ min: -5, max: -5 });
+    expect(parseValue('-10 - 40')).toMatchObject({ min: -10, max: 40 });
+    expect(parseValue('1,200 nits', 'nits')).toMatchObject({ min: 1200, max: 1200 });
+    expect(parseValue('12,500,000')).toMatchObject({ min: 12500000 });
+    expect(parseValue('1,200.5')).toMatchObject({ min: 1200.5 });
+    // A decimal comma keeps working when fewer or more than three digits follow.
+    expect(parseValue('1,2 kg', 'g')).toMatchObject({ min: 1200 });
+    expect(parseValue('0,125')).toMatchObject({ min: 0.1 });
+    expect(parseValue('1,2345')).toMatchObject({ min: 1.2 });
+    expect(formatNumber('1,200', ' nits')).toBe('1.200 nits');
+    expect(formatNumber('-5', '°')).toBe('-5°');
+  });
+
+  it('keeps devices in range filters when any part of the range qualifies', () => {
+    const previous = { rows: state.rows, maxWeight: '', minFov: '', minResolutionWidth: '' };
+    state.rows = [
+      { __rowId: 'a', name: 'A', weight_g: '70-85', fov_diagonal_deg: '~46', resolution_per_eye: '3840x1080 (combined)' },
+      { __rowId: 'b', name: 'B', weight_g: '90', fov_horizontal_deg: '40', resolution_per_eye: '1920x1080' },
+    ];
+    const ids = () => state.rows.filter(matchesFilters).map((row) => row.__rowId);
+    try {
+      state.maxWeight = '75';
+      expect(ids()).toEqual(['a']);
+      state.maxWeight = '';
+      state.minFov = '45';
+      expect(ids()).toEqual(['a']);
+      state.minFov = '';
+      state.minResolutionWidth = '1920';
+      expect(ids()).toEqual(['a', 'b']);
+      state.minResolutionWidth = '2000';
+      expect(ids()).toEqual([]);
+    } finally {
+      Object.assign(state, previous);
+    }
+  });
+});
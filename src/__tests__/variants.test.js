@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { getSelectedRows } from '../data/filters.js';
+import { applyVariant, getPriceRange, validateVariants } from '../data/variants.js';
+import { pruneSelectedIdsToKnownRows, state } from '../state.js';
+
+describe('device variants', () => {
+  const visionPro = { id: 'vp', __rowId: 'vp', __flat: 'apple-vision-pro', name: 'Vision Pro', price_usd: '3499', price_original: '3999', price_currency: 'EUR', weight_g: '650' };
+  const variants = {
+    vp: [
+      { key: '256gb', label: '256 GB', storage: '256 GB', price_usd: 3499 },
+      { key: '1tb', label: '1 TB', storage: '1 TB', price_usd: 3899 },
+    ],
+  };
+
+  it('applies per-variant overrides and reports the price range', () => {
+    const edition = applyVariant(visionPro, variants.vp[1]);
+    expect(edition).toMatchObject({ name: 'Vision Pro (1 TB)', price_usd: '3899', storage: '1 TB', weight_g: '650', price_original: '' });
+    expect(getPriceRange(visionPro, variants.vp)).toEqual({ min: 3499, max: 3899 });
+    expect(getPriceRange({ price_usd: '' })).toBeNull();
+  });
+
+  it('rejects unknown parents, duplicate keys and non-numeric overrides', () => {
+    expect(validateVariants(variants, new Set(['vp']))).toEqual([]);
+    expect(
+      validateVariants({ gone: [{ key: 'a', label: 'A' }], vp: [{ key: 'a', label: 'A', price_usd: '399' }, { key: 'a' }] }, new Set(['vp'])),
+    ).toEqual([
+      'gone: no device with this id',
+      'vp~a: price_usd "399" is not a positive number',
+      'vp: variant key "a" is used twice',
+      'vp~a: label is missing',
+    ]);
+  });
+
+  it('resolves compare selections of a single edition', () => {
+    const previous = { rows: state.rows, variants: state.variants, selectedIds: state.selectedIds, compareMode: state.compareMode };
+    try {
+      Object.assign(state, { rows: [visionPro], variants, selectedIds: ['vp~1tb', 'vp~8tb', 'vp'], compareMode: true });
+      pruneSelectedIdsToKnownRows();
+      expect(state.selectedIds).toEqual(['vp~1tb', 'vp']);
+      expect(getSelectedRows().map((row) => [row.__rowId, row.__flat, row.price_usd])).toEqual([
+        ['vp~1tb', 'apple-vision-pro~1tb', '3899'],
+        ['vp', 'apple-vision-pro', '3499'],
+      ]);
+    } finally {
+      Object.assign(state, previous);
+    }
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { getFilterOptions, matchesFilters } from '../data/filters.js';
+import { canonicalValue, describeVocabularyValue } from '../data/vocabulary.js';
+import { state } from '../state.js';
+
+describe('spec vocabularies', () => {
+  it('maps free-text spellings onto one canonical value', () => {
+    expect(['6DoF Inside-out (4 Kameras)', 'Inside-out (ToF)', '6DoF'].map((value) => canonicalValue('tracking', value))).toEqual([
+      '6dof-inside-out',
+      '6dof-inside-out',
+      '6dof-inside-out',
+    ]);
+    expect(canonicalValue('tracking', '3DoF inside-out')).toBe('3dof');
+    expect(canonicalValue('tracking', '6DoF Outside-in (Lighthouse)')).toBe('6dof-outside-in');
+    expect(canonicalValue('tracking', 'None')).toBe('none');
+    expect(canonicalValue('eye_tracking', 'Unklar')).toBe('unknown');
+    expect(canonicalValue('hand_tracking', 'Ja (Gesten via ToF)')).toBe('yes');
+    expect(canonicalValue('passthrough', 'Nein (optische Durchsicht)')).toBe('optical');
+    expect(canonicalValue('passthrough', 'Passthrough via tracking cameras')).toBe('video-color');
+    expect(canonicalValue('passthrough', '6dof-inside-out')).toBe('other');
+    expect(canonicalValue('tracking', '6dof-inside-out')).toBe('6dof-inside-out');
+  });
+
+  it('keeps the original text as a note only when it adds detail', () => {
+    expect(describeVocabularyValue('tracking', '6DoF Inside-out (4 Kameras)', 'en')).toEqual({
+      value: '6dof-inside-out',
+      label: '6DoF inside-out',
+      note: '6DoF Inside-out (4 Kameras)',
+    });
+    expect(describeVocabularyValue('eye_tracking', 'Nein').note).toBe('');
+  });
+
+  it('offers and filters canonical values instead of every spelling', () => {
+    const previous = { rows: state.rows, tracking: state.tracking };
+    state.rows = [
+      { __rowId: 'a', name: 'A', tracking: '6DoF Inside-out' },
+      { __rowId: 'b', name: 'B', tracking: 'Inside-out (6DoF vSLAM)' },
+      { __rowId: 'c', name: 'C', tracking: 'Non-positional' },
+    ];
+    try {
+      expect(getFilterOptions().tracking.map((option) => option.value)).toEqual(['3dof', '6dof-inside-out']);
+      state.tracking = '6dof-inside-out';
+      expect(state.rows.filter(matchesFilters).map((row) => row.__rowId)).toEqual(['a', 'b']);
+    } finally {
+      Object.assign(state, previous);
+    }
+  });
+});
@@ -0,0 +1,76 @@
+// Weighted data completeness per device. The dataset-wide `field_coverage` in
+// the metadata says how often a column is filled; this says how much of a
+// single row is known, with core specs counting three times as much as
+// optional ones. Imported by BOTH the SPA (sort, minimum filter, modal) and the
+// build side (coverage matrix on data.html, note on device pages).
+import { isUnknownValue, normalizeText } from '../utils.js';
+
+export const COMPLETENESS_WEIGHTS = { core: 3, standard: 2, optional: 1 };
+
+// Scored entries; one entry may stand for several columns (any of them counts).
+export const COMPLETENESS_FIELDS = [
+  { key: 'price_usd', label: 'Preis', tier: 'core' },
+  { key: 'release_date', label: 'Erscheinungsdatum', tier: 'core' },
+  { key: 'display_type', label: 'Display', tier: 'core' },
+  { key: 'optics', label: 'Optik', tier: 'core' },
+  { key: 'fov', label: 'Sichtfeld', tier: 'core', fields: ['fov_horizontal_deg', 'fov_diagonal_deg', 'fov_vertical_deg'] },
+  { key: 'resolution_per_eye', label: 'Auflösung', tier: 'core' },
+  { key: 'weight_g', label: 'Gewicht', tier: 'core' },
+  { key: 'tracking', label: 'Tracking', tier: 'core' },
+  { key: 'official_url', label: 'Herstellerseite', tier: 'core' },
+  { key: 'refresh_hz', label: 'Bildwiederholrate', tier: 'standard' },
+  { key: 'compute_unit', label: 'Recheneinheit', tier: 'standard' },
+  { key: 'software', label: 'Software', tier: 'standard' },
+  { key: 'chipset', label: 'Chipsatz', tier: 'standard' },
+  { key: 'brightness_nits', label: 'Helligkeit', tier: 'standard' },
+  { key: 'battery', label: 'Akku', tier: 'standard' },
+  { key: 'connectivity', label: 'Anschlüsse', tier: 'standard' },
+  { key: 'image_url', label: 'Produktbild', tier: 'standard' },
+  { key: 'lifecycle_source', label: 'Lifecycle-Quelle', tier: 'standard' },
+  { key: 'announced_date', label: 'Ankündigung', tier: 'optional' },
+  { key: 'eye_tracking', label: 'Eye-Tracking', tier: 'optional' },
+  { key: 'hand_tracking', label: 'Hand-Tracking', tier: 'optional' },
+  { key: 'passthrough', label: 'Passthrough', tier: 'optional' },
+  { key: 'audio', label: 'Audio', tier: 'optional' },
+  { key: 'ipd_mm', label: 'IPD', tier: 'optional' },
+  { key: 'prescription_support', label: 'Sehstärke', tier: 'optional' },
+  { key: 'camera', label: 'Kamera', tier: 'optional' },
+];
+
+const TOTAL_WEIGHT = COMPLETENESS_FIELDS.reduce((sum, entry) => sum + COMPLETENESS_WEIGHTS[entry.tier], 0);
+
+// "None" is a real answer for tracking, "Unklar" and empty cells are not.
+const isKnown = (value) => normalizeText(value) === 'none' || !isUnknownValue(value);
+
+export const isFieldFilled = (row, entry) => (entry.fields || [entry.key]).some((field) => isKnown(row[field]));
+
+// { score: 0-100, missing: [entry] } for one row.
+export const getCompleteness = (row) => {
+  const missing = COMPLETENESS_FIELDS.filter((entry) => !isFieldFilled(row, entry));
+  const missingWeight = missing.reduce((sum, entry) => sum + COMPLETENESS_WEIGHTS[entry.tier], 0);
+  return { score: Math.round(((TOTAL_WEIGHT - missingWeight) / TOTAL_WEIGHT) * 100), missing };
+};
+
+export const completenessScore = (row) => getCompleteness(row).score;
+
+// Per group: { key, rows, score, fields: { <entry key>: percent filled } },
+// where `score` is the mean row score. `key(row)` picks the group.
+export const completenessByGroup = (rows, key) => {
+  const groups = new Map();
+  for (const row of rows) {
+    const name = key(row);
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(row);
+  }
+  return [...groups.entries()].map(([name, members]) => ({
+    key: name,
+    rows: members.length,
+    score: Math.round(members.reduce((sum, row) => sum + completenessScore(row), 0) / members.length),
+    fields: Object.fromEntries(
+      COMPLETENESS_FIELDS.map((entry) => [
+        entry.key,
+        Math.round((members.filter((row) => isFieldFilled(row, entry)).length / members.length) * 100),
+      ]),
+    ),
+  }));
+};
@@ -0,0 +1,57 @@
+// Partial dates for `announced_date`, `release_date` and `eol_date`. The CSV
+// holds "2020", "2019-08" or "2016-06-29"; `new Date('2020')` invents January
+// 1st, which showed up as "01 Jan 2020" and sorted a year-only release below
+// every dated one from January. parsePartialDate() keeps the precision:
+//
+//   parsePartialDate('2019-08') -> { year: 2019, month: 8, day: null, precision: 'month', iso: '2019-08', start, end }
+//
+// `start` / `end` are the UTC timestamps of the first and last millisecond of
+// the period. Imported by BOTH the SPA (display, sorting, "new" badge) and the
+// generator (JSON-LD `releaseDate`, price history).
+
+export const DATE_PRECISIONS = ['year', 'month', 'day'];
+
+const DATE_PATTERN = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/;
+const pad = (value) => String(value).padStart(2, '0');
+
+// Returns null for empty, unknown ("Unklar") or impossible dates ("2024-02-30").
+export const parsePartialDate = (value) => {
+  const match = String(value ?? '').trim().match(DATE_PATTERN);
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map((part) => (part === undefined ? null : Number(part)));
+  if (month !== null && (month < 1 || month > 12)) return null;
+  const start = Date.UTC(year, (month ?? 1) - 1, day ?? 1);
+  if (day !== null && new Date(start).getUTCDate() !== day) return null;
+  const end =
+    (day !== null ? Date.UTC(year, month - 1, day + 1) : month !== null ? Date.UTC(year, month, 1) : Date.UTC(year + 1, 0, 1)) - 1;
+  const precision = day !== null ? 'day' : month !== null ? 'month' : 'year';
+  const iso = [year, month, day].filter((part) => part !== null).map((part, index) => (index ? pad(part) : part)).join('-');
+  return { year, month, day, precision, iso, start, end };
+};
+
+// Orders two cells (raw or parsed) at their shared precision; when they agree
+// there, the more precise date ranks higher, so "2020-03-15" comes after "2020"
+// and "2020-03". Missing dates rank below every date.
+export const comparePartialDates = (left, right) => {
+  const [a, b] = [left, right].map((value) => (value && typeof value === 'object' ? value : parsePartialDate(value)));
+  if (!a || !b) return (a ? 1 : 0) - (b ? 1 : 0);
+  for (const part of DATE_PRECISIONS) {
+    if (a[part] === null || b[part] === null) break;
+    if (a[part] !== b[part]) return a[part] - b[part];
+  }
+  return DATE_PRECISIONS.indexOf(a.precision) - DATE_PRECISIONS.indexOf(b.precision);
+};
+
+const FORMAT_OPTIONS = {
+  year: { year: 'numeric' },
+  month: { month: 'short', year: 'numeric' },
+  day: { day: '2-digit', month: 'short', year: 'numeric' },
+};
+
+// Display text at the stored precision: "2020", "Aug. 2019", "29. Juni 2016"
+// (de-DE). '' when the value is no partial date.
+export const formatPartialDate = (value, locale = 'de-DE') => {
+  const parsed = parsePartialDate(value);
+  if (!parsed) return '';
+  return new Intl.DateTimeFormat(locale, { ...FORMAT_OPTIONS[parsed.precision], timeZone: 'UTC' }).format(parsed.start);
+};
@@ -3,30 +3,59 @@ import {
   toNumber,
   parsePrice,
   normalizeText,
-  parseResolutionWidth,
   uniqueSorted,
 } from '../utils.js';
 import { locale } from '../i18n.js';
 import { state } from '../state.js';
+import { comparePartialDates } from './dates.js';
+import { LIFECYCLE_STATUSES, lifecycleLabel } from './lifecycle.js';
+import { canonicalValue, vocabularyLabel, vocabularyOptions } from './vocabulary.js';
 import {
   getShopInfo,
   isEol,
   isLikelyActive,
+  isUpcoming,
+  getLifecycleStatus,
   getNormalizedFov,
+  getBatteryHours,
+  getIpdRange,
+  hasDpAltMode,
+  getSpecValue,
+  getResolutionWidth,
+  getOpticalMetrics,
+  getManufacturerName,
+  getVariantRow,
 } from './model.js';
+import { splitVariantId } from './variants.js';
+import { completenessScore } from './completeness.js';
+
+// Free-text spec columns are offered as their canonical vocabulary
+// (data/vocabulary.js) instead of every spelling found in the CSV.
+const vocabularyFilterOptions = (field) =>
+  vocabularyOptions(field, state.rows).map((value) => ({ value, label: vocabularyLabel(field, value, state.language) }));
+
+// Lifecycle statuses that occur in the data, in lifecycle order.
+const lifecycleFilterOptions = () => {
+  const present = new Set(state.rows.map(getLifecycleStatus));
+  return LIFECYCLE_STATUSES.filter((status) => present.has(status)).map((status) => ({
+    value: status,
+    label: lifecycleLabel(status, state.language),
+  }));
+};
 
 export const getFilterOptions = () => ({
-  manufacturers: uniqueSorted(state.rows.map((row) => row.manufacturer), locale()),
-  displayTypes: uniqueSorted(state.rows.map((row) => row.display_type), locale()),
-  optics: uniqueSorted(state.rows.map((row) => row.optics), locale()),
-  tracking: uniqueSorted(state.rows.map((row) => row.tracking), locale()),
-  eyeTracking: uniqueSorted(state.rows.map((row) => row.eye_tracking), locale()),
-  handTracking: uniqueSorted(state.rows.map((row) => row.hand_tracking), locale()),
-  passthrough: uniqueSorted(state.rows.map((row) => row.passthrough), locale()),
+  manufacturers: uniqueSorted(state.rows.map(getManufacturerName), locale()),
+  displayTypes: vocabularyFilterOptions('display_type'),
+  optics: vocabularyFilterOptions('optics'),
+  tracking: vocabularyFilterOptions('tracking'),
+  eyeTracking: vocabularyFilterOptions('eye_tracking'),
+  handTracking: vocabularyFilterOptions('hand_tracking'),
+  passthrough: vocabularyFilterOptions('passthrough'),
   activeStatuses: uniqueSorted(state.rows.map((row) => row.active_distribution), locale()),
   eolStatuses: uniqueSorted(state.rows.map((row) => row.eol_status), locale()),
+  lifecycleStatuses: lifecycleFilterOptions(),
   software: uniqueSorted(state.rows.map((row) => row.software), locale()),
-  computeUnits: uniqueSorted(state.rows.map((row) => row.compute_unit), locale()),
+  computeUnits: vocabularyFilterOptions('compute_unit'),
 });
 
 const compareText = (left, right) =>
@@ -45,13 +74,11 @@ const compareNumbers = (left, right) => {
   return left - right;
 };
 
-const compareDates = (left, right) => {
-  const leftTime = left ? new Date(left).getTime() : Number.NaN;
-  const rightTime = right ? new Date(right).getTime() : Number.NaN;
-  const safeLeft = Number.isFinite(leftTime) ? leftTime : -1;
-  const safeRight = Number.isFinite(rightTime) ? rightTime : -1;
-  return safeLeft - safeRight;
-};
+// Negated for descending sorts that still keep missing values last.
+const descending = (value) => (value === null ? null : -value);
+
+const metricValue = (row, metric) => getOpticalMetrics(row)[metric]?.value ?? null;
+
 
 const compareDefaultPriority = (left, right) => {
   const leftEol = isEol(left);
@@ -60,7 +87,7 @@ const compareDefaultPriority = (left, right) => {
     return leftEol ? 1 : -1;
   }
 
-  const releaseOrder = compareDates(right.release_date || right.announced_date, left.release_date || left.announced_date);
+  const releaseOrder = comparePartialDates(right.release_date || right.announced_date, left.release_date || left.announced_date);
   if (releaseOrder !== 0) {
     return releaseOrder;
   }
@@ -87,20 +114,49 @@ export const sortRows = (rows) => {
       return sorted;
     case 'release_desc':
       sorted.sort((left, right) =>
-        compareDates(right.release_date || right.announced_date, left.release_date || left.announced_date),
+        comparePartialDates(right.release_date || right.announced_date, left.release_date || left.announced_date),
       );
       return sorted;
     case 'fov_desc':
       sorted.sort((left, right) => compareNumbers(getNormalizedFov(right), getNormalizedFov(left)));
       return sorted;
     case 'weight_asc':
-      sorted.sort((left, right) => compareNumbers(toNumber(left.weight_g), toNumber(right.weight_g)));
+      sorted.sort((left, right) =>
+        compareNumbers(getSpecValue(left, 'weight_g')?.min ?? null, getSpecValue(right, 'weight_g')?.min ?? null),
+      );
       return sorted;
     case 'refresh_desc':
-      sorted.sort((left, right) => compareNumbers(toNumber(right.refresh_hz), toNumber(left.refresh_hz)));
+      sorted.sort((left, right) =>
+        compareNumbers(getSpecValue(right, 'refresh_hz')?.max ?? null, getSpecValue(left, 'refresh_hz')?.max ?? null),
+      );
+      return sorted;
+    case 'battery_desc':
+      sorted.sort((left, right) => compareNumbers(descending(getBatteryHours(left)), descending(getBatteryHours(right))));
+      return sorted;
+    case 'ipd_range_desc':
+      sorted.sort((left, right) =>
+        compareNumbers(descending(getIpdRange(left)?.span ?? null), descending(getIpdRange(right)?.span ?? null)),
+      );
+      return sorted;
+    case 'ppd_desc':
+      sorted.sort((left, right) => compareNumbers(descending(metricValue(left, 'ppd')), descending(metricValue(right, 'ppd'))));
+      return sorted;
+    case 'fov_area_desc':
+      sorted.sort((left, right) =>
+        compareNumbers(descending(metricValue(left, 'fovArea')), descending(metricValue(right, 'fovArea'))),
+      );
+      return sorted;
+    case 'usd_per_degree_asc':
+      sorted.sort((left, right) => compareNumbers(metricValue(left, 'usdPerDegree'), metricValue(right, 'usdPerDegree')));
+      return sorted;
+    case 'verified_desc':
+      sorted.sort((left, right) => comparePartialDates(right.last_verified_at, left.last_verified_at));
+      return sorted;
+    case 'completeness_desc':
+      sorted.sort((left, right) => completenessScore(right) - completenessScore(left) || compareText(left.name, right.name));
       return sorted;
     case 'manufacturer_asc':
-      sorted.sort((left, right) => compareText(left.manufacturer, right.manufacturer));
+      sorted.sort((left, right) => compareText(getManufacturerName(left), getManufacturerName(right)));
       return sorted;
     case 'name_asc':
     default:
@@ -116,6 +172,10 @@ const matchesSelectFilter = (value, selected) => {
   return normalizeText(value) === normalizeText(selected);
 };
 
+// Spec filters select canonical keys (see vocabularyParam() in state.js).
+const matchesVocabularyFilter = (row, field, selected) =>
+  selected === 'all' || canonicalValue(field, row[field]) === selected;
+
 export const matchesFilters = (row) => {
   const query = normalizeText(state.query);
   if (query) {
@@ -123,6 +183,7 @@ export const matchesFilters = (row) => {
       [
         row.name,
         row.manufacturer,
+        row.manufacturer_name,
         row.display_type,
         row.software,
         row.optics,
@@ -145,25 +206,30 @@ export const matchesFilters = (row) => {
   if (!matchesSelectFilter(row.xr_category, state.category)) {
     return false;
   }
-  if (!matchesSelectFilter(row.manufacturer, state.manufacturer)) {
+  // Canonical name from the filter options; the raw cell keeps older shared
+  // URLs (?manufacturer=Nreal) working.
+  if (
+    !matchesSelectFilter(getManufacturerName(row), state.manufacturer) &&
+    !matchesSelectFilter(row.manufacturer, state.manufacturer)
+  ) {
     return false;
   }
-  if (!matchesSelectFilter(row.display_type, state.displayType)) {
+  if (!matchesVocabularyFilter(row, 'display_type', state.displayType)) {
     return false;
   }
-  if (!matchesSelectFilter(row.optics, state.optics)) {
+  if (!matchesVocabularyFilter(row, 'optics', state.optics)) {
     return false;
   }
-  if (!matchesSelectFilter(row.tracking, state.tracking)) {
+  if (!matchesVocabularyFilter(row, 'tracking', state.tracking)) {
     return false;
   }
-  if (!matchesSelectFilter(row.eye_tracking, state.eyeTracking)) {
+  if (!matchesVocabularyFilter(row, 'eye_tracking', state.eyeTracking)) {
     return false;
   }
-  if (!matchesSelectFilter(row.hand_tracking, state.handTracking)) {
+  if (!matchesVocabularyFilter(row, 'hand_tracking', state.handTracking)) {
     return false;
   }
-  if (!matchesSelectFilter(row.passthrough, state.passthrough)) {
+  if (!matchesVocabularyFilter(row, 'passthrough', state.passthrough)) {
     return false;
   }
   if (!matchesSelectFilter(row.active_distribution, state.active)) {
@@ -172,10 +238,13 @@ export const matchesFilters = (row) => {
   if (!matchesSelectFilter(row.eol_status, state.eol)) {
     return false;
   }
+  if (state.lifecycleStatus !== 'all' && getLifecycleStatus(row) !== state.lifecycleStatus) {
+    return false;
+  }
   if (!matchesSelectFilter(row.software, state.software)) {
     return false;
   }
-  if (!matchesSelectFilter(row.compute_unit, state.computeUnit)) {
+  if (!matchesVocabularyFilter(row, 'compute_unit', state.computeUnit)) {
     return false;
   }
   if (state.onlyPrice && !parsePrice(row.price_usd)) {
@@ -190,9 +259,16 @@ export const matchesFilters = (row) => {
   if (state.onlyWithImage && !safeExternalUrl(row.image_url)) {
     return false;
   }
+  if (state.onlyDpAltMode && !hasDpAltMode(row)) {
+    return false;
+  }
+  if (state.onlyUpcoming && !isUpcoming(row)) {
+    return false;
+  }
   if (state.onlyFavorites && !state.favorites.includes(row.__rowId)) {
     return false;
   }
+  // Ranges ("90-120 Hz") qualify when any part of them does.
   const minFov = toNumber(state.minFov);
   if (minFov !== null) {
     const fov = getNormalizedFov(row);
@@ -203,8 +279,8 @@ export const matchesFilters = (row) => {
 
   const minRefresh = toNumber(state.minRefresh);
   if (minRefresh !== null) {
-    const refresh = toNumber(row.refresh_hz);
-    if (refresh === null || refresh < minRefresh) {
+    const refresh = getSpecValue(row, 'refresh_hz');
+    if (!refresh || refresh.max < minRefresh) {
       return false;
     }
   }
@@ -219,24 +295,77 @@ export const matchesFilters = (row) => {
 
   const maxWeight = toNumber(state.maxWeight);
   if (maxWeight !== null) {
-    const weight = toNumber(row.weight_g);
-    if (weight === null || weight > maxWeight) {
+    const weight = getSpecValue(row, 'weight_g');
+    if (!weight || weight.min > maxWeight) {
       return false;
     }
   }
 
   const minRes = toNumber(state.minResolutionWidth);
   if (minRes !== null) {
-    const res = parseResolutionWidth(row.resolution_per_eye);
+    const res = getResolutionWidth(row);
     if (res === null || res < minRes) {
       return false;
     }
   }
 
+  const minBattery = toNumber(state.minBatteryHours);
+  if (minBattery !== null) {
+    const hours = getBatteryHours(row);
+    if (hours === null || hours < minBattery) {
+      return false;
+    }
+  }
+
+  // The user's own IPD has to lie within the device's adjustment range.
+  const ipd = toNumber(state.ipd);
+  if (ipd !== null) {
+    const range = getIpdRange(row);
+    if (!range || ipd < range.min || ipd > range.max) {
+      return false;
+    }
+  }
+
+  const minPpd = toNumber(state.minPpd);
+  if (minPpd !== null) {
+    const ppd = metricValue(row, 'ppd');
+    if (ppd === null || ppd < minPpd) {
+      return false;
+    }
+  }
+
+  const minFovArea = toNumber(state.minFovArea);
+  if (minFovArea !== null) {
+    const area = metricValue(row, 'fovArea');
+    if (area === null || area < minFovArea) {
+      return false;
+    }
+  }
+
+  const maxUsdPerDegree = toNumber(state.maxUsdPerDegree);
+  if (maxUsdPerDegree !== null) {
+    const usdPerDegree = metricValue(row, 'usdPerDegree');
+    if (usdPerDegree === null || usdPerDegree > maxUsdPerDegree) {
+      return false;
+    }
+  }
+
+  const minCompleteness = toNumber(state.minCompleteness);
+  if (minCompleteness !== null && completenessScore(row) < minCompleteness) {
+    return false;
+  }
+
   return true;
 };
 
+// Entries are row ids or "<rowId>~<key>" for a single edition.
 export const getSelectedRows = () => {
   const byId = new Map(state.rows.map((row) => [row.__rowId, row]));
-  return state.selectedIds.map((id) => byId.get(id)).filter(Boolean);
+  return state.selectedIds
+    .map((entry) => {
+      const { id, key } = splitVariantId(entry);
+      const row = byId.get(id);
+      return row && key ? getVariantRow(row, key) : row;
+    })
+    .filter(Boolean);
 };
@@ -0,0 +1,60 @@
+// Per-row verification dates. `dataset_retrieved_at` carries the generation time
+// of every run, so it says nothing about when a spec was last checked; the
+// curated `last_verified_at` column (YYYY-MM-DD) does. scripts/apply-enrichment.mjs
+// stamps it whenever a payload changes or confirms a field of the row. Imported
+// by BOTH the SPA ("recently verified" sort) and the build side (stale-data
+// report, freshness table on data.html).
+import { parsePartialDate } from './dates.js';
+import { getLifecycleStatus } from './lifecycle.js';
+
+export const STALE_AFTER_MONTHS = 12;
+
+// How much an outdated row matters per lifecycle status: prices and
+// availability of devices on sale move, those of support-ended ones rarely do.
+export const STALENESS_WEIGHTS = { announced: 1, preorder: 1, shipping: 1, discontinued: 0.4, support_ended: 0.2 };
+
+// Whole calendar months since the last verification; null when the row never was.
+export const monthsSinceVerified = (row, now = Date.now()) => {
+  const verified = parsePartialDate(row.last_verified_at);
+  if (!verified) return null;
+  const [from, to] = [new Date(verified.start), new Date(now)];
+  const months =
+    (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth() - (to.getUTCDate() < from.getUTCDate() ? 1 : 0);
+  return Math.max(0, months);
+};
+
+export const isStale = (row, months = STALE_AFTER_MONTHS, now = Date.now()) => {
+  const age = monthsSinceVerified(row, now);
+  return age === null || age >= months;
+};
+
+// Review priority: months since verification times the lifecycle weight. Rows
+// never verified count as twice the threshold old.
+export const stalenessScore = (row, months = STALE_AFTER_MONTHS, now = Date.now()) => {
+  const age = monthsSinceVerified(row, now) ?? months * 2;
+  return Math.round(age * (STALENESS_WEIGHTS[getLifecycleStatus(row)] ?? 1) * 10) / 10;
+};
+
+// Stale rows, most urgent first, as [{ row, months, score }].
+export const findStaleRows = (rows, months = STALE_AFTER_MONTHS, now = Date.now()) =>
+  rows
+    .filter((row) => isStale(row, months, now))
+    .map((row) => ({ row, months: monthsSinceVerified(row, now), score: stalenessScore(row, months, now) }))
+    .sort((left, right) => right.score - left.score || String(left.row.name).localeCompare(String(right.row.name), 'de'));
+
+// Per manufacturer: { key, rows, fresh, never, latest } where `fresh` counts rows
+// verified within `months` and `latest` is the newest verification date.
+// `key(row)` picks the manufacturer name.
+export const freshnessByManufacturer = (rows, key, months = STALE_AFTER_MONTHS, now = Date.now()) => {
+  const groups = new Map();
+  for (const row of rows) {
+    const name = key(row);
+    if (!groups.has(name)) groups.set(name, { key: name, rows: 0, fresh: 0, never: 0, latest: '' });
+    const group = groups.get(name);
+    group.rows += 1;
+    if (!parsePartialDate(row.last_verified_at)) group.never += 1;
+    else if (!isStale(row, months, now)) group.fresh += 1;
+    if (String(row.last_verified_at ?? '') > group.latest) group.latest = row.last_verified_at;
+  }
+  return [...groups.values()];
+};
@@ -0,0 +1,82 @@
+// Lifecycle status per device: announced -> preorder -> shipping ->
+// discontinued -> support_ended. The generator derives it at build time from
+// release_date, active_distribution, eol_status and eol_date (a curated
+// `lifecycle_override` wins) and writes it to the generated `lifecycle_status`
+// column, so the SPA, the static pages and the metadata counts agree.
+// Imported by BOTH the SPA (via data/model.js) and the build-side dataset
+// tooling (generator, scripts/lint-dataset.mjs), so it must stay free of
+// browser state: labels are plain { de, en } objects like in vocabulary.js.
+import { normalizeText } from '../utils.js';
+import { parsePartialDate } from './dates.js';
+
+export const LIFECYCLE_STATUSES = ['announced', 'preorder', 'shipping', 'discontinued', 'support_ended'];
+
+export const LIFECYCLE_LABELS = {
+  announced: { de: 'Angekündigt', en: 'Announced' },
+  preorder: { de: 'Vorbestellbar', en: 'Pre-order' },
+  shipping: { de: 'Im Handel', en: 'Shipping' },
+  discontinued: { de: 'Eingestellt', en: 'Discontinued' },
+  support_ended: { de: 'Support beendet', en: 'Support ended' },
+};
+
+// Not released yet; shown in the SPA's "Upcoming" view.
+export const UPCOMING_STATUSES = ['announced', 'preorder'];
+
+// schema.org Offer availability; announced devices get none.
+export const SCHEMA_AVAILABILITY = {
+  preorder: 'https://schema.org/PreOrder',
+  shipping: 'https://schema.org/InStock',
+  discontinued: 'https://schema.org/Discontinued',
+  support_ended: 'https://schema.org/Discontinued',
+};
+
+// End-of-life reading of the curated eol_status label: 'support_ended',
+// 'discontinued' or ''. "Aktiv oder ohne EOL-Angabe" contains the substring
+// "eol" but is NOT end-of-life; an announced support end counts as
+// discontinued until eol_date has passed.
+export const readEolStatus = (row, now = Date.now()) => {
+  const status = normalizeText(row.eol_status);
+  if (!status || status.includes('aktiv') || status.includes('ohne eol')) {
+    return '';
+  }
+  if (status.includes('support beendet')) {
+    return 'support_ended';
+  }
+  if (status.includes('support-ende')) {
+    const eolDate = parsePartialDate(row.eol_date);
+    return eolDate && eolDate.end < now ? 'support_ended' : 'discontinued';
+  }
+  return status.includes('eol') || status.includes('discontinued') || status.includes('eingestellt') ? 'discontinued' : '';
+};
+
+// Build-time derivation; the first matching rule wins:
+//   lifecycle_override                     -> as curated
+//   eol_status reads end-of-life           -> discontinued / support_ended
+//   release_date in the future             -> preorder when on sale, else announced
+//   no release_date                        -> shipping when on sale, else announced
+//   released, active_distribution "Nein"   -> discontinued
+//   released                               -> shipping
+export const deriveLifecycleStatus = (row, now = Date.now()) => {
+  const override = normalizeText(row.lifecycle_override);
+  if (LIFECYCLE_STATUSES.includes(override)) return override;
+  const eol = readEolStatus(row, now);
+  if (eol) return eol;
+  const distribution = normalizeText(row.active_distribution);
+  const onSale = distribution.startsWith('ja');
+  const released = parsePartialDate(row.release_date);
+  if (!released) return onSale ? 'shipping' : 'announced';
+  if (released.start > now) return onSale ? 'preorder' : 'announced';
+  return distribution === 'nein' ? 'discontinued' : 'shipping';
+};
+
+// The generated column when present (CSV from the generator), else derived.
+export const getLifecycleStatus = (row) =>
+  LIFECYCLE_STATUSES.includes(row.lifecycle_status) ? row.lifecycle_status : deriveLifecycleStatus(row);
+
+export const lifecycleLabel = (status, lang = 'de') => LIFECYCLE_LABELS[status]?.[lang] || LIFECYCLE_LABELS[status]?.de || '';
+
+export const isUpcoming = (row) => UPCOMING_STATUSES.includes(getLifecycleStatus(row));
+
+export const isEol = (row) => ['discontinued', 'support_ended'].includes(getLifecycleStatus(row));
+
+export const isLikelyActive = (row) => ['preorder', 'shipping'].includes(getLifecycleStatus(row));
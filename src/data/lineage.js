@@ -0,0 +1,93 @@
+// Device lineage. The curated `predecessor_id` / `successor_id` columns link
+// the generations of a product line and `family` names it ("Epson Moverio"):
+//
+//   Moverio BT-200 -> BT-300 -> BT-40 -> BT-45C
+//
+// The generator completes the reverse links and spreads `family` along the
+// chain (completeLineage), so curators may set one direction only. Imported by
+// BOTH the SPA (newer-model notice in the detail modal) and the generator
+// (family timelines on the device pages).
+import { isEol } from './lifecycle.js';
+import { parseResolution } from './resolution.js';
+import { parseValue } from './values.js';
+
+const indexById = (rows) => (rows instanceof Map ? rows : new Map(rows.map((row) => [row.id, row])));
+
+// Generations of the line `row` belongs to, oldest first; [row] without links.
+// Inconsistent curation cannot loop forever: every id is visited once.
+export const getFamily = (row, rows) => {
+  const byId = indexById(rows);
+  const seen = new Set([row.id]);
+  let first = row;
+  while (byId.has(first.predecessor_id) && !seen.has(first.predecessor_id)) {
+    first = byId.get(first.predecessor_id);
+    seen.add(first.id);
+  }
+  const chain = [first];
+  const visited = new Set([first.id]);
+  for (let current = first; byId.has(current.successor_id) && !visited.has(current.successor_id); ) {
+    current = byId.get(current.successor_id);
+    visited.add(current.id);
+    chain.push(current);
+  }
+  return chain.includes(row) ? chain : [row];
+};
+
+// Fills the missing side of every link and the family name of unnamed members.
+// Curated values are never overwritten. Mutates and returns `rows`.
+export const completeLineage = (rows) => {
+  const byId = indexById(rows);
+  for (const row of rows) {
+    const predecessor = byId.get(row.predecessor_id);
+    if (predecessor && !predecessor.successor_id) predecessor.successor_id = row.id;
+    const successor = byId.get(row.successor_id);
+    if (successor && !successor.predecessor_id) successor.predecessor_id = row.id;
+  }
+  for (const row of rows) {
+    if (row.family) continue;
+    const named = getFamily(row, byId).find((member) => member.family);
+    if (named) row.family = named.family;
+  }
+  return rows;
+};
+
+// The model to point EOL devices to: the first later generation that is not
+// end-of-life, else the newest one. null for the newest generation.
+export const getNewerModel = (row, rows) => {
+  const family = getFamily(row, rows);
+  const later = family.slice(family.indexOf(row) + 1);
+  return later.find((member) => !isEol(member)) || later.at(-1) || null;
+};
+
+// FOV on the first axis both devices state (horizontal, diagonal, vertical);
+// derived axes would turn an aspect guess into a fake improvement.
+const fovDelta = (from, to) => {
+  for (const field of ['fov_horizontal_deg', 'fov_diagonal_deg', 'fov_vertical_deg']) {
+    const [before, after] = [from, to].map((row) => parseValue(row[field], 'deg')?.max ?? null);
+    if (before !== null && after !== null) return after - before;
+  }
+  return null;
+};
+
+const valueDelta = (value) => (from, to) => {
+  const [before, after] = [from, to].map((row) => value(row) ?? null);
+  return before !== null && after !== null ? after - before : null;
+};
+
+const DELTA_FIELDS = [
+  { field: 'fov', unit: 'deg', delta: fovDelta },
+  { field: 'resolution', unit: 'px', delta: valueDelta((row) => parseResolution(row.resolution_per_eye, row.resolution_layout)?.widthPerEye) },
+  { field: 'refresh_hz', unit: 'Hz', delta: valueDelta((row) => parseValue(row.refresh_hz, 'Hz')?.max) },
+  { field: 'brightness_nits', unit: 'nits', delta: valueDelta((row) => parseValue(row.brightness_nits, 'nits')?.max) },
+  { field: 'weight_g', unit: 'g', delta: valueDelta((row) => parseValue(row.weight_g, 'g')?.min) },
+  { field: 'price_usd', unit: 'USD', delta: valueDelta((row) => parseValue(row.price_usd, 'USD')?.min) },
+];
+
+// Spec changes from one generation to the next as [{ field, unit, delta }];
+// fields missing on either side or unchanged are left out. `resolution` is the
+// horizontal pixel count per eye.
+export const getSpecDeltas = (from, to) =>
+  DELTA_FIELDS.flatMap(({ field, unit, delta }) => {
+    const change = Math.round((delta(from, to) ?? 0) * 10) / 10;
+    return change ? [{ field, unit, delta: change }] : [];
+  });
@@ -0,0 +1,73 @@
+// Health of the curated `official_url` and `lifecycle_source` links. Product
+// pages of defunct companies disappear (Daqri, Recon) or turn into parked
+// domains, and news articles move. scripts/check-links.mjs checks every link
+// offline and writes public/data/link-health.json:
+//
+//   { "checked_at": "2026-10-19", "links": { "<url>": { "status": "parked", "http_status": 200, "final_url": "" } } }
+//
+// Imported by BOTH the SPA (getShopInfo hides dead manufacturer links) and the
+// build side (static pages link the archived copy instead, the checker itself
+// classifies with classifyLink).
+
+export const LINK_STATUSES = ['ok', 'redirect', 'not_found', 'parked', 'soft_404', 'error'];
+
+// Statuses that mean the page is gone. `error` (timeouts, 403 bot walls, 5xx)
+// and `redirect` are reported for review but never hide a link.
+export const DEAD_LINK_STATUSES = ['not_found', 'parked', 'soft_404'];
+
+export const getLinkHealth = (store, url) => store?.links?.[url] || null;
+
+export const isDeadLink = (store, url) => DEAD_LINK_STATUSES.includes(getLinkHealth(store, url)?.status);
+
+// Wayback Machine copy nearest to today; it redirects to the latest snapshot.
+export const archiveUrl = (url) => `https://web.archive.org/web/${url}`;
+
+const PARKED_PATTERNS = [
+  /domain (?:name )?(?:is |may be )?for sale/i,
+  /buy this domain/i,
+  /this domain (?:has been |is )?(?:parked|registered)/i,
+  /parked (?:free|domain)/i,
+  /sedoparking|parkingcrew|bodis\.com|hugedomains|afternic|dan\.com\/buy/i,
+];
+
+const SOFT_404_PATTERNS = [
+  /\b404\b/,
+  /page (?:was )?not found/i,
+  /seite (?:wurde )?nicht gefunden/i,
+  /no longer (?:available|exists)/i,
+  /(?:doesn't|does not) exist/i,
+  /页面不存在|找不到/,
+];
+
+const headingText = (body) =>
+  [/<title[^>]*>([\s\S]*?)<\/title>/i, /<h1[^>]*>([\s\S]*?)<\/h1>/i]
+    .map((pattern) => body.match(pattern)?.[1] || '')
+    .join(' ')
+    .replace(/<[^>]+>/g, ' ');
+
+const location = (url) => {
+  try {
+    const parsed = new URL(url);
+    return { host: parsed.hostname.replace(/^www\./, ''), path: parsed.pathname.replace(/\/+$/, '') || '/' };
+  } catch {
+    return null;
+  }
+};
+
+// Classifies one fetched link into a LINK_STATUSES value. `status` is the HTTP
+// status after redirects (0 for network errors), `finalUrl` the URL it ended on
+// and `body` the (possibly truncated) HTML. A 200 counts as:
+//   parked    domain-sale markers anywhere in the page
+//   soft_404  "not found" wording in the title or first heading, or a deep link
+//             that lands on the site's front page
+//   redirect  another host or path than requested
+export const classifyLink = ({ url, status, finalUrl = url, body = '' }) => {
+  if (status === 404 || status === 410) return 'not_found';
+  if (!status || status >= 400) return 'error';
+  if (PARKED_PATTERNS.some((pattern) => pattern.test(body))) return 'parked';
+  if (SOFT_404_PATTERNS.some((pattern) => pattern.test(headingText(body)))) return 'soft_404';
+  const [from, to] = [location(url), location(finalUrl || url)];
+  if (!from || !to) return 'error';
+  if (from.path !== '/' && to.path === '/') return 'soft_404';
+  return from.host !== to.host || from.path !== to.path ? 'redirect' : 'ok';
+};
@@ -0,0 +1,76 @@
+// Manufacturer entities. The CSV `manufacturer` column is free text, so one
+// company showed up under several spellings ("Kopin" / "Kopin / Solos", "Nreal"
+// / "Xreal") and split the manufacturer filter. public/data/manufacturers.json
+// holds one curated entry per company, keyed by its id — the brand slug of the
+// canonical name, so /<id>/ is the brand page next to its device pages:
+//
+//   "xreal": { "name": "XREAL", "aliases": ["Xreal", "Nreal"], "country": "CN", "website": "https://www.xreal.com",
+//              "founded": 2017, "status": "active", "acquired_by": "", "logo": "" }
+//
+// The generator resolves every row into the generated `manufacturer_id` and
+// `manufacturer_name` columns. Imported by BOTH the SPA (filter options,
+// sorting) and the generator (columns, brand pages), so it must stay free of
+// browser state: labels are plain { de, en } objects like in lifecycle.js.
+import { normalizeText } from '../utils.js';
+import { brandSlug } from './paths.js';
+
+export const COMPANY_STATUSES = ['active', 'acquired', 'defunct'];
+
+export const COMPANY_STATUS_LABELS = {
+  active: { de: 'Aktiv', en: 'Active' },
+  acquired: { de: 'Übernommen', en: 'Acquired' },
+  defunct: { de: 'Aufgelöst', en: 'Defunct' },
+};
+
+export const companyStatusLabel = (status, lang = 'de') =>
+  COMPANY_STATUS_LABELS[status]?.[lang] || COMPANY_STATUS_LABELS[status]?.de || '';
+
+// Returns (manufacturer) -> { id, name, entity }. Curated names and aliases win
+// over the brand slug, so "Meta (2016)" resolves to Meta Company and not to
+// "meta". Unknown manufacturers keep their raw name with `entity: null`.
+export const createManufacturerResolver = (entities = {}) => {
+  const byName = new Map();
+  for (const [id, entity] of Object.entries(entities)) {
+    for (const name of [entity.name, ...(entity.aliases || [])]) byName.set(normalizeText(name), id);
+  }
+  return (manufacturer) => {
+    const raw = String(manufacturer ?? '').trim();
+    const id = byName.get(normalizeText(raw)) ?? brandSlug(raw);
+    const entity = entities[id] || null;
+    return { id, name: entity?.name || raw, entity };
+  };
+};
+
+// Contract checks for manufacturers.json; one message per problem.
+export const validateManufacturers = (entities = {}, now = new Date()) => {
+  const errors = [];
+  const claimed = new Map();
+  for (const [id, entity] of Object.entries(entities)) {
+    if (!entity?.name) {
+      errors.push(`${id}: name is missing`);
+      continue;
+    }
+    if (entity.status && !COMPANY_STATUSES.includes(entity.status)) {
+      errors.push(`${id}: unknown status "${entity.status}" (expected ${COMPANY_STATUSES.join(', ')})`);
+    }
+    if (entity.acquired_by && entity.status !== 'acquired') {
+      errors.push(`${id}: acquired_by is set but status is "${entity.status}"`);
+    }
+    if (entity.website && !/^https?:\/\//.test(entity.website)) {
+      errors.push(`${id}: website "${entity.website}" is not an http(s) URL`);
+    }
+    const founded = entity.founded;
+    if (founded !== null && founded !== undefined && !(Number.isInteger(founded) && founded >= 1800 && founded <= now.getUTCFullYear())) {
+      errors.push(`${id}: founded "${founded}" is not a plausible year`);
+    }
+    for (const name of [entity.name, ...(entity.aliases || [])]) {
+      const key = normalizeText(name);
+      if (claimed.has(key) && claimed.get(key) !== id) errors.push(`${id}: "${name}" is also claimed by ${claimed.get(key)}`);
+      claimed.set(key, id);
+    }
+  }
+  return errors;
+};
+
+// Canonical name when the generator resolved one, else the raw cell.
+export const getManufacturerName = (row) => row.manufacturer_name || row.manufacturer || '';
@@ -1,8 +1,28 @@
 import { safeExternalUrl, toNumber, normalizeText } from '../utils.js';
 import { t } from '../i18n.js';
+import { state } from '../state.js';
+import { canonicalValue } from './vocabulary.js';
+import { DP_ALT_MODE_PORT, LIST_SEPARATOR } from './spec-parsers.js';
+import { parsePartialDate } from './dates.js';
+import { LIFECYCLE_LABELS, getLifecycleStatus } from './lifecycle.js';
+import { computeOpticalMetrics } from './optical-metrics.js';
+import { parseResolution } from './resolution.js';
+import { parseValue } from './values.js';
+import { applyVariant, getVariants, variantId } from './variants.js';
+import { isDeadLink } from './link-health.js';
+
+export { isEol, isLikelyActive, isUpcoming, getLifecycleStatus } from './lifecycle.js';
+export { getManufacturerName } from './manufacturers.js';
+
+// Safe external URL unless scripts/check-links.mjs found the page gone
+// (404, parked domain, soft 404); see data/link-health.js.
+export const getLiveUrl = (url) => {
+  const safeUrl = safeExternalUrl(url);
+  return safeUrl && !isDeadLink(state.linkHealth, safeUrl) ? safeUrl : '';
+};
 
 export const getShopInfo = (row) => {
-  const officialUrl = safeExternalUrl(row.official_url);
+  const officialUrl = getLiveUrl(row.official_url);
   if (officialUrl) {
     return {
       url: officialUrl,
@@ -19,79 +39,96 @@ export const getShopInfo = (row) => {
   };
 };
 
-export const isEol = (row) => {
-  const status = normalizeText(row.eol_status);
-  // "Aktiv oder ohne EOL-Angabe" contains the substring "eol" but is NOT end-of-life.
-  if (!status || status.includes('aktiv') || status.includes('ohne eol')) {
-    return false;
-  }
-  return (
-    status.includes('eol') ||
-    status.includes('discontinued') ||
-    status.includes('eingestellt') ||
-    status.includes('support beendet') ||
-    status.includes('support-ende')
-  );
+// Numeric spec cells may hold a range ("70-85"), an estimate ("~46") or a
+// value with a unit; see data/values.js. Filters match when any part of the
+// range qualifies, sorting and compare highlighting use the best bound.
+const SPEC_UNITS = {
+  fov_horizontal_deg: 'deg',
+  fov_vertical_deg: 'deg',
+  fov_diagonal_deg: 'deg',
+  refresh_hz: 'Hz',
+  weight_g: 'g',
+  brightness_nits: 'nits',
+  resolution_per_eye: 'px',
 };
 
-export const isLikelyActive = (row) => normalizeText(row.active_distribution).includes('ja');
+export const getSpecValue = (row, field) => parseValue(row[field], SPEC_UNITS[field] || '');
 
-export const getHorizontalFov = (row) => toNumber(row.fov_horizontal_deg);
+// Per-eye resolution, pixel count and aspect (data/resolution.js);
+// `resolution_layout` overrides the per-eye / combined guess.
+export const getResolution = (row) => parseResolution(row.resolution_per_eye, row.resolution_layout);
+
+export const getResolutionWidth = (row) => getResolution(row)?.widthPerEye ?? null;
+
+export const getHorizontalFov = (row) => getSpecValue(row, 'fov_horizontal_deg')?.max ?? null;
+
+// Same fallback as getNormalizedFov(), but reports which axis the value came
+// from so the UI can label it (e.g. "52° (diag.)"), plus the parsed range.
+export const getFovDisplay = (row) => {
+  const axes = [
+    ['h', 'fov_horizontal_deg'],
+    ['d', 'fov_diagonal_deg'],
+    ['v', 'fov_vertical_deg'],
+  ];
+  for (const [axis, field] of axes) {
+    const range = getSpecValue(row, field);
+    if (range) return { value: range.max, axis, field, range };
+  }
+  return null;
+};
+
+// PPD, FOV area and USD per degree, each { value, estimated } or null; see
+// data/optical-metrics.js. `estimated` marks values based on a diagonal FOV.
+export const getOpticalMetrics = (row) => computeOpticalMetrics(row);
 
 // Best available field of view for sorting/filtering. Most AR glasses publish
 // only a diagonal FOV, so fall back horizontal -> diagonal -> vertical instead
 // of treating those devices as "no FOV" (which hid ~70% of them from the filter).
-export const getNormalizedFov = (row) =>
-  toNumber(row.fov_horizontal_deg) ?? toNumber(row.fov_diagonal_deg) ?? toNumber(row.fov_vertical_deg);
+export const getNormalizedFov = (row) => getFovDisplay(row)?.value ?? null;
 
-// Same fallback, but also reports which axis the value came from so the UI can
-// label it (e.g. "52° (diag.)").
-export const getFovDisplay = (row) => {
-  const horizontal = toNumber(row.fov_horizontal_deg);
-  if (horizontal !== null) return { value: horizontal, axis: 'h' };
-  const diagonal = toNumber(row.fov_diagonal_deg);
-  if (diagonal !== null) return { value: diagonal, axis: 'd' };
-  const vertical = toNumber(row.fov_vertical_deg);
-  if (vertical !== null) return { value: vertical, axis: 'v' };
-  return null;
+// Structured battery / IPD / port columns written by the generator
+// (data/spec-parsers.js).
+export const getBatteryHours = (row) => toNumber(row.battery_hours);
+
+export const getIpdRange = (row) => {
+  const min = toNumber(row.ipd_min_mm);
+  const max = toNumber(row.ipd_max_mm);
+  return min === null || max === null ? null : { min, max, span: max - min };
 };
 
+export const hasDpAltMode = (row) => String(row.connectivity_ports ?? '').split(LIST_SEPARATOR).includes(DP_ALT_MODE_PORT);
+
 export const isXrRow = (row) => normalizeText(row.xr_category) === 'xr';
 export const isArRow = (row) => !isXrRow(row);
 
+export const getLifecycleLabel = (row) => {
+  const label = LIFECYCLE_LABELS[getLifecycleStatus(row)];
+  return t(label.de, label.en);
+};
+
 // "Neu" = released within the last ~13 months (and not in the future). Announced-
 // but-unreleased devices have a future date and are intentionally excluded.
+// A partial date counts when its period has begun and reaches into the last
+// 400 days, so "2026" is recent all year and "2025-03" until early May 2026.
 export const isRecentRelease = (row, now = Date.now()) => {
-  const dateText = row.release_date || row.announced_date;
-  const released = dateText ? new Date(dateText).getTime() : Number.NaN;
-  if (!Number.isFinite(released)) return false;
-  const age = now - released;
-  return age >= 0 && age <= 400 * 24 * 60 * 60 * 1000;
+  const released = parsePartialDate(row.release_date || row.announced_date);
+  if (!released) return false;
+  return released.start <= now && now - released.end <= 400 * 24 * 60 * 60 * 1000;
 };
 
-export const getTrackingScore = (row) => {
-  const tracking = normalizeText(row.tracking);
-  if (!tracking) {
-    return 0.5;
-  }
-  if (tracking.includes('inside-out') || tracking.includes('inside out')) {
-    return 1.0;
-  }
-  if (tracking.includes('outside-in') || tracking.includes('outside in')) {
-    return 0.85;
-  }
-  if (tracking.includes('6dof') || tracking.includes('6 dof')) {
-    return 0.75;
-  }
-  if (
-    tracking.includes('3dof') ||
-    tracking.includes('3 dof') ||
-    tracking.includes('non-positional') ||
-    tracking.includes('non positional')
-  ) {
-    return 0.35;
-  }
-  return 0.5;
+// Radar axis value per canonical tracking class; other/unknown sit in the middle.
+const TRACKING_SCORES = { '6dof-inside-out': 1.0, '6dof-outside-in': 0.85, '3dof': 0.35, none: 0.2 };
+
+export const getTrackingScore = (row) => TRACKING_SCORES[canonicalValue('tracking', row.tracking)] ?? 0.5;
+
+// Editions of a device from public/data/variants.json; [] for most rows.
+export const getRowVariants = (row) => getVariants(state.variants, row.id);
+
+// One edition as its own row for cards and compare; ids carry the variant key.
+export const getVariantRow = (row, key) => {
+  const variant = getRowVariants(row).find((entry) => entry.key === key);
+  if (!variant) return null;
+  return { ...applyVariant(row, variant), __rowId: variantId(row.__rowId, key), __flat: variantId(row.__flat, key) };
 };
 
 export const getRowId = (row, index = 0) => {
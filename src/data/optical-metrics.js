@@ -0,0 +1,80 @@
+// Derived optical metrics from resolution and field of view: pixels per degree
+// (PPD, the sharpness figure for virtual-monitor work), the approximate FOV
+// area in square degrees and the launch price per degree of FOV. Imported by
+// BOTH the SPA (sorting, filters, compare) and the static device pages.
+//
+// The FOV axis follows getFovDisplay() in model.js: horizontal, else diagonal,
+// else vertical. Missing axes are derived from the per-eye panel aspect (16:9
+// when the resolution is unknown); every metric that relied on such a derived
+// axis carries `estimated: true`.
+import { parseResolution } from './resolution.js';
+import { parseValue } from './values.js';
+
+const DEFAULT_ASPECT = 16 / 9;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Angular split of a diagonal FOV onto the axes of a flat panel with `aspect`.
+const fromDiagonal = (diagonal, aspect) => {
+  const half = Math.tan(toRadians(diagonal / 2)) / Math.sqrt(1 + aspect * aspect);
+  return { horizontal: toDegrees(2 * Math.atan(half * aspect)), vertical: toDegrees(2 * Math.atan(half)) };
+};
+const verticalFromHorizontal = (horizontal, aspect) => toDegrees(2 * Math.atan(Math.tan(toRadians(horizontal / 2)) / aspect));
+const horizontalFromVertical = (vertical, aspect) => toDegrees(2 * Math.atan(Math.tan(toRadians(vertical / 2)) * aspect));
+
+const fov = (row, field) => parseValue(row[field], 'deg')?.max ?? null;
+
+// { horizontal, vertical, axis, estimated: { horizontal, vertical } } or null.
+export const getFovAxes = (row, aspect = DEFAULT_ASPECT) => {
+  const horizontal = fov(row, 'fov_horizontal_deg');
+  const diagonal = fov(row, 'fov_diagonal_deg');
+  const vertical = fov(row, 'fov_vertical_deg');
+  if (horizontal !== null) {
+    return {
+      horizontal,
+      vertical: vertical ?? verticalFromHorizontal(horizontal, aspect),
+      axis: 'h',
+      estimated: { horizontal: false, vertical: vertical === null },
+    };
+  }
+  if (diagonal !== null) {
+    const split = fromDiagonal(diagonal, aspect);
+    return {
+      horizontal: split.horizontal,
+      vertical: vertical ?? split.vertical,
+      axis: 'd',
+      estimated: { horizontal: true, vertical: vertical === null },
+    };
+  }
+  if (vertical !== null) {
+    return {
+      horizontal: horizontalFromVertical(vertical, aspect),
+      vertical,
+      axis: 'v',
+      estimated: { horizontal: true, vertical: false },
+    };
+  }
+  return null;
+};
+
+// { ppd, fovArea, usdPerDegree, axis }; each metric is { value, estimated } or
+// null when an input is missing, `axis` is the FOV axis they are based on.
+export const computeOpticalMetrics = (row) => {
+  const resolution = parseResolution(row.resolution_per_eye, row.resolution_layout);
+  const axes = getFovAxes(row, resolution?.aspect || DEFAULT_ASPECT);
+  if (!axes) return { ppd: null, fovArea: null, usdPerDegree: null, axis: null };
+  const price = parseValue(row.price_usd, 'USD')?.min ?? null;
+  return {
+    axis: axes.axis,
+    ppd: resolution
+      ? { value: round(resolution.widthPerEye / axes.horizontal), estimated: axes.estimated.horizontal }
+      : null,
+    fovArea: {
+      value: Math.round(axes.horizontal * axes.vertical),
+      estimated: axes.estimated.horizontal || axes.estimated.vertical,
+    },
+    usdPerDegree: price ? { value: round(price / axes.horizontal), estimated: axes.estimated.horizontal } : null,
+  };
+};
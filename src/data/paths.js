@@ -3,7 +3,8 @@
 // and the SPA so the static pages, sitemap, canonicals and client-side links
 // all resolve to the exact same /<brand>/<model>/ URLs. Because uniqueness is
 // resolved by iterating rows in dataset order, the build and the SPA must run
-// this over the same (CSV-order) row list — which they do.
+// this over the same (CSV-order) row list and the same path registry — which
+// they do.
 
 export const slugifyPart = (value) =>
   String(value ?? '')
@@ -41,22 +42,64 @@ export const modelSlug = (name, manufacturer) => {
   return slugifyPart(rest) || slugifyPart(fullName) || 'model';
 };
 
-// Returns Map(id -> { brand, model, path, flat }) with globally unique `path`
-// (brand/model) and a `flat` form (brand-model) used for /compare/ URLs.
-export const assignDevicePaths = (rows) => {
+// Published paths are pinned in the committed registry
+// public/data/path-registry.json (id -> { path, previous }); the generator
+// writes it back after every run:
+//
+//   "NwAppleVPr": { "path": "apple/vision-pro", "previous": [] }
+//
+// A registered path is kept as long as it still fits the derived brand/model
+// (with or without a "-N" suffix), so a new device with the same name gets the
+// suffix instead of taking over the URL. A rename moves the device and pushes
+// the old path onto `previous`; those paths are never handed to another device
+// and get redirect stubs.
+const fitsDerived = (path, brand, model) => {
+  const [pathBrand, pathModel = ''] = String(path ?? '').split('/');
+  if (pathBrand !== brand) return false;
+  return pathModel === model || (pathModel.startsWith(`${model}-`) && /^\d+$/.test(pathModel.slice(model.length + 1)));
+};
+
+const toFlat = (path) => path.replace('/', '-');
+
+// Returns Map(id -> { brand, model, path, flat, previous, previousFlats }) with
+// globally unique `path` (brand/model), a `flat` form (brand-model) used for
+// /compare/ URLs and the superseded paths of the device.
+export const assignDevicePaths = (rows, registry = {}) => {
+  // Registered and superseded paths belong to their device, even in the run
+  // that renames it.
+  const claimed = new Map();
+  for (const [id, entry] of Object.entries(registry)) {
+    for (const path of [entry?.path, ...(entry?.previous || [])]) if (path) claimed.set(path, id);
+  }
   const used = new Set();
   const map = new Map();
-  for (const row of rows) {
-    const brand = brandSlug(row.manufacturer);
-    const model = modelSlug(row.name, row.manufacturer);
+  const derived = rows.map((row) => ({ row, brand: brandSlug(row.manufacturer), model: modelSlug(row.name, row.manufacturer) }));
+  const place = (row, path) => {
+    used.add(path);
+    const { path: registered, previous: history = [] } = registry[row.id] || {};
+    const previous = [...history, ...(registered && registered !== path ? [registered] : [])].filter(
+      (entry, index, list) => entry !== path && list.indexOf(entry) === index,
+    );
+    const [brand, model] = path.split('/');
+    map.set(row.id, { brand, model, path, flat: toFlat(path), previous, previousFlats: previous.map(toFlat) });
+  };
+  for (const { row, brand, model } of derived) {
+    const registered = registry[row.id]?.path;
+    if (fitsDerived(registered, brand, model) && !used.has(registered)) place(row, registered);
+  }
+  for (const { row, brand, model } of derived) {
+    if (map.has(row.id)) continue;
+    const isTaken = (path) => used.has(path) || (claimed.has(path) && claimed.get(path) !== row.id);
     let candidate = model;
     let n = 2;
-    while (used.has(`${brand}/${candidate}`)) candidate = `${model}-${n++}`;
-    used.add(`${brand}/${candidate}`);
-    const path = `${brand}/${candidate}`;
-    map.set(row.id, { brand, model: candidate, path, flat: `${brand}-${candidate}` });
+    while (isTaken(`${brand}/${candidate}`)) candidate = `${model}-${n++}`;
+    place(row, `${brand}/${candidate}`);
   }
   return map;
 };
 
+// The registry to commit after a run: current path and history per device.
+export const buildPathRegistry = (paths) =>
+  Object.fromEntries([...paths].map(([id, { path, previous }]) => [id, { path, previous }]));
+
 export const COMPARE_SEPARATOR = '-vs-';
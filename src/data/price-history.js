@@ -0,0 +1,113 @@
+// Price history per device (public/data/price-history.json), keyed by device id:
+// { [id]: [{ date, price, currency, kind, source? }] }. `price_usd` in the CSV
+// only holds the current value; this store keeps every dated point, in USD like
+// price_usd (apply-enrichment.mjs converts payload points in other currencies). Written by
+// the generator (changelog price diffs) and apply-enrichment.mjs (payload
+// `priceHistory` entries); read by BOTH the static device pages
+// (scripts/lib/render-pages.mjs) and the SPA (detail modal, compare view).
+
+import { escapeHtml, safeExternalUrl } from '../utils.js';
+import { parsePartialDate } from './dates.js';
+
+// launch = launch/list price at release, msrp_change = official price change,
+// street = observed retail price.
+export const PRICE_KINDS = ['launch', 'msrp_change', 'street'];
+
+// Partial dates ("2024", "2024-06") sort and plot as their first day.
+export const priceDateValue = (date) => parsePartialDate(date)?.start ?? null;
+
+// Adds one point unless it is invalid or already recorded (same date, kind,
+// currency and price). Returns whether the store changed.
+export const addPricePoint = (store, id, { date, price, currency = 'USD', kind = 'launch', source = '' }) => {
+  const amount = Number(String(price ?? '').trim().replace(',', '.'));
+  const day = String(date ?? '').trim();
+  if (!id || !Number.isFinite(amount) || amount <= 0 || priceDateValue(day) === null || !PRICE_KINDS.includes(kind)) {
+    return false;
+  }
+  const code = String(currency || 'USD').trim().toUpperCase();
+  const points = store[id] || [];
+  if (points.some((point) => point.date === day && point.kind === kind && point.currency === code && point.price === amount)) {
+    return false;
+  }
+  const url = safeExternalUrl(source);
+  store[id] = [...points, { date: day, price: amount, currency: code, kind, ...(url ? { source: url } : {}) }].sort(
+    (left, right) => priceDateValue(left.date) - priceDateValue(right.date),
+  );
+  return true;
+};
+
+// Generator side of the store. Every point it records is in USD, the currency
+// of price_usd (derived from price_original for launches in other currencies),
+// so then/now and the chart compare one series: a launch point for every priced
+// device without history, dated by release/announcement at the price before
+// this run (`baseline`, the changelog snapshot), then one MSRP-change point per
+// price_usd change in the changelog diff, cited from the provenance of
+// price_usd when an enrichment payload set it.
+export const recordPriceChanges = (store, rows, changes, { date, baseline = null, provenance = {} }) => {
+  for (const row of rows) {
+    if (getPriceHistory(store, row.id).length) continue;
+    addPricePoint(store, row.id, {
+      date: row.release_date || row.announced_date,
+      price: baseline?.[row.id]?.price_usd || row.price_usd,
+      kind: 'launch',
+    });
+  }
+  for (const change of changes) {
+    if (change.field !== 'price_usd' || !change.from || !change.to) continue;
+    addPricePoint(store, change.id, {
+      date,
+      price: change.to,
+      kind: 'msrp_change',
+      source: provenance[change.id]?.price_usd?.sources?.[0],
+    });
+  }
+};
+
+// Points of one device, oldest first (empty when none are recorded).
+export const getPriceHistory = (store, id) => (Array.isArray(store?.[id]) ? store[id] : []);
+
+// First launch price (else the oldest point) against the latest point in the
+// same currency. null unless the price actually moved.
+export const getPriceThenNow = (store, id) => {
+  const points = getPriceHistory(store, id);
+  const then = points.find((point) => point.kind === 'launch') || points[0];
+  if (!then) return null;
+  const now = [...points].reverse().find((point) => point.currency === then.currency);
+  return now && now !== then && now.price !== then.price ? { then, now } : null;
+};
+
+// Small inline SVG line chart of the points in the first point's currency.
+// Formatting is passed in so the German static pages and the bilingual SPA
+// can label values their own way. Returns '' for fewer than two points.
+export const buildPriceChartSvg = (
+  points,
+  { label = '', formatPrice = (point) => `${point.price} ${point.currency}`, formatDate = (point) => point.date, width = 320, height = 120 } = {},
+) => {
+  const series = points.filter((point) => point.currency === points[0]?.currency && priceDateValue(point.date) !== null);
+  if (series.length < 2) return '';
+  const pad = { top: 18, right: 12, bottom: 22, left: 12 };
+  const times = series.map((point) => priceDateValue(point.date));
+  const prices = series.map((point) => point.price);
+  const [minTime, maxTime] = [Math.min(...times), Math.max(...times)];
+  const [minPrice, maxPrice] = [Math.min(...prices), Math.max(...prices)];
+  const x = (time) => pad.left + (maxTime === minTime ? 0.5 : (time - minTime) / (maxTime - minTime)) * (width - pad.left - pad.right);
+  const y = (price) => pad.top + (maxPrice === minPrice ? 0.5 : 1 - (price - minPrice) / (maxPrice - minPrice)) * (height - pad.top - pad.bottom);
+  const coords = series.map((point, index) => ({ point, cx: x(times[index]), cy: y(prices[index]) }));
+  const first = coords[0];
+  const last = coords[coords.length - 1];
+  const line = coords.map(({ cx, cy }) => `${cx.toFixed(1)},${cy.toFixed(1)}`).join(' ');
+  const dots = coords
+    .map(
+      ({ point, cx, cy }) =>
+        `<circle cx="${cx.toFixed(1)}" cy="${cy.toFixed(1)}" r="3.5" fill="${point.kind === 'street' ? 'none' : 'currentColor'}" stroke="currentColor" stroke-width="1.5"><title>${escapeHtml(`${formatDate(point)}: ${formatPrice(point)}`)}</title></circle>`,
+    )
+    .join('');
+  return `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(label)}" class="price-chart" style="width:100%;max-width:${width}px;height:auto">
+<polyline points="${line}" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round" opacity="0.7" />
+${dots}
+<text x="${pad.left}" y="${height - 6}" font-size="11" fill="currentColor" opacity="0.75">${escapeHtml(formatDate(first.point))}</text>
+<text x="${width - pad.right}" y="${height - 6}" font-size="11" fill="currentColor" opacity="0.75" text-anchor="end">${escapeHtml(formatDate(last.point))}</text>
+<text x="${first.cx.toFixed(1)}" y="${Math.max(11, first.cy - 8).toFixed(1)}" font-size="11" fill="currentColor">${escapeHtml(formatPrice(first.point))}</text>
+<text x="${last.cx.toFixed(1)}" y="${Math.max(11, last.cy - 8).toFixed(1)}" font-size="11" fill="currentColor" text-anchor="end">${escapeHtml(formatPrice(last.point))}</text>
+</svg>`;
+};
@@ -0,0 +1,53 @@
+// Field-level provenance (public/data/provenance.json), keyed by device id and
+// CSV field: { [id]: { [field]: { sources, confidence, applied_at, payload } } }.
+// Written by scripts/apply-enrichment.mjs; read by BOTH the static device pages
+// (scripts/lib/render-pages.mjs) and the SPA detail modal for citation markers.
+
+import { safeExternalUrl } from '../utils.js';
+
+export const CONFIDENCE_RANK = { high: 3, medium: 2, low: 1 };
+
+// Records (or replaces) the provenance of one field. Invalid source URLs are
+// dropped; an entry without any usable source is not recorded.
+export const recordProvenance = (store, id, field, { sources, confidence, appliedAt, payload }) => {
+  const urls = [...new Set((Array.isArray(sources) ? sources : []).map(safeExternalUrl).filter(Boolean))];
+  if (!id || !field || !urls.length) return false;
+  store[id] = store[id] || {};
+  store[id][field] = {
+    sources: urls,
+    confidence: CONFIDENCE_RANK[confidence] ? confidence : 'medium',
+    applied_at: appliedAt,
+    ...(payload ? { payload } : {}),
+  };
+  return true;
+};
+
+// Merged provenance for a spec that may span several fields (e.g. the three FOV
+// columns): the union of sources, the weakest confidence and the latest date.
+export const getProvenance = (store, id, fields) => {
+  const entries = (Array.isArray(fields) ? fields : [fields])
+    .map((field) => store?.[id]?.[field])
+    .filter((entry) => entry && Array.isArray(entry.sources) && entry.sources.length);
+  if (!entries.length) return null;
+  const weakest = entries.reduce((low, entry) =>
+    (CONFIDENCE_RANK[entry.confidence] || 0) < (CONFIDENCE_RANK[low.confidence] || 0) ? entry : low,
+  );
+  return {
+    sources: [...new Set(entries.flatMap((entry) => entry.sources))],
+    confidence: weakest.confidence,
+    appliedAt: entries.map((entry) => entry.applied_at || '').sort().pop(),
+  };
+};
+
+// Numbers sources in order of first citation so a page can show compact
+// markers ([1], [2]) next to each value and one shared source list below.
+export const createCitations = () => {
+  const sources = [];
+  const cite = (urls) =>
+    urls.map((url) => {
+      let index = sources.indexOf(url);
+      if (index === -1) index = sources.push(url) - 1;
+      return { number: index + 1, url };
+    });
+  return { sources, cite };
+};
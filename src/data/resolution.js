@@ -0,0 +1,63 @@
+// Resolution model for the `resolution_per_eye` column. Despite its name the
+// cell sometimes holds the combined side-by-side panel ("3840x1080") or a
+// single monocular display, which made width-only comparisons meaningless.
+// parseResolution() separates the layout from the numbers:
+//
+//   '1920x1080'                    -> per-eye, 2 panels, 1920x1080 per eye
+//   '3840x1080 (combined)'         -> combined, 1 panel,  1920x1080 per eye
+//   '1920x1080 (monocular)'        -> monocular, 1 panel, one eye only
+//
+// The layout comes from `resolution_layout` when curated (override), else from
+// the text ("combined", "per eye", "monocular", "2x ..."), else from the panel
+// shape: very wide panels of at least 2560 px are side-by-side panels.
+// Imported by BOTH the SPA (filters, Finder, compare) and the generator.
+
+export const RESOLUTION_LAYOUTS = ['per-eye', 'combined', 'monocular'];
+
+const RESOLUTION_PATTERN = /(\d+)\s*[xX×]\s*(\d+)/g;
+const COMBINED_MIN_WIDTH = 2560;
+const COMBINED_MIN_ASPECT = 3;
+
+const layoutFromText = (text) => {
+  if (/monocular|monokular|one eye|ein auge/.test(text)) return 'monocular';
+  if (/combined|kombiniert|gesamt|both eyes|beide augen|side-by-side|sbs/.test(text)) return 'combined';
+  if (/per eye|pro auge|\b2\s*[x×]\s*\d+\s*[x×]|dual/.test(text)) return 'per-eye';
+  return '';
+};
+
+// Returns null when the cell names no WIDTHxHEIGHT. Of several listed
+// resolutions ("1920x1080 / 2560x1440") the largest describes the device.
+export const parseResolution = (value, layoutOverride = '') => {
+  const text = String(value ?? '').trim().toLowerCase();
+  const panels = [...text.matchAll(RESOLUTION_PATTERN)]
+    .map((match) => ({ width: Number(match[1]), height: Number(match[2]) }))
+    .filter((panel) => panel.width > 0 && panel.height > 0);
+  if (!panels.length) return null;
+  const { width, height } = panels.reduce((best, panel) =>
+    panel.width * panel.height > best.width * best.height ? panel : best,
+  );
+
+  const override = String(layoutOverride ?? '').trim();
+  const stated = layoutFromText(text);
+  const guessed = width >= COMBINED_MIN_WIDTH && width / height >= COMBINED_MIN_ASPECT ? 'combined' : 'per-eye';
+  const layout = RESOLUTION_LAYOUTS.includes(override) ? override : stated || guessed;
+  const source = RESOLUTION_LAYOUTS.includes(override) ? 'override' : stated ? 'stated' : 'heuristic';
+
+  const widthPerEye = layout === 'combined' ? Math.round(width / 2) : width;
+  const pixelsPerEye = widthPerEye * height;
+  return {
+    width,
+    height,
+    layout,
+    source,
+    perEye: layout !== 'combined',
+    panelCount: layout === 'per-eye' ? 2 : 1,
+    eyes: layout === 'monocular' ? 1 : 2,
+    widthPerEye,
+    heightPerEye: height,
+    pixelsPerEye,
+    megapixelsPerEye: Math.round(pixelsPerEye / 100000) / 10,
+    aspect: Math.round((widthPerEye / height) * 100) / 100,
+    approx: /~|≈|\bca\.|approx|estimated|gesch(?:ä|ae)tzt/.test(text),
+  };
+};
@@ -0,0 +1,148 @@
+// Structured fields derived from the free-text `battery`, `connectivity` and
+// `ipd_mm` columns. The curated text stays the source of truth; the generator
+// writes these values into generated CSV columns (scripts/lib/columns.mjs) so
+// the SPA can filter and sort on them without parsing prose in the browser.
+// Imported by BOTH the generator and the SPA (shared constants).
+//
+//   battery       "Integriert, ca. 90 min"  -> { hours: 1.5, kind: 'integrated' }
+//   connectivity  "Wi-Fi 6, Bluetooth 5.3, USB-C (DisplayPort Alt Mode)"
+//                 -> { ports: ['USB-C (DP Alt Mode)'], radios: ['Wi-Fi 6', 'Bluetooth 5.3'] }
+//   ipd_mm        "58-72 mm mechanical"     -> { min: 58, max: 72, adjustment: 'mechanical' }
+
+// integrated = built-in battery, swappable = user-replaceable pack,
+// external = separate pack / compute unit, host = powered by PC, phone or vehicle.
+export const BATTERY_KINDS = ['integrated', 'swappable', 'external', 'host'];
+export const IPD_ADJUSTMENTS = ['fixed', 'stepped', 'mechanical', 'software', 'automatic'];
+export const DP_ALT_MODE_PORT = 'USB-C (DP Alt Mode)';
+
+// Separator of the list columns (`connectivity_ports`, `connectivity_radios`).
+export const LIST_SEPARATOR = '; ';
+
+const text = (value) => String(value ?? '').trim();
+const lower = (value) => text(value).toLowerCase();
+const number = (value) => Number(String(value).replace(',', '.'));
+const isUnknown = (value) => ['', 'unklar', 'unknown', 'n/a', 'k. a.', 'k.a.', '-'].includes(lower(value));
+
+// Plausible IPD bounds in mm; keeps diopter ranges like "+2 to -6" out.
+const IPD_MIN = 40;
+const IPD_MAX = 85;
+
+const BATTERY_KIND_RULES = [
+  ['swappable', /swap|wechsel|replaceable|austauschbar/],
+  ['external', /extern|powerbank|steuereinheit|controller|compute|processor|box\b|puck|ballistik/],
+  ['host', /^via |via host|tethered|phone-powered|kein akku|no battery|powered via|kabelgebunden/],
+  ['integrated', /integ|built-in|mah|lithium|akku|batter|charging|\d\s*(?:h\b|hours?|std|stunden|min)|full day|all-day|ganztag|days?\b/],
+];
+
+export const parseBattery = (value) => {
+  const source = lower(value);
+  if (isUnknown(source)) return { hours: null, kind: '' };
+  const kind = BATTERY_KIND_RULES.find(([, pattern]) => pattern.test(source))?.[0] || '';
+  // First runtime mentioned (usually the typical/active figure, never a
+  // standby time); of a range ("~3-4h", "bis zu 8 h") the upper bound.
+  const match = [
+    ...source.matchAll(/(\d+(?:[.,]\d+)?)(?:\s*[-–]\s*(\d+(?:[.,]\d+)?))?\+?\s*(h\b|hours?|hrs?\b|std|stunden|min(?:utes?)?\b|days?\b)(?!\s*standby)/g),
+  ][0];
+  if (!match) return { hours: null, kind };
+  const amount = number(match[2] ?? match[1]);
+  const unit = match[3];
+  const hours = unit.startsWith('min') ? amount / 60 : unit.startsWith('day') ? amount * 24 : amount;
+  return { hours: Math.round(hours * 10) / 10, kind };
+};
+
+// 802.11 amendments -> Wi-Fi generation; a list ("b/g/n/ac") takes the newest.
+const WIFI_GENERATIONS = { ax: 6, ac: 5, n: 4 };
+
+const radiosIn = (segment) => {
+  const radios = [];
+  const wifi = segment.match(/wi-?fi(?:\s*(7|6e|6|5|4)\b)?(?:[^,]*?802\.11\s*([a-z/]+))?|802\.11\s*([a-z/]+)/);
+  if (wifi) {
+    const amendments = (wifi[2] || wifi[3] || '').split('/').map((entry) => WIFI_GENERATIONS[entry] || 0);
+    const generation = wifi[1] || String(Math.max(0, ...amendments) || '');
+    radios.push(generation ? `Wi-Fi ${generation.toUpperCase()}` : 'Wi-Fi');
+  }
+  const bluetooth = segment.match(/(?:bluetooth|\bbt\b)(?:\s*(\d(?:\.\d)?))?(\s*(?:le|low energy))?/);
+  if (bluetooth) radios.push(['Bluetooth', bluetooth[1], bluetooth[2] ? 'LE' : ''].filter(Boolean).join(' '));
+  if (/\b5g\b/.test(segment)) radios.push('5G');
+  if (/\blte\b|\b4g\b/.test(segment)) radios.push('LTE');
+  if (/\bgps\b|gnss/.test(segment)) radios.push('GPS');
+  if (/\bnfc\b/.test(segment)) radios.push('NFC');
+  return radios;
+};
+
+const portsIn = (segment) => {
+  const ports = [];
+  const usbC = /usb[\s-]?c\b|typ(?:e)?-c/.test(segment);
+  const displayPort = /displayport|\bdp\b|dp[\s-]alt/.test(segment);
+  if (usbC && displayPort) ports.push(DP_ALT_MODE_PORT);
+  else if (usbC) ports.push('USB-C');
+  else if (displayPort) {
+    const version = segment.match(/displayport\s*(\d\.\d\w?)/)?.[1];
+    ports.push(version ? `DisplayPort ${version}` : 'DisplayPort');
+  }
+  const hdmi = segment.match(/hdmi(?:\s*(\d\.\d))?/);
+  if (hdmi) ports.push(hdmi[1] ? `HDMI ${hdmi[1]}` : 'HDMI');
+  const thunderbolt = segment.match(/thunderbolt(?:\s*(\d))?/);
+  if (thunderbolt) ports.push(thunderbolt[1] ? `Thunderbolt ${thunderbolt[1]}` : 'Thunderbolt');
+  if (/micro[\s-]?usb|usb micro|micro-b/.test(segment)) ports.push('Micro-USB');
+  else if (/usb-a/.test(segment)) ports.push('USB-A');
+  else if (!usbC && /\busb\b/.test(segment)) {
+    const versions = segment.match(/usb\s*(\d\.\d)(?:\/(\d\.\d))?/);
+    ports.push(versions ? `USB ${versions[2] || versions[1]}` : 'USB');
+  }
+  if (/pogo/.test(segment)) ports.push('Pogo-Pin');
+  if (/analog/.test(segment)) ports.push('Analog-Video');
+  if (/\bvga\b/.test(segment)) ports.push('VGA');
+  return ports;
+};
+
+export const parseConnectivity = (value) => {
+  const source = lower(value);
+  if (isUnknown(source)) return { ports: [], radios: [] };
+  // Segments that deny a feature ("no WiFi/BT in headset") list nothing.
+  const segments = source.split(/,|\+|;/).filter((segment) => !/^\s*(?:no|kein|ohne)\b/.test(segment));
+  const unique = (values) => [...new Set(values)];
+  return {
+    ports: unique(segments.flatMap(portsIn)),
+    radios: unique(segments.flatMap(radiosIn)),
+  };
+};
+
+export const hasDisplayPortAltMode = ({ ports }) => ports.includes(DP_ALT_MODE_PORT);
+
+// Adjustment keywords; when several occur the earliest one describes the
+// device ("58-70 mm mechanical (53-75mm software range)" is mechanical).
+const IPD_ADJUSTMENT_RULES = [
+  ['fixed', /fixed|fest\b|no adjustment|non-adjustable|single size|no mechanical/],
+  ['automatic', /automat/],
+  ['stepped', /stufen|presets|\d\/\d+\/\d/],
+  ['software', /software|digital/],
+  ['mechanical', /mechani|manual|manuell|slider|einstellbar|adjustable|verstellbar|lateral|nosepiece/],
+];
+
+export const parseIpd = (value) => {
+  const source = lower(value);
+  if (isUnknown(source)) return { min: null, max: null, adjustment: '' };
+  const adjustment =
+    IPD_ADJUSTMENT_RULES.map(([kind, pattern]) => ({ kind, index: source.search(pattern) }))
+      .filter((entry) => entry.index >= 0)
+      .sort((left, right) => left.index - right.index)[0]?.kind || '';
+  const plausible = (values) => values.every((entry) => entry >= IPD_MIN && entry <= IPD_MAX);
+
+  // "64.0±6.0mm, 68.0±6.0mm": union of all tolerance ranges.
+  const tolerances = [...source.matchAll(/(\d+(?:[.,]\d+)?)\s*±\s*(\d+(?:[.,]\d+)?)/g)].map((match) => [
+    number(match[1]) - number(match[2]),
+    number(match[1]) + number(match[2]),
+  ]);
+  if (tolerances.length && plausible(tolerances.flat())) {
+    return { min: Math.min(...tolerances.flat()), max: Math.max(...tolerances.flat()), adjustment };
+  }
+  const range = source.match(/(\d+(?:[.,]\d+)?)\s*(?:mm)?\s*[-–]\s*(\d+(?:[.,]\d+)?)/);
+  if (range && plausible([number(range[1]), number(range[2])])) {
+    return { min: number(range[1]), max: number(range[2]), adjustment };
+  }
+  // "58/63/68 (3 Stufen)" or a single value ("63.5").
+  const values = [...source.matchAll(/\d+(?:[.,]\d+)?/g)].map((match) => number(match[0])).filter((entry) => plausible([entry]));
+  if (!values.length) return { min: null, max: null, adjustment };
+  return { min: Math.min(...values), max: Math.max(...values), adjustment: adjustment || (values.length === 1 ? 'fixed' : '') };
+};
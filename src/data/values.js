@@ -0,0 +1,99 @@
+// Unit-aware parser for numeric spec cells. Curators can often only give a
+// range ("70-85"), an estimate ("~46°", "ca. 46") or a figure in another unit
+// ("1.2 kg"); toNumber() collapses those to one number or null, and the device
+// drops out of every range filter. Imported by BOTH the SPA (filters, sorting,
+// compare highlighting, display) and the generator, which writes the canonical
+// cell form (`~46`, `70-85`) back into the CSV.
+//
+//   parseValue('70-85', 'g')                 -> { min: 70, max: 85, unit: 'g', approx: false, perEye: null }
+//   parseValue('~46°', 'deg')                -> { min: 46, max: 46, unit: 'deg', approx: true, perEye: null }
+//   parseValue('1.2 kg', 'g')                -> { min: 1200, max: 1200, unit: 'g', approx: false, perEye: null }
+//   parseValue('1,200 nits', 'nits')         -> { min: 1200, max: 1200, unit: 'nits', approx: false, perEye: null }
+//   parseValue('3840x1080 (combined)', 'px') -> { min: 3840, max: 3840, unit: 'px', approx: false, perEye: false }
+//
+// `perEye` is true / false when the text says "per eye" / "combined", else null.
+
+// Accepted unit spellings per canonical unit (the `unit` of a column in
+// scripts/lib/columns.mjs) and their factor to it.
+const UNIT_FACTORS = {
+  g: { g: 1, gramm: 1, gram: 1, grams: 1, kg: 1000, oz: 28.35 },
+  deg: { deg: 1, '°': 1, grad: 1, degrees: 1 },
+  Hz: { hz: 1 },
+  nits: { nits: 1, nit: 1, 'cd/m2': 1, 'cd/m²': 1 },
+  USD: { usd: 1, $: 1 },
+  h: { h: 1, hours: 1, std: 1, min: 1 / 60 },
+  mm: { mm: 1, cm: 10 },
+  px: { px: 1 },
+};
+
+const UNIT_TOKENS = [...new Set(Object.values(UNIT_FACTORS).flatMap((factors) => Object.keys(factors)))].sort(
+  (left, right) => right.length - left.length,
+);
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// "-5", "1.2", "1,2" (decimal comma) and "1,200" (a comma before exactly three
+// digits groups thousands; "0,125" stays a decimal).
+const NUMBER = String.raw`-?(?:[1-9]\d{0,2}(?:,\d{3})+(?!\d)|\d+)(?:[.,]\d+)?`;
+const THOUSANDS_PATTERN = /^-?[1-9]\d{0,2}(?:,\d{3})+(?:\.\d+)?$/;
+const UNIT = `(${UNIT_TOKENS.map(escapeRegExp).join('|')})(?![a-z])`;
+const VALUE_PATTERN = new RegExp(`(${NUMBER})\\s*(?:${UNIT})?(?:\\s*(?:-|–|/|to|bis)\\s*(${NUMBER})\\s*(?:${UNIT})?)?`, 'i');
+const TOLERANCE_PATTERN = new RegExp(`(${NUMBER})\\s*±\\s*(${NUMBER})`);
+const RESOLUTION_PATTERN = /(\d+)\s*[xX×]\s*(\d+)/g;
+const APPROX_PATTERN = /~|≈|\bca\.|\bcirca\b|\bapprox|\babout\b|\betwa\b|gesch(?:ä|ae)tzt|\bestimated?\b/i;
+
+const toFloat = (text) => Number(THOUSANDS_PATTERN.test(text) ? text.replaceAll(',', '') : text.replace(',', '.'));
+const round = (value) => Math.round(value * 10) / 10;
+
+const perEyeOf = (text) => {
+  if (/per eye|pro auge|monocular|monokular/i.test(text)) return true;
+  if (/combined|kombiniert|gesamt|both eyes|binocular/i.test(text)) return false;
+  return null;
+};
+
+// Factor that converts `token` into `unit`; null when the two are unrelated
+// ("1.2 kg" in a degree column). Without a target unit everything is accepted.
+const factorFor = (token, unit) => {
+  if (!token || !unit) return 1;
+  return UNIT_FACTORS[unit]?.[token.toLowerCase()] ?? null;
+};
+
+export const parseValue = (value, unit = '') => {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  const approx = APPROX_PATTERN.test(text);
+  const perEye = perEyeOf(text);
+
+  if (unit === 'px') {
+    // Long side of every "WIDTHxHEIGHT" mentioned ("1920x1080 / 2560x1440").
+    const widths = [...text.matchAll(RESOLUTION_PATTERN)].map((match) => Math.max(Number(match[1]), Number(match[2])));
+    return widths.length ? { min: Math.min(...widths), max: Math.max(...widths), unit, approx, perEye } : null;
+  }
+
+  const tolerance = text.match(TOLERANCE_PATTERN);
+  if (tolerance) {
+    const [center, delta] = [toFloat(tolerance[1]), toFloat(tolerance[2])];
+    return { min: round(center - delta), max: round(center + delta), unit, approx, perEye };
+  }
+
+  const match = text.match(VALUE_PATTERN);
+  if (!match) return null;
+  const [, first, firstUnit, second, secondUnit] = match;
+  // "70-85 g" names the unit once, after the upper bound.
+  const firstFactor = factorFor(firstUnit || secondUnit, unit);
+  const secondFactor = factorFor(secondUnit || firstUnit, unit);
+  if (firstFactor === null || secondFactor === null) return null;
+  const low = round(toFloat(first) * firstFactor);
+  const high = second === undefined ? low : round(toFloat(second) * secondFactor);
+  return { min: Math.min(low, high), max: Math.max(low, high), unit: unit || firstUnit || '', approx, perEye };
+};
+
+// Canonical CSV cell: "46", "~46", "70-85" or "~70-85".
+export const formatValueCell = (parsed) =>
+  parsed ? `${parsed.approx ? '~' : ''}${parsed.min}${parsed.max !== parsed.min ? `-${parsed.max}` : ''}` : '';
+
+// Display text with "≈" for estimates and an en dash for ranges; `formatNumber`
+// localizes each bound.
+export const describeValue = (parsed, formatNumber = String) =>
+  parsed
+    ? `${parsed.approx ? '≈' : ''}${formatNumber(parsed.min)}${parsed.max !== parsed.min ? `–${formatNumber(parsed.max)}` : ''}`
+    : '';
@@ -0,0 +1,82 @@
+// Device variants: editions of one device that differ in price, weight,
+// storage, color or sales region (Vision Pro 256 GB / 512 GB / 1 TB). They
+// live in public/data/variants.json under the parent row id instead of being
+// rows of their own, so filters, counts and device pages stay per device:
+//
+//   "NwAppleVPr": [{ "key": "512gb", "label": "512 GB", "storage": "512 GB", "price_usd": 3699 }, ...]
+//
+// A single edition is addressed as "<rowId>~<key>" (compare selection) or
+// "<flat>~<key>" (/compare/ paths). Imported by BOTH the SPA (cards, compare)
+// and the generator (device pages, ProductGroup JSON-LD).
+
+export const VARIANT_SEPARATOR = '~';
+
+// Per-variant overrides; everything else is inherited from the parent row.
+export const VARIANT_FIELDS = ['price_usd', 'weight_g', 'storage', 'color', 'region'];
+
+const KEY_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const NUMERIC_FIELDS = ['price_usd', 'weight_g'];
+
+export const getVariants = (store, id) => (Array.isArray(store?.[id]) ? store[id] : []);
+
+export const variantId = (id, key) => `${id}${VARIANT_SEPARATOR}${key}`;
+
+// "NwAppleVPr~512gb" -> { id: 'NwAppleVPr', key: '512gb' }; key '' for plain ids.
+export const splitVariantId = (value) => {
+  const text = String(value ?? '');
+  const index = text.indexOf(VARIANT_SEPARATOR);
+  return index < 0 ? { id: text, key: '' } : { id: text.slice(0, index), key: text.slice(index + 1) };
+};
+
+// The parent row with the overrides of one variant applied. A variant price is
+// in USD, so the launch price in the original currency no longer belongs to it.
+export const applyVariant = (row, variant) => {
+  const edition = { ...row, name: `${row.name} (${variant.label})`, variant_key: variant.key, variant_label: variant.label };
+  for (const field of VARIANT_FIELDS) {
+    if (variant[field] !== undefined && variant[field] !== '') edition[field] = String(variant[field]);
+  }
+  if (variant.price_usd !== undefined) {
+    edition.price_original = '';
+    edition.price_currency = '';
+  }
+  return edition;
+};
+
+// { min, max } over the edition prices (the device price for editions without
+// one); null when no price is known.
+export const getPriceRange = (row, variants = []) => {
+  const prices = (variants.length ? variants.map((variant) => variant.price_usd ?? row.price_usd) : [row.price_usd])
+    .map(Number)
+    .filter((price) => price > 0);
+  return prices.length ? { min: Math.min(...prices), max: Math.max(...prices) } : null;
+};
+
+// Contract checks for variants.json against the known row ids; one message per
+// problem.
+export const validateVariants = (store = {}, ids = new Set()) => {
+  const errors = [];
+  for (const [id, variants] of Object.entries(store)) {
+    if (!ids.has(id)) errors.push(`${id}: no device with this id`);
+    if (!Array.isArray(variants) || !variants.length) {
+      errors.push(`${id}: expected a non-empty list of variants`);
+      continue;
+    }
+    const keys = new Set();
+    for (const variant of variants) {
+      const key = String(variant?.key ?? '');
+      if (!KEY_PATTERN.test(key)) errors.push(`${id}: variant key "${key}" is not a lowercase slug`);
+      if (keys.has(key)) errors.push(`${id}: variant key "${key}" is used twice`);
+      keys.add(key);
+      if (!variant?.label) errors.push(`${id}~${key}: label is missing`);
+      for (const field of Object.keys(variant || {})) {
+        if (!['key', 'label', ...VARIANT_FIELDS].includes(field)) errors.push(`${id}~${key}: unknown field "${field}"`);
+      }
+      for (const field of NUMERIC_FIELDS) {
+        if (variant?.[field] !== undefined && !(typeof variant[field] === 'number' && variant[field] > 0)) {
+          errors.push(`${id}~${key}: ${field} "${variant[field]}" is not a positive number`);
+        }
+      }
+    }
+  }
+  return errors;
+};
@@ -0,0 +1,125 @@
+// Canonical vocabularies for the free-text spec columns. The CSV keeps the
+// curated wording ("6DoF Inside-out (4 Kameras)", "Nein (optische Durchsicht)");
+// filters, Finder scoring and the compare matrix work on the canonical key and
+// show the original text as a detail note. Imported by BOTH the SPA and the
+// dataset lint (scripts/lib/consistency-rules.mjs), so it stays free of browser
+// state: labels are plain { de, en } objects like in finder-questions.js.
+import { normalizeText, isUnknownValue } from '../utils.js';
+
+// Every vocabulary ends with `other` (text no rule recognises) and `unknown`
+// (empty or "Unklar"). Rules are tried in order; the first match wins.
+const OTHER = { value: 'other', label: { de: 'Sonstige', en: 'Other' } };
+const UNKNOWN = { value: 'unknown', label: { de: 'Unklar', en: 'Unknown' } };
+
+const YES_NO = [
+  { value: 'yes', label: { de: 'Ja', en: 'Yes' }, match: /^(ja|yes)\b/ },
+  { value: 'optional', label: { de: 'Optional', en: 'Optional' }, match: /^optional\b/ },
+  { value: 'no', label: { de: 'Nein', en: 'No' }, match: /^(nein|no|none|kein|keine)\b/ },
+];
+
+export const VOCABULARIES = {
+  tracking: [
+    { value: 'none', label: { de: 'Kein Tracking', en: 'No tracking' }, match: /^(none|nein|kein|keine)\b/ },
+    {
+      value: '3dof',
+      label: { de: '3DoF (nur Rotation)', en: '3DoF (rotation only)' },
+      match: /3\s?dof|non-positional|head-tracking|kopf|9-achsen/,
+    },
+    { value: '6dof-outside-in', label: { de: '6DoF Outside-in', en: '6DoF outside-in' }, match: /outside-?\s?in|marker|^(?!.*inside).*lighthouse/ },
+    { value: '6dof-inside-out', label: { de: '6DoF Inside-out', en: '6DoF inside-out' }, match: /6\s?dof|inside-?\s?out|slam/ },
+  ],
+  eye_tracking: YES_NO,
+  hand_tracking: YES_NO,
+  passthrough: [
+    // "Native passthrough" is how the spec sheets of display glasses describe
+    // looking through the lens; only "native color passthrough" means cameras.
+    { value: 'optical', label: { de: 'Optisches See-through', en: 'Optical see-through' }, match: /^native pass?through(?!.*colou?r)/ },
+    { value: 'none', label: { de: 'Kein Passthrough', en: 'No passthrough' }, match: /^(no camera passthrough|none|kein|nein$|nein \(cinema)/ },
+    {
+      value: 'video-mono',
+      label: { de: 'Video-Passthrough (monochrom)', en: 'Video passthrough (monochrome)' },
+      match: /monochrom|greyscale|grayscale|graustuf|rudiment/,
+    },
+    {
+      value: 'video-color',
+      label: { de: 'Video-Passthrough (Farbe)', en: 'Video passthrough (color)' },
+      match: /video|vst|farb|colou?r|rgb pass|kamera|camera(?: system)? passthrough|cameras|^ja\b/,
+    },
+    {
+      value: 'optical',
+      label: { de: 'Optisches See-through', en: 'Optical see-through' },
+      match: /optisch|optical|see-?through|see-around|durchsicht|transparent|combiner|visor|aperture/,
+    },
+    { value: 'none', label: { de: 'Kein Passthrough', en: 'No passthrough' }, match: /^(nein|no)\b/ },
+    // AI glasses list only their photo camera here; the lens itself is clear.
+    { value: 'optical', label: { de: 'Optisches See-through', en: 'Optical see-through' }, match: /\d\s?mp\b|camera/ },
+  ],
+  display_type: [
+    { value: 'none', label: { de: 'Kein Display', en: 'No display' }, match: /^kein/ },
+    { value: 'micro-oled', label: { de: 'Micro-OLED', en: 'Micro-OLED' }, match: /micro[\s-]?oled|si-oled|oled-microdisplay|oled micro/ },
+    { value: 'micro-led', label: { de: 'MicroLED', en: 'MicroLED' }, match: /micro[\s-]?led/ },
+    { value: 'oled', label: { de: 'OLED', en: 'OLED' }, match: /oled/ },
+    { value: 'lcos', label: { de: 'LCoS', en: 'LCoS' }, match: /lcos/ },
+    { value: 'lcd', label: { de: 'LCD', en: 'LCD' }, match: /lcd|qled|mini-led/ },
+    { value: 'dlp', label: { de: 'DLP', en: 'DLP' }, match: /dlp/ },
+    { value: 'laser', label: { de: 'Laser / Retinalprojektion', en: 'Laser / retinal projection' }, match: /laser|lbs|vcsel|retinal/ },
+  ],
+  optics: [
+    { value: 'none', label: { de: 'Keine', en: 'None' }, match: /^keine/ },
+    { value: 'retinal', label: { de: 'Retinalprojektion', en: 'Retinal projection' }, match: /retinal|mems/ },
+    { value: 'pancake', label: { de: 'Pancake', en: 'Pancake' }, match: /pancake/ },
+    { value: 'waveguide', label: { de: 'Waveguide', en: 'Waveguide' }, match: /waveguide|wellenleiter|holograph|holografisch/ },
+    { value: 'birdbath', label: { de: 'Birdbath', en: 'Birdbath' }, match: /birdbath|mirror|spiegel|koaxial|catadioptric/ },
+    { value: 'freeform', label: { de: 'Freiform', en: 'Freeform' }, match: /freeform|freiform/ },
+    { value: 'prism', label: { de: 'Prisma', en: 'Prism' }, match: /prism/ },
+    { value: 'fresnel', label: { de: 'Fresnel', en: 'Fresnel' }, match: /^fresnel|fresnel optics|fresnel \(/ },
+    { value: 'aspheric', label: { de: 'Asphärische Linsen', en: 'Aspheric lenses' }, match: /aspheri|asphär|asphaer|non-fresnel|linse|lens/ },
+  ],
+  compute_unit: [
+    { value: 'standalone', label: { de: 'Standalone', en: 'Standalone' }, match: /^standalone/ },
+    { value: 'pc', label: { de: 'PC', en: 'PC' }, match: /^pc\b/ },
+    { value: 'phone', label: { de: 'Smartphone', en: 'Smartphone' }, match: /^(phone|smartphone)/ },
+    { value: 'console', label: { de: 'Konsole', en: 'Console' }, match: /^(ps\d|playstation|console|konsole)/ },
+    { value: 'tethered', label: { de: 'Tethered (Host-Gerät)', en: 'Tethered (host device)' }, match: /^tethered/ },
+  ],
+};
+
+export const VOCABULARY_FIELDS = Object.keys(VOCABULARIES);
+
+const entriesOf = (field) => [...(VOCABULARIES[field] || []), OTHER, UNKNOWN];
+
+// Canonical key of a cell. A value that already is a key maps to itself, so
+// filter state and share URLs can hold either form.
+export const canonicalValue = (field, value) => {
+  const text = normalizeText(value);
+  // isUnknownValue() treats "None" as missing; here it is a real answer
+  // ("no tracking").
+  if (text !== 'none' && isUnknownValue(value)) return UNKNOWN.value;
+  const entries = entriesOf(field);
+  if (entries.some((entry) => entry.value === text)) return text;
+  return entries.find((entry) => entry.match?.test(text))?.value ?? OTHER.value;
+};
+
+export const vocabularyLabel = (field, value, lang = 'de') => {
+  const entry = entriesOf(field).find((candidate) => candidate.value === value);
+  return entry ? entry.label[lang] || entry.label.de : String(value ?? '');
+};
+
+// Canonical key and label plus the original text as `note` when it says more
+// than the label (e.g. "6DoF Inside-out (4 Kameras)").
+export const describeVocabularyValue = (field, value, lang = 'de') => {
+  const canonical = canonicalValue(field, value);
+  const label = vocabularyLabel(field, canonical, lang);
+  const original = String(value ?? '').trim();
+  const labels = [vocabularyLabel(field, canonical, 'de'), vocabularyLabel(field, canonical, 'en')].map(normalizeText);
+  const redundant = canonical === UNKNOWN.value || labels.includes(normalizeText(original));
+  return { value: canonical, label, note: redundant ? '' : original };
+};
+
+// Canonical keys that occur in `rows`, in vocabulary order.
+export const vocabularyOptions = (field, rows) => {
+  const present = new Set(rows.map((row) => canonicalValue(field, row[field])));
+  return entriesOf(field)
+    .filter((entry, index, entries) => present.has(entry.value) && entries.findIndex((other) => other.value === entry.value) === index)
+    .map((entry) => entry.value);
+};
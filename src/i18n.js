@@ -1,4 +1,6 @@
-import { toNumber, parsePrice, normalizeText, isUnknownValue } from './utils.js';
+import { parsePrice, normalizeText, isUnknownValue } from './utils.js';
+import { formatPartialDate } from './data/dates.js';
+import { describeValue, parseValue } from './data/values.js';
 import { state, USD_TO_EUR_FALLBACK, LIFECYCLE_NOTE_SUPPRESS_MARKERS } from './state.js';
 
 const isEnglish = () => state.language === 'en';
@@ -25,10 +27,27 @@ export const formatPrice = (value) => {
   return `${usd} (~${eur})`;
 };
 
+// Launch price in its original currency ("2.999 CN¥"); '' for USD or when the
+// row has none. price_usd is the build-time conversion of this value.
+export const formatOriginalPrice = (row) => {
+  const amount = parsePrice(row?.price_original);
+  const currency = String(row?.price_currency ?? '').trim().toUpperCase();
+  if (!amount || !/^[A-Z]{3}$/.test(currency) || currency === 'USD') {
+    return '';
+  }
+  return formatCurrency(amount, currency);
+};
+
+// CSV dates keep their precision ("2020", "Aug. 2019"); full timestamps (rate
+// and build dates) are shown as a day.
 export const formatDate = (value) => {
   if (!value) {
     return t('k. A.', 'n/a');
   }
+  const partial = formatPartialDate(value, locale());
+  if (partial) {
+    return partial;
+  }
   const parsed = new Date(value);
   if (Number.isNaN(parsed.getTime())) {
     return t('k. A.', 'n/a');
@@ -40,14 +59,14 @@ export const formatDate = (value) => {
   }).format(parsed);
 };
 
+// Ranges and estimates from the CSV ("70-85", "~46") render as "70–85" / "≈46".
 export const formatNumber = (value, suffix = '') => {
-  const numeric = toNumber(value);
-  if (numeric === null) {
+  const parsed = parseValue(value);
+  if (!parsed) {
     return t('k. A.', 'n/a');
   }
-  return `${new Intl.NumberFormat(locale(), {
-    maximumFractionDigits: 1,
-  }).format(numeric)}${suffix}`;
+  const format = new Intl.NumberFormat(locale(), { maximumFractionDigits: 1 });
+  return `${describeValue(parsed, (number) => format.format(number))}${suffix}`;
 };
 
 const formatRateSourceLabel = () =>
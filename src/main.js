@@ -23,6 +23,7 @@ import {
 import { t, formatRateHint, compactValue } from './i18n.js';
 import { getRowId } from './data/model.js';
 import { assignDevicePaths, COMPARE_SEPARATOR } from './data/paths.js';
+import { splitVariantId, variantId } from './data/variants.js';
 import { getFilterOptions, matchesFilters, sortRows, getSelectedRows } from './data/filters.js';
 import { parseCsv, fetchUsdToEurRate } from './data/dataset.js';
 import { AFFILIATE, setAffiliateOverrides } from './affiliate.js';
@@ -131,16 +132,31 @@ const countActiveAdvancedFilters = () => {
     state.passthrough,
     state.active,
     state.eol,
+    state.lifecycleStatus,
     state.software,
     state.computeUnit,
   ];
-  const rangeFilters = [state.minFov, state.minRefresh, state.maxPrice, state.maxWeight, state.minResolutionWidth];
+  const rangeFilters = [
+    state.minFov,
+    state.minRefresh,
+    state.maxPrice,
+    state.maxWeight,
+    state.minResolutionWidth,
+    state.minBatteryHours,
+    state.ipd,
+    state.minPpd,
+    state.minFovArea,
+    state.maxUsdPerDegree,
+    state.minCompleteness,
+  ];
   const toggleFilters = [
     state.onlyPrice,
     state.onlyShop,
     state.onlyAvailable,
     state.onlyWithImage,
+    state.onlyDpAltMode,
     state.onlyFavorites,
+    state.onlyUpcoming,
   ];
   return (
     selectFilters.filter((value) => value && value !== 'all').length +
@@ -269,6 +285,9 @@ const render = async ({ cooperative = false } = {}) => {
       state.showEur ||
       state.hideUnknown,
   );
+  const upcomingToggleLabel = state.onlyUpcoming
+    ? t('Alle Modelle zeigen', 'Show all models')
+    : t('Nur angekündigte und vorbestellbare Modelle', 'Only announced and pre-order models');
   const densityToggleLabel = state.focusMode
     ? state.viewMode === 'cards'
       ? t('Ausführliche Karten anzeigen', 'Show detailed cards')
@@ -333,6 +352,7 @@ const render = async ({ cooperative = false } = {}) => {
                 state.viewMode === 'table' ? 'is-active' : ''
               }"><svg viewBox="0 0 20 20" aria-hidden="true"><path d="M3 4h14M3 10h14M3 16h14"/></svg>${t('Liste', 'List')}</button>
             </div>
+            <button id="toggle-upcoming" type="button" aria-pressed="${state.onlyUpcoming ? 'true' : 'false'}" aria-label="${escapeHtml(upcomingToggleLabel)}" title="${escapeHtml(upcomingToggleLabel)}" class="filter-toggle ${state.onlyUpcoming ? 'is-active' : ''}"><svg viewBox="0 0 20 20" aria-hidden="true"><rect x="3" y="4.5" width="14" height="12" rx="1.5"/><path d="M3 8.5h14M7 2.5v4M13 2.5v4"/></svg><span class="filter-label">${t('Demnächst', 'Upcoming')}</span></button>
             <button id="toggle-focus-mode" type="button" class="icon-btn density-toggle" aria-pressed="${state.focusMode ? 'false' : 'true'}" aria-label="${escapeHtml(densityToggleLabel)}" title="${escapeHtml(densityToggleLabel)}"><svg viewBox="0 0 20 20" aria-hidden="true"><path d="M3 4h14M3 10h${state.focusMode ? '9' : '14'}M3 16h${state.focusMode ? '6' : '14'}"/></svg></button>
             <button id="clear-filters" type="button" class="icon-btn" ${hasResettableState ? '' : 'disabled'} aria-label="${t('Suche und Filter zurücksetzen', 'Reset search and filters')}" title="${t('Suche und Filter zurücksetzen', 'Reset search and filters')}"><svg viewBox="0 0 20 20" aria-hidden="true"><path d="M4.5 6.5A6 6 0 1 1 4 13M4.5 6.5V2.8M4.5 6.5H8"/></svg></button>
             <button id="toggle-advanced-filters" type="button" aria-pressed="${state.showAdvancedFilters ? 'true' : 'false'}" aria-expanded="${state.showAdvancedFilters ? 'true' : 'false'}" aria-controls="advanced-filters-region" aria-label="${escapeHtml(filterToggleLabel)}" title="${escapeHtml(filterToggleLabel)}" class="filter-toggle ${state.showAdvancedFilters ? 'is-active' : ''}"><svg viewBox="0 0 20 20" aria-hidden="true"><path d="M3 5h14M5 10h10M8 15h4"/></svg><span class="filter-label">${t('Filter', 'Filters')}</span><span class="filter-count ${activeFilterCount ? '' : 'is-empty'}" aria-hidden="true">${activeFilterCount || 0}</span></button>
@@ -392,6 +412,34 @@ const render = async ({ cooperative = false } = {}) => {
                 'Refresh absteigend',
                 'Refresh descending',
               )}</option>
+              <option value="battery_desc"${state.sort === 'battery_desc' ? ' selected' : ''}>${t(
+                'Akkulaufzeit absteigend',
+                'Battery runtime descending',
+              )}</option>
+              <option value="ipd_range_desc"${state.sort === 'ipd_range_desc' ? ' selected' : ''}>${t(
+                'IPD-Bereich absteigend',
+                'IPD range descending',
+              )}</option>
+              <option value="ppd_desc"${state.sort === 'ppd_desc' ? ' selected' : ''}>${t(
+                'Pixel pro Grad absteigend',
+                'Pixels per degree descending',
+              )}</option>
+              <option value="fov_area_desc"${state.sort === 'fov_area_desc' ? ' selected' : ''}>${t(
+                'FOV-Fläche absteigend',
+                'FOV area descending',
+              )}</option>
+              <option value="usd_per_degree_asc"${state.sort === 'usd_per_degree_asc' ? ' selected' : ''}>${t(
+                'Preis pro Grad aufsteigend',
+                'Price per degree ascending',
+              )}</option>
+              <option value="verified_desc"${state.sort === 'verified_desc' ? ' selected' : ''}>${t(
+                'Zuletzt geprüft',
+                'Recently verified',
+              )}</option>
+              <option value="completeness_desc"${state.sort === 'completeness_desc' ? ' selected' : ''}>${t(
+                'Datenvollständigkeit absteigend',
+                'Data completeness descending',
+              )}</option>
             </select>
           </label>
               `
@@ -476,6 +524,13 @@ const render = async ({ cooperative = false } = {}) => {
               </select>
             </label>
 
+            <label class="space-y-1.5">
+              <span class="text-[11px] font-semibold uppercase tracking-[0.14em] text-[#a8a29e]">${t('Marktstatus', 'Market status')}</span>
+              <select id="lifecycle-status-filter" class="field">
+                ${optionList(filterOptions.lifecycleStatuses, state.lifecycleStatus, t('Alle Marktstatus', 'All market statuses'))}
+              </select>
+            </label>
+
             <label class="space-y-1.5">
               <span class="text-[11px] font-semibold uppercase tracking-[0.14em] text-[#a8a29e]">${t('Software', 'Software')}</span>
               <select id="software-filter" class="field">
@@ -514,6 +569,36 @@ const render = async ({ cooperative = false } = {}) => {
               <span class="text-[11px] font-semibold uppercase tracking-[0.14em] text-[#a8a29e]">${t('Min. Auflösung (px Breite)', 'Min. resolution (px width)')}</span>
               <input id="resolution-filter" type="number" min="0" step="1" class="field" value="${escapeHtml(state.minResolutionWidth)}" placeholder="${t('z. B. 1440', 'e.g. 1440')}" />
             </label>
+
+            <label class="space-y-1.5">
+              <span class="text-[11px] font-semibold uppercase tracking-[0.14em] text-[#a8a29e]">${t('Min. Akkulaufzeit (h)', 'Min. battery runtime (h)')}</span>
+              <input id="battery-filter" type="number" min="0" step="0.5" class="field" value="${escapeHtml(state.minBatteryHours)}" placeholder="${t('z. B. 2', 'e.g. 2')}" />
+            </label>
+
+            <label class="space-y-1.5">
+              <span class="text-[11px] font-semibold uppercase tracking-[0.14em] text-[#a8a29e]">${t('Meine IPD (mm)', 'My IPD (mm)')}</span>
+              <input id="ipd-filter" type="number" min="40" max="85" step="0.5" class="field" value="${escapeHtml(state.ipd)}" placeholder="${t('z. B. 63', 'e.g. 63')}" />
+            </label>
+
+            <label class="space-y-1.5">
+              <span class="text-[11px] font-semibold uppercase tracking-[0.14em] text-[#a8a29e]">${t('Min. Pixel pro Grad (PPD)', 'Min. pixels per degree (PPD)')}</span>
+              <input id="ppd-filter" type="number" min="0" step="1" class="field" value="${escapeHtml(state.minPpd)}" placeholder="${t('z. B. 30', 'e.g. 30')}" />
+            </label>
+
+            <label class="space-y-1.5">
+              <span class="text-[11px] font-semibold uppercase tracking-[0.14em] text-[#a8a29e]">${t('Min. FOV-Fläche (deg²)', 'Min. FOV area (deg²)')}</span>
+              <input id="fov-area-filter" type="number" min="0" step="100" class="field" value="${escapeHtml(state.minFovArea)}" placeholder="${t('z. B. 1000', 'e.g. 1000')}" />
+            </label>
+
+            <label class="space-y-1.5">
+              <span class="text-[11px] font-semibold uppercase tracking-[0.14em] text-[#a8a29e]">${t('Max. USD pro Grad FOV', 'Max. USD per degree of FOV')}</span>
+              <input id="usd-per-degree-filter" type="number" min="0" step="1" class="field" value="${escapeHtml(state.maxUsdPerDegree)}" placeholder="${t('z. B. 15', 'e.g. 15')}" />
+            </label>
+
+            <label class="space-y-1.5">
+              <span class="text-[11px] font-semibold uppercase tracking-[0.14em] text-[#a8a29e]">${t('Min. Datenvollständigkeit (%)', 'Min. data completeness (%)')}</span>
+              <input id="completeness-filter" type="number" min="0" max="100" step="5" class="field" value="${escapeHtml(state.minCompleteness)}" placeholder="${t('z. B. 80', 'e.g. 80')}" />
+            </label>
           </div>
 
           <p class="mt-1 text-[11px] font-semibold uppercase tracking-[0.16em] text-[#a8a29e]">${t('Optionen', 'Options')}</p>
@@ -542,6 +627,10 @@ const render = async ({ cooperative = false } = {}) => {
               <input id="only-image" type="checkbox" class="mr-2 size-4 accent-[#84cc16]" ${state.onlyWithImage ? 'checked' : ''} />
               ${t('Mit Bild', 'With image')}
             </label>
+            <label class="chip-btn border-[#44403c] bg-[#1c1917] text-[#f5f5f4] hover:bg-[#292524]">
+              <input id="only-dp-alt" type="checkbox" class="mr-2 size-4 accent-[#84cc16]" ${state.onlyDpAltMode ? 'checked' : ''} />
+              ${t('Mit DisplayPort Alt Mode', 'With DisplayPort Alt Mode')}
+            </label>
             <label class="chip-btn border-[#44403c] bg-[#1c1917] text-[#f5f5f4] hover:bg-[#292524] ${state.favorites.length ? '' : 'opacity-50'}">
               <input id="only-favorites" type="checkbox" class="mr-2 size-4 accent-[#84cc16]" ${state.onlyFavorites ? 'checked' : ''} ${state.favorites.length ? '' : 'disabled'} />
               ${t('Favoriten', 'Favorites')} (${state.favorites.length})
@@ -662,6 +751,9 @@ const render = async ({ cooperative = false } = {}) => {
 
   document.querySelector('#active-filter')?.addEventListener('change', (event) => setAndRender('active', event.target.value));
   document.querySelector('#eol-filter')?.addEventListener('change', (event) => setAndRender('eol', event.target.value));
+  document
+    .querySelector('#lifecycle-status-filter')
+    ?.addEventListener('change', (event) => setAndRender('lifecycleStatus', event.target.value));
   document.querySelector('#software-filter')?.addEventListener('change', (event) => setAndRender('software', event.target.value));
   document.querySelector('#compute-filter')?.addEventListener('change', (event) => setAndRender('computeUnit', event.target.value));
 
@@ -670,12 +762,26 @@ const render = async ({ cooperative = false } = {}) => {
   const debouncedPrice = debounce((val) => setAndRender('maxPrice', val));
   const debouncedWeight = debounce((val) => setAndRender('maxWeight', val));
   const debouncedResolution = debounce((val) => setAndRender('minResolutionWidth', val));
+  const debouncedBattery = debounce((val) => setAndRender('minBatteryHours', val));
+  const debouncedIpd = debounce((val) => setAndRender('ipd', val));
+  const debouncedPpd = debounce((val) => setAndRender('minPpd', val));
+  const debouncedFovArea = debounce((val) => setAndRender('minFovArea', val));
+  const debouncedUsdPerDegree = debounce((val) => setAndRender('maxUsdPerDegree', val));
+  const debouncedCompleteness = debounce((val) => setAndRender('minCompleteness', val));
 
   document.querySelector('#fov-filter')?.addEventListener('input', (event) => debouncedFov(event.target.value));
   document.querySelector('#refresh-filter')?.addEventListener('input', (event) => debouncedRefresh(event.target.value));
   document.querySelector('#price-filter')?.addEventListener('input', (event) => debouncedPrice(event.target.value));
   document.querySelector('#weight-filter')?.addEventListener('input', (event) => debouncedWeight(event.target.value));
   document.querySelector('#resolution-filter')?.addEventListener('input', (event) => debouncedResolution(event.target.value));
+  document.querySelector('#battery-filter')?.addEventListener('input', (event) => debouncedBattery(event.target.value));
+  document.querySelector('#ipd-filter')?.addEventListener('input', (event) => debouncedIpd(event.target.value));
+  document.querySelector('#ppd-filter')?.addEventListener('input', (event) => debouncedPpd(event.target.value));
+  document.querySelector('#fov-area-filter')?.addEventListener('input', (event) => debouncedFovArea(event.target.value));
+  document
+    .querySelector('#usd-per-degree-filter')
+    ?.addEventListener('input', (event) => debouncedUsdPerDegree(event.target.value));
+  document.querySelector('#completeness-filter')?.addEventListener('input', (event) => debouncedCompleteness(event.target.value));
   document.querySelector('#sort-filter')?.addEventListener('change', (event) => setAndRender('sort', event.target.value));
 
   document.querySelector('#only-price')?.addEventListener('change', (event) => setAndRender('onlyPrice', event.target.checked));
@@ -692,6 +798,9 @@ const render = async ({ cooperative = false } = {}) => {
   document
     .querySelector('#only-image')
     ?.addEventListener('change', (event) => setAndRender('onlyWithImage', event.target.checked));
+  document
+    .querySelector('#only-dp-alt')
+    ?.addEventListener('change', (event) => setAndRender('onlyDpAltMode', event.target.checked));
   document
     .querySelector('#only-favorites')
     ?.addEventListener('change', (event) => setAndRender('onlyFavorites', event.target.checked));
@@ -705,6 +814,14 @@ const render = async ({ cooperative = false } = {}) => {
     });
   });
 
+  // Edition selector on cards of devices with variants
+  document.querySelectorAll('[data-variant-select]').forEach((select) => {
+    select.addEventListener('change', () => {
+      const rowId = select.getAttribute('data-variant-select');
+      setAndRender('variantChoices', { ...state.variantChoices, [rowId]: select.value }, { resetCardsPage: false });
+    });
+  });
+
   // Detail modal on card image click
   document.querySelectorAll('[data-detail-open]').forEach((el) => {
     el.addEventListener('click', () => {
@@ -746,6 +863,7 @@ const render = async ({ cooperative = false } = {}) => {
     ?.addEventListener('click', () =>
       setAndRender('showAdvancedFilters', !state.showAdvancedFilters, { resetCardsPage: false }),
     );
+  document.querySelector('#toggle-upcoming')?.addEventListener('click', () => setAndRender('onlyUpcoming', !state.onlyUpcoming));
 
   const goToPage = (page) => {
     const target = Math.min(Math.max(1, page), maxPage);
@@ -834,6 +952,7 @@ const render = async ({ cooperative = false } = {}) => {
     state.passthrough = 'all';
     state.active = 'all';
     state.eol = 'all';
+    state.lifecycleStatus = 'all';
     state.software = 'all';
     state.computeUnit = 'all';
     state.minFov = '';
@@ -841,11 +960,19 @@ const render = async ({ cooperative = false } = {}) => {
     state.maxPrice = '';
     state.maxWeight = '';
     state.minResolutionWidth = '';
+    state.minBatteryHours = '';
+    state.ipd = '';
+    state.minPpd = '';
+    state.minFovArea = '';
+    state.maxUsdPerDegree = '';
+    state.minCompleteness = '';
     state.onlyPrice = false;
     state.onlyShop = false;
     state.onlyAvailable = false;
     state.onlyWithImage = false;
+    state.onlyDpAltMode = false;
     state.onlyFavorites = false;
+    state.onlyUpcoming = false;
     state.showEur = false;
     state.hideUnknown = false;
     state.showAdvancedFilters = false;
@@ -914,8 +1041,18 @@ const applyComparePathFromUrl = () => {
   const match = window.location.pathname.match(/^\/compare\/(.+?)\/?$/);
   if (!match) return;
   const flats = decodeURIComponent(match[1]).split(COMPARE_SEPARATOR).map((s) => s.trim()).filter(Boolean);
-  const byFlat = new Map(state.rows.map((row) => [row.__flat, row.__rowId]));
-  const ids = flats.map((flat) => byFlat.get(flat)).filter(Boolean).slice(0, COMPARE_LIMIT);
+  // Flats of superseded paths still resolve, so old compare links keep working.
+  const byFlat = new Map(
+    state.rows.flatMap((row) => [...row.__previousFlats.map((flat) => [flat, row.__rowId]), [row.__flat, row.__rowId]]),
+  );
+  const ids = flats
+    .map((entry) => {
+      const { id: flat, key } = splitVariantId(entry);
+      const rowId = byFlat.get(flat);
+      return rowId && (key ? variantId(rowId, key) : rowId);
+    })
+    .filter(Boolean)
+    .slice(0, COMPARE_LIMIT);
   if (ids.length) {
     state.selectedIds = ids;
     state.compareMode = true;
@@ -971,6 +1108,20 @@ const init = async () => {
     })
     .catch(() => {});
 
+  // Editions per device (storage tiers, colors); compare links can name one,
+  // so they are needed before the selection is checked against the rows.
+  const variantsPromise = fetch('/data/variants.json')
+    .then((response) => (response.ok ? response.json() : {}))
+    .then((data) => {
+      state.variants = data && typeof data === 'object' ? data : {};
+    })
+    .catch(() => {});
+
+  // Pinned device paths; without them renamed devices would get new URLs here.
+  const pathRegistryPromise = fetch('/data/path-registry.json')
+    .then((response) => (response.ok ? response.json() : {}))
+    .catch(() => ({}));
+
   // Editorial descriptions for the detail modal.
   fetch('/data/descriptions.json')
     .then((response) => (response.ok ? response.json() : {}))
@@ -979,8 +1130,39 @@ const init = async () => {
     })
     .catch(() => {});
 
+  // Field-level sources/confidence for the citation markers in the modal.
+  fetch('/data/provenance.json')
+    .then((response) => (response.ok ? response.json() : {}))
+    .then((data) => {
+      state.provenance = data && typeof data === 'object' ? data : {};
+    })
+    .catch(() => {});
+
+  // Dated price points for the modal chart and the compare "then vs. now" row.
+  fetch('/data/price-history.json')
+    .then((response) => (response.ok ? response.json() : {}))
+    .then((data) => {
+      state.priceHistory = data && typeof data === 'object' ? data : {};
+      if (state.rows.length && state.compareMode) routeRender();
+    })
+    .catch(() => {});
+
+  // Results of the offline link check; dead manufacturer and source links are hidden.
+  fetch('/data/link-health.json')
+    .then((response) => (response.ok ? response.json() : {}))
+    .then((data) => {
+      state.linkHealth = data && typeof data === 'object' ? data : {};
+      if (state.rows.length) routeRender();
+    })
+    .catch(() => {});
+
   try {
-    const [response] = await Promise.all([fetch('/data/ar_glasses.csv'), affiliatePromise]);
+    const [response, pathRegistry] = await Promise.all([
+      fetch('/data/ar_glasses.csv'),
+      pathRegistryPromise,
+      affiliatePromise,
+      variantsPromise,
+    ]);
     if (!response.ok) {
       throw new Error(`CSV request failed with status ${response.status}`);
     }
@@ -988,11 +1170,12 @@ const init = async () => {
     const { data, fields } = await parseCsv(csv);
     await yieldToMainThread();
     state.rows = data.map((row, index) => ({ ...row, __rowId: getRowId(row, index) }));
-    const devicePaths = assignDevicePaths(state.rows);
+    const devicePaths = assignDevicePaths(state.rows, pathRegistry && typeof pathRegistry === 'object' ? pathRegistry : {});
     state.rows.forEach((row) => {
       const derived = devicePaths.get(row.id);
       row.__path = derived ? derived.path : '';
       row.__flat = derived ? derived.flat : '';
+      row.__previousFlats = derived ? derived.previousFlats : [];
     });
     state.csvFields = fields.filter((field) => !field.startsWith('__'));
     applyComparePathFromUrl();
@@ -1,7 +1,8 @@
 import { escapeHtml, safeExternalUrl, toInitials } from '../utils.js';
 import { state } from '../state.js';
-import { t, compactValue, formatPrice, formatDate, formatLifecycleNotes, maybeHiddenText } from '../i18n.js';
-import { getShopInfo, isRecentRelease } from '../data/model.js';
+import { t, compactValue, formatPrice, formatOriginalPrice, formatDate, formatLifecycleNotes, maybeHiddenText } from '../i18n.js';
+import { getLifecycleLabel, getLiveUrl, getRowVariants, getShopInfo, getVariantRow, isRecentRelease, isUpcoming } from '../data/model.js';
+import { getPriceRange } from '../data/variants.js';
 import { AFFILIATE_REL, buildBuyLinks, getAffiliateOverrides } from '../affiliate.js';
 import { categoryTone, lifecycleTone, selectionLabelTemplate, buildCardFacts } from './shared.js';
 
@@ -17,12 +18,25 @@ export const cardTemplate = (row) => {
   const shopButtonClasses = 'chip-btn card-action border-[#44403c] bg-[#1c1917] text-[#f5f5f4] hover:bg-[#292524]';
   const lifecycleClasses = lifecycleTone(row);
   const eolDate = row.eol_date ? formatDate(row.eol_date) : t('k. A.', 'n/a');
-  const releaseDate = formatDate(row.release_date || row.announced_date);
-  const lifecycleSourceUrl = safeExternalUrl(row.lifecycle_source);
+  const upcoming = isUpcoming(row);
+  // An announcement date is no release estimate for upcoming devices.
+  const releaseDate = formatDate(upcoming ? row.release_date : row.release_date || row.announced_date);
+  const lifecycleSourceUrl = getLiveUrl(row.lifecycle_source);
   const infoUrl = lifecycleSourceUrl || safeExternalUrl(row.source_page);
-  const isSelected = state.selectedIds.includes(row.__rowId);
+  // Devices with editions show the lowest price until one edition is picked;
+  // the picked edition is what the compare checkbox adds.
+  const variants = getRowVariants(row);
+  const edition = variants.length ? getVariantRow(row, state.variantChoices[row.__rowId] || '') : null;
+  const priceRange = getPriceRange(row, variants);
+  const priceText = edition
+    ? formatPrice(edition.price_usd)
+    : variants.length && priceRange
+      ? `${t('ab', 'from')} ${formatPrice(priceRange.min)}`
+      : formatPrice(row.price_usd);
+  const selectionRow = edition || row;
+  const isSelected = state.selectedIds.includes(selectionRow.__rowId);
   const isFavorite = state.favorites.includes(row.__rowId);
-  const facts = buildCardFacts(row);
+  const facts = buildCardFacts(selectionRow);
   const primaryFacts = facts.slice(0, compact ? 2 : 6);
   const secondaryFacts = compact ? [] : facts.slice(6);
   const lifecycleNotes = formatLifecycleNotes(row.lifecycle_notes, t('Keine Angaben.', 'No details.'));
@@ -44,9 +58,9 @@ export const cardTemplate = (row) => {
               </div>`
         }
         <div class="absolute left-3 top-3" onclick="event.stopPropagation()">${selectionLabelTemplate(
-          row.__rowId,
+          selectionRow.__rowId,
           isSelected,
-          compactValue(row.name, t('Unbekannt', 'Unknown')),
+          compactValue(selectionRow.name, t('Unbekannt', 'Unknown')),
         )}</div>
         <button
           data-favorite-toggle="${escapeHtml(row.__rowId)}"
@@ -56,28 +70,49 @@ export const cardTemplate = (row) => {
         >${isFavorite ? '&#9733;' : '&#9734;'}</button>
         <span class="absolute right-3 top-3 rounded-full border px-2.5 py-1 text-xs font-bold ${categoryTone(row.xr_category)}">${category}</span>
         ${
-          isRecentRelease(row)
-            ? `<span class="release-status absolute bottom-3 left-3">${t('Neu', 'New')}</span>`
-            : ''
+          upcoming
+            ? `<span class="release-status is-upcoming absolute bottom-3 left-3">${escapeHtml(getLifecycleLabel(row))}</span>`
+            : isRecentRelease(row)
+              ? `<span class="release-status absolute bottom-3 left-3">${t('Neu', 'New')}</span>`
+              : ''
         }
       </div>
       <div class="${compact ? 'space-y-3 p-4' : 'space-y-5 p-5'}">
         <div class="space-y-1.5">
           <p class="text-xs font-semibold uppercase tracking-[0.18em] text-[#a8a29e]">${manufacturer}</p>
           <h2 class="font-semibold text-2xl leading-tight text-[#f5f5f4]"><button type="button" data-detail-open="${escapeHtml(row.__rowId)}" class="text-left underline-offset-4 transition-colors hover:text-[#84cc16] hover:underline focus-visible:text-[#84cc16] focus-visible:underline">${name}</button></h2>
-          <p class="text-sm text-[#a8a29e]">${t('Erschienen', 'Released')}: ${escapeHtml(releaseDate)}</p>
+          <p class="text-sm text-[#a8a29e]">${upcoming ? t('Erwartet', 'Expected') : t('Erschienen', 'Released')}: ${escapeHtml(releaseDate)}</p>
         </div>
 
         <div class="grid grid-cols-2 gap-2 text-sm">
           <div class="soft-panel p-2.5">
             <p class="text-[11px] uppercase tracking-[0.12em] text-[#a8a29e]">${t('Preis', 'Price')}</p>
-            <p class="mt-1 font-semibold text-[#f5f5f4]">${escapeHtml(formatPrice(row.price_usd))}</p>
+            <p class="mt-1 font-semibold text-[#f5f5f4]">${escapeHtml(priceText)}</p>
+            ${formatOriginalPrice(selectionRow) ? `<p class="text-[11px] text-[#a8a29e]">${t('Launch', 'Launch')}: ${escapeHtml(formatOriginalPrice(selectionRow))}</p>` : ''}
           </div>
           <div class="soft-panel p-2.5">
             <p class="text-[11px] uppercase tracking-[0.12em] text-[#a8a29e]">${t('Vertrieb', 'Distribution')}</p>
             <p class="mt-1 font-semibold text-[#f5f5f4]">${escapeHtml(compactValue(row.active_distribution, t('k. A.', 'n/a')))}</p>
           </div>
         </div>
+        ${
+          variants.length
+            ? `<label class="block text-xs text-[#a8a29e]">
+                <span class="sr-only">${t('Edition', 'Edition')}</span>
+                <select data-variant-select="${escapeHtml(row.__rowId)}" class="field">
+                  <option value="">${t(`Alle Editionen (${variants.length})`, `All editions (${variants.length})`)}</option>
+                  ${variants
+                    .map(
+                      (variant) =>
+                        `<option value="${escapeHtml(variant.key)}" ${edition?.variant_key === variant.key ? 'selected' : ''}>${escapeHtml(
+                          [variant.label, variant.price_usd ? formatPrice(variant.price_usd) : ''].filter(Boolean).join(' · '),
+                        )}</option>`,
+                    )
+                    .join('')}
+                </select>
+              </label>`
+            : ''
+        }
 
         ${
           primaryFacts.length
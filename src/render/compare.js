@@ -1,11 +1,14 @@
-import { escapeHtml, toNumber, parsePrice, parseResolutionWidth, isUnknownValue } from '../utils.js';
+import { escapeHtml, parsePrice, isUnknownValue } from '../utils.js';
 import { state, COMPARE_LIMIT, RADAR_COLORS } from '../state.js';
-import { t, compactValue, formatPrice, formatDate, formatNumber, formatLifecycleNotes } from '../i18n.js';
-import { getHorizontalFov, getTrackingScore } from '../data/model.js';
+import { t, compactValue, formatCurrency, formatPrice, formatOriginalPrice, formatDate, formatNumber, formatLifecycleNotes } from '../i18n.js';
+import { getHorizontalFov, getOpticalMetrics, getResolution, getSpecValue, getTrackingScore } from '../data/model.js';
+import { getPriceThenNow } from '../data/price-history.js';
+import { canonicalValue, describeVocabularyValue } from '../data/vocabulary.js';
 
 // Numeric comparators per field: returns a comparable number (or null) plus the
 // "better" direction so the matrix can highlight the strongest value in a row.
-// `dir: 'high'` = higher is better, `dir: 'low'` = lower is better.
+// `dir: 'high'` = higher is better, `dir: 'low'` = lower is better. Ranges
+// compete with their best bound (max for 'high', min for 'low').
 const compareField = (
   label,
   getRaw,
@@ -19,41 +22,101 @@ const compareField = (
   best,
 });
 
+// "$499 (2023-02) → $399 (2026-10-19), −20 %" from the price history store.
+const formatPriceThenNow = (row) => {
+  const pair = getPriceThenNow(state.priceHistory, row.id);
+  if (!pair) return '';
+  const { then, now } = pair;
+  const delta = Math.round(((now.price - then.price) / then.price) * 100);
+  return `${formatCurrency(then.price, then.currency)} (${then.date}) → ${formatCurrency(now.price, now.currency)} (${now.date}), ${delta > 0 ? '+' : delta < 0 ? '−' : '±'}${Math.abs(delta)} %`;
+};
+
+// "1920×1080 pro Auge · 2,1 MP · 1,78:1", with the panel as listed when it is
+// combined or monocular.
+const formatResolution = (row) => {
+  const resolution = getResolution(row);
+  if (!resolution) return compactValue(row.resolution_per_eye);
+  const { widthPerEye, heightPerEye, megapixelsPerEye, aspect, layout, width, height } = resolution;
+  const layoutNote =
+    layout === 'combined'
+      ? t(` (kombiniert ${width}×${height})`, ` (combined ${width}×${height})`)
+      : layout === 'monocular'
+        ? t(' (monokular)', ' (monocular)')
+        : '';
+  return `${resolution.approx ? '≈' : ''}${widthPerEye}×${heightPerEye} ${t('pro Auge', 'per eye')}${layoutNote} · ${formatNumber(megapixelsPerEye, ' MP')} · ${formatNumber(aspect)}:1`;
+};
+
+// Free-text spec columns compare on their canonical vocabulary label; the
+// curated wording follows as a note when it adds detail.
+const vocabularyField = (label, field) =>
+  compareField(
+    label,
+    (row) => row[field],
+    (row) => {
+      const { label: text, note } = describeVocabularyValue(field, row[field], state.language);
+      return note ? `${text} · ${note}` : text;
+    },
+    (row) => canonicalValue(field, row[field]) === 'unknown',
+  );
+
+// Derived optical metric; values based on a diagonal FOV read "≈ … (geschätzt)".
+const metricField = (label, metric, suffix, dir) =>
+  compareField(
+    label,
+    (row) => getOpticalMetrics(row)[metric]?.value,
+    (row) => {
+      const entry = getOpticalMetrics(row)[metric];
+      if (!entry) return compactValue('');
+      const text = formatNumber(entry.value, suffix);
+      return entry.estimated ? `≈${text} (${t('geschätzt', 'estimated')})` : text;
+    },
+    (row) => !getOpticalMetrics(row)[metric],
+    { dir, getValue: (row) => getOpticalMetrics(row)[metric]?.value ?? null },
+  );
+
 const getCompareFields = () => [
   compareField(t('Hersteller', 'Manufacturer'), (row) => row.manufacturer),
   compareField(t('Kategorie', 'Category'), (row) => row.xr_category, (row) => compactValue(row.xr_category, 'AR')),
   compareField(t('Release', 'Release'), (row) => row.release_date || row.announced_date, (row) => formatDate(row.release_date || row.announced_date)),
-  compareField(t('Preis', 'Price'), (row) => row.price_usd, (row) => formatPrice(row.price_usd), (row) => !parsePrice(row.price_usd), {
+  compareField(t('Preis', 'Price'), (row) => row.price_usd, (row) => [formatPrice(row.price_usd), formatOriginalPrice(row)].filter(Boolean).join(' · '), (row) => !parsePrice(row.price_usd), {
     dir: 'low',
     getValue: (row) => parsePrice(row.price_usd),
   }),
-  compareField('Display', (row) => row.display_type),
-  compareField(t('Optik', 'Optics'), (row) => row.optics),
-  compareField(t('Tracking', 'Tracking'), (row) => row.tracking),
-  compareField('Eye Tracking', (row) => row.eye_tracking),
-  compareField('Hand Tracking', (row) => row.hand_tracking),
-  compareField('Passthrough', (row) => row.passthrough),
-  compareField(t('FOV horizontal', 'FOV horizontal'), (row) => row.fov_horizontal_deg, (row) => formatNumber(row.fov_horizontal_deg, ' deg'), (row) => toNumber(row.fov_horizontal_deg) === null, {
+  compareField(
+    t('Preis damals → heute', 'Price then → now'),
+    (row) => formatPriceThenNow(row),
+    (row) => formatPriceThenNow(row),
+  ),
+  vocabularyField('Display', 'display_type'),
+  vocabularyField(t('Optik', 'Optics'), 'optics'),
+  vocabularyField(t('Tracking', 'Tracking'), 'tracking'),
+  vocabularyField('Eye Tracking', 'eye_tracking'),
+  vocabularyField('Hand Tracking', 'hand_tracking'),
+  vocabularyField('Passthrough', 'passthrough'),
+  compareField(t('FOV horizontal', 'FOV horizontal'), (row) => row.fov_horizontal_deg, (row) => formatNumber(row.fov_horizontal_deg, ' deg'), (row) => !getSpecValue(row, 'fov_horizontal_deg'), {
     dir: 'high',
-    getValue: (row) => toNumber(row.fov_horizontal_deg),
+    getValue: (row) => getSpecValue(row, 'fov_horizontal_deg')?.max ?? null,
   }),
-  compareField(t('FOV vertikal', 'FOV vertical'), (row) => row.fov_vertical_deg, (row) => formatNumber(row.fov_vertical_deg, ' deg'), (row) => toNumber(row.fov_vertical_deg) === null, {
+  compareField(t('FOV vertikal', 'FOV vertical'), (row) => row.fov_vertical_deg, (row) => formatNumber(row.fov_vertical_deg, ' deg'), (row) => !getSpecValue(row, 'fov_vertical_deg'), {
     dir: 'high',
-    getValue: (row) => toNumber(row.fov_vertical_deg),
+    getValue: (row) => getSpecValue(row, 'fov_vertical_deg')?.max ?? null,
   }),
-  compareField(t('Refresh', 'Refresh'), (row) => row.refresh_hz, (row) => formatNumber(row.refresh_hz, ' Hz'), (row) => toNumber(row.refresh_hz) === null, {
+  compareField(t('Refresh', 'Refresh'), (row) => row.refresh_hz, (row) => formatNumber(row.refresh_hz, ' Hz'), (row) => !getSpecValue(row, 'refresh_hz'), {
     dir: 'high',
-    getValue: (row) => toNumber(row.refresh_hz),
+    getValue: (row) => getSpecValue(row, 'refresh_hz')?.max ?? null,
   }),
-  compareField(t('Auflösung', 'Resolution'), (row) => row.resolution_per_eye, undefined, undefined, {
+  compareField(t('Auflösung', 'Resolution'), (row) => row.resolution_per_eye, formatResolution, undefined, {
     dir: 'high',
-    getValue: (row) => parseResolutionWidth(row.resolution_per_eye),
+    getValue: (row) => getResolution(row)?.pixelsPerEye ?? null,
   }),
-  compareField(t('Gewicht', 'Weight'), (row) => row.weight_g, (row) => formatNumber(row.weight_g, ' g'), (row) => toNumber(row.weight_g) === null, {
+  metricField(t('Pixel pro Grad', 'Pixels per degree'), 'ppd', ' PPD', 'high'),
+  metricField(t('FOV-Fläche', 'FOV area'), 'fovArea', ' deg²', 'high'),
+  metricField(t('Preis pro Grad FOV', 'Price per degree of FOV'), 'usdPerDegree', ' USD', 'low'),
+  compareField(t('Gewicht', 'Weight'), (row) => row.weight_g, (row) => formatNumber(row.weight_g, ' g'), (row) => !getSpecValue(row, 'weight_g'), {
     dir: 'low',
-    getValue: (row) => toNumber(row.weight_g),
+    getValue: (row) => getSpecValue(row, 'weight_g')?.min ?? null,
   }),
-  compareField('Compute Unit', (row) => row.compute_unit),
+  vocabularyField('Compute Unit', 'compute_unit'),
   compareField(t('Software', 'Software'), (row) => row.software),
   compareField(t('Vertrieb', 'Distribution'), (row) => row.active_distribution),
   compareField(t('EOL / Lifecycle', 'EOL / Lifecycle'), (row) => row.eol_status),
@@ -66,8 +129,9 @@ const getCompareFields = () => [
 
 const getRadarAxes = () => [
   { label: 'FOV H', inverted: false, getValue: (row) => getHorizontalFov(row) },
-  { label: t('Refresh', 'Refresh'), inverted: false, getValue: (row) => toNumber(row.refresh_hz) },
-  { label: t('Gewicht (inv.)', 'Weight (inv.)'), inverted: true, getValue: (row) => toNumber(row.weight_g) },
+  { label: 'PPD', inverted: false, getValue: (row) => getOpticalMetrics(row).ppd?.value ?? null },
+  { label: t('Refresh', 'Refresh'), inverted: false, getValue: (row) => getSpecValue(row, 'refresh_hz')?.max ?? null },
+  { label: t('Gewicht (inv.)', 'Weight (inv.)'), inverted: true, getValue: (row) => getSpecValue(row, 'weight_g')?.min ?? null },
   { label: t('Preis (inv.)', 'Price (inv.)'), inverted: true, getValue: (row) => parsePrice(row.price_usd) },
   { label: t('Tracking-Score', 'Tracking score'), inverted: false, getValue: (row) => getTrackingScore(row) },
 ];
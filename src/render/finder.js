@@ -3,8 +3,8 @@
 // Lives at the client route /finder/ (served via 404.html on GitHub Pages, like
 // /compare/). Self-contained: keeps its own step state and re-render loop so it
 // never touches the directory's render()/syncUrlWithState() path.
-import { escapeHtml, normalizeText, toNumber, parsePrice, parseResolutionWidth, isUnknownValue, safeExternalUrl } from '../utils.js';
-import { t, formatPrice, formatNumber } from '../i18n.js';
+import { escapeHtml, normalizeText, parsePrice, isUnknownValue, safeExternalUrl } from '../utils.js';
+import { t, formatPrice, formatOriginalPrice, formatNumber } from '../i18n.js';
 import {
   state,
   writeLanguageToStorage,
@@ -14,8 +14,9 @@ import {
 } from '../state.js';
 import { getModelImageUrl } from './image.js';
 import { brandLockupTemplate, categoryTone, headerControlsTemplate, siteFooterTemplate } from './shared.js';
-import { isEol, isLikelyActive, isXrRow, getNormalizedFov } from '../data/model.js';
+import { isEol, isLikelyActive, isXrRow, getNormalizedFov, getResolution, getSpecValue } from '../data/model.js';
 import { FINDER_QUESTIONS } from '../data/finder-questions.js';
+import { canonicalValue } from '../data/vocabulary.js';
 import { AFFILIATE } from '../affiliate.js';
 
 export const isFinderRoute = () => /^\/finder\/?$/.test(window.location.pathname);
@@ -54,11 +55,12 @@ const present = (value) => {
 const clamp = (n) => Math.max(0, Math.min(100, n));
 
 const getConnectionType = (row) => {
-  const blob = normalizeText([row.compute_unit, row.software, row.tracking, row.display_type, row.connectivity].join(' '));
+  const compute = canonicalValue('compute_unit', row.compute_unit);
+  const blob = normalizeText([row.software, row.tracking, row.display_type, row.connectivity].join(' '));
   const standalone = ['standalone', 'snapdragon', 'qualcomm', 'android', 'horizon', 'visionos', 'rokid os', 'xr2', 'xr1', 'onboard', 'eigenständig'];
   const tethered = ['tethered', 'usb-c', 'usb c', 'host', 'smartphone', 'displayport', 'dp alt', 'dp-alt', 'wired', 'hdmi', 'console', 'angeschlossen', 'kabel'];
-  const hasStandalone = standalone.some((k) => blob.includes(k));
-  const hasTethered = tethered.some((k) => blob.includes(k));
+  const hasStandalone = compute === 'standalone' || standalone.some((k) => blob.includes(k));
+  const hasTethered = ['pc', 'phone', 'console', 'tethered'].includes(compute) || tethered.some((k) => blob.includes(k));
   if (hasStandalone && hasTethered) return 'mixed';
   if (hasStandalone) return 'standalone';
   if (hasTethered) return 'tethered';
@@ -67,18 +69,17 @@ const getConnectionType = (row) => {
 
 const scoreUsecase = (row, usecase) => {
   const fov = getNormalizedFov(row);
-  const refresh = toNumber(row.refresh_hz);
-  const resW = parseResolutionWidth(row.resolution_per_eye);
-  const weight = toNumber(row.weight_g);
-  const tracking = normalizeText(row.tracking);
-  const is6dof = tracking.includes('6dof') || tracking.includes('6 dof') || tracking.includes('inside-out') || tracking.includes('inside out');
+  const refresh = getSpecValue(row, 'refresh_hz')?.max ?? null;
+  const resolution = getResolution(row);
+  const weight = getSpecValue(row, 'weight_g')?.min ?? null;
+  const is6dof = canonicalValue('tracking', row.tracking).startsWith('6dof');
   const isXr = isXrRow(row);
-  const display = normalizeText(row.display_type);
-  const oled = display.includes('oled') || display.includes('lcos') || display.includes('micro');
+  const display = canonicalValue('display_type', row.display_type);
+  const oled = ['micro-oled', 'oled', 'micro-led', 'lcos'].includes(display);
   const connection = getConnectionType(row);
-  const eyeT = present(row.eye_tracking);
-  const handT = present(row.hand_tracking);
-  const pass = present(row.passthrough);
+  const eyeT = ['yes', 'optional'].includes(canonicalValue('eye_tracking', row.eye_tracking));
+  const handT = ['yes', 'optional'].includes(canonicalValue('hand_tracking', row.hand_tracking));
+  const pass = ['optical', 'video-color', 'video-mono'].includes(canonicalValue('passthrough', row.passthrough));
 
   switch (usecase) {
     case 'gaming': {
@@ -89,15 +90,21 @@ const scoreUsecase = (row, usecase) => {
       return clamp(s);
     }
     case 'media': {
-      let s = resW != null ? (resW >= 1920 ? 30 : resW >= 1280 ? 22 : resW >= 960 ? 12 : 5) : 10;
-      s += oled ? 25 : display.includes('lcd') ? 12 : 8;
+      // Pixels per eye, so a combined 3840x1080 panel counts as 1920x1080.
+      const mp = resolution?.megapixelsPerEye;
+      let s = mp != null ? (mp >= 2 ? 30 : mp >= 0.9 ? 22 : mp >= 0.45 ? 12 : 5) : 10;
+      s += oled ? 25 : display === 'lcd' ? 12 : 8;
       s += weight != null ? (weight <= 120 ? 20 : weight <= 300 ? 12 : 4) : 8;
       s += fov != null ? (fov >= 45 ? 15 : fov >= 30 ? 10 : 5) : 6;
       s += isXr ? 5 : 10;
       return clamp(s);
     }
     case 'work': {
-      let s = resW != null ? (resW >= 1920 ? 32 : resW >= 1200 ? 22 : 10) : 10;
+      // Text work needs lines as much as columns: 1920 px wide but 480 px tall
+      // panels do not count as full HD.
+      const resW = resolution?.widthPerEye;
+      const resH = resolution?.heightPerEye;
+      let s = resW != null ? (resW >= 1920 && resH >= 1080 ? 32 : resW >= 1200 && resH >= 600 ? 22 : 10) : 10;
       s += isXr ? 12 : 22;
       s += weight != null ? (weight <= 110 ? 22 : weight <= 300 ? 12 : 4) : 8;
       s += refresh != null ? (refresh >= 90 ? 14 : refresh >= 60 ? 10 : 5) : 6;
@@ -186,7 +193,7 @@ const scoreDevice = (row, answers) => {
     add('budget', raw, t('Passt ins Budget', 'Fits the budget'));
   }
   if (answers.formfactor && answers.formfactor !== 'any') {
-    const weight = toNumber(row.weight_g);
+    const weight = getSpecValue(row, 'weight_g')?.min ?? null;
     let raw;
     if (answers.formfactor === 'light') {
       raw = weight == null ? 40 : weight <= 90 ? 100 : weight <= 150 ? 80 : weight <= 300 ? 45 : 10;
@@ -246,7 +253,7 @@ const resultCardTemplate = ({ row, percent, reasons }) => {
   const detailHref = row.__path ? `/${row.__path}/` : safeExternalUrl(row.official_url) || '#';
   const fov = getNormalizedFov(row);
   const chips = [
-    { label: t('Preis', 'Price'), value: formatPrice(row.price_usd) },
+    { label: t('Preis', 'Price'), value: [formatPrice(row.price_usd), formatOriginalPrice(row)].filter(Boolean).join(' · ') },
     fov != null ? { label: 'FOV', value: `${formatNumber(fov)}°` } : null,
     present(row.refresh_hz) ? { label: 'Refresh', value: formatNumber(row.refresh_hz, ' Hz') } : null,
     present(row.weight_g) ? { label: t('Gewicht', 'Weight'), value: formatNumber(row.weight_g, ' g') } : null,
@@ -1,7 +1,11 @@
 import { escapeHtml, safeExternalUrl } from '../utils.js';
 import { state, toggleFavorite } from '../state.js';
-import { t, compactValue, formatPrice, formatDate, formatLifecycleNotes } from '../i18n.js';
-import { getShopInfo } from '../data/model.js';
+import { t, compactValue, formatCurrency, formatPrice, formatOriginalPrice, formatDate, formatLifecycleNotes } from '../i18n.js';
+import { getLifecycleLabel, getLiveUrl, getShopInfo, isEol } from '../data/model.js';
+import { getNewerModel } from '../data/lineage.js';
+import { buildPriceChartSvg, getPriceHistory } from '../data/price-history.js';
+import { createCitations, getProvenance } from '../data/provenance.js';
+import { COMPLETENESS_FIELDS, getCompleteness } from '../data/completeness.js';
 import { AFFILIATE_REL, buildBuyLinks, getAffiliateOverrides } from '../affiliate.js';
 import { getModelImageUrl } from './image.js';
 import { lifecycleTone, buildCardFacts } from './shared.js';
@@ -40,13 +44,66 @@ const groupFacts = (facts) => {
   return groups;
 };
 
-const factRowsTemplate = (items) =>
+const confidenceLabel = (confidence) =>
+  ({ high: t('hoch', 'high'), medium: t('mittel', 'medium'), low: t('niedrig', 'low') })[confidence] || confidence;
+
+const sourceHost = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return url;
+  }
+};
+
+// Small [n] links next to a value that was sourced by an enrichment payload
+// (see data/provenance.js). Numbering is shared across the whole modal.
+const citationMarkerTemplate = (citations, prov) => {
+  if (!prov) return '';
+  const details = [
+    prov.confidence ? `${t('Konfidenz', 'Confidence')} ${confidenceLabel(prov.confidence)}` : '',
+    prov.appliedAt ? `${t('übernommen', 'applied')} ${prov.appliedAt}` : '',
+  ]
+    .filter(Boolean)
+    .join(' · ');
+  return `<sup class="ml-1 text-[10px] font-normal">${citations
+    .cite(prov.sources)
+    .map(
+      (c) =>
+        `<a href="${escapeHtml(safeExternalUrl(c.url))}" target="_blank" rel="noreferrer" class="text-[#a8a29e] hover:text-[var(--brand)]" title="${escapeHtml(`${t('Quelle', 'Source')}: ${sourceHost(c.url)}${details ? ` · ${details}` : ''}`)}">[${c.number}]</a>`,
+    )
+    .join('')}</sup>`;
+};
+
+const priceKindLabel = (kind) =>
+  ({ launch: t('Launch', 'Launch'), msrp_change: t('UVP-Änderung', 'MSRP change'), street: t('Straßenpreis', 'Street price') })[kind] || kind;
+
+// Price chart with the dated points below; only when there is a real history.
+const priceHistoryTemplate = (row, citations) => {
+  const points = getPriceHistory(state.priceHistory, row.id);
+  if (points.length < 2) return '';
+  const chart = buildPriceChartSvg(points, {
+    label: `${t('Preisverlauf', 'Price history')} ${row.name}`,
+    formatPrice: (point) => formatCurrency(point.price, point.currency),
+  });
+  return `<section>
+      <p class="mb-1.5 flex items-center gap-2 text-[11px] font-semibold uppercase tracking-[0.14em] text-[#a8a29e]"><span class="inline-block h-3 w-1 rounded-full bg-[#84cc16]"></span>${t('Preisverlauf', 'Price history')}</p>
+      <div class="rounded-xl border border-[#292524] p-3 text-[#84cc16]">${chart}</div>
+      <ul class="mt-2 space-y-0.5 text-xs text-[#a8a29e]">${points
+        .map(
+          (point) =>
+            `<li>${escapeHtml(point.date)} · <span class="font-medium text-[#f5f5f4]">${escapeHtml(formatCurrency(point.price, point.currency))}</span> · ${escapeHtml(priceKindLabel(point.kind))}${point.source ? citationMarkerTemplate(citations, { sources: [point.source] }) : ''}</li>`,
+        )
+        .join('')}</ul>
+    </section>`;
+};
+
+const factRowsTemplate = (items, row, citations) =>
   items
     .map(
       (f, i) => `
         <div class="flex items-baseline justify-between gap-4 px-3 py-2 ${i % 2 ? '' : 'bg-[#171412]'}">
           <dt class="text-xs text-[#a8a29e]">${escapeHtml(f.label)}</dt>
-          <dd class="text-right text-sm font-medium text-[#f5f5f4]">${escapeHtml(f.value)}</dd>
+          <dd class="text-right text-sm font-medium text-[#f5f5f4]">${escapeHtml(f.value)}${citationMarkerTemplate(citations, getProvenance(state.provenance, row.id, f.fields))}</dd>
         </div>`,
     )
     .join('');
@@ -66,8 +123,11 @@ const detailModalTemplate = (row) => {
   // The modal is a quick preview. The canonical multipage detail view carries
   // the complete specification table and remains the primary destination.
   const factGroups = groupFacts(buildCardFacts(row).slice(0, 6));
+  const citations = createCitations();
   const lifecycleNotes = formatLifecycleNotes(row.lifecycle_notes, t('Keine Angaben.', 'No details.'));
-  const infoUrl = safeExternalUrl(row.lifecycle_source) || safeExternalUrl(row.source_page);
+  const infoUrl = getLiveUrl(row.lifecycle_source) || safeExternalUrl(row.source_page);
+  const newerModel = isEol(row) ? getNewerModel(row, state.rows) : null;
+  const completeness = getCompleteness(row);
   return `
     <div id="detail-modal" class="detail-modal-overlay backdrop-blur-sm" role="dialog" aria-modal="true" aria-label="${name}">
       <div class="detail-modal-content panel p-0 overflow-hidden shadow-2xl ring-1 ring-white/5">
@@ -92,10 +152,11 @@ const detailModalTemplate = (row) => {
           </div>
           <div class="space-y-5 p-5">
             <div class="grid grid-cols-2 gap-3 sm:grid-cols-3">
-              <div class="soft-panel p-3"><p class="text-[11px] uppercase tracking-[0.12em] text-[#a8a29e]">${t('Preis', 'Price')}</p><p class="mt-1 font-semibold text-[#f5f5f4]">${escapeHtml(formatPrice(row.price_usd))}</p></div>
+              <div class="soft-panel p-3"><p class="text-[11px] uppercase tracking-[0.12em] text-[#a8a29e]">${t('Preis', 'Price')}</p><p class="mt-1 font-semibold text-[#f5f5f4]">${escapeHtml(formatPrice(row.price_usd))}</p>${formatOriginalPrice(row) ? `<p class="text-[11px] text-[#a8a29e]">${t('Launch', 'Launch')}: ${escapeHtml(formatOriginalPrice(row))}</p>` : ''}</div>
               <div class="soft-panel p-3"><p class="text-[11px] uppercase tracking-[0.12em] text-[#a8a29e]">${t('Release', 'Release')}</p><p class="mt-1 font-semibold text-[#f5f5f4]">${escapeHtml(formatDate(row.release_date || row.announced_date))}</p></div>
               <div class="soft-panel p-3"><p class="text-[11px] uppercase tracking-[0.12em] text-[#a8a29e]">${t('Kategorie', 'Category')}</p><p class="mt-1 font-semibold text-[#f5f5f4]">${category}</p></div>
             </div>
+            ${priceHistoryTemplate(row, citations)}
             ${editorial.description ? `<p class="text-sm leading-relaxed text-[var(--muted)]">${escapeHtml(editorial.description)}</p>` : ''}
             ${
               Array.isArray(editorial.highlights) && editorial.highlights.length
@@ -112,18 +173,28 @@ const detailModalTemplate = (row) => {
                         (g) => `
                           <section>
                             <p class="mb-1.5 flex items-center gap-2 text-[11px] font-semibold uppercase tracking-[0.14em] text-[#a8a29e]"><span class="inline-block h-3 w-1 rounded-full bg-[#84cc16]"></span>${escapeHtml(g.title)}</p>
-                            <dl class="overflow-hidden rounded-xl border border-[#292524]">${factRowsTemplate(g.items)}</dl>
+                            <dl class="overflow-hidden rounded-xl border border-[#292524]">${factRowsTemplate(g.items, row, citations)}</dl>
                           </section>`,
                       )
                       .join('')}
                   </div>`
                 : ''
             }
+            ${
+              newerModel
+                ? `<div class="rounded-2xl border border-[var(--brand)] bg-[#1c1917] p-3 text-sm text-[#f5f5f4]"><span class="font-semibold">${t('Neueres Modell verfügbar', 'Newer model available')}:</span> <button type="button" data-lineage-open="${escapeHtml(newerModel.__rowId)}" class="font-semibold text-[var(--brand)] underline underline-offset-2">${escapeHtml(newerModel.name)}</button></div>`
+                : ''
+            }
             <div class="rounded-2xl border p-3 text-sm ${lifecycleTone(row)}">
               <p class="text-[11px] font-semibold uppercase tracking-[0.12em]">${t('Lifecycle', 'Lifecycle')} &middot; ${t('Updates / EOL', 'Updates / EOL')}</p>
-              <p class="mt-1 font-semibold">${escapeHtml(compactValue(row.eol_status))}</p>
+              <p class="mt-1 font-semibold">${escapeHtml(getLifecycleLabel(row))} &middot; ${escapeHtml(compactValue(row.eol_status))}${citationMarkerTemplate(citations, getProvenance(state.provenance, row.id, ['eol_status', 'active_distribution', 'eol_date']))}</p>
               ${lifecycleNotes ? `<p class="mt-2 text-xs leading-relaxed">${escapeHtml(lifecycleNotes)}</p>` : ''}
             </div>
+            <p class="text-xs text-[#a8a29e]">${t('Datenvollständigkeit', 'Data completeness')}: <span class="font-semibold text-[#f5f5f4]">${completeness.score}%</span>${
+              completeness.missing.length
+                ? ` &middot; ${t(`${completeness.missing.length} von ${COMPLETENESS_FIELDS.length} Angaben fehlen`, `${completeness.missing.length} of ${COMPLETENESS_FIELDS.length} details missing`)}`
+                : ''
+            }</p>
             <div class="space-y-3 border-t border-[#292524] pt-4">
               ${
                 buyLinks.length
@@ -203,6 +274,12 @@ export const openDetailModal = (rowId) => {
       requestRender();
     });
   });
+  modal.querySelectorAll('[data-lineage-open]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      close();
+      openDetailModal(btn.getAttribute('data-lineage-open'));
+    });
+  });
   modal.querySelector('#detail-share')?.addEventListener('click', async (event) => {
     const btn = event.currentTarget;
     const url = new URL(btn.getAttribute('data-share-path') || '/', window.location.origin).href;
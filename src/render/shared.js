@@ -73,12 +73,14 @@ export const siteFooterTemplate = ({ disclosure = '' } = {}) => {
   </footer>`;
 };
 
+// `values` are plain strings or { value, label } pairs.
 export const optionList = (values, selectedValue, allLabel = t('Alle', 'All')) => {
   const head = `<option value="all"${selectedValue === 'all' ? ' selected' : ''}>${escapeHtml(allLabel)}</option>`;
   const options = values
+    .map((entry) => (typeof entry === 'object' ? entry : { value: entry, label: entry }))
     .map(
-      (value) =>
-        `<option value="${escapeHtml(value)}"${value === selectedValue ? ' selected' : ''}>${escapeHtml(value)}</option>`,
+      ({ value, label }) =>
+        `<option value="${escapeHtml(value)}"${value === selectedValue ? ' selected' : ''}>${escapeHtml(label)}</option>`,
     )
     .join('');
   return `${head}${options}`;
@@ -123,24 +125,24 @@ export const buildFovFact = (row) => {
     return { label: 'FOV', raw: '', value: formatNumber('', ' deg') };
   }
   const axisSuffix = fov.axis === 'd' ? t('° (diag.)', '° (diag.)') : fov.axis === 'v' ? t('° (vert.)', '° (vert.)') : '°';
-  return { label: 'FOV', raw: String(fov.value), value: `${formatNumber(fov.value)}${axisSuffix}` };
+  return { label: 'FOV', raw: String(fov.value), value: `${formatNumber(row[fov.field])}${axisSuffix}` };
 };
 
 export const buildCardFacts = (row) => {
   const fovFact = buildFovFact(row);
   const entries = [
-    { label: t('Display', 'Display'), raw: row.display_type, value: compactValue(row.display_type) },
-    { label: t('Optik', 'Optics'), raw: row.optics, value: compactValue(row.optics) },
-    { label: fovFact.label, raw: fovFact.raw, value: fovFact.value },
-    { label: t('Auflösung', 'Resolution'), raw: row.resolution_per_eye, value: compactValue(row.resolution_per_eye) },
-    { label: t('Tracking', 'Tracking'), raw: row.tracking, value: compactValue(row.tracking) },
-    { label: t('Passthrough', 'Passthrough'), raw: row.passthrough, value: compactValue(row.passthrough) },
-    { label: t('Refresh', 'Refresh'), raw: row.refresh_hz, value: formatNumber(row.refresh_hz, ' Hz') },
-    { label: t('Gewicht', 'Weight'), raw: row.weight_g, value: formatNumber(row.weight_g, ' g') },
-    { label: t('Eye Tracking', 'Eye Tracking'), raw: row.eye_tracking, value: compactValue(row.eye_tracking) },
-    { label: t('Hand Tracking', 'Hand Tracking'), raw: row.hand_tracking, value: compactValue(row.hand_tracking) },
-    { label: t('Software', 'Software'), raw: row.software, value: compactValue(row.software) },
-    { label: t('Compute', 'Compute'), raw: row.compute_unit, value: compactValue(row.compute_unit) },
+    { label: t('Display', 'Display'), raw: row.display_type, value: compactValue(row.display_type), fields: ['display_type'] },
+    { label: t('Optik', 'Optics'), raw: row.optics, value: compactValue(row.optics), fields: ['optics'] },
+    { label: fovFact.label, raw: fovFact.raw, value: fovFact.value, fields: ['fov_horizontal_deg', 'fov_vertical_deg', 'fov_diagonal_deg'] },
+    { label: t('Auflösung', 'Resolution'), raw: row.resolution_per_eye, value: compactValue(row.resolution_per_eye), fields: ['resolution_per_eye'] },
+    { label: t('Tracking', 'Tracking'), raw: row.tracking, value: compactValue(row.tracking), fields: ['tracking'] },
+    { label: t('Passthrough', 'Passthrough'), raw: row.passthrough, value: compactValue(row.passthrough), fields: ['passthrough'] },
+    { label: t('Refresh', 'Refresh'), raw: row.refresh_hz, value: formatNumber(row.refresh_hz, ' Hz'), fields: ['refresh_hz'] },
+    { label: t('Gewicht', 'Weight'), raw: row.weight_g, value: formatNumber(row.weight_g, ' g'), fields: ['weight_g'] },
+    { label: t('Eye Tracking', 'Eye Tracking'), raw: row.eye_tracking, value: compactValue(row.eye_tracking), fields: ['eye_tracking'] },
+    { label: t('Hand Tracking', 'Hand Tracking'), raw: row.hand_tracking, value: compactValue(row.hand_tracking), fields: ['hand_tracking'] },
+    { label: t('Software', 'Software'), raw: row.software, value: compactValue(row.software), fields: ['software'] },
+    { label: t('Compute', 'Compute'), raw: row.compute_unit, value: compactValue(row.compute_unit), fields: ['compute_unit'] },
   ];
 
   if (!state.hideUnknown) {
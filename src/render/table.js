@@ -1,7 +1,7 @@
 import { escapeHtml, safeExternalUrl } from '../utils.js';
 import { state } from '../state.js';
-import { t, compactValue, formatPrice, formatNumber, formatLifecycleNotes, maybeHiddenText } from '../i18n.js';
-import { getShopInfo } from '../data/model.js';
+import { t, compactValue, formatPrice, formatOriginalPrice, formatNumber, formatLifecycleNotes, maybeHiddenText } from '../i18n.js';
+import { getLifecycleLabel, getLiveUrl, getShopInfo } from '../data/model.js';
 import { AFFILIATE_REL, buildBuyLinks, getAffiliateOverrides } from '../affiliate.js';
 import { categoryTone, selectionLabelTemplate, buildFovFact } from './shared.js';
 
@@ -54,7 +54,7 @@ export const tableTemplate = (rows) => {
               .map((row, index) => {
                 const shop = getShopInfo(row);
                 const buyLinks = buildBuyLinks(row, getAffiliateOverrides());
-                const infoUrl = safeExternalUrl(row.lifecycle_source || row.source_page);
+                const infoUrl = getLiveUrl(row.lifecycle_source) || safeExternalUrl(row.source_page);
                 const selected = state.selectedIds.includes(row.__rowId);
                 const lifecycleNotes = formatLifecycleNotes(row.lifecycle_notes, t('Keine Angaben.', 'No details.'));
                 const modelName = compactValue(row.name, t('Unbekannt', 'Unknown'));
@@ -76,7 +76,7 @@ export const tableTemplate = (rows) => {
                         compactValue(row.xr_category, 'AR'),
                       )}</span>
                     </td>
-                    <td class="whitespace-nowrap px-3 py-2.5 font-semibold">${escapeHtml(formatPrice(row.price_usd))}</td>
+                    <td class="whitespace-nowrap px-3 py-2.5 font-semibold">${escapeHtml(formatPrice(row.price_usd))}${formatOriginalPrice(row) ? `<span class="block text-[11px] font-normal text-[#a8a29e]">${escapeHtml(formatOriginalPrice(row))}</span>` : ''}</td>
                     <td class="px-3 py-2.5">${escapeHtml(maybeHiddenText(row.display_type) || na())}</td>
                     <td class="px-3 py-2.5">${escapeHtml(maybeHiddenText(row.optics) || na())}</td>
                     <td class="whitespace-nowrap px-3 py-2.5">${escapeHtml(buildFovFact(row).value)}</td>
@@ -89,7 +89,8 @@ export const tableTemplate = (rows) => {
                     <td class="px-3 py-2.5">${escapeHtml(maybeHiddenText(row.passthrough) || na())}</td>
                     <td class="px-3 py-2.5">${escapeHtml(compactValue(row.active_distribution, na()))}</td>
                     <td class="px-3 py-2.5 min-w-[200px]">
-                      <p class="font-semibold">${escapeHtml(compactValue(row.eol_status))}</p>
+                      <p class="font-semibold">${escapeHtml(getLifecycleLabel(row))}</p>
+                      <p class="text-xs">${escapeHtml(compactValue(row.eol_status))}</p>
                       ${lifecycleNotes ? `<p class="mt-1 text-xs text-[#a8a29e]">${escapeHtml(lifecycleNotes)}</p>` : ''}
                     </td>
                     <td class="px-3 py-2.5">${escapeHtml(maybeHiddenText(row.software) || na())}</td>
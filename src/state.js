@@ -3,6 +3,8 @@ import {
   parseBooleanParam,
 } from './utils.js';
 import { COMPARE_SEPARATOR } from './data/paths.js';
+import { getVariants, splitVariantId, variantId } from './data/variants.js';
+import { canonicalValue } from './data/vocabulary.js';
 
 export const COMPARE_LIMIT = 6;
 export const CARDS_PER_PAGE = 12;
@@ -21,6 +23,13 @@ export const SORT_MODES = new Set([
   'fov_desc',
   'weight_asc',
   'refresh_desc',
+  'battery_desc',
+  'ipd_range_desc',
+  'ppd_desc',
+  'fov_area_desc',
+  'usd_per_degree_asc',
+  'verified_desc',
+  'completeness_desc',
 ]);
 export const THEME_MODES = new Set(['auto', 'dark', 'light']);
 export const THEME_STORAGE_KEY = 'ar_directory_theme';
@@ -41,6 +50,11 @@ export const state = {
   viewMode: 'cards',
   compareMode: false,
   selectedIds: [],
+  variants: {},
+  provenance: {},
+  priceHistory: {},
+  linkHealth: {},
+  variantChoices: {},
   compareNotice: '',
   category: 'all',
   manufacturer: 'all',
@@ -52,6 +66,7 @@ export const state = {
   passthrough: 'all',
   active: 'all',
   eol: 'all',
+  lifecycleStatus: 'all',
   software: 'all',
   computeUnit: 'all',
   minFov: '',
@@ -59,11 +74,19 @@ export const state = {
   maxPrice: '',
   maxWeight: '',
   minResolutionWidth: '',
+  minBatteryHours: '',
+  ipd: '',
+  minPpd: '',
+  minFovArea: '',
+  maxUsdPerDegree: '',
+  minCompleteness: '',
   onlyPrice: false,
   onlyShop: false,
   onlyAvailable: false,
   onlyWithImage: false,
+  onlyDpAltMode: false,
   onlyFavorites: false,
+  onlyUpcoming: false,
   favorites: [],
   showEur: false,
   hideUnknown: false,
@@ -194,6 +217,13 @@ export const applyLanguageToDocument = () => {
 const parseSelectedIdsParam = (value) =>
   [...new Set(String(value ?? '').split(',').map((entry) => entry.trim()).filter(Boolean))].slice(0, COMPARE_LIMIT);
 
+// Spec filters hold canonical vocabulary keys; share links from before the
+// vocabulary carried the original CSV text and are mapped here.
+const vocabularyParam = (field, value) => {
+  const text = value.trim();
+  return text && text !== 'all' ? canonicalValue(field, text) : 'all';
+};
+
 const parseCardsPage = (value, fallback = 1) => {
   const parsed = Number.parseInt(String(value ?? ''), 10);
   return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
@@ -206,8 +236,13 @@ export const setFallbackUsdRate = () => {
 };
 
 export const pruneSelectedIdsToKnownRows = () => {
-  const known = new Set(state.rows.map((row) => row.__rowId));
-  state.selectedIds = [...new Set(state.selectedIds)].filter((id) => known.has(id)).slice(0, COMPARE_LIMIT);
+  const byId = new Map(state.rows.map((row) => [row.__rowId, row]));
+  const isKnown = (entry) => {
+    const { id, key } = splitVariantId(entry);
+    const row = byId.get(id);
+    return Boolean(row) && (!key || getVariants(state.variants, row.id).some((variant) => variant.key === key));
+  };
+  state.selectedIds = [...new Set(state.selectedIds)].filter(isKnown).slice(0, COMPARE_LIMIT);
   if (!state.selectedIds.length) {
     state.compareMode = false;
   }
@@ -251,32 +286,32 @@ export const applyStateFromUrl = () => {
 
   const displayType = params.get('displayType');
   if (displayType !== null) {
-    state.displayType = displayType.trim() || 'all';
+    state.displayType = vocabularyParam('display_type', displayType);
   }
 
   const optics = params.get('optics');
   if (optics !== null) {
-    state.optics = optics.trim() || 'all';
+    state.optics = vocabularyParam('optics', optics);
   }
 
   const tracking = params.get('tracking');
   if (tracking !== null) {
-    state.tracking = tracking.trim() || 'all';
+    state.tracking = vocabularyParam('tracking', tracking);
   }
 
   const eye = params.get('eye');
   if (eye !== null) {
-    state.eyeTracking = eye.trim() || 'all';
+    state.eyeTracking = vocabularyParam('eye_tracking', eye);
   }
 
   const hand = params.get('hand');
   if (hand !== null) {
-    state.handTracking = hand.trim() || 'all';
+    state.handTracking = vocabularyParam('hand_tracking', hand);
   }
 
   const passthrough = params.get('passthrough');
   if (passthrough !== null) {
-    state.passthrough = passthrough.trim() || 'all';
+    state.passthrough = vocabularyParam('passthrough', passthrough);
   }
 
   const active = params.get('active');
@@ -289,6 +324,11 @@ export const applyStateFromUrl = () => {
     state.eol = eol.trim() || 'all';
   }
 
+  const lifecycleStatus = params.get('status');
+  if (lifecycleStatus !== null) {
+    state.lifecycleStatus = lifecycleStatus.trim() || 'all';
+  }
+
   const softwareParam = params.get('software');
   if (softwareParam !== null) {
     state.software = softwareParam.trim() || 'all';
@@ -296,7 +336,7 @@ export const applyStateFromUrl = () => {
 
   const computeUnit = params.get('computeUnit');
   if (computeUnit !== null) {
-    state.computeUnit = computeUnit.trim() || 'all';
+    state.computeUnit = vocabularyParam('compute_unit', computeUnit);
   }
 
   const minFov = params.get('minFov');
@@ -324,11 +364,43 @@ export const applyStateFromUrl = () => {
     state.minResolutionWidth = minResWidth.trim();
   }
 
+  const minBattery = params.get('minBattery');
+  if (minBattery !== null) {
+    state.minBatteryHours = minBattery.trim();
+  }
+
+  const ipd = params.get('ipd');
+  if (ipd !== null) {
+    state.ipd = ipd.trim();
+  }
+
+  const minPpd = params.get('minPpd');
+  if (minPpd !== null) {
+    state.minPpd = minPpd.trim();
+  }
+
+  const minFovArea = params.get('minFovArea');
+  if (minFovArea !== null) {
+    state.minFovArea = minFovArea.trim();
+  }
+
+  const maxUsdPerDegree = params.get('maxUsdDeg');
+  if (maxUsdPerDegree !== null) {
+    state.maxUsdPerDegree = maxUsdPerDegree.trim();
+  }
+
+  const minCompleteness = params.get('minComplete');
+  if (minCompleteness !== null) {
+    state.minCompleteness = minCompleteness.trim();
+  }
+
   state.onlyPrice = parseBooleanParam(params.get('onlyPrice'), false);
   state.onlyShop = parseBooleanParam(params.get('onlyShop'), false);
   state.onlyAvailable = parseBooleanParam(params.get('onlyAvailable'), false);
   state.onlyWithImage = parseBooleanParam(params.get('onlyImage'), false);
+  state.onlyDpAltMode = parseBooleanParam(params.get('dpAlt'), false);
   state.onlyFavorites = parseBooleanParam(params.get('onlyFav'), false);
+  state.onlyUpcoming = parseBooleanParam(params.get('upcoming'), false);
   // Migrate legacy shared URLs from the former AR/XR flag toggles to the
   // visible category filter so no active filter can be hidden from the UI.
   const legacyFlagAr = parseBooleanParam(params.get('flagAr'), false);
@@ -378,7 +450,13 @@ export const syncUrlWithState = () => {
   // ride along as query params so they survive on the root view.
   const compareFlats =
     state.compareMode && state.selectedIds.length
-      ? state.selectedIds.map((id) => state.rows.find((row) => row.__rowId === id)?.__flat).filter(Boolean)
+      ? state.selectedIds
+          .map((entry) => {
+            const { id, key } = splitVariantId(entry);
+            const flat = state.rows.find((row) => row.__rowId === id)?.__flat;
+            return flat && (key ? variantId(flat, key) : flat);
+          })
+          .filter(Boolean)
       : [];
   const comparePath = compareFlats.length ? `/compare/${compareFlats.join(COMPARE_SEPARATOR)}` : '';
   if (!comparePath) {
@@ -398,6 +476,7 @@ export const syncUrlWithState = () => {
   setSelect('passthrough', state.passthrough);
   setSelect('active', state.active);
   setSelect('eol', state.eol);
+  setSelect('status', state.lifecycleStatus);
   setSelect('software', state.software);
   setSelect('computeUnit', state.computeUnit);
 
@@ -406,12 +485,20 @@ export const syncUrlWithState = () => {
   setText('maxPrice', state.maxPrice, '');
   setText('maxWeight', state.maxWeight, '');
   setText('minRes', state.minResolutionWidth, '');
+  setText('minBattery', state.minBatteryHours, '');
+  setText('ipd', state.ipd, '');
+  setText('minPpd', state.minPpd, '');
+  setText('minFovArea', state.minFovArea, '');
+  setText('maxUsdDeg', state.maxUsdPerDegree, '');
+  setText('minComplete', state.minCompleteness, '');
 
   setBoolean('onlyPrice', state.onlyPrice, false);
   setBoolean('onlyShop', state.onlyShop, false);
   setBoolean('onlyAvailable', state.onlyAvailable, false);
   setBoolean('onlyImage', state.onlyWithImage, false);
+  setBoolean('dpAlt', state.onlyDpAltMode, false);
   setBoolean('onlyFav', state.onlyFavorites, false);
+  setBoolean('upcoming', state.onlyUpcoming, false);
   setBoolean('showEur', state.showEur, false);
   setBoolean('hideUnknown', state.hideUnknown, false);
   setBoolean('advanced', state.showAdvancedFilters, false);
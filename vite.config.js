@@ -115,7 +115,7 @@ const seoInjectPlugin = () => ({
         : '';
       out = out.replace('<!-- @structured-data -->', ldScript);
 
-      const paths = assignDevicePaths(rows);
+      const paths = assignDevicePaths(rows, readJson(`${DATA_DIR}/path-registry.json`) || {});
       const catalog = rows.length ? buildCatalogHtml(rows, paths) : '';
       out = out.replace('<!-- @catalog -->', catalog);
 